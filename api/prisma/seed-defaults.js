@@ -26,6 +26,84 @@ const defaultPermissions = [
     description: 'Can view other users profiles and information',
     category: 'user'
   },
+  {
+    name: 'Impersonate User',
+    codename: 'impersonate_user',
+    description: 'Can sign in as another user for support (audited, no credential changes)',
+    category: 'user'
+  },
+  {
+    name: 'Invite User',
+    codename: 'invite_user',
+    description: 'Can invite new users and manage own invitations',
+    category: 'user'
+  },
+  {
+    name: 'Manage Invitations',
+    codename: 'manage_invitations',
+    description: 'Can list, resend and revoke all invitations',
+    category: 'user'
+  },
+  {
+    name: 'Unlock User',
+    codename: 'unlock_user',
+    description: 'Can view and lift password login locks',
+    category: 'user'
+  },
+  {
+    name: 'List Users',
+    codename: 'list_users',
+    description: 'Can search and filter all users',
+    category: 'user'
+  },
+  {
+    name: 'Edit User',
+    codename: 'edit_user',
+    description: 'Can edit other users profile fields, email and phone number',
+    category: 'user'
+  },
+  {
+    name: 'Suspend User',
+    codename: 'suspend_user',
+    description: 'Can suspend users and sign them out everywhere',
+    category: 'user'
+  },
+  {
+    name: 'Restore User',
+    codename: 'restore_user',
+    description: 'Can restore suspended users and trashed users that are not purged yet',
+    category: 'user'
+  },
+  {
+    name: 'Import Users',
+    codename: 'import_users',
+    description: 'Can create users or send invitations in bulk from a CSV or NDJSON file',
+    category: 'user'
+  },
+  {
+    name: 'Export Users',
+    codename: 'export_users',
+    description: 'Can download user lists as CSV, NDJSON or XLSX',
+    category: 'user'
+  },
+  {
+    name: 'Export User PII',
+    codename: 'export_user_pii',
+    description: 'Can include personal data (email, phone, names, birth date) in user exports',
+    category: 'user'
+  },
+  {
+    name: 'Merge Users',
+    codename: 'merge_users',
+    description: 'Can merge duplicate user accounts into one',
+    category: 'user'
+  },
+  {
+    name: 'Export User Data',
+    codename: 'export_user_data',
+    description: 'Can export all data stored for a user to answer data-subject requests',
+    category: 'user'
+  },
   {
     name: 'View Permissions',
     codename: 'view_permission',
@@ -118,7 +196,10 @@ const defaultGroups = [
       'view_permission', 'add_permission', 'edit_permission', 'delete_permission',
       'view_group', 'add_group', 'edit_group', 'delete_group',
       'assign_groups', 'view_activity_log', 'delete_activity_log',
-      'add_upload', 'delete_upload'
+      'add_upload', 'delete_upload', 'impersonate_user',
+      'invite_user', 'manage_invitations', 'unlock_user', 'export_user_data',
+      'list_users', 'edit_user', 'suspend_user', 'restore_user', 'import_users',
+      'export_users', 'export_user_pii', 'merge_users'
     ]
   },
   {
@@ -130,7 +211,10 @@ const defaultGroups = [
     permissions: [
       'view_dashboard', 'view_profile', 'edit_profile', 'view_user',
       'view_permission', 'view_group', 'add_group', 'edit_group',
-      'assign_groups', 'view_activity_log', 'add_upload', 'delete_upload'
+      'assign_groups', 'view_activity_log', 'add_upload', 'delete_upload',
+      'invite_user', 'manage_invitations', 'unlock_user', 'export_user_data',
+      'list_users', 'edit_user', 'suspend_user', 'restore_user', 'import_users', 'export_users',
+      'merge_users'
     ]
   },
   {
@@ -152,7 +236,7 @@ const defaultGroups = [
     is_active: true,
     permissions: [
       'view_dashboard', 'view_profile', 'edit_profile', 'view_user',
-      'view_activity_log', 'add_upload'
+      'view_activity_log', 'add_upload', 'invite_user'
     ]
   },
   {
@@ -175,6 +259,16 @@ const defaultGroups = [
       'view_dashboard', 'view_profile', 'edit_profile', 'view_user',
       'view_activity_log'
     ]
+  },
+  {
+    name: 'Guest',
+    codename: 'guest',
+    description: 'Anonymous guest account that has not signed up yet',
+    is_system: true,
+    is_active: true,
+    permissions: [
+      'view_profile', 'add_upload'
+    ]
   }
 ];
 
@@ -0,0 +1,60 @@
+/**
+ * Account Deletion Router
+ * Cancels a scheduled account deletion from the link in the deletion notice
+ */
+
+const express = require('express');
+const router = express.Router();
+const { SUCCESS } = require('../../src/response/success');
+const { ERROR } = require('../../src/response/error');
+const logger = require('../../src/logger/logger');
+const { cancelAccountDeletion } = require('../../src/authenticate/account_deletion');
+const { accountDeletionCancelSchema, validate } = require('./models');
+
+/**
+ * @swagger
+ * /api/auth/account-deletion/cancel:
+ *   post:
+ *     summary: Cancel a scheduled account deletion
+ *     description: Restore an account that is waiting to be purged. Takes the token from the link in the deletion email or SMS, so it works without being signed in (deleting the account signed the user out everywhere). Sign in again afterwards.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Deletion cancelled, account active again
+ *       400:
+ *         description: Link invalid or expired
+ *       409:
+ *         description: No pending deletion for this link
+ */
+router.post('/auth/account-deletion/cancel', async (req, res, next) => {
+  try {
+    const { error: validationError, value } = validate(req.body, accountDeletionCancelSchema);
+    if (validationError) {
+      const errorResponse = ERROR.fromMap('AUTH_INVALID_PAYLOAD', { error: validationError });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const result = await cancelAccountDeletion(value.token, req);
+
+    return res.status(200).json(
+      SUCCESS.response('Account deletion cancelled. You can sign in again', { user_id: result.user_id })
+    );
+  } catch (error) {
+    logger.error('Error cancelling account deletion', { error: error.message, module: 'Auth', label: 'ACCOUNT_DELETION_CANCEL' });
+    const errorResponse = ERROR.fromMap(error.errorKey || 'AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,229 @@
+/**
+ * Anonymous Guest Router
+ * Issues tokens for throwaway guest accounts and upgrades them to regular accounts
+ */
+
+const express = require('express');
+const router = express.Router();
+const { SUCCESS } = require('../../src/response/success');
+const { ERROR } = require('../../src/response/error');
+const logger = require('../../src/logger/logger');
+const { validateRequest } = require('../../src/authenticate/authenticate');
+const { checkPermission } = require('../../src/middleware/permissionMiddleware');
+const { blockImpersonation } = require('../../src/authenticate/impersonation');
+const { generateAllTokens } = require('../../src/authenticate/checkpoint');
+const { createGuestUser, upgradeGuestWithIdentifier, startGuestOAuthUpgrade } = require('../../src/authenticate/anonymous');
+const { createActivityLog } = require('../../src/activity/activityLog');
+const { anonymousUpgradeSchema, oauthProviderSchema, validate } = require('./models');
+const { validateEmail, validatePhone, serializeUserData, extractOrigin, buildActivityLogData, sendThrottled } = require('./utils');
+
+/**
+ * Build the token response body shared by guest sign-in and upgrade
+ * @param {object} tokens - Tokens from generateAllTokens
+ * @param {object} user - User record
+ * @returns {object} Response data
+ */
+function buildTokenData(tokens, user) {
+  const { password, ...userData } = user;
+  return {
+    access_token: tokens.access_token,
+    refresh_token: tokens.refresh_token,
+    session_token: tokens.session_token,
+    session_id: tokens.session_id,
+    token_type: 'bearer',
+    user: serializeUserData(userData)
+  };
+}
+
+/**
+ * @swagger
+ * /api/auth/anonymous:
+ *   post:
+ *     summary: Sign in as a guest
+ *     description: Create a throwaway guest account in the restricted guest group and return tokens for it. Upgrade it later with /auth/anonymous/upgrade to keep its data.
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: Guest account created
+ *       403:
+ *         description: Guest sign-in is disabled
+ *       429:
+ *         description: Too many guest accounts from this IP (see retry_after)
+ */
+router.post('/auth/anonymous', async (req, res, next) => {
+  try {
+    const result = await createGuestUser(req);
+    if (result.errorKey) {
+      if (result.retry_after) {
+        return sendThrottled(res, result);
+      }
+      const errorResponse = ERROR.fromMap(result.errorKey, {});
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    // Guests never proved who they are - no auth_time, so step-up protected routes stay closed
+    const tokens = generateAllTokens(result.user, extractOrigin(req), req, { authTime: null });
+
+    await createActivityLog(buildActivityLogData(req, {
+      user_id: String(result.user.user_id),
+      level: 'info',
+      message: 'Guest account created',
+      action: 'anonymous_signup',
+      status_code: 200,
+      session_id: tokens.session_id
+    }));
+
+    return res.status(200).json(
+      SUCCESS.response('Guest account created', buildTokenData(tokens, result.user))
+    );
+  } catch (error) {
+    logger.error('Error creating guest account', { error: error.message, module: 'Auth', label: 'ANONYMOUS' });
+    const errorResponse = ERROR.fromMap(error.errorKey || 'AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/anonymous/upgrade:
+ *   post:
+ *     summary: Upgrade guest account
+ *     description: Attach an email address or phone number to the signed-in guest account, proven with an OTP from /auth/send-one-time-password. The user_id stays the same, so activity and uploads are kept. Guest sessions are ended and new tokens are returned.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - user_id
+ *               - channel
+ *               - otp
+ *             properties:
+ *               user_id:
+ *                 type: string
+ *                 description: Email or phone number to attach
+ *                 example: user@example.com
+ *               channel:
+ *                 type: string
+ *                 enum: [email, sms, whatsapp]
+ *               otp:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 description: Optional password (checked against the password policy)
+ *               first_name:
+ *                 type: string
+ *               last_name:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Account upgraded, new tokens issued
+ *       400:
+ *         description: Invalid OTP or password policy violation
+ *       409:
+ *         description: Not a guest account, or the email/phone already belongs to an account
+ *       429:
+ *         description: Too many wrong OTPs (see retry_after)
+ */
+router.post('/auth/anonymous/upgrade', validateRequest, blockImpersonation, checkPermission('view_profile'), async (req, res, next) => {
+  try {
+    const { error: validationError, value } = validate(req.body, anonymousUpgradeSchema);
+    if (validationError) {
+      const errorResponse = ERROR.fromMap('AUTH_INVALID_PAYLOAD', { error: validationError });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+    const validIdentifier = value.channel === 'email' ? validateEmail(value.user_id) : validatePhone(value.user_id);
+    if (!validIdentifier) {
+      const errorResponse = ERROR.fromMap('AUTH_INVALID_PAYLOAD', { user_id: value.user_id, channel: value.channel });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const userId = req.user.uid || req.user.user_id;
+    const result = await upgradeGuestWithIdentifier(userId, value, req);
+    if (result.errorKey) {
+      if (result.retry_after) {
+        return sendThrottled(res, result);
+      }
+      const errorResponse = ERROR.fromMap(result.errorKey, result.violations ? { violations: result.violations } : {});
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const tokens = generateAllTokens(result.user, extractOrigin(req), req, { amr: ['otp'] });
+
+    await createActivityLog(buildActivityLogData(req, {
+      user_id: String(result.user.user_id),
+      level: 'audit',
+      message: `Guest account upgraded with ${value.channel === 'email' ? 'email' : 'phone number'}`,
+      action: 'anonymous_upgrade',
+      status_code: 200,
+      session_id: tokens.session_id,
+      metadata: { channel: value.channel }
+    }));
+
+    return res.status(200).json(
+      SUCCESS.response('Account upgraded successfully', buildTokenData(tokens, result.user))
+    );
+  } catch (error) {
+    if (error.retry_after) {
+      return sendThrottled(res, error);
+    }
+    logger.error('Error upgrading guest account', { error: error.message, module: 'Auth', label: 'ANONYMOUS_UPGRADE' });
+    const errorResponse = ERROR.fromMap(error.errorKey || 'AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/anonymous/upgrade/oauth/{provider}:
+ *   post:
+ *     summary: Upgrade guest account with Google or Apple
+ *     description: Start an OAuth flow for the signed-in guest. The provider callback (/auth/oauth/{provider}/callback) attaches the identity to the guest account instead of signing in, and returns new tokens.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [google, apple]
+ *     responses:
+ *       200:
+ *         description: Authorization URL created
+ *       400:
+ *         description: Provider not supported or not configured
+ *       409:
+ *         description: Not a guest account
+ */
+router.post('/auth/anonymous/upgrade/oauth/:provider', validateRequest, blockImpersonation, checkPermission('view_profile'), async (req, res, next) => {
+  try {
+    const { error, value } = validate(req.params, oauthProviderSchema);
+    if (error) {
+      const errorResponse = ERROR.fromMap('AUTH_OAUTH_PROVIDER_UNSUPPORTED', { provider: req.params.provider });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const userId = req.user.uid || req.user.user_id;
+    const authRequest = await startGuestOAuthUpgrade(userId, value.provider, extractOrigin(req));
+
+    return res.status(200).json(
+      SUCCESS.response('Authorization URL created', {
+        provider: value.provider,
+        authorization_url: authRequest.authorization_url,
+        state: authRequest.state
+      })
+    );
+  } catch (error) {
+    logger.error('Error starting guest OAuth upgrade', { error: error.message, module: 'Auth', label: 'ANONYMOUS_UPGRADE_OAUTH' });
+    const errorResponse = ERROR.fromMap(error.errorKey || 'AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,181 @@
+/**
+ * API Keys Router
+ * Create, list and revoke personal access tokens for scripts and integrations
+ */
+
+const express = require('express');
+const router = express.Router();
+const { SUCCESS } = require('../../src/response/success');
+const { ERROR } = require('../../src/response/error');
+const logger = require('../../src/logger/logger');
+const { validateRequest } = require('../../src/authenticate/authenticate');
+const { checkPermission } = require('../../src/middleware/permissionMiddleware');
+const { blockImpersonation } = require('../../src/authenticate/impersonation');
+const { createApiKey, listApiKeys, revokeApiKey } = require('../../src/authenticate/api_keys');
+const { createActivityLog } = require('../../src/activity/activityLog');
+const { apiKeyCreateSchema, validate } = require('./models');
+const { serializeData, buildActivityLogData } = require('./utils');
+
+/**
+ * Reject requests authenticated with an API key - otherwise a key could mint
+ * or revoke other keys and outlive its own revocation
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {function} next - Express next function
+ */
+function requireInteractiveAuth(req, res, next) {
+  if (req.user && req.user.auth_method === 'api_key') {
+    const errorResponse = ERROR.fromMap('AUTH_API_KEY_NOT_ALLOWED');
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+  next();
+}
+
+/**
+ * @swagger
+ * /api/settings/api-keys:
+ *   get:
+ *     summary: List API keys
+ *     description: List the current user's API keys that have not been revoked. The key itself is never returned, only its prefix.
+ *     tags: [Profile & Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys fetched successfully
+ */
+router.get('/settings/api-keys', validateRequest, requireInteractiveAuth, checkPermission('view_profile'), async (req, res, next) => {
+  try {
+    const userId = req.user.uid || req.user.user_id;
+    const apiKeys = await listApiKeys(userId);
+
+    return res.status(200).json(
+      SUCCESS.response('API keys fetched successfully', serializeData(apiKeys))
+    );
+  } catch (error) {
+    logger.error('Error listing API keys', { error: error.message, module: 'ApiKeys', label: 'LIST' });
+    const errorResponse = ERROR.fromMap('AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * @swagger
+ * /api/settings/api-keys:
+ *   post:
+ *     summary: Create API key
+ *     description: Create a key scoped to a subset of the current user's permissions. The key is returned once and cannot be retrieved again.
+ *     tags: [Profile & Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: CI deploy
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [view_profile, add_upload]
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *     responses:
+ *       201:
+ *         description: API key created
+ *       400:
+ *         description: Invalid payload or scopes
+ */
+router.post('/settings/api-keys', validateRequest, blockImpersonation, requireInteractiveAuth, checkPermission('edit_profile'), async (req, res, next) => {
+  try {
+    const { error: validationError, value } = validate(req.body, apiKeyCreateSchema);
+    if (validationError) {
+      const errorResponse = ERROR.fromMap('AUTH_INVALID_PAYLOAD', { error: validationError });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const userId = req.user.uid || req.user.user_id;
+    const { api_key, key } = await createApiKey(userId, value);
+
+    await createActivityLog(buildActivityLogData(req, {
+      user_id: userId,
+      level: 'audit',
+      message: `API key "${api_key.name}" created`,
+      action: 'api_key_create',
+      status_code: 201,
+      session_id: req.user.session_id || null,
+      metadata: { api_key_id: api_key.api_key_id, prefix: api_key.prefix, scopes: api_key.scopes }
+    }));
+
+    return res.status(201).json(
+      SUCCESS.response('API key created. Store it now - it will not be shown again', serializeData({
+        ...api_key,
+        key
+      }))
+    );
+  } catch (error) {
+    logger.error('Error creating API key', { error: error.message, module: 'ApiKeys', label: 'CREATE' });
+    const errorResponse = ERROR.fromMap(error.errorKey || 'AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * @swagger
+ * /api/settings/api-keys/{api_key_id}:
+ *   delete:
+ *     summary: Revoke API key
+ *     description: Revoke one of the current user's API keys. Requests using it are rejected immediately.
+ *     tags: [Profile & Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: api_key_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       404:
+ *         description: API key not found
+ */
+router.delete('/settings/api-keys/:api_key_id', validateRequest, blockImpersonation, requireInteractiveAuth, checkPermission('edit_profile'), async (req, res, next) => {
+  try {
+    const userId = req.user.uid || req.user.user_id;
+    const { api_key_id } = req.params;
+    const result = await revokeApiKey(userId, api_key_id);
+
+    await createActivityLog(buildActivityLogData(req, {
+      user_id: userId,
+      level: 'audit',
+      message: 'API key revoked',
+      action: 'api_key_revoke',
+      status_code: 200,
+      session_id: req.user.session_id || null,
+      metadata: { api_key_id }
+    }));
+
+    return res.status(200).json(
+      SUCCESS.response('API key revoked successfully', serializeData(result))
+    );
+  } catch (error) {
+    logger.error('Error revoking API key', { error: error.message, module: 'ApiKeys', label: 'REVOKE' });
+    const errorResponse = ERROR.fromMap(error.errorKey || 'AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+module.exports = router;
@@ -6,12 +6,17 @@ const logger = require('../../src/logger/logger');
 const { prisma } = require('../../src/db/prisma');
 const { validateRequest } = require('../../src/authenticate/authenticate');
 const { checkPermission } = require('../../src/middleware/permissionMiddleware');
-const { authenticateUserWithData, getUserByEmailOrPhone, updateUserPassword, createUserInDb, generateAllTokens, getUserById, updateLastSignIn, updateUserVerificationStatus } = require('../../src/authenticate/checkpoint');
-const { setOtp, verifyOtp } = require('../../src/authenticate/otp_cache');
+const { blockImpersonation } = require('../../src/authenticate/impersonation');
+const { requireRecentAuth } = require('../../src/authenticate/step_up');
+const { authenticateUserWithData, getUserByEmailOrPhone, updateUserPassword, createUserInDb, generateAllTokens, generateMfaPendingToken, getUserById, updateLastSignIn, updateUserVerificationStatus } = require('../../src/authenticate/checkpoint');
+const { setOtp, deleteOtp } = require('../../src/authenticate/otp_cache');
+const { registerOtpSend, verifyOtpThrottled } = require('../../src/authenticate/otp_throttle');
+const { checkPasswordPolicy } = require('../../src/authenticate/password_policy');
+const { holdSuspiciousLogin } = require('../../src/authenticate/login_alerts');
 const { assignGroupsToUser } = require('../../src/permissions/permissions');
 const { sendSMS, sendWhatsApp } = require('../../src/sms/sms');
 const { sendOtpEmail } = require('../../src/email/email');
-const { validateEmail, validatePhone, serializeUserData } = require('./utils');
+const { validateEmail, validatePhone, serializeUserData, buildMfaChallengeData, buildLoginHoldData, extractOrigin, buildActivityLogData, sendThrottled } = require('./utils');
 const { validate } = require('./models');
 const { otpRequestSchema, otpVerifyRequestSchema, loginWithOtpRequestSchema, setPasswordSchema, passwordChangeSchema, forgetPasswordSchema, checkUserAvailabilityRequestSchema, changeEmailRequestSchema, refreshTokenRequestSchema, tokenInfoRequestSchema } = require('./models');
 const { ProfileAccessibilityEnum, ThemeEnum, UserTypeEnum, LanguageStatusEnum, UserStatusAuthEnum, AuthTypeEnum } = require('../../src/enum/enum');
@@ -26,31 +31,6 @@ const validateLoginBody = (req, res, next) => {
   next();
 };
 
-function extractOrigin(req) {
-  const origin = req.headers.origin;
-  if (origin) {
-    try {
-      const url = new URL(origin);
-      return `${url.protocol}//${url.host}`;
-    } catch (e) {
-    }
-  }
-  
-  const host = req.headers.host;
-  if (host) {
-    const scheme = req.secure || req.headers['x-forwarded-proto'] === 'https' ? 'https' : 'http';
-    return `${scheme}://${host}`;
-  }
-  
-  const forwardedHost = req.headers['x-forwarded-host'];
-  if (forwardedHost) {
-    const scheme = req.headers['x-forwarded-proto'] || 'https';
-    return `${scheme}://${forwardedHost}`;
-  }
-  
-  return `${req.protocol}://${req.get('host')}`;
-}
-
 /**
  * @swagger
  * /api/token:
@@ -90,6 +70,10 @@ function extractOrigin(req) {
  *         description: Invalid request payload
  *       401:
  *         description: Invalid credentials
+ *       423:
+ *         description: Account locked after too many failed logins (see retry_after)
+ *       429:
+ *         description: Login backoff or IP lockout active (see retry_after)
  */
 router.post('/token', validateLoginBody, async (req, res, next) => {
   try {
@@ -111,6 +95,19 @@ router.post('/token', validateLoginBody, async (req, res, next) => {
       return res.status(errorResponse.statusCode).json(errorResponse.detail);
     }
     
+    if (authResult.mfa_required) {
+      return res.status(200).json(
+        SUCCESS.response('Two-factor authentication required', buildMfaChallengeData(authResult))
+      );
+    }
+    
+    // New device or network - tokens are only issued after /auth/login/confirm
+    if (authResult.confirmation_required) {
+      return res.status(200).json(
+        SUCCESS.response('Sign-in confirmation required', buildLoginHoldData(authResult))
+      );
+    }
+    
     // Serialize user data
     const userDataSerialized = serializeUserData(authResult.user);
     
@@ -125,6 +122,9 @@ router.post('/token', validateLoginBody, async (req, res, next) => {
       })
     );
   } catch (error) {
+    if (error.retry_after) {
+      return sendThrottled(res, error);
+    }
     logger.error('Error in login_for_access_token', { error: error.message, stack: error.stack, module: 'Auth', label: 'LOGIN_TOKEN' });
     
     const errorResponse = ERROR.fromMap('AUTH_PROCESSING_ERROR', {}, error);
@@ -171,6 +171,10 @@ router.post('/token', validateLoginBody, async (req, res, next) => {
  *         description: Invalid request payload
  *       401:
  *         description: Invalid credentials
+ *       423:
+ *         description: Account locked after too many failed logins (see retry_after)
+ *       429:
+ *         description: Login backoff or IP lockout active (see retry_after)
  */
 router.post('/auth/login-with-password', validateLoginBody, async (req, res, next) => {
   try {
@@ -187,7 +191,7 @@ router.post('/auth/login-with-password', validateLoginBody, async (req, res, nex
     // Authenticate user first (without generating tokens yet) to get user_id
     const { authenticateUser } = require('../../src/authenticate/checkpoint');
     const origin = extractOrigin(req);
-    const user = await authenticateUser(username, password);
+    const user = await authenticateUser(username, password, req);
     
     if (!user) {
       const errorResponse = ERROR.fromMap('AUTH_INVALID_CREDENTIALS', { 
@@ -213,6 +217,21 @@ router.post('/auth/login-with-password', validateLoginBody, async (req, res, nex
       return res.status(errorResponse.statusCode).json(errorResponse.detail);
     }
     
+    // 2FA enabled - tokens are only issued after /auth/mfa/verify
+    if (user.mfa_enabled) {
+      return res.status(200).json(
+        SUCCESS.response('Two-factor authentication required', buildMfaChallengeData(generateMfaPendingToken(user, origin)))
+      );
+    }
+    
+    // New device or network - tokens are only issued after /auth/login/confirm
+    const hold = await holdSuspiciousLogin(user, origin, req, ['pwd']);
+    if (hold) {
+      return res.status(200).json(
+        SUCCESS.response('Sign-in confirmation required', buildLoginHoldData(hold))
+      );
+    }
+    
     // Clear user-level blacklist entries BEFORE generating tokens
     try {
       const {
@@ -227,7 +246,7 @@ router.post('/auth/login-with-password', validateLoginBody, async (req, res, nex
     }
     
     // Now generate tokens (after clearing blacklist)
-    const tokens = generateAllTokens(user, origin, req);
+    const tokens = generateAllTokens(user, origin, req, { amr: ['pwd'] });
     
     // Serialize user data
     const userDataSerialized = serializeUserData(user);
@@ -244,6 +263,9 @@ router.post('/auth/login-with-password', validateLoginBody, async (req, res, nex
       })
     );
   } catch (error) {
+    if (error.retry_after) {
+      return sendThrottled(res, error);
+    }
     logger.error('Error in login', { error: error.message, stack: error.stack, module: 'Auth', label: 'LOGIN' });
     const errorResponse = ERROR.fromMap('AUTH_PROCESSING_ERROR', {}, error);
     return res.status(errorResponse.statusCode).json(errorResponse.detail);
@@ -275,6 +297,8 @@ router.post('/auth/login-with-password', validateLoginBody, async (req, res, nex
  *     responses:
  *       200:
  *         description: OTP sent successfully
+ *       429:
+ *         description: Resend cooldown active or locked out (see retry_after)
  */
 router.post('/auth/send-one-time-password', async (req, res, next) => {
   try {
@@ -285,6 +309,11 @@ router.post('/auth/send-one-time-password', async (req, res, next) => {
     }
     
     const { user_id, channel } = value;
+    const throttle = await registerOtpSend(user_id, req.ip);
+    if (throttle) {
+      return sendThrottled(res, throttle);
+    }
+
     const otp = await setOtp(user_id, 600);
     
     if (!otp) {
@@ -339,6 +368,8 @@ router.post('/auth/send-one-time-password', async (req, res, next) => {
  *     responses:
  *       200:
  *         description: OTP verified successfully
+ *       429:
+ *         description: Too many wrong OTPs (see retry_after)
  */
 router.post('/auth/verify-one-time-password', async (req, res, next) => {
   try {
@@ -349,9 +380,12 @@ router.post('/auth/verify-one-time-password', async (req, res, next) => {
     }
     
     const { user_id, otp } = value;
-    const isValid = await verifyOtp(user_id, otp, false);
+    const result = await verifyOtpThrottled(user_id, otp, false, req);
+    if (result.errorKey) {
+      return sendThrottled(res, result);
+    }
     
-    if (!isValid) {
+    if (!result.valid) {
       const errorResponse = ERROR.fromMap('AUTH_OTP_INVALID', { user_id });
       return res.status(errorResponse.statusCode).json(errorResponse.detail);
     }
@@ -400,6 +434,8 @@ router.post('/auth/verify-one-time-password', async (req, res, next) => {
  *         description: Invalid request payload
  *       401:
  *         description: Invalid OTP or user not found
+ *       429:
+ *         description: Too many wrong OTPs (see retry_after)
  */
 router.post('/auth/login-with-otp', async (req, res, next) => {
   try {
@@ -434,8 +470,11 @@ router.post('/auth/login-with-otp', async (req, res, next) => {
       return res.status(errorResponse.statusCode).json(errorResponse.detail);
     }
     
-    const isValid = await verifyOtp(userIdClean, otp, true);
-    if (!isValid) {
+    const result = await verifyOtpThrottled(userIdClean, otp, true, req);
+    if (result.errorKey) {
+      return sendThrottled(res, result);
+    }
+    if (!result.valid) {
       const errorResponse = ERROR.fromMap('AUTH_OTP_INVALID', { user_id: userIdClean, channel });
       return res.status(errorResponse.statusCode).json(errorResponse.detail);
     }
@@ -448,6 +487,13 @@ router.post('/auth/login-with-otp', async (req, res, next) => {
       await updateUserVerificationStatus(user.user_id, channel);
     }
     
+    // 2FA enabled - tokens are only issued after /auth/mfa/verify
+    if (user.mfa_enabled) {
+      return res.status(200).json(
+        SUCCESS.response('Two-factor authentication required', buildMfaChallengeData(generateMfaPendingToken(user, origin, ['otp'])))
+      );
+    }
+    
     // Update last sign in
     await updateLastSignIn(user.user_id);
     
@@ -465,7 +511,7 @@ router.post('/auth/login-with-otp', async (req, res, next) => {
     }
     
     // Generate tokens directly (don't use authenticate_user_with_data with OTP as password)
-    const tokens = generateAllTokens(user, origin, req);
+    const tokens = generateAllTokens(user, origin, req, { amr: ['otp'] });
     
     // Serialize user data
     const userDataSerialized = serializeUserData(user);
@@ -514,6 +560,8 @@ router.post('/auth/login-with-otp', async (req, res, next) => {
  *     responses:
  *       200:
  *         description: Signup successful
+ *       429:
+ *         description: Too many wrong OTPs (see retry_after)
  */
 router.post('/auth/verify', async (req, res, next) => {
   try {
@@ -525,12 +573,11 @@ router.post('/auth/verify', async (req, res, next) => {
     
     const { user_id, channel, otp } = value;
     
-    // Check if master OTP is used
-    const { isMasterOtp } = require('../../src/authenticate/otp_cache');
-    const isMasterOtpUsed = isMasterOtp(otp);
-    
-    let isValid = await verifyOtp(user_id, otp, false);
-    if (!isValid && !isMasterOtpUsed) {
+    const result = await verifyOtpThrottled(user_id, otp, false, req);
+    if (result.errorKey) {
+      return sendThrottled(res, result);
+    }
+    if (!result.valid) {
       const errorResponse = ERROR.fromMap('AUTH_OTP_INVALID', { user_id, channel });
       return res.status(errorResponse.statusCode).json(errorResponse.detail);
     }
@@ -584,17 +631,11 @@ router.post('/auth/verify', async (req, res, next) => {
       return res.status(errorResponse.statusCode).json(errorResponse.detail);
     }
     
-    // Assign group based on OTP type (master OTP = super_admin, normal OTP = user)
-    // This is CRITICAL - user must have a group to have permissions
+    // Assign the user group (required for basic permissions like edit_profile)
+    // This is CRITICAL - user must have a group to have permissions. Signup never grants
+    // more than this; elevation is a separate, explicit group assignment
     try {
-      if (isMasterOtpUsed) {
-        // Master OTP used - assign super_admin group
-        await assignGroupsToUser(createdUserId, ['super_admin'], null);
-        logger.info(`Master OTP used - assigned super_admin group to user ${createdUserId}`);
-      } else {
-        // Normal OTP - assign user group (required for basic permissions like edit_profile)
-        await assignGroupsToUser(createdUserId, ['user'], null);
-      }
+      await assignGroupsToUser(createdUserId, ['user'], null);
 
       // Verify group was assigned successfully
       const { getUserGroups } = require('../../src/permissions/permissions');
@@ -630,10 +671,8 @@ router.post('/auth/verify', async (req, res, next) => {
       return res.status(errorResponse.statusCode).json(errorResponse.detail);
     }
     
-    // Only delete OTP if it was a regular OTP (not master OTP)
-    if (!isMasterOtpUsed) {
-      await verifyOtp(user_id, otp, true);
-    }
+    // Already verified above - just remove the cached OTP
+    await deleteOtp(user_id);
     
     const userDataSerialized = serializeUserData(authResult.user);
     
@@ -648,6 +687,9 @@ router.post('/auth/verify', async (req, res, next) => {
       })
     );
   } catch (error) {
+    if (error.retry_after) {
+      return sendThrottled(res, error);
+    }
     logger.error('Error in signup', { error: error.message, module: 'Auth', label: 'SIGNUP' });
     next(error);
   }
@@ -679,8 +721,10 @@ router.post('/auth/verify', async (req, res, next) => {
  *     responses:
  *       200:
  *         description: Password set successfully
+ *       400:
+ *         description: Password policy violation (PASSWORD_POLICY_VIOLATION with per-rule details.violations)
  */
-router.post('/auth/set-password', validateRequest, checkPermission('edit_profile'), async (req, res, next) => {
+router.post('/auth/set-password', validateRequest, blockImpersonation, checkPermission('edit_profile'), async (req, res, next) => {
   try {
     const { error: validationError, value } = validate(req.body, setPasswordSchema);
     if (validationError) {
@@ -691,6 +735,18 @@ router.post('/auth/set-password', validateRequest, checkPermission('edit_profile
     const { confirm_password } = value;
     const userId = req.user.uid || req.user.user_id;
     
+    const user = await getUserById(userId);
+    if (!user) {
+      const errorResponse = ERROR.fromMap('USER_NOT_FOUND', { user_id: userId });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+    
+    const policy = await checkPasswordPolicy(confirm_password, user);
+    if (!policy.valid) {
+      const errorResponse = ERROR.fromMap('PASSWORD_POLICY_VIOLATION', { violations: policy.violations });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+    
     const success = await updateUserPassword(userId, confirm_password);
     if (!success) {
       const errorResponse = ERROR.fromMap('AUTH_PASSWORD_UPDATE_FAILED', { user_id: userId });
@@ -741,8 +797,12 @@ router.post('/auth/set-password', validateRequest, checkPermission('edit_profile
  *     responses:
  *       200:
  *         description: Password updated successfully
+ *       400:
+ *         description: Password policy violation (PASSWORD_POLICY_VIOLATION with per-rule details.violations)
+ *       401:
+ *         description: Recent authentication required (AUTH_REAUTHENTICATION_REQUIRED) - call /auth/reauthenticate first
  */
-router.post('/auth/change-password', validateRequest, checkPermission('edit_profile'), async (req, res, next) => {
+router.post('/auth/change-password', validateRequest, blockImpersonation, checkPermission('edit_profile'), requireRecentAuth(), async (req, res, next) => {
   try {
     const { error: validationError, value } = validate(req.body, passwordChangeSchema);
     if (validationError) {
@@ -753,12 +813,18 @@ router.post('/auth/change-password', validateRequest, checkPermission('edit_prof
     const { user_id, old_password, confirm_password } = value;
     const { authenticateUser } = require('../../src/authenticate/checkpoint');
     
-    const user = await authenticateUser(user_id, old_password);
+    const user = await authenticateUser(user_id, old_password, req);
     if (!user) {
       const errorResponse = ERROR.fromMap('AUTH_PASSWORD_INVALID_OLD', { user_id });
       return res.status(errorResponse.statusCode).json(errorResponse.detail);
     }
     
+    const policy = await checkPasswordPolicy(confirm_password, user);
+    if (!policy.valid) {
+      const errorResponse = ERROR.fromMap('PASSWORD_POLICY_VIOLATION', { violations: policy.violations });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+    
     const currentUserId = req.user.uid || req.user.user_id;
     const success = await updateUserPassword(currentUserId, confirm_password);
     if (!success) {
@@ -770,6 +836,9 @@ router.post('/auth/change-password', validateRequest, checkPermission('edit_prof
       SUCCESS.response('Password updated successfully', { message: 'Password updated successfully' })
     );
   } catch (error) {
+    if (error.retry_after) {
+      return sendThrottled(res, error);
+    }
     logger.error('Error in change_password', { error: error.message, module: 'Auth', label: 'CHANGE_PASSWORD' });
     next(error);
   }
@@ -805,6 +874,10 @@ router.post('/auth/change-password', validateRequest, checkPermission('edit_prof
  *     responses:
  *       200:
  *         description: Password updated successfully
+ *       400:
+ *         description: Password policy violation (PASSWORD_POLICY_VIOLATION with per-rule details.violations)
+ *       429:
+ *         description: Too many wrong OTPs (see retry_after)
  */
 router.post('/auth/forget-password', async (req, res, next) => {
   try {
@@ -816,8 +889,12 @@ router.post('/auth/forget-password', async (req, res, next) => {
     
     const { user_id, otp, confirm_password } = value;
     
-    const isValid = await verifyOtp(user_id, otp);
-    if (!isValid) {
+    // The OTP is kept until the new password is accepted, so a policy violation does not cost a new code
+    const result = await verifyOtpThrottled(user_id, otp, false, req);
+    if (result.errorKey) {
+      return sendThrottled(res, result);
+    }
+    if (!result.valid) {
       const errorResponse = ERROR.fromMap('AUTH_OTP_INVALID', { user_id });
       return res.status(errorResponse.statusCode).json(errorResponse.detail);
     }
@@ -834,12 +911,20 @@ router.post('/auth/forget-password', async (req, res, next) => {
       return res.status(errorResponse.statusCode).json(errorResponse.detail);
     }
     
+    const policy = await checkPasswordPolicy(confirm_password, user);
+    if (!policy.valid) {
+      const errorResponse = ERROR.fromMap('PASSWORD_POLICY_VIOLATION', { violations: policy.violations });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+    
     const success = await updateUserPassword(String(user.user_id), confirm_password);
     if (!success) {
       const errorResponse = ERROR.fromMap('AUTH_FORGOT_PASSWORD_FAILED', { user_id: userIdClean });
       return res.status(errorResponse.statusCode).json(errorResponse.detail);
     }
     
+    await deleteOtp(user_id);
+    
     return res.status(200).json(
       SUCCESS.response('Password updated successfully', { message: 'Password updated successfully' })
     );
@@ -890,30 +975,16 @@ router.post('/auth/refresh-token', async (req, res, next) => {
       return res.status(errorResponse.statusCode).json(errorResponse.detail);
     }
 
-    const jwt = require('jsonwebtoken');
-    const SECRET_KEY = process.env.JWT_SECRET_KEY || process.env.JWT_SECRET;
-    const ALGORITHM = 'HS256';
+    const { verifyToken } = require('../../src/authenticate/keystore');
 
-    if (!SECRET_KEY) {
-      const errorResponse = ERROR.fromMap('AUTH_REFRESH_FAILED', { 
-        message: 'JWT configuration error' 
-      });
-      return res.status(errorResponse.statusCode).json(errorResponse.detail);
-    }
-
-    // Decode and validate refresh token
+    // Decode and validate refresh token (key chosen by kid, so rotated keys keep working)
     let tokenPayload;
     try {
       try {
-        tokenPayload = jwt.verify(refresh_token, SECRET_KEY, { 
-          algorithms: [ALGORITHM],
-          audience: 'authenticated'
-        });
+        tokenPayload = verifyToken(refresh_token, { audience: 'authenticated' });
       } catch (audienceError) {
         // Fallback: try without audience if token wasn't created with audience
-        tokenPayload = jwt.verify(refresh_token, SECRET_KEY, { 
-          algorithms: [ALGORITHM]
-        });
+        tokenPayload = verifyToken(refresh_token);
       }
     } catch (error) {
       if (error.name === 'TokenExpiredError') {
@@ -948,10 +1019,81 @@ router.post('/auth/refresh-token', async (req, res, next) => {
       return res.status(errorResponse.statusCode).json(errorResponse.detail);
     }
 
-    // TODO: Add blacklist checking when session management is implemented
-    // Check if refresh token is blacklisted
-    // Check if session is blacklisted
-    // Check if user refresh tokens are revoked
+    const {
+      blacklistToken,
+      blacklistSession,
+      isTokenBlacklisted,
+      isSessionBlacklisted,
+      isUserRefreshTokenRevoked,
+      markRefreshTokenUsed,
+      isRefreshFamilyRevoked,
+      revokeRefreshFamily
+    } = require('../../src/authenticate/session_manager');
+
+    // Tokens issued before families existed fall back to their session_id as family
+    const familyId = tokenPayload.fid || sessionId;
+
+    if (familyId && await isRefreshFamilyRevoked(familyId)) {
+      const errorResponse = ERROR.fromMap('AUTH_REFRESH_TOKEN_REUSED', {
+        message: 'Refresh token family has been revoked'
+      });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    // Reuse detection: every refresh token may be exchanged exactly once.
+    // A second exchange means the token was copied - revoke the whole family so neither
+    // the attacker nor the legitimate client keeps a working session
+    const alreadyRotated = await isTokenBlacklisted(refresh_token, 'refresh');
+    const firstUse = !alreadyRotated && tokenPayload.jti && await markRefreshTokenUsed(tokenPayload.jti);
+    if (!firstUse) {
+      const revokedSessionId = familyId ? await revokeRefreshFamily(familyId) : null;
+      if (sessionId) {
+        await blacklistSession(sessionId);
+      }
+
+      try {
+        const { markSessionRevoked } = require('../../src/authenticate/session_registry');
+        const { createActivityLog } = require('../../src/activity/activityLog');
+        if (revokedSessionId) {
+          await markSessionRevoked(revokedSessionId);
+        }
+        await createActivityLog(buildActivityLogData(req, {
+          user_id: userId,
+          level: 'audit',
+          message: 'Refresh token reuse detected - token family revoked',
+          action: 'refresh_token_reuse',
+          status_code: 401,
+          session_id: revokedSessionId || sessionId || null,
+          metadata: {
+            family_id: familyId || null,
+            token_jti: tokenPayload.jti || null,
+            replayed_session_id: sessionId || null,
+            revoked_session_id: revokedSessionId
+          }
+        }));
+      } catch (error) {
+        logger.warn(`Failed to record refresh token reuse for user: ${userId}`, { error: error.message, module: 'Auth', label: 'REFRESH_TOKEN' });
+      }
+
+      logger.warn(`Refresh token reuse detected for user: ${userId}, family: ${familyId}`, { module: 'Auth', label: 'REFRESH_TOKEN' });
+      const errorResponse = ERROR.fromMap('AUTH_REFRESH_TOKEN_REUSED', {});
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    // A session revoked from /settings/sessions must not be revived by its refresh token
+    if (sessionId && await isSessionBlacklisted(sessionId)) {
+      const errorResponse = ERROR.fromMap('AUTH_SESSION_REVOKED', {
+        message: 'Session has been revoked'
+      });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    if (await isUserRefreshTokenRevoked(userId)) {
+      const errorResponse = ERROR.fromMap('AUTH_INVALID_REFRESH_TOKEN', {
+        message: 'All refresh tokens have been revoked (user logged out)'
+      });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
 
     // Get user from database
     const user = await getUserById(userId);
@@ -965,11 +1107,6 @@ router.post('/auth/refresh-token', async (req, res, next) => {
 
     // Token rotation: Blacklist old tokens and session before generating new ones
     // This invalidates all old tokens (access, session, refresh) with the old session_id
-    const {
-      blacklistToken,
-      blacklistSession
-    } = require('../../src/authenticate/session_manager');
-    
     await blacklistToken(refresh_token, 'refresh');
     if (sessionId) {
       // Blacklisting session_id invalidates ALL tokens (access, session, refresh) with that session_id
@@ -978,7 +1115,14 @@ router.post('/auth/refresh-token', async (req, res, next) => {
 
     // Generate NEW tokens with NEW session_id (complete token rotation)
     // This updates ALL tokens: access_token, session_token, and refresh_token
-    const tokens = generateAllTokens(user, origin, req);
+    // The new refresh token stays in the same family; the session registry entry moves to the
+    // new session_id so the device keeps its history
+    const tokens = generateAllTokens(user, origin, req, {
+      previousSessionId: sessionId,
+      familyId,
+      authTime: tokenPayload.auth_time,
+      amr: tokenPayload.amr
+    });
 
     return res.status(200).json(
       SUCCESS.response('Tokens refreshed successfully', {
@@ -1009,7 +1153,7 @@ router.post('/auth/refresh-token', async (req, res, next) => {
  *       200:
  *         description: Successfully logged out
  */
-router.post('/auth/logout', validateRequest, checkPermission('view_profile'), async (req, res, next) => {
+router.post('/auth/logout', validateRequest, blockImpersonation, checkPermission('view_profile'), async (req, res, next) => {
   try {
     const userId = String(req.user.uid || req.user.user_id);
     const { v4: uuidv4 } = require('uuid');
@@ -1038,39 +1182,15 @@ router.post('/auth/logout', validateRequest, checkPermission('view_profile'), as
       if (token) {
         try {
           const jwt = require('jsonwebtoken');
-          const SECRET_KEY = process.env.JWT_SECRET_KEY || process.env.JWT_SECRET;
-          const ALGORITHM = 'HS256';
 
-          if (!SECRET_KEY) {
-            logger.error('JWT_SECRET_KEY not set in environment', { module: 'Auth', label: 'LOGOUT' });
-            throw new Error('JWT configuration error');
-          }
-
-          // Try to decode with audience first, without expiration check (for expired tokens)
-          let payload;
+          // The token was already verified by validateRequest (HS256 or a keystore key),
+          // so only its claims are needed here
           try {
-            payload = jwt.decode(token, SECRET_KEY, {
-              algorithms: [ALGORITHM],
-              audience: 'authenticated',
-              complete: false
-            });
-            if (!payload) {
-              // Try without audience
-              payload = jwt.decode(token, SECRET_KEY, {
-                algorithms: [ALGORITHM],
-                complete: false
-              });
-            }
+            const payload = jwt.decode(token, { complete: false });
             tokenJti = payload ? payload.jti : null;
-          } catch (decodeError) {
-            // Last resort: decode without signature verification (for corrupted tokens)
-            try {
-              payload = jwt.decode(token, { complete: false });
-              tokenJti = payload ? payload.jti : null;
-            } catch (error) {
-              tokenJti = null;
-              logger.warn(`Could not decode token for user: ${userId}`, { module: 'Auth', label: 'LOGOUT' });
-            }
+          } catch (error) {
+            tokenJti = null;
+            logger.warn(`Could not decode token for user: ${userId}`, { module: 'Auth', label: 'LOGOUT' });
           }
 
           // Blacklist current access token if JTI is available
@@ -1114,6 +1234,14 @@ router.post('/auth/logout', validateRequest, checkPermission('view_profile'), as
         logger.warn(`Failed to revoke sessions for user: ${userId}`, { module: 'Auth', label: 'LOGOUT' });
       }
 
+      // Close every recorded session individually - the user-level blacklist is cleared on next login
+      try {
+        const { revokeAllUserSessions } = require('../../src/authenticate/session_registry');
+        await revokeAllUserSessions(userId);
+      } catch (error) {
+        logger.warn(`Failed to close recorded sessions for user: ${userId}`, { error: error.message, module: 'Auth', label: 'LOGOUT' });
+      }
+
       // Determine overall tokens_revoked status
       tokensRevoked = accessTokenRevoked && refreshTokensRevoked && sessionsRevoked;
 
@@ -1162,7 +1290,7 @@ router.post('/auth/logout', validateRequest, checkPermission('view_profile'), as
  *         description: Successfully fetched user data
  * @deprecated Use /auth/logout instead
  */
-router.post('/logout', validateRequest, checkPermission('view_profile'), async (req, res, next) => {
+router.post('/logout', validateRequest, blockImpersonation, checkPermission('view_profile'), async (req, res, next) => {
   try {
     const userData = serializeUserData(req.user);
     return res.status(200).json(
@@ -1271,6 +1399,8 @@ router.post('/auth/check-user-availability', async (req, res, next) => {
  *     responses:
  *       200:
  *         description: Email/Phone verified successfully
+ *       429:
+ *         description: Too many wrong OTPs (see retry_after)
  */
 router.post('/auth/verify-email-and-phone', async (req, res, next) => {
   try {
@@ -1296,8 +1426,11 @@ router.post('/auth/verify-email-and-phone', async (req, res, next) => {
       return res.status(errorResponse.statusCode).json(errorResponse.detail);
     }
     
-    const isValid = await verifyOtp(userIdClean, otp, false);
-    if (!isValid) {
+    const result = await verifyOtpThrottled(userIdClean, otp, false, req);
+    if (result.errorKey) {
+      return sendThrottled(res, result);
+    }
+    if (!result.valid) {
       const errorResponse = ERROR.fromMap('AUTH_OTP_INVALID', { user_id: userIdClean, channel });
       return res.status(errorResponse.statusCode).json(errorResponse.detail);
     }
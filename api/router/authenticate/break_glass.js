@@ -0,0 +1,195 @@
+/**
+ * Break-Glass Codes Router
+ * Super admins mint, list and revoke single-use emergency OTPs
+ */
+
+const express = require('express');
+const router = express.Router();
+const { SUCCESS } = require('../../src/response/success');
+const { ERROR } = require('../../src/response/error');
+const logger = require('../../src/logger/logger');
+const { validateRequest } = require('../../src/authenticate/authenticate');
+const { checkGroup } = require('../../src/middleware/permissionMiddleware');
+const { blockImpersonation } = require('../../src/authenticate/impersonation');
+const { mintBreakGlassCode, listBreakGlassCodes, revokeBreakGlassCode } = require('../../src/authenticate/break_glass');
+const { createActivityLog } = require('../../src/activity/activityLog');
+const { breakGlassCodeCreateSchema, validate } = require('./models');
+const { serializeData, buildActivityLogData } = require('./utils');
+
+/**
+ * Reject requests authenticated with an API key - break-glass codes are minted by a person
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {function} next - Express next function
+ */
+function requireInteractiveAuth(req, res, next) {
+  if (req.user && req.user.auth_method === 'api_key') {
+    const errorResponse = ERROR.fromMap('AUTH_API_KEY_NOT_ALLOWED');
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+  next();
+}
+
+/**
+ * @swagger
+ * /api/break-glass/codes:
+ *   post:
+ *     summary: Mint a break-glass code
+ *     description: Create a single-use code accepted in place of the OTP for one email or phone number. The code is returned once, expires after ttl_minutes, and its use is audited. It does not grant any group.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - identifier
+ *               - reason
+ *             properties:
+ *               identifier:
+ *                 type: string
+ *                 example: ops@example.com
+ *               reason:
+ *                 type: string
+ *                 example: SMS provider outage - incident 311
+ *               ttl_minutes:
+ *                 type: integer
+ *                 example: 15
+ *     responses:
+ *       201:
+ *         description: Code minted
+ *       403:
+ *         description: Caller is not a super admin
+ */
+router.post('/break-glass/codes', validateRequest, blockImpersonation, requireInteractiveAuth, checkGroup('super_admin'), async (req, res, next) => {
+  try {
+    const { error: validationError, value } = validate(req.body, breakGlassCodeCreateSchema);
+    if (validationError) {
+      const errorResponse = ERROR.fromMap('AUTH_INVALID_PAYLOAD', { error: validationError });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const userId = req.user.uid || req.user.user_id;
+    const { break_glass_code, code } = await mintBreakGlassCode({ ...value, created_by_user_id: userId }, req);
+
+    return res.status(201).json(
+      SUCCESS.response('Break-glass code minted. Hand it over now - it will not be shown again', serializeData({
+        ...break_glass_code,
+        code
+      }))
+    );
+  } catch (error) {
+    logger.error('Error minting break-glass code', { error: error.message, module: 'BreakGlass', label: 'MINT' });
+    const errorResponse = ERROR.fromMap(error.errorKey || 'AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * @swagger
+ * /api/break-glass/codes:
+ *   get:
+ *     summary: List break-glass codes
+ *     description: List minted codes with their usage. The code itself is never returned.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: identifier
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: active
+ *         description: Only unused, unrevoked, unexpired codes
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Codes fetched successfully
+ */
+router.get('/break-glass/codes', validateRequest, requireInteractiveAuth, checkGroup('super_admin'), async (req, res, next) => {
+  try {
+    const codes = await listBreakGlassCodes({
+      identifier: req.query.identifier,
+      active: req.query.active === 'true',
+      limit: req.query.limit || 100,
+      offset: req.query.offset || 0
+    });
+
+    return res.status(200).json(
+      SUCCESS.response('Break-glass codes fetched successfully', {
+        break_glass_codes: serializeData(codes),
+        count: codes.length
+      })
+    );
+  } catch (error) {
+    logger.error('Error listing break-glass codes', { error: error.message, module: 'BreakGlass', label: 'LIST' });
+    const errorResponse = ERROR.fromMap('AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * @swagger
+ * /api/break-glass/codes/{code_id}:
+ *   delete:
+ *     summary: Revoke a break-glass code
+ *     description: Revoke an unused code so it can no longer be used.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Code revoked
+ *       404:
+ *         description: No unused code with this ID
+ */
+router.delete('/break-glass/codes/:code_id', validateRequest, blockImpersonation, requireInteractiveAuth, checkGroup('super_admin'), async (req, res, next) => {
+  try {
+    const userId = req.user.uid || req.user.user_id;
+    const { code_id } = req.params;
+    const breakGlassCode = await revokeBreakGlassCode(code_id);
+
+    await createActivityLog(buildActivityLogData(req, {
+      user_id: userId,
+      level: 'audit',
+      message: `Break-glass code for ${breakGlassCode.identifier} revoked`,
+      action: 'break_glass_code_revoke',
+      module: 'break_glass',
+      status_code: 200,
+      session_id: req.user.session_id || null,
+      metadata: { code_id, identifier: breakGlassCode.identifier }
+    }));
+
+    return res.status(200).json(
+      SUCCESS.response('Break-glass code revoked successfully', serializeData(breakGlassCode))
+    );
+  } catch (error) {
+    logger.error('Error revoking break-glass code', { error: error.message, module: 'BreakGlass', label: 'REVOKE' });
+    const errorResponse = ERROR.fromMap(error.errorKey || 'AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,226 @@
+/**
+ * Data Export Router
+ * Lets users download a copy of their data and admins export a user's data for data-subject requests
+ */
+
+const express = require('express');
+const router = express.Router();
+const { SUCCESS } = require('../../src/response/success');
+const { ERROR } = require('../../src/response/error');
+const logger = require('../../src/logger/logger');
+const { validateRequest } = require('../../src/authenticate/authenticate');
+const { checkPermission } = require('../../src/middleware/permissionMiddleware');
+const { blockImpersonation } = require('../../src/authenticate/impersonation');
+const { requireRecentAuth } = require('../../src/authenticate/step_up');
+const { getUserById } = require('../../src/authenticate/checkpoint');
+const { requestDataExport, getLatestDataExport, describeDataExport } = require('../../src/authenticate/data_export');
+const { dataExportSchema, adminDataExportSchema, validate } = require('./models');
+const { serializeData, sendThrottled } = require('./utils');
+
+/**
+ * @swagger
+ * /api/settings/export-my-data:
+ *   post:
+ *     summary: Export my data
+ *     description: Start building a copy of everything stored for the current user. The bundle is built in the background and a download link is emailed when it is ready. If an export is already being built it is returned instead. Requires a recent sign-in.
+ *     tags: [Profile & Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               format:
+ *                 type: string
+ *                 enum: [zip, json]
+ *                 default: zip
+ *     responses:
+ *       202:
+ *         description: Export started
+ *       200:
+ *         description: An export is already being built
+ *       401:
+ *         description: Recent authentication required (AUTH_REAUTHENTICATION_REQUIRED) - call /auth/reauthenticate first
+ *       429:
+ *         description: An export was requested recently (see retry_after)
+ */
+router.post('/settings/export-my-data', validateRequest, blockImpersonation, checkPermission('view_profile'), requireRecentAuth(), async (req, res, next) => {
+  try {
+    const { error: validationError, value } = validate(req.body || {}, dataExportSchema);
+    if (validationError) {
+      const errorResponse = ERROR.fromMap('PROFILE_INVALID_PAYLOAD', { error: validationError });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const userId = req.user.uid || req.user.user_id;
+    const result = await requestDataExport(userId, { format: value.format }, req);
+    if (result.errorKey) {
+      return sendThrottled(res, result);
+    }
+
+    return res.status(result.created ? 202 : 200).json(
+      SUCCESS.response(
+        result.created ? 'Data export started. You will receive an email when it is ready' : 'A data export is already in progress',
+        serializeData(await describeDataExport(result.export))
+      )
+    );
+  } catch (error) {
+    logger.error('Error requesting data export', { error: error.message, module: 'Profile', label: 'DATA_EXPORT' });
+    const errorResponse = ERROR.fromMap(error.errorKey || 'PROFILE_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * @swagger
+ * /api/settings/export-my-data:
+ *   get:
+ *     summary: Get my latest data export
+ *     description: Status of the current user's latest data export. While it is ready, download_url is a fresh time-limited link to the file.
+ *     tags: [Profile & Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Export status
+ *       404:
+ *         description: No export requested yet
+ */
+router.get('/settings/export-my-data', validateRequest, blockImpersonation, checkPermission('view_profile'), async (req, res, next) => {
+  try {
+    const userId = req.user.uid || req.user.user_id;
+    const dataExport = await getLatestDataExport(userId);
+    if (!dataExport) {
+      const errorResponse = ERROR.fromMap('DATA_EXPORT_NOT_FOUND', {});
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    return res.status(200).json(
+      SUCCESS.response('Data export fetched successfully', serializeData(await describeDataExport(dataExport)))
+    );
+  } catch (error) {
+    logger.error('Error fetching data export', { error: error.message, module: 'Profile', label: 'DATA_EXPORT' });
+    const errorResponse = ERROR.fromMap('PROFILE_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{user_id}/data-export:
+ *   post:
+ *     summary: Export a user's data
+ *     description: Start building a copy of everything stored for the user, to answer a data-subject request. The user is emailed the download link unless notify_user is false; fetch it with GET /users/{user_id}/data-export. Not subject to the user's cooldown.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: user_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               format:
+ *                 type: string
+ *                 enum: [zip, json]
+ *                 default: zip
+ *               notify_user:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       202:
+ *         description: Export started
+ *       200:
+ *         description: An export is already being built
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:user_id/data-export', validateRequest, blockImpersonation, checkPermission('export_user_data'), async (req, res, next) => {
+  try {
+    const { error: validationError, value } = validate(req.body || {}, adminDataExportSchema);
+    if (validationError) {
+      const errorResponse = ERROR.fromMap('AUTH_INVALID_PAYLOAD', { error: validationError });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const target = await getUserById(req.params.user_id);
+    if (!target) {
+      const errorResponse = ERROR.fromMap('USER_NOT_FOUND', { user_id: req.params.user_id });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const result = await requestDataExport(target.user_id, {
+      format: value.format,
+      notifyUser: value.notify_user,
+      requestedByUserId: req.user.uid || req.user.user_id
+    }, req);
+
+    return res.status(result.created ? 202 : 200).json(
+      SUCCESS.response(
+        result.created ? 'Data export started' : 'A data export is already in progress',
+        { user_id: target.user_id, ...serializeData(await describeDataExport(result.export)) }
+      )
+    );
+  } catch (error) {
+    logger.error('Error requesting data export for user', { error: error.message, module: 'Auth', label: 'DATA_EXPORT' });
+    const errorResponse = ERROR.fromMap(error.errorKey || 'AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{user_id}/data-export:
+ *   get:
+ *     summary: Get a user's latest data export
+ *     description: Status of the user's latest data export, requested by the user or an admin. While it is ready, download_url is a fresh time-limited link to the file.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: user_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Export status
+ *       404:
+ *         description: User not found or no export requested yet
+ */
+router.get('/users/:user_id/data-export', validateRequest, blockImpersonation, checkPermission('export_user_data'), async (req, res, next) => {
+  try {
+    const target = await getUserById(req.params.user_id);
+    if (!target) {
+      const errorResponse = ERROR.fromMap('USER_NOT_FOUND', { user_id: req.params.user_id });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const dataExport = await getLatestDataExport(target.user_id);
+    if (!dataExport) {
+      const errorResponse = ERROR.fromMap('DATA_EXPORT_NOT_FOUND', { user_id: target.user_id });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    return res.status(200).json(
+      SUCCESS.response('Data export fetched successfully', { user_id: target.user_id, ...serializeData(await describeDataExport(dataExport)) })
+    );
+  } catch (error) {
+    logger.error('Error fetching data export for user', { error: error.message, module: 'Auth', label: 'DATA_EXPORT' });
+    const errorResponse = ERROR.fromMap('AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+module.exports = router;
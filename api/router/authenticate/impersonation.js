@@ -0,0 +1,160 @@
+/**
+ * Impersonation Router
+ * Lets support staff sign in as a customer to see exactly what they see
+ */
+
+const express = require('express');
+const router = express.Router();
+const { SUCCESS } = require('../../src/response/success');
+const { ERROR } = require('../../src/response/error');
+const logger = require('../../src/logger/logger');
+const { validateRequest } = require('../../src/authenticate/authenticate');
+const { checkPermission } = require('../../src/middleware/permissionMiddleware');
+const { getUserById, generateImpersonationTokens } = require('../../src/authenticate/checkpoint');
+const { assertCanImpersonate } = require('../../src/authenticate/impersonation');
+const { blacklistSession } = require('../../src/authenticate/session_manager');
+const { markSessionRevoked } = require('../../src/authenticate/session_registry');
+const { createActivityLog } = require('../../src/activity/activityLog');
+const { impersonationStartSchema, validate } = require('./models');
+const { serializeUserData, extractOrigin, buildActivityLogData } = require('./utils');
+
+/**
+ * @swagger
+ * /api/auth/impersonate:
+ *   post:
+ *     summary: Start impersonating a user
+ *     description: Issue short-lived access and session tokens for the target user with an act claim naming the caller. No refresh token is issued. Protected users, super admins and users holding permissions the caller lacks cannot be impersonated.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - user_id
+ *               - reason
+ *             properties:
+ *               user_id:
+ *                 type: string
+ *                 format: uuid
+ *               reason:
+ *                 type: string
+ *                 example: Ticket 4821 - checkout page shows wrong currency
+ *     responses:
+ *       200:
+ *         description: Impersonation tokens issued
+ *       403:
+ *         description: Missing impersonate_user permission, or a protected or more privileged user
+ *       404:
+ *         description: User not found
+ */
+router.post('/auth/impersonate', validateRequest, checkPermission('impersonate_user'), async (req, res, next) => {
+  try {
+    const { error: validationError, value } = validate(req.body, impersonationStartSchema);
+    if (validationError) {
+      const errorResponse = ERROR.fromMap('AUTH_INVALID_PAYLOAD', { error: validationError });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const actorId = req.user.uid || req.user.user_id;
+    const target = await getUserById(value.user_id);
+    if (!target || target.is_trashed) {
+      const errorResponse = ERROR.fromMap('USER_NOT_FOUND', { user_id: value.user_id });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    await assertCanImpersonate(req.user, target);
+
+    const tokens = generateImpersonationTokens(target, actorId, extractOrigin(req), req);
+
+    await createActivityLog(buildActivityLogData(req, {
+      user_id: actorId,
+      level: 'audit',
+      message: `Impersonation of user ${target.user_id} started`,
+      action: 'impersonation_start',
+      module: 'impersonation',
+      status_code: 200,
+      session_id: req.user.session_id || null,
+      metadata: {
+        target_user_id: target.user_id,
+        impersonation_session_id: tokens.session_id,
+        reason: value.reason
+      }
+    }));
+
+    logger.info(`User ${actorId} started impersonating ${target.user_id}`, { module: 'Impersonation', label: 'START' });
+
+    const { password, ...user } = target;
+
+    return res.status(200).json(
+      SUCCESS.response('Impersonation started', {
+        access_token: tokens.access_token,
+        session_token: tokens.session_token,
+        session_id: tokens.session_id,
+        token_type: 'bearer',
+        expires_in: tokens.expires_in,
+        impersonator_user_id: actorId,
+        user: serializeUserData(user)
+      })
+    );
+  } catch (error) {
+    logger.error('Error starting impersonation', { error: error.message, module: 'Impersonation', label: 'START' });
+    const errorResponse = ERROR.fromMap(error.errorKey || 'AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/impersonate/stop:
+ *   post:
+ *     summary: Stop impersonating
+ *     description: End the impersonation session making the request. Its tokens stop working immediately.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Impersonation ended
+ *       400:
+ *         description: Not an impersonation session
+ */
+router.post('/auth/impersonate/stop', validateRequest, async (req, res, next) => {
+  try {
+    if (!req.user.act) {
+      const errorResponse = ERROR.fromMap('AUTH_NOT_IMPERSONATING');
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const sessionId = req.user.session_id;
+    if (!await blacklistSession(sessionId)) {
+      const errorResponse = ERROR.fromMap('AUTH_PROCESSING_ERROR', { message: 'Failed to end impersonation session' });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+    await markSessionRevoked(sessionId);
+
+    await createActivityLog(buildActivityLogData(req, {
+      user_id: req.user.act.sub,
+      level: 'audit',
+      message: `Impersonation of user ${req.user.uid} ended`,
+      action: 'impersonation_stop',
+      module: 'impersonation',
+      status_code: 200,
+      session_id: sessionId,
+      metadata: { target_user_id: req.user.uid }
+    }));
+
+    return res.status(200).json(
+      SUCCESS.response('Impersonation ended', { session_id: sessionId })
+    );
+  } catch (error) {
+    logger.error('Error stopping impersonation', { error: error.message, module: 'Impersonation', label: 'STOP' });
+    const errorResponse = ERROR.fromMap('AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,360 @@
+/**
+ * Invitations Router
+ * Invite users by email or phone with pre-assigned groups, manage pending invitations
+ * and accept them to create the account
+ */
+
+const express = require('express');
+const router = express.Router();
+const { SUCCESS } = require('../../src/response/success');
+const { ERROR } = require('../../src/response/error');
+const logger = require('../../src/logger/logger');
+const { validateRequest } = require('../../src/authenticate/authenticate');
+const { checkPermission } = require('../../src/middleware/permissionMiddleware');
+const { generateAllTokens, updateLastSignIn } = require('../../src/authenticate/checkpoint');
+const {
+  createInvitation,
+  listInvitations,
+  resendInvitation,
+  revokeInvitation,
+  acceptInvitation
+} = require('../../src/authenticate/invitations');
+const { createActivityLog } = require('../../src/activity/activityLog');
+const { invitationCreateSchema, invitationAcceptSchema, validate } = require('./models');
+const { serializeData, serializeUserData, extractOrigin, buildActivityLogData } = require('./utils');
+
+/**
+ * Invitations are sent on behalf of a user - OAuth clients have none
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {function} next - Express next function
+ */
+function requireUser(req, res, next) {
+  if (!req.user || !(req.user.uid || req.user.user_id)) {
+    const errorResponse = ERROR.fromMap('FORBIDDEN');
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+  next();
+}
+
+/**
+ * @swagger
+ * /api/invitations:
+ *   post:
+ *     summary: Invite a user
+ *     description: Invite someone by email (signed link) or phone number (OTP by SMS or WhatsApp) with groups assigned on acceptance. Super admins may assign any group, holders of assign_groups any group except super_admin, everyone else only the user group and their own groups.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - identifier
+ *             properties:
+ *               identifier:
+ *                 type: string
+ *                 example: jane@example.com
+ *               channel:
+ *                 type: string
+ *                 enum: [sms, whatsapp]
+ *                 default: sms
+ *                 description: Only used for phone numbers
+ *               groups:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [business]
+ *     responses:
+ *       201:
+ *         description: Invitation created
+ *       403:
+ *         description: Missing invite_user permission or group not allowed
+ *       409:
+ *         description: User exists or invitation already pending
+ */
+router.post('/invitations', validateRequest, requireUser, checkPermission('invite_user'), async (req, res, next) => {
+  try {
+    const { error: validationError, value } = validate(req.body, invitationCreateSchema);
+    if (validationError) {
+      const errorResponse = ERROR.fromMap('AUTH_INVALID_PAYLOAD', { error: validationError });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const userId = req.user.uid || req.user.user_id;
+    const { invitation, delivered } = await createInvitation(userId, value);
+
+    await createActivityLog(buildActivityLogData(req, {
+      user_id: userId,
+      level: 'audit',
+      message: `Invitation sent to ${invitation.identifier}`,
+      action: 'invitation_create',
+      module: 'invitations',
+      status_code: 201,
+      session_id: req.user.session_id || null,
+      metadata: {
+        invitation_id: invitation.invitation_id,
+        channel: invitation.channel,
+        group_codenames: invitation.group_codenames,
+        delivered
+      }
+    }));
+
+    return res.status(201).json(
+      SUCCESS.response(
+        delivered ? 'Invitation sent successfully' : 'Invitation created but could not be delivered - try resending',
+        serializeData({ ...invitation, delivered })
+      )
+    );
+  } catch (error) {
+    logger.error('Error creating invitation', { error: error.message, module: 'Invitations', label: 'CREATE' });
+    const errorResponse = ERROR.fromMap(error.errorKey || 'AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * @swagger
+ * /api/invitations:
+ *   get:
+ *     summary: List invitations
+ *     description: Holders of manage_invitations see every invitation; everyone else sees the invitations they sent.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, revoked]
+ *       - in: query
+ *         name: identifier
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Invitations fetched successfully
+ */
+router.get('/invitations', validateRequest, requireUser, checkPermission(['invite_user', 'manage_invitations']), async (req, res, next) => {
+  try {
+    const userId = req.user.uid || req.user.user_id;
+    const invitations = await listInvitations(userId, {
+      status: req.query.status,
+      identifier: req.query.identifier,
+      limit: req.query.limit || 100,
+      offset: req.query.offset || 0
+    });
+
+    return res.status(200).json(
+      SUCCESS.response('Invitations fetched successfully', {
+        invitations: serializeData(invitations),
+        count: invitations.length
+      })
+    );
+  } catch (error) {
+    logger.error('Error listing invitations', { error: error.message, module: 'Invitations', label: 'LIST' });
+    const errorResponse = ERROR.fromMap(error.errorKey || 'AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * @swagger
+ * /api/invitations/{invitation_id}/resend:
+ *   post:
+ *     summary: Resend invitation
+ *     description: Send a new link or OTP and reset the expiry. Links and codes sent earlier stop working.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invitation_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Invitation resent
+ *       404:
+ *         description: Invitation not found
+ */
+router.post('/invitations/:invitation_id/resend', validateRequest, requireUser, checkPermission(['invite_user', 'manage_invitations']), async (req, res, next) => {
+  try {
+    const userId = req.user.uid || req.user.user_id;
+    const { invitation_id } = req.params;
+    const { invitation, delivered } = await resendInvitation(userId, invitation_id);
+
+    await createActivityLog(buildActivityLogData(req, {
+      user_id: userId,
+      level: 'audit',
+      message: `Invitation resent to ${invitation.identifier}`,
+      action: 'invitation_resend',
+      module: 'invitations',
+      status_code: 200,
+      session_id: req.user.session_id || null,
+      metadata: { invitation_id, send_count: invitation.send_count, delivered }
+    }));
+
+    return res.status(200).json(
+      SUCCESS.response(
+        delivered ? 'Invitation resent successfully' : 'Invitation renewed but could not be delivered',
+        serializeData({ ...invitation, delivered })
+      )
+    );
+  } catch (error) {
+    logger.error('Error resending invitation', { error: error.message, module: 'Invitations', label: 'RESEND' });
+    const errorResponse = ERROR.fromMap(error.errorKey || 'AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * @swagger
+ * /api/invitations/{invitation_id}:
+ *   delete:
+ *     summary: Revoke invitation
+ *     description: Revoke a pending invitation. Its link or OTP stops working immediately.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invitation_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       404:
+ *         description: Invitation not found
+ */
+router.delete('/invitations/:invitation_id', validateRequest, requireUser, checkPermission(['invite_user', 'manage_invitations']), async (req, res, next) => {
+  try {
+    const userId = req.user.uid || req.user.user_id;
+    const { invitation_id } = req.params;
+    const invitation = await revokeInvitation(userId, invitation_id);
+
+    await createActivityLog(buildActivityLogData(req, {
+      user_id: userId,
+      level: 'audit',
+      message: `Invitation to ${invitation.identifier} revoked`,
+      action: 'invitation_revoke',
+      module: 'invitations',
+      status_code: 200,
+      session_id: req.user.session_id || null,
+      metadata: { invitation_id }
+    }));
+
+    return res.status(200).json(
+      SUCCESS.response('Invitation revoked successfully', serializeData(invitation))
+    );
+  } catch (error) {
+    logger.error('Error revoking invitation', { error: error.message, module: 'Invitations', label: 'REVOKE' });
+    const errorResponse = ERROR.fromMap(error.errorKey || 'AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/invitations/accept:
+ *   post:
+ *     summary: Accept invitation
+ *     description: Create the invited account and sign in. Send the token from the emailed link, or the invited phone number and the OTP. The email or phone number is marked verified and the invitation's groups are assigned.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token:
+ *                 type: string
+ *               identifier:
+ *                 type: string
+ *                 example: "+14155550123"
+ *               otp:
+ *                 type: string
+ *                 example: "482913"
+ *               first_name:
+ *                 type: string
+ *               last_name:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 description: Optional - without it the user signs in with OTP or sets a password later. Checked against the password policy
+ *     responses:
+ *       200:
+ *         description: Invitation accepted, tokens issued
+ *       400:
+ *         description: Invalid invitation link or code, or password policy violation (PASSWORD_POLICY_VIOLATION with per-rule details.violations)
+ *       410:
+ *         description: Invitation expired
+ */
+router.post('/auth/invitations/accept', async (req, res, next) => {
+  try {
+    const { error: validationError, value } = validate(req.body, invitationAcceptSchema);
+    if (validationError) {
+      const errorResponse = ERROR.fromMap('AUTH_INVALID_PAYLOAD', { error: validationError });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const { user, invitation } = await acceptInvitation(value);
+
+    const tokens = generateAllTokens(user, extractOrigin(req), req, { amr: [value.token ? 'link' : 'otp'] });
+    await updateLastSignIn(user.user_id);
+
+    await createActivityLog(buildActivityLogData(req, {
+      user_id: user.user_id,
+      level: 'audit',
+      message: 'Invitation accepted',
+      action: 'invitation_accept',
+      module: 'invitations',
+      status_code: 200,
+      session_id: tokens.session_id,
+      metadata: {
+        invitation_id: invitation.invitation_id,
+        invited_by_user_id: invitation.invited_by_user_id,
+        group_codenames: invitation.group_codenames
+      }
+    }));
+
+    const { password, ...userData } = user;
+
+    return res.status(200).json(
+      SUCCESS.response('Invitation accepted', {
+        access_token: tokens.access_token,
+        refresh_token: tokens.refresh_token,
+        session_token: tokens.session_token,
+        session_id: tokens.session_id,
+        token_type: 'bearer',
+        user: serializeUserData(userData)
+      })
+    );
+  } catch (error) {
+    logger.error('Error accepting invitation', { error: error.message, module: 'Invitations', label: 'ACCEPT' });
+    const errorResponse = ERROR.fromMap(error.errorKey || 'AUTH_PROCESSING_ERROR', error.violations ? { violations: error.violations } : {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+/**
+ * JWKS Router
+ * Publishes the public keys that verify access, session and refresh tokens
+ */
+
+const express = require('express');
+const router = express.Router();
+const { ERROR } = require('../../src/response/error');
+const logger = require('../../src/logger/logger');
+const { getPublicJwks } = require('../../src/authenticate/keystore');
+
+// Verifiers may cache the key set; the next key is published before it signs anything
+const JWKS_CACHE_MAX_AGE = parseInt(process.env.JWKS_CACHE_MAX_AGE_SECONDS || '300', 10);
+
+/**
+ * @swagger
+ * /.well-known/jwks.json:
+ *   get:
+ *     summary: JSON Web Key Set
+ *     description: Public keys (active, next and retired) for verifying RS256/ES256 tokens by their kid header. Empty while tokens are signed with HS256.
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: JWK Set (RFC 7517)
+ */
+router.get('/.well-known/jwks.json', (req, res) => {
+  try {
+    res.set('Cache-Control', `public, max-age=${JWKS_CACHE_MAX_AGE}`);
+    return res.status(200).json(getPublicJwks());
+  } catch (error) {
+    logger.error('Error publishing JWKS', { error: error.message, module: 'Auth', label: 'JWKS' });
+    const errorResponse = ERROR.fromMap('SERVICE_UNAVAILABLE', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,140 @@
+/**
+ * Login Alerts Router
+ * Confirms sign-ins held for a new device or network and handles "this wasn't me" reports
+ */
+
+const express = require('express');
+const router = express.Router();
+const { SUCCESS } = require('../../src/response/success');
+const { ERROR } = require('../../src/response/error');
+const logger = require('../../src/logger/logger');
+const { generateAllTokens, updateLastSignIn } = require('../../src/authenticate/checkpoint');
+const { confirmHeldLogin, denyLogin } = require('../../src/authenticate/login_alerts');
+const { loginConfirmSchema, loginAlertDenySchema, validate } = require('./models');
+const { serializeUserData, extractOrigin, sendThrottled } = require('./utils');
+
+/**
+ * @swagger
+ * /api/auth/login/confirm:
+ *   post:
+ *     summary: Confirm a held sign-in
+ *     description: Release a password sign-in that was held because it came from a new device or network. Send the hold_token from the sign-in response and the OTP that was emailed or texted to the user. Must be called from the origin that started the sign-in.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - hold_token
+ *               - otp
+ *             properties:
+ *               hold_token:
+ *                 type: string
+ *               otp:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       400:
+ *         description: Hold expired or wrong OTP
+ *       429:
+ *         description: Too many wrong OTPs (see retry_after)
+ */
+router.post('/auth/login/confirm', async (req, res, next) => {
+  try {
+    const { error: validationError, value } = validate(req.body, loginConfirmSchema);
+    if (validationError) {
+      const errorResponse = ERROR.fromMap('AUTH_INVALID_PAYLOAD', { error: validationError });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const result = await confirmHeldLogin(value.hold_token, value.otp, extractOrigin(req), req);
+    if (result.errorKey) {
+      return sendThrottled(res, result);
+    }
+    const { user, origin, amr } = result;
+
+    await updateLastSignIn(user.user_id);
+
+    // Clear user-level blacklist entries to allow new sessions after logout
+    try {
+      const {
+        clearUserBlacklist,
+        clearUserRefreshTokenBlacklist
+      } = require('../../src/authenticate/session_manager');
+      await clearUserBlacklist(String(user.user_id));
+      await clearUserRefreshTokenBlacklist(String(user.user_id));
+    } catch (clearError) {
+      logger.warn(`Failed to clear user blacklist (non-blocking): ${clearError.message}`, { module: 'Auth', label: 'LOGIN_CONFIRM' });
+    }
+
+    const tokens = generateAllTokens(user, origin, req, { amr });
+    const { password, ...userData } = user;
+
+    return res.status(200).json(
+      SUCCESS.response('Login successful', {
+        access_token: tokens.access_token,
+        refresh_token: tokens.refresh_token,
+        session_token: tokens.session_token,
+        session_id: tokens.session_id,
+        token_type: 'bearer',
+        user: serializeUserData(userData)
+      })
+    );
+  } catch (error) {
+    logger.error('Error confirming held sign-in', { error: error.message, module: 'Auth', label: 'LOGIN_CONFIRM' });
+    const errorResponse = ERROR.fromMap(error.errorKey || 'AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/login-alert/deny:
+ *   post:
+ *     summary: Report a sign-in as not made by you
+ *     description: Sign out the session named in a new sign-in alert. Takes the token from the alert's "This wasn't me" link, so it works without being signed in. The device and network of that sign-in are forgotten, so the next sign-in from them triggers another alert.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Session signed out (session_revoked is false if it had already ended)
+ *       400:
+ *         description: Link invalid or expired
+ */
+router.post('/auth/login-alert/deny', async (req, res, next) => {
+  try {
+    const { error: validationError, value } = validate(req.body, loginAlertDenySchema);
+    if (validationError) {
+      const errorResponse = ERROR.fromMap('AUTH_INVALID_PAYLOAD', { error: validationError });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const result = await denyLogin(value.token, req);
+
+    return res.status(200).json(
+      SUCCESS.response('The sign-in was ended. Change your password to keep your account safe', {
+        session_id: result.session_id,
+        session_revoked: result.session_revoked
+      })
+    );
+  } catch (error) {
+    logger.error('Error denying sign-in', { error: error.message, module: 'Auth', label: 'LOGIN_DENY' });
+    const errorResponse = ERROR.fromMap(error.errorKey || 'AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,138 @@
+/**
+ * Login Lockout Router
+ * Lets admins see and lift password-login locks
+ */
+
+const express = require('express');
+const router = express.Router();
+const { SUCCESS } = require('../../src/response/success');
+const { ERROR } = require('../../src/response/error');
+const logger = require('../../src/logger/logger');
+const { validateRequest } = require('../../src/authenticate/authenticate');
+const { checkPermission } = require('../../src/middleware/permissionMiddleware');
+const { blockImpersonation } = require('../../src/authenticate/impersonation');
+const { getUserById } = require('../../src/authenticate/checkpoint');
+const { getLoginLockStatus, unlockLogin } = require('../../src/authenticate/login_lockout');
+const { createActivityLog } = require('../../src/activity/activityLog');
+const { loginUnlockSchema, validate } = require('./models');
+const { buildActivityLogData } = require('./utils');
+
+/**
+ * @swagger
+ * /api/users/{user_id}/login-lock:
+ *   get:
+ *     summary: Get login lock status
+ *     description: Show whether password logins for the user are locked and how many recent failures were counted.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: user_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Lock status fetched
+ *       404:
+ *         description: User not found
+ */
+router.get('/users/:user_id/login-lock', validateRequest, checkPermission('unlock_user'), async (req, res, next) => {
+  try {
+    const target = await getUserById(req.params.user_id);
+    if (!target) {
+      const errorResponse = ERROR.fromMap('USER_NOT_FOUND', { user_id: req.params.user_id });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const status = await getLoginLockStatus(target.user_id);
+
+    return res.status(200).json(
+      SUCCESS.response('Login lock status fetched successfully', { user_id: target.user_id, ...status })
+    );
+  } catch (error) {
+    logger.error('Error fetching login lock status', { error: error.message, module: 'LoginLockout', label: 'STATUS' });
+    const errorResponse = ERROR.fromMap('AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{user_id}/unlock:
+ *   post:
+ *     summary: Unlock password logins
+ *     description: Lift the user's login lock and reset their failure count. Pass ip to also lift a lock on that IP address.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: user_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ip:
+ *                 type: string
+ *                 example: 203.0.113.7
+ *               reason:
+ *                 type: string
+ *                 example: Verified caller identity by phone
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:user_id/unlock', validateRequest, blockImpersonation, checkPermission('unlock_user'), async (req, res, next) => {
+  try {
+    const { error: validationError, value } = validate(req.body || {}, loginUnlockSchema);
+    if (validationError) {
+      const errorResponse = ERROR.fromMap('AUTH_INVALID_PAYLOAD', { error: validationError });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const target = await getUserById(req.params.user_id);
+    if (!target) {
+      const errorResponse = ERROR.fromMap('USER_NOT_FOUND', { user_id: req.params.user_id });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const actorId = req.user.uid || req.user.user_id || null;
+    const result = await unlockLogin(target.user_id, value.ip || null);
+
+    await createActivityLog(buildActivityLogData(req, {
+      user_id: target.user_id,
+      level: 'audit',
+      message: `Login lock for user ${target.user_id} lifted`,
+      action: 'login_account_unlock',
+      status_code: 200,
+      session_id: req.user.session_id || null,
+      metadata: {
+        unlocked_by_user_id: actorId,
+        ip: value.ip || null,
+        reason: value.reason || null,
+        ...result
+      }
+    }));
+
+    return res.status(200).json(
+      SUCCESS.response('Account unlocked successfully', { user_id: target.user_id, ...result })
+    );
+  } catch (error) {
+    logger.error('Error unlocking account', { error: error.message, module: 'LoginLockout', label: 'UNLOCK' });
+    const errorResponse = ERROR.fromMap(error.errorKey || 'AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,152 @@
+/**
+ * Magic-Link Router
+ * Passwordless sign-in with a single-use link sent by email
+ */
+
+const express = require('express');
+const router = express.Router();
+const { SUCCESS } = require('../../src/response/success');
+const { ERROR } = require('../../src/response/error');
+const logger = require('../../src/logger/logger');
+const { generateAllTokens, generateMfaPendingToken, updateLastSignIn, updateUserVerificationStatus } = require('../../src/authenticate/checkpoint');
+const { sendMagicLink, consumeMagicLink } = require('../../src/authenticate/magic_link');
+const { magicLinkRequestSchema, magicLinkConsumeSchema, validate } = require('./models');
+const { serializeUserData, buildMfaChallengeData, extractOrigin, sendThrottled } = require('./utils');
+
+/**
+ * @swagger
+ * /api/auth/send-magic-link:
+ *   post:
+ *     summary: Send a sign-in link
+ *     description: Email a single-use sign-in link to the account with this email address. The link only works from the app that requested it. The response is the same whether or not the email has an account. Shares the OTP resend cooldown and lockout.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: user@example.com
+ *     responses:
+ *       200:
+ *         description: Link sent if the account exists
+ *       429:
+ *         description: Resend cooldown active or locked out (see retry_after)
+ */
+router.post('/auth/send-magic-link', async (req, res, next) => {
+  try {
+    const { error: validationError, value } = validate(req.body, magicLinkRequestSchema);
+    if (validationError) {
+      const errorResponse = ERROR.fromMap('AUTH_INVALID_PAYLOAD', { error: validationError });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const result = await sendMagicLink(value.email, extractOrigin(req), req);
+    if (result.errorKey) {
+      return sendThrottled(res, result);
+    }
+
+    return res.status(200).json(
+      SUCCESS.response('If an account exists for this email, a sign-in link has been sent', {})
+    );
+  } catch (error) {
+    logger.error('Error sending magic link', { error: error.message, module: 'Auth', label: 'MAGIC_LINK' });
+    const errorResponse = ERROR.fromMap(error.errorKey || 'AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/magic-link/consume:
+ *   post:
+ *     summary: Sign in with a magic link
+ *     description: Exchange the token from a sign-in link for access, refresh and session tokens. Must be called from the origin that requested the link. The link stops working after the first successful call.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful, or two-factor authentication required
+ *       400:
+ *         description: Link invalid, already used or expired
+ *       403:
+ *         description: Link was requested from another origin
+ */
+router.post('/auth/magic-link/consume', async (req, res, next) => {
+  try {
+    const { error: validationError, value } = validate(req.body, magicLinkConsumeSchema);
+    if (validationError) {
+      const errorResponse = ERROR.fromMap('AUTH_INVALID_PAYLOAD', { error: validationError });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const origin = extractOrigin(req);
+    const user = await consumeMagicLink(value.token, origin);
+
+    if (!user.is_active) {
+      const errorResponse = ERROR.fromMap('AUTH_INVALID_CREDENTIALS', {
+        message: 'User account is not active'
+      });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    // Opening the link proves the email address, like an emailed OTP
+    await updateUserVerificationStatus(user.user_id, 'email');
+
+    // 2FA enabled - tokens are only issued after /auth/mfa/verify
+    if (user.mfa_enabled) {
+      return res.status(200).json(
+        SUCCESS.response('Two-factor authentication required', buildMfaChallengeData(generateMfaPendingToken(user, origin, ['link'])))
+      );
+    }
+
+    await updateLastSignIn(user.user_id);
+
+    // Clear user-level blacklist entries to allow new sessions after logout
+    try {
+      const {
+        clearUserBlacklist,
+        clearUserRefreshTokenBlacklist
+      } = require('../../src/authenticate/session_manager');
+      await clearUserBlacklist(String(user.user_id));
+      await clearUserRefreshTokenBlacklist(String(user.user_id));
+    } catch (clearError) {
+      logger.warn(`Failed to clear user blacklist (non-blocking): ${clearError.message}`, { module: 'Auth', label: 'MAGIC_LINK' });
+    }
+
+    const tokens = generateAllTokens(user, origin, req, { amr: ['link'] });
+    const { password, ...userData } = user;
+
+    return res.status(200).json(
+      SUCCESS.response('Login successful', {
+        access_token: tokens.access_token,
+        refresh_token: tokens.refresh_token,
+        session_token: tokens.session_token,
+        session_id: tokens.session_id,
+        token_type: 'bearer',
+        user: serializeUserData(userData)
+      })
+    );
+  } catch (error) {
+    logger.error('Error consuming magic link', { error: error.message, module: 'Auth', label: 'MAGIC_LINK' });
+    const errorResponse = ERROR.fromMap(error.errorKey || 'AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+module.exports = router;
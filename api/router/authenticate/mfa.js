@@ -0,0 +1,378 @@
+/**
+ * Two-Factor Authentication Router
+ * Handles TOTP enrollment, recovery codes, and the second step of login
+ */
+
+const express = require('express');
+const router = express.Router();
+const { SUCCESS } = require('../../src/response/success');
+const { ERROR } = require('../../src/response/error');
+const logger = require('../../src/logger/logger');
+const { validateRequest } = require('../../src/authenticate/authenticate');
+const { checkPermission } = require('../../src/middleware/permissionMiddleware');
+const { blockImpersonation } = require('../../src/authenticate/impersonation');
+const { generateAllTokens, getUserById, updateLastSignIn } = require('../../src/authenticate/checkpoint');
+const { getMfaStatus, startTotpEnrollment, confirmTotpEnrollment, verifyTotp, verifySecondFactorThrottled, regenerateRecoveryCodes, disableMfa, checkMfaPendingToken, consumeMfaPendingToken } = require('../../src/authenticate/mfa');
+const { serializeUserData, serializeData, extractOrigin, sendThrottled } = require('./utils');
+const { validate, mfaCodeSchema, mfaVerifyRequestSchema } = require('./models');
+
+/**
+ * @swagger
+ * /api/settings/mfa:
+ *   get:
+ *     summary: Get two-factor status
+ *     description: Get whether TOTP two-factor authentication is enabled and how many recovery codes remain
+ *     tags: [Profile & Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: MFA status fetched successfully
+ */
+router.get('/settings/mfa', validateRequest, checkPermission('view_profile'), async (req, res, next) => {
+  try {
+    const userId = req.user.uid || req.user.user_id;
+    const status = await getMfaStatus(userId);
+
+    return res.status(200).json(
+      SUCCESS.response('MFA status fetched successfully', serializeData(status))
+    );
+  } catch (error) {
+    logger.error('Error fetching MFA status', { error: error.message, module: 'MFA', label: 'STATUS' });
+    const errorResponse = ERROR.fromMap('AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * @swagger
+ * /api/settings/mfa/totp/enroll:
+ *   post:
+ *     summary: Start TOTP enrollment
+ *     description: Generate a new TOTP secret and otpauth URI. 2FA is not active until confirmed.
+ *     tags: [Profile & Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Enrollment started
+ *       409:
+ *         description: 2FA already enabled
+ */
+router.post('/settings/mfa/totp/enroll', validateRequest, blockImpersonation, checkPermission('edit_profile'), async (req, res, next) => {
+  try {
+    const userId = req.user.uid || req.user.user_id;
+    const user = await getUserById(userId);
+    if (!user) {
+      const errorResponse = ERROR.fromMap('USER_NOT_FOUND', { user_id: userId });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    if (user.mfa_enabled) {
+      const errorResponse = ERROR.fromMap('AUTH_MFA_ALREADY_ENABLED', {});
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const enrollment = await startTotpEnrollment(user);
+
+    return res.status(200).json(
+      SUCCESS.response('Scan the QR code with your authenticator app and confirm with a code', {
+        secret: enrollment.secret,
+        otpauth_uri: enrollment.otpauth_uri
+      })
+    );
+  } catch (error) {
+    logger.error('Error starting TOTP enrollment', { error: error.message, module: 'MFA', label: 'ENROLL' });
+    const errorResponse = ERROR.fromMap('AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * @swagger
+ * /api/settings/mfa/totp/confirm:
+ *   post:
+ *     summary: Confirm TOTP enrollment
+ *     description: Verify a code from the authenticator app, enable 2FA and return one-time recovery codes (shown only once)
+ *     tags: [Profile & Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *       401:
+ *         description: Invalid code
+ */
+router.post('/settings/mfa/totp/confirm', validateRequest, blockImpersonation, checkPermission('edit_profile'), async (req, res, next) => {
+  try {
+    const { error: validationError, value } = validate(req.body, mfaCodeSchema);
+    if (validationError) {
+      const errorResponse = ERROR.fromMap('AUTH_INVALID_PAYLOAD', { error: validationError });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const userId = req.user.uid || req.user.user_id;
+    const status = await getMfaStatus(userId);
+    if (status.enabled) {
+      const errorResponse = ERROR.fromMap('AUTH_MFA_ALREADY_ENABLED', {});
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+    if (!status.pending_enrollment) {
+      const errorResponse = ERROR.fromMap('AUTH_MFA_NOT_ENROLLED', {});
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const recoveryCodes = await confirmTotpEnrollment(userId, value.code);
+    if (!recoveryCodes) {
+      const errorResponse = ERROR.fromMap('AUTH_MFA_INVALID_CODE', {});
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    logger.info(`Two-factor authentication enabled for user ${userId}`, { module: 'MFA', label: 'CONFIRM' });
+
+    return res.status(200).json(
+      SUCCESS.response('Two-factor authentication enabled. Store your recovery codes somewhere safe.', {
+        enabled: true,
+        recovery_codes: recoveryCodes
+      })
+    );
+  } catch (error) {
+    logger.error('Error confirming TOTP enrollment', { error: error.message, module: 'MFA', label: 'CONFIRM' });
+    const errorResponse = ERROR.fromMap('AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * @swagger
+ * /api/settings/mfa/totp/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Disable 2FA after verifying a current TOTP code or an unused recovery code
+ *     tags: [Profile & Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       401:
+ *         description: Invalid code
+ *       429:
+ *         description: Too many wrong codes - user or IP locked out (see retry_after)
+ */
+router.post('/settings/mfa/totp/disable', validateRequest, blockImpersonation, checkPermission('edit_profile'), async (req, res, next) => {
+  try {
+    const { error: validationError, value } = validate(req.body, mfaCodeSchema);
+    if (validationError) {
+      const errorResponse = ERROR.fromMap('AUTH_INVALID_PAYLOAD', { error: validationError });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const userId = req.user.uid || req.user.user_id;
+    const status = await getMfaStatus(userId);
+    if (!status.enabled) {
+      const errorResponse = ERROR.fromMap('AUTH_MFA_NOT_ENABLED', {});
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const { method, errorKey: codeErrorKey, retry_after } = await verifySecondFactorThrottled(userId, value.code, req.ip);
+    if (!method) {
+      if (retry_after) {
+        return sendThrottled(res, { errorKey: codeErrorKey, retry_after });
+      }
+      const errorResponse = ERROR.fromMap(codeErrorKey, {});
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    await disableMfa(userId);
+    logger.info(`Two-factor authentication disabled for user ${userId} (verified with ${method})`, { module: 'MFA', label: 'DISABLE' });
+
+    return res.status(200).json(
+      SUCCESS.response('Two-factor authentication disabled', { enabled: false })
+    );
+  } catch (error) {
+    logger.error('Error disabling two-factor authentication', { error: error.message, module: 'MFA', label: 'DISABLE' });
+    const errorResponse = ERROR.fromMap('AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * @swagger
+ * /api/settings/mfa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     description: Replace all recovery codes after verifying a current TOTP code. Previous codes stop working.
+ *     tags: [Profile & Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Recovery codes regenerated
+ */
+router.post('/settings/mfa/recovery-codes', validateRequest, blockImpersonation, checkPermission('edit_profile'), async (req, res, next) => {
+  try {
+    const { error: validationError, value } = validate(req.body, mfaCodeSchema);
+    if (validationError) {
+      const errorResponse = ERROR.fromMap('AUTH_INVALID_PAYLOAD', { error: validationError });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const userId = req.user.uid || req.user.user_id;
+    const status = await getMfaStatus(userId);
+    if (!status.enabled) {
+      const errorResponse = ERROR.fromMap('AUTH_MFA_NOT_ENABLED', {});
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    // Only a TOTP code is accepted here - a leaked recovery code must not mint new ones
+    const valid = await verifyTotp(userId, value.code);
+    if (!valid) {
+      const errorResponse = ERROR.fromMap('AUTH_MFA_INVALID_CODE', {});
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(userId);
+
+    return res.status(200).json(
+      SUCCESS.response('Recovery codes regenerated. Store them somewhere safe.', {
+        recovery_codes: recoveryCodes
+      })
+    );
+  } catch (error) {
+    logger.error('Error regenerating recovery codes', { error: error.message, module: 'MFA', label: 'RECOVERY_CODES' });
+    const errorResponse = ERROR.fromMap('AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/mfa/verify:
+ *   post:
+ *     summary: Complete two-factor login
+ *     description: Exchange the mfa_token from a password/OTP login plus a TOTP or recovery code for the full token set
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfa_token
+ *               - code
+ *             properties:
+ *               mfa_token:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Invalid code or mfa_token
+ *       429:
+ *         description: Too many attempts for this mfa_token, or the user or IP is locked out (see retry_after)
+ */
+router.post('/auth/mfa/verify', async (req, res, next) => {
+  try {
+    const { error: validationError, value } = validate(req.body, mfaVerifyRequestSchema);
+    if (validationError) {
+      const errorResponse = ERROR.fromMap('AUTH_INVALID_PAYLOAD', { error: validationError });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const { payload, errorKey } = await checkMfaPendingToken(value.mfa_token);
+    if (errorKey) {
+      const errorResponse = ERROR.fromMap(errorKey, {});
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const userId = String(payload.sub);
+    const user = await getUserById(userId);
+    if (!user || !user.is_active || !user.mfa_enabled) {
+      const errorResponse = ERROR.fromMap('AUTH_MFA_TOKEN_INVALID', {});
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const { method, errorKey: codeErrorKey, retry_after } = await verifySecondFactorThrottled(userId, value.code, req.ip);
+    if (!method) {
+      if (retry_after) {
+        return sendThrottled(res, { errorKey: codeErrorKey, retry_after });
+      }
+      const errorResponse = ERROR.fromMap(codeErrorKey, {});
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    await consumeMfaPendingToken(payload);
+    await updateLastSignIn(userId);
+
+    // Clear user-level blacklist entries BEFORE generating tokens
+    try {
+      const {
+        clearUserBlacklist,
+        clearUserRefreshTokenBlacklist
+      } = require('../../src/authenticate/session_manager');
+      await clearUserBlacklist(userId);
+      await clearUserRefreshTokenBlacklist(userId);
+    } catch (clearError) {
+      logger.warn(`Failed to clear user blacklist (non-blocking): ${clearError.message}`, { module: 'MFA', label: 'VERIFY' });
+    }
+
+    // Bind tokens to the origin the first factor was completed from
+    const origin = payload.origin || extractOrigin(req);
+    const tokens = generateAllTokens(user, origin, req, { amr: [...(payload.amr || ['pwd']), 'otp', 'mfa'] });
+
+    return res.status(200).json(
+      SUCCESS.response('Login successful', {
+        access_token: tokens.access_token,
+        refresh_token: tokens.refresh_token,
+        session_token: tokens.session_token,
+        session_id: tokens.session_id,
+        token_type: 'bearer',
+        mfa_method: method,
+        user: serializeUserData(user)
+      })
+    );
+  } catch (error) {
+    logger.error('Error verifying two-factor code', { error: error.message, stack: error.stack, module: 'MFA', label: 'VERIFY' });
+    const errorResponse = ERROR.fromMap('AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+module.exports = router;
@@ -37,13 +37,10 @@ const loginWithOtpRequestSchema = Joi.object({
 
 /**
  * Set Password Schema
+ * Strength rules live in src/authenticate/password_policy.js, which the routes apply after validation
  */
 const setPasswordSchema = Joi.object({
-  password: Joi.string().min(8).required()
-    .pattern(/[A-Z]/).message('Password must contain at least one uppercase letter')
-    .pattern(/[a-z]/).message('Password must contain at least one lowercase letter')
-    .pattern(/\d/).message('Password must contain at least one digit')
-    .pattern(/[!@#$%^&*(),.?":{}|<>]/).message('Password must contain at least one special character'),
+  password: Joi.string().required(),
   confirm_password: Joi.string().valid(Joi.ref('password')).required()
     .messages({ 'any.only': 'Passwords do not match' })
 });
@@ -121,6 +118,244 @@ const tokenInfoRequestSchema = Joi.object({
   refresh_token: Joi.string().allow(null, '').optional()
 });
 
+/**
+ * OAuth Provider Param Schema
+ */
+const oauthProviderSchema = Joi.object({
+  provider: Joi.string().valid('google', 'apple').required()
+});
+
+/**
+ * OAuth Callback Schema
+ * Google sends query params (GET), Apple sends form_post (POST)
+ */
+const oauthCallbackSchema = Joi.object({
+  code: Joi.string().optional(),
+  state: Joi.string().required(),
+  error: Joi.string().optional(),
+  error_description: Joi.string().optional(),
+  // Apple sends the user's name as JSON on first consent only
+  user: Joi.string().optional()
+}).unknown(true);
+
+/**
+ * MFA Code Schema
+ * TOTP code (6 digits) or recovery code (xxxxx-xxxxx)
+ */
+const mfaCodeSchema = Joi.object({
+  code: Joi.string().trim().min(6).max(32).required()
+});
+
+/**
+ * MFA Verify Request Schema
+ */
+const mfaVerifyRequestSchema = Joi.object({
+  mfa_token: Joi.string().trim().required(),
+  code: Joi.string().trim().min(6).max(32).required()
+});
+
+/**
+ * Passkey Registration Verify Schema
+ * credential is the PublicKeyCredential JSON (base64url fields)
+ */
+const passkeyRegistrationSchema = Joi.object({
+  name: Joi.string().trim().max(100).optional(),
+  credential: Joi.object({
+    id: Joi.string().required(),
+    rawId: Joi.string().optional(),
+    type: Joi.string().valid('public-key').required(),
+    response: Joi.object({
+      clientDataJSON: Joi.string().required(),
+      attestationObject: Joi.string().required(),
+      transports: Joi.array().items(Joi.string()).optional()
+    }).unknown(true).required()
+  }).unknown(true).required()
+});
+
+/**
+ * Passkey Authentication Options Schema
+ */
+const passkeyAuthOptionsSchema = Joi.object({
+  username: Joi.string().trim().allow(null, '').optional()
+});
+
+/**
+ * Passkey Authentication Verify Schema
+ */
+const passkeyAuthenticationSchema = Joi.object({
+  credential: Joi.object({
+    id: Joi.string().required(),
+    rawId: Joi.string().optional(),
+    type: Joi.string().valid('public-key').required(),
+    response: Joi.object({
+      clientDataJSON: Joi.string().required(),
+      authenticatorData: Joi.string().required(),
+      signature: Joi.string().required(),
+      userHandle: Joi.string().allow(null, '').optional()
+    }).unknown(true).required()
+  }).unknown(true).required()
+});
+
+/**
+ * Passkey Rename Schema
+ */
+const passkeyRenameSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required()
+});
+
+/**
+ * Passkey ID Path Parameter Schema
+ */
+const passkeyIdParamsSchema = Joi.object({
+  passkey_id: Joi.string().guid().required()
+});
+
+/**
+ * API Key Create Schema
+ */
+const apiKeyCreateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  scopes: Joi.array().items(Joi.string().trim().max(100)).min(1).unique().required(),
+  expires_at: Joi.date().iso().greater('now').allow(null).optional()
+});
+
+/**
+ * OAuth Client Credentials Token Schema (RFC 6749 section 4.4)
+ * client_id / client_secret may instead be sent with HTTP Basic authentication
+ */
+const clientCredentialsTokenSchema = Joi.object({
+  grant_type: Joi.string().required(),
+  client_id: Joi.string().trim().max(64).optional(),
+  client_secret: Joi.string().max(256).optional(),
+  scope: Joi.string().trim().max(2000).allow('').optional()
+});
+
+/**
+ * Impersonation Start Schema
+ */
+const impersonationStartSchema = Joi.object({
+  user_id: Joi.string().guid().required(),
+  reason: Joi.string().trim().min(3).max(500).required()
+});
+
+/**
+ * Invitation Create Schema
+ * channel only applies to phone numbers (sms or whatsapp); email invitations always go by email
+ */
+const invitationCreateSchema = Joi.object({
+  identifier: Joi.string().trim().required(),
+  channel: Joi.string().valid('sms', 'whatsapp').default('sms'),
+  groups: Joi.array().items(Joi.string().trim().max(100)).max(20).default([])
+});
+
+/**
+ * Invitation Accept Schema - the emailed token, or the phone number and OTP
+ */
+const invitationAcceptSchema = Joi.object({
+  token: Joi.string(),
+  identifier: Joi.string().trim(),
+  otp: Joi.string().trim(),
+  first_name: Joi.string().trim().max(100),
+  last_name: Joi.string().trim().max(100),
+  password: Joi.string()
+})
+  .xor('token', 'identifier')
+  .and('identifier', 'otp');
+
+/**
+ * Break-Glass Code Create Schema
+ */
+const breakGlassCodeCreateSchema = Joi.object({
+  identifier: Joi.string().trim().required(),
+  reason: Joi.string().trim().min(3).max(500).required(),
+  ttl_minutes: Joi.number().integer().min(1)
+});
+
+/**
+ * Login Unlock Schema
+ * ip additionally lifts a lock on that address
+ */
+const loginUnlockSchema = Joi.object({
+  ip: Joi.string().trim().ip(),
+  reason: Joi.string().trim().max(500)
+});
+
+/**
+ * Reauthenticate Schema
+ * Exactly one of password, otp (with the email/phone it was sent to as user_id) or totp
+ */
+const reauthenticateSchema = Joi.object({
+  password: Joi.string(),
+  user_id: Joi.string().trim(),
+  otp: Joi.string().trim(),
+  totp: Joi.string().trim()
+})
+  .xor('password', 'otp', 'totp')
+  .and('user_id', 'otp');
+
+/**
+ * Anonymous Upgrade Schema
+ * The email or phone number to attach to the guest account and the OTP sent to it
+ */
+const anonymousUpgradeSchema = Joi.object({
+  user_id: Joi.string().trim().required(),
+  channel: Joi.string().valid('email', 'sms', 'whatsapp').required(),
+  otp: Joi.string().trim().required(),
+  password: Joi.string(),
+  first_name: Joi.string().trim().max(100),
+  last_name: Joi.string().trim().max(100)
+});
+
+/**
+ * Magic Link Request Schema
+ */
+const magicLinkRequestSchema = Joi.object({
+  email: Joi.string().trim().email().required()
+});
+
+/**
+ * Magic Link Consume Schema - the token from the emailed link
+ */
+const magicLinkConsumeSchema = Joi.object({
+  token: Joi.string().trim().required()
+});
+
+/**
+ * Login Confirm Schema - the hold_token of a held sign-in and the OTP sent for it
+ */
+const loginConfirmSchema = Joi.object({
+  hold_token: Joi.string().trim().guid().required(),
+  otp: Joi.string().trim().required()
+});
+
+/**
+ * Login Alert Deny Schema - the token from the "this wasn't me" link
+ */
+const loginAlertDenySchema = Joi.object({
+  token: Joi.string().trim().required()
+});
+
+/**
+ * Data Export Schema - bundle format
+ */
+const dataExportSchema = Joi.object({
+  format: Joi.string().valid('zip', 'json').default('zip')
+});
+
+/**
+ * Admin Data Export Schema - admins can also turn off the email to the user
+ */
+const adminDataExportSchema = dataExportSchema.keys({
+  notify_user: Joi.boolean().default(true)
+});
+
+/**
+ * Account Deletion Cancel Schema - the token from the cancel link in the deletion notice
+ */
+const accountDeletionCancelSchema = Joi.object({
+  token: Joi.string().trim().required()
+});
+
 /**
  * Validate request data against schema
  * @param {object} data - Data to validate
@@ -152,6 +387,31 @@ module.exports = {
   userProfileLanguageSchema,
   refreshTokenRequestSchema,
   tokenInfoRequestSchema,
+  oauthProviderSchema,
+  oauthCallbackSchema,
+  mfaCodeSchema,
+  mfaVerifyRequestSchema,
+  passkeyRegistrationSchema,
+  passkeyAuthOptionsSchema,
+  passkeyAuthenticationSchema,
+  passkeyRenameSchema,
+  passkeyIdParamsSchema,
+  apiKeyCreateSchema,
+  clientCredentialsTokenSchema,
+  impersonationStartSchema,
+  invitationCreateSchema,
+  invitationAcceptSchema,
+  breakGlassCodeCreateSchema,
+  loginUnlockSchema,
+  reauthenticateSchema,
+  anonymousUpgradeSchema,
+  magicLinkRequestSchema,
+  magicLinkConsumeSchema,
+  loginConfirmSchema,
+  loginAlertDenySchema,
+  dataExportSchema,
+  adminDataExportSchema,
+  accountDeletionCancelSchema,
   validate
 };
 
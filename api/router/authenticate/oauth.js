@@ -0,0 +1,268 @@
+/**
+ * OAuth Sign-In Router
+ * Handles Google and Apple sign-in via authorization code + PKCE
+ */
+
+const express = require('express');
+const router = express.Router();
+const { SUCCESS } = require('../../src/response/success');
+const { ERROR } = require('../../src/response/error');
+const logger = require('../../src/logger/logger');
+const { generateAllTokens, generateMfaPendingToken, updateLastSignIn } = require('../../src/authenticate/checkpoint');
+const { createAuthorizationRequest, consumeAuthorizationState, exchangeAuthorizationCode, verifyIdToken, findOrCreateOAuthUser } = require('../../src/authenticate/oauth');
+const { upgradeGuestWithOAuth } = require('../../src/authenticate/anonymous');
+const { createActivityLog } = require('../../src/activity/activityLog');
+const { serializeUserData, buildMfaChallengeData, extractOrigin, buildActivityLogData } = require('./utils');
+const { validate, oauthProviderSchema, oauthCallbackSchema } = require('./models');
+
+/**
+ * @swagger
+ * /api/auth/oauth/{provider}/start:
+ *   get:
+ *     summary: Start OAuth sign-in
+ *     description: Create a PKCE authorization request and return the provider authorization URL. Pass redirect=true to receive a 302 redirect instead of JSON.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [google, apple]
+ *       - in: query
+ *         name: redirect
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Authorization URL created
+ *       302:
+ *         description: Redirect to provider
+ *       400:
+ *         description: Provider not supported or not configured
+ */
+router.get('/auth/oauth/:provider/start', async (req, res, next) => {
+  try {
+    const { error, value } = validate(req.params, oauthProviderSchema);
+    if (error) {
+      const errorResponse = ERROR.fromMap('AUTH_OAUTH_PROVIDER_UNSUPPORTED', { provider: req.params.provider });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const { provider } = value;
+    const origin = extractOrigin(req);
+    const authRequest = await createAuthorizationRequest(provider, origin);
+
+    if (req.query.redirect === 'true') {
+      return res.redirect(302, authRequest.authorization_url);
+    }
+
+    return res.status(200).json(
+      SUCCESS.response('Authorization URL created', {
+        provider,
+        authorization_url: authRequest.authorization_url,
+        state: authRequest.state
+      })
+    );
+  } catch (error) {
+    logger.error('Error starting OAuth flow', { error: error.message, module: 'Auth', label: 'OAUTH_START' });
+    const errorResponse = ERROR.fromMap(error.errorKey || 'AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * Handle provider callback (GET for Google query params, POST for Apple form_post)
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ */
+async function handleOAuthCallback(req, res) {
+  try {
+    const { error: providerError } = validate(req.params, oauthProviderSchema);
+    if (providerError) {
+      const errorResponse = ERROR.fromMap('AUTH_OAUTH_PROVIDER_UNSUPPORTED', { provider: req.params.provider });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+    const provider = req.params.provider;
+
+    const payload = req.method === 'POST' ? { ...req.query, ...req.body } : req.query;
+    const { error, value } = validate(payload, oauthCallbackSchema);
+    if (error) {
+      const errorResponse = ERROR.fromMap('AUTH_INVALID_PAYLOAD', { message: error });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    // State is consumed even when the provider reports an error so it can't be replayed
+    const storedState = await consumeAuthorizationState(provider, value.state);
+    if (!storedState) {
+      const errorResponse = ERROR.fromMap('AUTH_OAUTH_STATE_INVALID', { provider });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    if (value.error || !value.code) {
+      const errorResponse = ERROR.fromMap('AUTH_OAUTH_EXCHANGE_FAILED', {
+        provider,
+        message: value.error_description || value.error || 'Authorization code missing'
+      });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const providerTokens = await exchangeAuthorizationCode(provider, value.code, storedState.code_verifier);
+    const claims = await verifyIdToken(provider, providerTokens.id_token, storedState.nonce);
+
+    // Apple posts the user's name as JSON on the first consent only
+    const profile = {};
+    if (value.user) {
+      try {
+        const appleUser = JSON.parse(value.user);
+        if (appleUser && appleUser.name) {
+          profile.first_name = appleUser.name.firstName;
+          profile.last_name = appleUser.name.lastName;
+        }
+      } catch (parseError) {
+        logger.warn(`Ignoring malformed OAuth user payload: ${parseError.message}`, { module: 'Auth', label: 'OAUTH_CALLBACK' });
+      }
+    }
+
+    // Flows started from /auth/anonymous/upgrade/oauth attach the identity to that guest
+    const upgradeUserId = storedState.upgrade_user_id || null;
+    const { user, created } = upgradeUserId
+      ? await upgradeGuestWithOAuth(upgradeUserId, provider, claims, profile)
+      : await findOrCreateOAuthUser(provider, claims, profile);
+    if (!user) {
+      const errorResponse = ERROR.fromMap('AUTH_SIGNIN_FAILED', { provider });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    if (!user.is_active) {
+      const errorResponse = ERROR.fromMap('AUTH_INVALID_CREDENTIALS', {
+        message: 'User account is not active'
+      });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    // Callback Origin is the provider's - bind tokens to the origin that started the flow
+    const origin = storedState.origin || extractOrigin(req);
+
+    // 2FA enabled - tokens are only issued after /auth/mfa/verify
+    if (user.mfa_enabled) {
+      return res.status(200).json(
+        SUCCESS.response('Two-factor authentication required', buildMfaChallengeData(generateMfaPendingToken(user, origin, ['fed'])))
+      );
+    }
+
+    const userId = String(user.user_id);
+    await updateLastSignIn(userId);
+
+    // Clear user-level blacklist entries BEFORE generating tokens
+    try {
+      const {
+        clearUserBlacklist,
+        clearUserRefreshTokenBlacklist
+      } = require('../../src/authenticate/session_manager');
+      await clearUserBlacklist(userId);
+      await clearUserRefreshTokenBlacklist(userId);
+    } catch (clearError) {
+      logger.warn(`Failed to clear user blacklist (non-blocking): ${clearError.message}`, { module: 'Auth', label: 'OAUTH_CALLBACK' });
+    }
+
+    const tokens = generateAllTokens(user, origin, req, { amr: ['fed'] });
+
+    let message = created ? 'Account created successfully' : 'Login successful';
+    if (upgradeUserId) {
+      message = 'Account upgraded successfully';
+      await createActivityLog(buildActivityLogData(req, {
+        user_id: userId,
+        level: 'audit',
+        message: `Guest account upgraded with ${provider}`,
+        action: 'anonymous_upgrade',
+        status_code: 200,
+        session_id: tokens.session_id,
+        metadata: { provider }
+      }));
+    }
+
+    return res.status(200).json(
+      SUCCESS.response(message, {
+        access_token: tokens.access_token,
+        refresh_token: tokens.refresh_token,
+        session_token: tokens.session_token,
+        session_id: tokens.session_id,
+        token_type: 'bearer',
+        user: serializeUserData(user)
+      })
+    );
+  } catch (error) {
+    logger.error('Error in OAuth callback', { error: error.message, stack: error.stack, module: 'Auth', label: 'OAUTH_CALLBACK' });
+    const errorResponse = ERROR.fromMap(error.errorKey || 'AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+}
+
+/**
+ * @swagger
+ * /api/auth/oauth/{provider}/callback:
+ *   get:
+ *     summary: OAuth callback (query)
+ *     description: Exchange the authorization code, verify the ID token against the provider JWKS, link or create the user and return tokens
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [google, apple]
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       400:
+ *         description: Invalid or expired state
+ *       401:
+ *         description: ID token verification failed
+ *       403:
+ *         description: Provider email not verified, or the matching account has not verified it
+ *   post:
+ *     summary: OAuth callback (form_post)
+ *     description: Same as GET, used by Apple's response_mode=form_post
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [google, apple]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - state
+ *             properties:
+ *               code:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *               user:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ */
+router.get('/auth/oauth/:provider/callback', handleOAuthCallback);
+router.post('/auth/oauth/:provider/callback', handleOAuthCallback);
+
+module.exports = router;
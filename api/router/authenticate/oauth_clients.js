@@ -0,0 +1,128 @@
+/**
+ * OAuth Clients Router
+ * Token endpoint for the OAuth2 client_credentials grant (service-to-service calls)
+ * Responses follow RFC 6749 so standard OAuth client libraries can use it
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../../src/logger/logger');
+const { authenticateClient, issueClientToken } = require('../../src/authenticate/oauth_clients');
+const { clientCredentialsTokenSchema, validate } = require('./models');
+
+const OAUTH_ERROR_STATUS = {
+  invalid_request: 400,
+  invalid_client: 401,
+  invalid_scope: 400,
+  unsupported_grant_type: 400,
+  server_error: 500
+};
+
+/**
+ * Send an RFC 6749 error response
+ * @param {object} res - Express response
+ * @param {string} oauthError - RFC 6749 error code
+ * @param {string} description - error_description
+ */
+function sendOAuthError(res, oauthError, description) {
+  if (oauthError === 'invalid_client') {
+    res.set('WWW-Authenticate', 'Basic realm="oauth"');
+  }
+  return res.status(OAUTH_ERROR_STATUS[oauthError] || 400).json({
+    error: oauthError,
+    error_description: description
+  });
+}
+
+/**
+ * Read client credentials from HTTP Basic authentication or the request body
+ * @param {object} req - Express request
+ * @param {object} body - Validated body
+ * @returns {object} { clientId, clientSecret }
+ */
+function extractClientCredentials(req, body) {
+  const authHeader = req.headers.authorization || '';
+  if (authHeader.startsWith('Basic ')) {
+    const decoded = Buffer.from(authHeader.slice(6).trim(), 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    if (separator > 0) {
+      try {
+        return {
+          clientId: decodeURIComponent(decoded.slice(0, separator)),
+          clientSecret: decodeURIComponent(decoded.slice(separator + 1))
+        };
+      } catch (error) {
+        return { clientId: null, clientSecret: null };
+      }
+    }
+    return { clientId: null, clientSecret: null };
+  }
+  return { clientId: body.client_id, clientSecret: body.client_secret };
+}
+
+/**
+ * @swagger
+ * /api/oauth/token:
+ *   post:
+ *     summary: OAuth2 token endpoint (client credentials)
+ *     description: Exchange a registered client's credentials for an access token whose subject is the client_id. Credentials may be sent with HTTP Basic authentication or in the body. Responses follow RFC 6749 (not wrapped in the usual success/data envelope).
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - grant_type
+ *             properties:
+ *               grant_type:
+ *                 type: string
+ *                 example: client_credentials
+ *               client_id:
+ *                 type: string
+ *               client_secret:
+ *                 type: string
+ *               scope:
+ *                 type: string
+ *                 description: Space-separated permission codenames (defaults to every granted permission)
+ *     responses:
+ *       200:
+ *         description: Access token issued
+ *       400:
+ *         description: invalid_request, unsupported_grant_type or invalid_scope
+ *       401:
+ *         description: invalid_client
+ */
+router.post('/oauth/token', async (req, res, next) => {
+  res.set('Cache-Control', 'no-store');
+  res.set('Pragma', 'no-cache');
+
+  try {
+    const { error: validationError, value } = validate(req.body || {}, clientCredentialsTokenSchema);
+    if (validationError) {
+      return sendOAuthError(res, 'invalid_request', validationError);
+    }
+
+    if (value.grant_type !== 'client_credentials') {
+      return sendOAuthError(res, 'unsupported_grant_type', `Unsupported grant_type: ${value.grant_type}`);
+    }
+
+    const { clientId, clientSecret } = extractClientCredentials(req, value);
+    const client = await authenticateClient(clientId, clientSecret);
+    const token = await issueClientToken(client, value.scope || null);
+
+    logger.info(`Access token issued to client ${client.client_id}`, { module: 'OAuthClients', label: 'TOKEN' });
+
+    return res.status(200).json(token);
+  } catch (error) {
+    if (error.oauthError) {
+      logger.warn('Client credentials grant rejected', { error: error.message, module: 'OAuthClients', label: 'TOKEN' });
+      return sendOAuthError(res, error.oauthError, error.message);
+    }
+    logger.error('Error issuing client token', { error: error.message, module: 'OAuthClients', label: 'TOKEN' });
+    return sendOAuthError(res, 'server_error', 'Failed to issue token');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,397 @@
+/**
+ * Passkeys Router
+ * Handles WebAuthn passkey registration, management, and passwordless login
+ */
+
+const express = require('express');
+const router = express.Router();
+const { SUCCESS } = require('../../src/response/success');
+const { ERROR } = require('../../src/response/error');
+const logger = require('../../src/logger/logger');
+const { validateRequest } = require('../../src/authenticate/authenticate');
+const { checkPermission } = require('../../src/middleware/permissionMiddleware');
+const { blockImpersonation } = require('../../src/authenticate/impersonation');
+const { generateAllTokens, generateMfaPendingToken, getUserById, getUserByEmailOrPhone, updateLastSignIn } = require('../../src/authenticate/checkpoint');
+const { generateRegistrationOptions, verifyRegistration, generateAuthenticationOptions, verifyAuthentication, listPasskeys, renamePasskey, deletePasskey } = require('../../src/authenticate/webauthn');
+const { serializeUserData, serializeData, buildMfaChallengeData, extractOrigin } = require('./utils');
+const { validate, passkeyRegistrationSchema, passkeyAuthOptionsSchema, passkeyAuthenticationSchema, passkeyRenameSchema, passkeyIdParamsSchema } = require('./models');
+
+/**
+ * @swagger
+ * /api/settings/passkeys:
+ *   get:
+ *     summary: List passkeys
+ *     description: List the current user's registered passkeys
+ *     tags: [Profile & Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Passkeys fetched successfully
+ */
+router.get('/settings/passkeys', validateRequest, checkPermission('view_profile'), async (req, res, next) => {
+  try {
+    const userId = req.user.uid || req.user.user_id;
+    const passkeys = await listPasskeys(userId);
+
+    return res.status(200).json(
+      SUCCESS.response('Passkeys fetched successfully', serializeData(passkeys))
+    );
+  } catch (error) {
+    logger.error('Error listing passkeys', { error: error.message, module: 'Passkeys', label: 'LIST' });
+    const errorResponse = ERROR.fromMap('AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * @swagger
+ * /api/settings/passkeys/register/options:
+ *   post:
+ *     summary: Start passkey registration
+ *     description: Get PublicKeyCredentialCreationOptions for navigator.credentials.create()
+ *     tags: [Profile & Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Registration options created
+ */
+router.post('/settings/passkeys/register/options', validateRequest, blockImpersonation, checkPermission('edit_profile'), async (req, res, next) => {
+  try {
+    const userId = req.user.uid || req.user.user_id;
+    const user = await getUserById(userId);
+    if (!user) {
+      const errorResponse = ERROR.fromMap('USER_NOT_FOUND', { user_id: userId });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const options = await generateRegistrationOptions(user, extractOrigin(req));
+
+    return res.status(200).json(
+      SUCCESS.response('Registration options created', options)
+    );
+  } catch (error) {
+    logger.error('Error creating passkey registration options', { error: error.message, module: 'Passkeys', label: 'REGISTER_OPTIONS' });
+    const errorResponse = ERROR.fromMap(error.errorKey || 'AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * @swagger
+ * /api/settings/passkeys/register/verify:
+ *   post:
+ *     summary: Complete passkey registration
+ *     description: Verify the attestation returned by navigator.credentials.create() and store the passkey
+ *     tags: [Profile & Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - credential
+ *             properties:
+ *               name:
+ *                 type: string
+ *               credential:
+ *                 type: object
+ *     responses:
+ *       201:
+ *         description: Passkey registered
+ *       400:
+ *         description: Invalid challenge or unsupported attestation
+ *       409:
+ *         description: Passkey already registered
+ */
+router.post('/settings/passkeys/register/verify', validateRequest, blockImpersonation, checkPermission('edit_profile'), async (req, res, next) => {
+  try {
+    const { error: validationError, value } = validate(req.body, passkeyRegistrationSchema);
+    if (validationError) {
+      const errorResponse = ERROR.fromMap('AUTH_INVALID_PAYLOAD', { error: validationError });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const userId = req.user.uid || req.user.user_id;
+    const user = await getUserById(userId);
+    if (!user) {
+      const errorResponse = ERROR.fromMap('USER_NOT_FOUND', { user_id: userId });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const passkey = await verifyRegistration(user, value.credential, value.name);
+
+    return res.status(201).json(
+      SUCCESS.response('Passkey registered successfully', serializeData({
+        passkey_id: passkey.passkey_id,
+        name: passkey.name,
+        aaguid: passkey.aaguid,
+        attestation_format: passkey.attestation_format,
+        transports: passkey.transports,
+        backup_eligible: passkey.backup_eligible,
+        backed_up: passkey.backed_up,
+        created_at: passkey.created_at
+      }))
+    );
+  } catch (error) {
+    logger.error('Error verifying passkey registration', { error: error.message, module: 'Passkeys', label: 'REGISTER_VERIFY' });
+    const errorResponse = ERROR.fromMap(error.errorKey || 'AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * @swagger
+ * /api/settings/passkeys/{passkey_id}:
+ *   put:
+ *     summary: Rename passkey
+ *     tags: [Profile & Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: passkey_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Passkey renamed
+ *       404:
+ *         description: Passkey not found
+ */
+router.put('/settings/passkeys/:passkey_id', validateRequest, checkPermission('edit_profile'), async (req, res, next) => {
+  try {
+    const { passkey_id } = req.params;
+    if (validate(req.params, passkeyIdParamsSchema).error) {
+      const errorResponse = ERROR.fromMap('AUTH_PASSKEY_NOT_FOUND', { passkey_id });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const { error: validationError, value } = validate(req.body, passkeyRenameSchema);
+    if (validationError) {
+      const errorResponse = ERROR.fromMap('AUTH_INVALID_PAYLOAD', { error: validationError });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const userId = req.user.uid || req.user.user_id;
+    const renamed = await renamePasskey(userId, passkey_id, value.name);
+    if (!renamed) {
+      const errorResponse = ERROR.fromMap('AUTH_PASSKEY_NOT_FOUND', { passkey_id });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    return res.status(200).json(
+      SUCCESS.response('Passkey renamed successfully', { passkey_id, name: value.name })
+    );
+  } catch (error) {
+    logger.error('Error renaming passkey', { error: error.message, module: 'Passkeys', label: 'RENAME' });
+    const errorResponse = ERROR.fromMap('AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * @swagger
+ * /api/settings/passkeys/{passkey_id}:
+ *   delete:
+ *     summary: Delete passkey
+ *     tags: [Profile & Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: passkey_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Passkey deleted
+ *       404:
+ *         description: Passkey not found
+ */
+router.delete('/settings/passkeys/:passkey_id', validateRequest, blockImpersonation, checkPermission('edit_profile'), async (req, res, next) => {
+  try {
+    const { passkey_id } = req.params;
+    if (validate(req.params, passkeyIdParamsSchema).error) {
+      const errorResponse = ERROR.fromMap('AUTH_PASSKEY_NOT_FOUND', { passkey_id });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const userId = req.user.uid || req.user.user_id;
+    const deleted = await deletePasskey(userId, passkey_id);
+    if (!deleted) {
+      const errorResponse = ERROR.fromMap('AUTH_PASSKEY_NOT_FOUND', { passkey_id });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    logger.info(`Passkey ${passkey_id} deleted by user ${userId}`, { module: 'Passkeys', label: 'DELETE' });
+
+    return res.status(200).json(
+      SUCCESS.response('Passkey deleted successfully', { passkey_id })
+    );
+  } catch (error) {
+    logger.error('Error deleting passkey', { error: error.message, module: 'Passkeys', label: 'DELETE' });
+    const errorResponse = ERROR.fromMap('AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/passkey/options:
+ *   post:
+ *     summary: Start passkey login
+ *     description: Get PublicKeyCredentialRequestOptions for navigator.credentials.get(). Omit username for discoverable (usernameless) login.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               username:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Authentication options created
+ */
+router.post('/auth/passkey/options', async (req, res, next) => {
+  try {
+    const { error: validationError, value } = validate(req.body || {}, passkeyAuthOptionsSchema);
+    if (validationError) {
+      const errorResponse = ERROR.fromMap('AUTH_INVALID_PAYLOAD', { error: validationError });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    // Unknown usernames get empty allowCredentials rather than an error, so accounts can't be probed
+    const user = value.username ? await getUserByEmailOrPhone(value.username) : null;
+    const options = await generateAuthenticationOptions(user, extractOrigin(req));
+
+    return res.status(200).json(
+      SUCCESS.response('Authentication options created', options)
+    );
+  } catch (error) {
+    logger.error('Error creating passkey authentication options', { error: error.message, module: 'Passkeys', label: 'AUTH_OPTIONS' });
+    const errorResponse = ERROR.fromMap(error.errorKey || 'AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/passkey/verify:
+ *   post:
+ *     summary: Complete passkey login
+ *     description: Verify the assertion returned by navigator.credentials.get() and return the same token set as password login
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - credential
+ *             properties:
+ *               credential:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Assertion verification failed
+ */
+router.post('/auth/passkey/verify', async (req, res, next) => {
+  try {
+    const { error: validationError, value } = validate(req.body, passkeyAuthenticationSchema);
+    if (validationError) {
+      const errorResponse = ERROR.fromMap('AUTH_INVALID_PAYLOAD', { error: validationError });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const { passkey, userVerified } = await verifyAuthentication(value.credential);
+
+    const user = await getUserById(passkey.user_id);
+    if (!user) {
+      const errorResponse = ERROR.fromMap('AUTH_PASSKEY_NOT_FOUND', {});
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    if (!user.is_active) {
+      const errorResponse = ERROR.fromMap('AUTH_INVALID_CREDENTIALS', {
+        message: 'User account is not active'
+      });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    if (!user.is_verified) {
+      const errorResponse = ERROR.fromMap('AUTH_INVALID_CREDENTIALS', {
+        message: 'User account is not verified'
+      });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const origin = extractOrigin(req);
+
+    // A user-verified passkey is already two factors; presence-only assertions still need TOTP
+    if (user.mfa_enabled && !userVerified) {
+      return res.status(200).json(
+        SUCCESS.response('Two-factor authentication required', buildMfaChallengeData(generateMfaPendingToken(user, origin, ['hwk'])))
+      );
+    }
+
+    const userId = String(user.user_id);
+    await updateLastSignIn(userId);
+
+    // Clear user-level blacklist entries BEFORE generating tokens
+    try {
+      const {
+        clearUserBlacklist,
+        clearUserRefreshTokenBlacklist
+      } = require('../../src/authenticate/session_manager');
+      await clearUserBlacklist(userId);
+      await clearUserRefreshTokenBlacklist(userId);
+    } catch (clearError) {
+      logger.warn(`Failed to clear user blacklist (non-blocking): ${clearError.message}`, { module: 'Passkeys', label: 'AUTH_VERIFY' });
+    }
+
+    const tokens = generateAllTokens(user, origin, req, { amr: ['hwk'] });
+
+    return res.status(200).json(
+      SUCCESS.response('Login successful', {
+        access_token: tokens.access_token,
+        refresh_token: tokens.refresh_token,
+        session_token: tokens.session_token,
+        session_id: tokens.session_id,
+        token_type: 'bearer',
+        user: serializeUserData(user)
+      })
+    );
+  } catch (error) {
+    logger.error('Error verifying passkey assertion', { error: error.message, stack: error.stack, module: 'Passkeys', label: 'AUTH_VERIFY' });
+    const errorResponse = ERROR.fromMap(error.errorKey || 'AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+module.exports = router;
@@ -11,16 +11,20 @@ const { ERROR } = require('../../src/response/error');
 const logger = require('../../src/logger/logger');
 const { validateRequest } = require('../../src/authenticate/authenticate');
 const { checkPermission } = require('../../src/middleware/permissionMiddleware');
+const { blockImpersonation } = require('../../src/authenticate/impersonation');
+const { requireRecentAuth } = require('../../src/authenticate/step_up');
 const { getUserByUserId } = require('./query');
 const { serializeData } = require('./utils');
-const { verifyOtp } = require('../../src/authenticate/otp_cache');
+const { deleteOtp } = require('../../src/authenticate/otp_cache');
 const { uploadToGoogleStorageFromString } = require('../../src/storage/storage');
+const { requestAccountDeletion } = require('../../src/authenticate/account_deletion');
 const { validate } = require('./models');
 const { changeEmailRequestSchema, changePhoneRequestSchema, userProfileAccessibilitySchema, userProfileLanguageSchema } = require('./models');
-const { validatePhone } = require('./utils');
+const { validatePhone, sendThrottled } = require('./utils');
 const { sendSMS, sendWhatsApp } = require('../../src/sms/sms');
 const { sendOtpEmail } = require('../../src/email/email');
 const { setOtp } = require('../../src/authenticate/otp_cache');
+const { registerOtpSend, verifyOtpThrottled } = require('../../src/authenticate/otp_throttle');
 const { prisma } = require('../../src/db/prisma');
 const { v4: uuidv4 } = require('uuid');
 
@@ -218,6 +222,10 @@ router.post('/settings/update-profile', validateRequest, checkPermission('edit_p
     } else {
       protectedFields.push('phone');
     }
+    // Impersonation may edit profile details but never credentials or contact details
+    if (req.user.act) {
+      protectedFields.push('email', 'phone', 'phone_number', 'password');
+    }
     
     for (const field of protectedFields) {
       delete updateData[field];
@@ -399,8 +407,11 @@ router.post('/settings/profile-language', validateRequest, checkPermission('edit
  *     responses:
  *       200:
  *         description: Email updated and verified successfully
+ *       401:
+ *         description: Recent authentication required (AUTH_REAUTHENTICATION_REQUIRED) - call /auth/reauthenticate first *       429:
+ *         description: Too many wrong OTPs (see retry_after)
  */
-router.post('/settings/change-email', validateRequest, checkPermission('edit_profile'), async (req, res, next) => {
+router.post('/settings/change-email', validateRequest, blockImpersonation, checkPermission('edit_profile'), requireRecentAuth(), async (req, res, next) => {
   try {
     const { error: validationError, value } = validate(req.body, changeEmailRequestSchema);
     if (validationError) {
@@ -413,8 +424,11 @@ router.post('/settings/change-email', validateRequest, checkPermission('edit_pro
     const newEmailClean = new_email.trim();
     
     // Verify OTP first
-    const isValid = await verifyOtp(newEmailClean, otp, false);
-    if (!isValid) {
+    const result = await verifyOtpThrottled(newEmailClean, otp, false, req);
+    if (result.errorKey) {
+      return sendThrottled(res, result);
+    }
+    if (!result.valid) {
       const errorResponse = ERROR.fromMap('PROFILE_INVALID_OTP', { user_id: userId });
       return res.status(errorResponse.statusCode).json(errorResponse);
     }
@@ -451,7 +465,7 @@ router.post('/settings/change-email', validateRequest, checkPermission('edit_pro
       });
       
       // Delete OTP after successful verification
-      await verifyOtp(newEmailClean, otp, true);
+      await deleteOtp(newEmailClean);
       
       return res.status(200).json(
         SUCCESS.response('Email updated and verified successfully', {
@@ -504,8 +518,11 @@ router.post('/settings/change-email', validateRequest, checkPermission('edit_pro
  *     responses:
  *       200:
  *         description: Phone number updated and verified successfully
+ *       401:
+ *         description: Recent authentication required (AUTH_REAUTHENTICATION_REQUIRED) - call /auth/reauthenticate first *       429:
+ *         description: Too many wrong OTPs (see retry_after)
  */
-router.post('/settings/change-phone', validateRequest, checkPermission('edit_profile'), async (req, res, next) => {
+router.post('/settings/change-phone', validateRequest, blockImpersonation, checkPermission('edit_profile'), requireRecentAuth(), async (req, res, next) => {
   try {
     const { error: validationError, value } = validate(req.body, changePhoneRequestSchema);
     if (validationError) {
@@ -528,8 +545,11 @@ router.post('/settings/change-phone', validateRequest, checkPermission('edit_pro
       return res.status(errorResponse.statusCode).json(errorResponse.detail);
     }
     
-    const isValid = await verifyOtp(newPhoneClean, otp, false);
-    if (!isValid) {
+    const result = await verifyOtpThrottled(newPhoneClean, otp, false, req);
+    if (result.errorKey) {
+      return sendThrottled(res, result);
+    }
+    if (!result.valid) {
       const errorResponse = ERROR.fromMap('PROFILE_INVALID_OTP', { user_id: userId });
       return res.status(errorResponse.statusCode).json(errorResponse.detail);
     }
@@ -566,7 +586,7 @@ router.post('/settings/change-phone', validateRequest, checkPermission('edit_pro
         }
       });
       
-      await verifyOtp(newPhoneClean, otp, true);
+      await deleteOtp(newPhoneClean);
       
       return res.status(200).json(
         SUCCESS.response('Phone number updated and verified successfully', {
@@ -621,8 +641,10 @@ router.post('/settings/change-phone', validateRequest, checkPermission('edit_pro
  *     responses:
  *       200:
  *         description: OTP sent successfully
+ *       429:
+ *         description: Resend cooldown active or locked out (see retry_after)
  */
-router.post('/settings/send-phone-otp', validateRequest, checkPermission('edit_profile'), async (req, res, next) => {
+router.post('/settings/send-phone-otp', validateRequest, blockImpersonation, checkPermission('edit_profile'), async (req, res, next) => {
   try {
     const { phone, channel } = req.body;
     
@@ -642,6 +664,11 @@ router.post('/settings/send-phone-otp', validateRequest, checkPermission('edit_p
       return res.status(errorResponse.statusCode).json(errorResponse.detail);
     }
     
+    const throttle = await registerOtpSend(phoneClean, req.ip);
+    if (throttle) {
+      return sendThrottled(res, throttle);
+    }
+    
     const otp = await setOtp(phoneClean, 600);
     
     if (!otp) {
@@ -741,7 +768,7 @@ router.post('/settings/update-theme', validateRequest, checkPermission('edit_pro
  *       200:
  *         description: Account deactivated successfully
  */
-router.post('/settings/deactivate-account', validateRequest, checkPermission('edit_profile'), async (req, res, next) => {
+router.post('/settings/deactivate-account', validateRequest, blockImpersonation, checkPermission('edit_profile'), async (req, res, next) => {
   try {
     const userId = req.user.uid || req.user.user_id;
     
@@ -780,7 +807,7 @@ router.post('/settings/deactivate-account', validateRequest, checkPermission('ed
  * /api/settings/delete-account:
  *   post:
  *     summary: Delete user account
- *     description: Deactivate the current user's account (sets is_active to false)
+ *     description: Schedule the current user's account for deletion. The account is deactivated and signed out everywhere at once, and purged after ACCOUNT_DELETION_GRACE_DAYS unless the user cancels with the link from the deletion email (or SMS). Protected accounts cannot be deleted.
  *     tags: [Profile & Settings]
  *     security:
  *       - bearerAuth: []
@@ -798,9 +825,13 @@ router.post('/settings/deactivate-account', validateRequest, checkPermission('ed
  *                 description: Must be true to confirm account deletion
  *     responses:
  *       200:
- *         description: Account deactivated successfully
+ *         description: Account scheduled for deletion
+ *       401:
+ *         description: Recent authentication required (AUTH_REAUTHENTICATION_REQUIRED) - call /auth/reauthenticate first
+ *       403:
+ *         description: Protected account (ACCOUNT_DELETION_PROTECTED)
  */
-router.post('/settings/delete-account', validateRequest, checkPermission('edit_profile'), async (req, res, next) => {
+router.post('/settings/delete-account', validateRequest, blockImpersonation, checkPermission('edit_profile'), requireRecentAuth(), async (req, res, next) => {
   try {
     const { confirm } = req.body;
     
@@ -810,32 +841,25 @@ router.post('/settings/delete-account', validateRequest, checkPermission('edit_p
     }
     
     const userId = req.user.uid || req.user.user_id;
-    
-    try {
-      await prisma.user.update({
-        where: { user_id: userId },
-        data: {
-          is_active: false,
-          status: 'INACTIVE'
-        }
-      });
-    } catch (error) {
-      if (error.code === 'P2025') {
-        const errorResponse = ERROR.fromMap('PROFILE_UPDATE_FAILED', { user_id: userId });
-        return res.status(errorResponse.statusCode).json(errorResponse.detail);
-      }
-      throw error;
+    const user = await getUserByUserId(userId);
+    if (!user) {
+      const errorResponse = ERROR.fromMap('PROFILE_UPDATE_FAILED', { user_id: userId });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
     }
+
+    const result = await requestAccountDeletion(user, req);
     
     return res.status(200).json(
-      SUCCESS.response('Account deactivated successfully', {
+      SUCCESS.response('Account scheduled for deletion', serializeData({
         user_id: userId,
-        is_active: false
-      })
+        is_active: false,
+        purge_scheduled_at: result.purge_scheduled_at,
+        cancel_link_sent: result.notified
+      }))
     );
   } catch (error) {
     logger.error('Error deleting account', { error: error.message, module: 'Profile', label: 'DELETE_ACCOUNT' });
-    const errorResponse = ERROR.fromMap('PROFILE_PROCESSING_ERROR', {}, error);
+    const errorResponse = ERROR.fromMap(error.errorKey || 'PROFILE_PROCESSING_ERROR', {}, error);
     return res.status(errorResponse.statusCode).json(errorResponse.detail);
   }
 });
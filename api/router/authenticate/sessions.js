@@ -0,0 +1,120 @@
+/**
+ * Sessions Router
+ * Lists the user's active sessions (devices) and revokes them remotely
+ */
+
+const express = require('express');
+const router = express.Router();
+const { SUCCESS } = require('../../src/response/success');
+const { ERROR } = require('../../src/response/error');
+const logger = require('../../src/logger/logger');
+const { validateRequest } = require('../../src/authenticate/authenticate');
+const { checkPermission } = require('../../src/middleware/permissionMiddleware');
+const { blockImpersonation } = require('../../src/authenticate/impersonation');
+const { listUserSessions, revokeUserSession, revokeAllUserSessions } = require('../../src/authenticate/session_registry');
+const { serializeData } = require('./utils');
+
+/**
+ * @swagger
+ * /api/settings/sessions:
+ *   get:
+ *     summary: List active sessions
+ *     description: List the devices the current user is signed in on. The session making the request is flagged with is_current.
+ *     tags: [Profile & Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions fetched successfully
+ */
+router.get('/settings/sessions', validateRequest, checkPermission('view_profile'), async (req, res, next) => {
+  try {
+    const userId = req.user.uid || req.user.user_id;
+    const sessions = await listUserSessions(userId, req.user.session_id);
+
+    return res.status(200).json(
+      SUCCESS.response('Sessions fetched successfully', serializeData(sessions))
+    );
+  } catch (error) {
+    logger.error('Error listing sessions', { error: error.message, module: 'Sessions', label: 'LIST' });
+    const errorResponse = ERROR.fromMap('AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * @swagger
+ * /api/settings/sessions/revoke-others:
+ *   post:
+ *     summary: Sign out everywhere else
+ *     description: Revoke every active session of the current user except the one making the request
+ *     tags: [Profile & Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked
+ */
+router.post('/settings/sessions/revoke-others', validateRequest, blockImpersonation, checkPermission('edit_profile'), async (req, res, next) => {
+  try {
+    const userId = req.user.uid || req.user.user_id;
+    const revokedCount = await revokeAllUserSessions(userId, req.user.session_id);
+
+    logger.info(`User ${userId} signed out ${revokedCount} other session(s)`, { module: 'Sessions', label: 'REVOKE_OTHERS' });
+
+    return res.status(200).json(
+      SUCCESS.response('Signed out of all other sessions', {
+        revoked_count: revokedCount,
+        current_session_id: req.user.session_id || null
+      })
+    );
+  } catch (error) {
+    logger.error('Error revoking other sessions', { error: error.message, module: 'Sessions', label: 'REVOKE_OTHERS' });
+    const errorResponse = ERROR.fromMap('AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * @swagger
+ * /api/settings/sessions/{session_id}:
+ *   delete:
+ *     summary: Revoke session
+ *     description: Sign out one device. Revoking the current session logs the caller out.
+ *     tags: [Profile & Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: session_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/settings/sessions/:session_id', validateRequest, blockImpersonation, checkPermission('edit_profile'), async (req, res, next) => {
+  try {
+    const userId = req.user.uid || req.user.user_id;
+    const { session_id } = req.params;
+    const result = await revokeUserSession(userId, session_id);
+
+    logger.info(`Session ${session_id} revoked by user ${userId}`, { module: 'Sessions', label: 'REVOKE' });
+
+    return res.status(200).json(
+      SUCCESS.response('Session revoked successfully', serializeData({
+        ...result,
+        is_current: session_id === req.user.session_id
+      }))
+    );
+  } catch (error) {
+    logger.error('Error revoking session', { error: error.message, module: 'Sessions', label: 'REVOKE' });
+    const errorResponse = ERROR.fromMap(error.errorKey || 'AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+module.exports = router;
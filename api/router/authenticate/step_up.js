@@ -0,0 +1,129 @@
+/**
+ * Step-Up Re-Authentication Router
+ * Exchanges a password, OTP or TOTP code for an access token with a fresh auth_time
+ */
+
+const express = require('express');
+const router = express.Router();
+const { SUCCESS } = require('../../src/response/success');
+const { ERROR } = require('../../src/response/error');
+const logger = require('../../src/logger/logger');
+const { validateRequest } = require('../../src/authenticate/authenticate');
+const { checkPermission } = require('../../src/middleware/permissionMiddleware');
+const { blockImpersonation } = require('../../src/authenticate/impersonation');
+const { getUserById, generateAccessToken } = require('../../src/authenticate/checkpoint');
+const { ACCESS_TOKEN_EXPIRY } = require('../../src/authenticate/session_manager');
+const { STEP_UP_MAX_AGE_SECONDS, reauthenticateUser } = require('../../src/authenticate/step_up');
+const { createActivityLog } = require('../../src/activity/activityLog');
+const { reauthenticateSchema, validate } = require('./models');
+const { extractOrigin, buildActivityLogData, sendThrottled } = require('./utils');
+
+/**
+ * @swagger
+ * /api/auth/reauthenticate:
+ *   post:
+ *     summary: Re-authenticate
+ *     description: Confirm your identity with your password, an OTP sent to your email/phone, or a TOTP code. Returns an access token for the same session whose auth_time satisfies routes that require recent authentication.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *               user_id:
+ *                 type: string
+ *                 description: Email or phone the OTP was sent to (with otp)
+ *                 example: user@example.com
+ *               otp:
+ *                 type: string
+ *                 example: "482913"
+ *               totp:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Re-authenticated, new access token issued
+ *       401:
+ *         description: Wrong password or code
+ *       429:
+ *         description: Too many attempts (see retry_after)
+ */
+router.post('/auth/reauthenticate', validateRequest, blockImpersonation, checkPermission('view_profile'), async (req, res, next) => {
+  try {
+    const { error: validationError, value } = validate(req.body, reauthenticateSchema);
+    if (validationError) {
+      const errorResponse = ERROR.fromMap('AUTH_INVALID_PAYLOAD', { error: validationError });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    // API keys and client tokens have no session to step up
+    if (!req.user.session_id) {
+      const errorResponse = ERROR.fromMap('AUTH_INVALID_TOKEN_TYPE', { message: 'Re-authentication requires a signed-in session' });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const userId = req.user.uid || req.user.user_id;
+    const user = await getUserById(userId);
+    if (!user) {
+      const errorResponse = ERROR.fromMap('USER_NOT_FOUND', { user_id: userId });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const result = await reauthenticateUser(user, value, req);
+    if (result.errorKey) {
+      if (result.retry_after) {
+        return sendThrottled(res, result);
+      }
+      await createActivityLog(buildActivityLogData(req, {
+        user_id: String(user.user_id),
+        level: 'warn',
+        message: `Re-authentication failed for user ${user.user_id}`,
+        action: 'reauthenticate_failed',
+        status_code: 401,
+        session_id: req.user.session_id,
+        metadata: { error: result.errorKey }
+      }));
+      const errorResponse = ERROR.fromMap(result.errorKey, {});
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const authTime = Math.floor(Date.now() / 1000);
+    const accessToken = generateAccessToken(user, extractOrigin(req), req.user.session_id, { authTime, amr: result.amr });
+
+    await createActivityLog(buildActivityLogData(req, {
+      user_id: String(user.user_id),
+      level: 'audit',
+      message: `User ${user.user_id} re-authenticated`,
+      action: 'reauthenticate',
+      status_code: 200,
+      session_id: req.user.session_id,
+      metadata: { amr: result.amr }
+    }));
+
+    return res.status(200).json(
+      SUCCESS.response('Re-authenticated successfully', {
+        access_token: accessToken,
+        token_type: 'bearer',
+        expires_in: ACCESS_TOKEN_EXPIRY * 60,
+        auth_time: authTime,
+        amr: result.amr,
+        max_age: STEP_UP_MAX_AGE_SECONDS
+      })
+    );
+  } catch (error) {
+    if (error.retry_after) {
+      return sendThrottled(res, error);
+    }
+    logger.error('Error re-authenticating', { error: error.message, module: 'StepUp', label: 'REAUTHENTICATE' });
+    const errorResponse = ERROR.fromMap(error.errorKey || 'AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,7 @@
 
 const { getUserByEmailOrPhone, createUserInDb } = require('../../src/authenticate/checkpoint');
 const { ERROR } = require('../../src/response/error');
+const { parseUserAgent } = require('../../src/activity/activityLog');
 const logger = require('../../src/logger/logger');
 
 // Validation patterns
@@ -92,6 +93,108 @@ function serializeData(data) {
   return convertDatetime(data);
 }
 
+/**
+ * Build response data for a login that still needs a second factor
+ * @param {object} challenge - { mfa_token, expires_in }
+ * @returns {object} MFA challenge response data
+ */
+function buildMfaChallengeData(challenge) {
+  return {
+    mfa_required: true,
+    mfa_token: challenge.mfa_token,
+    token_type: 'mfa_pending',
+    expires_in: challenge.expires_in,
+    methods: ['totp', 'recovery_code']
+  };
+}
+
+/**
+ * Build response data for a login held until the user confirms it with an OTP
+ * @param {object} hold - { hold_token, channel, expires_in } from holdSuspiciousLogin
+ * @returns {object} Hold response data
+ */
+function buildLoginHoldData(hold) {
+  return {
+    confirmation_required: true,
+    hold_token: hold.hold_token,
+    channel: hold.channel,
+    expires_in: hold.expires_in
+  };
+}
+
+/**
+ * Extract normalized origin (scheme + host) from request headers
+ * Priority: Origin header > Host header > X-Forwarded-Host
+ * @param {object} req - Express request object
+ * @returns {string} Normalized origin
+ */
+function extractOrigin(req) {
+  const origin = req.headers.origin;
+  if (origin) {
+    try {
+      const url = new URL(origin);
+      return `${url.protocol}//${url.host}`;
+    } catch (e) {
+    }
+  }
+  
+  const host = req.headers.host;
+  if (host) {
+    const scheme = req.secure || req.headers['x-forwarded-proto'] === 'https' ? 'https' : 'http';
+    return `${scheme}://${host}`;
+  }
+  
+  const forwardedHost = req.headers['x-forwarded-host'];
+  if (forwardedHost) {
+    const scheme = req.headers['x-forwarded-proto'] || 'https';
+    return `${scheme}://${forwardedHost}`;
+  }
+  
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+/**
+ * Build createActivityLog data for an auth event, filling request context (IP, device, endpoint)
+ * @param {object} req - Express request object
+ * @param {object} fields - Event fields (user_id, level, message, action, session_id, metadata, ...)
+ * @returns {object} Activity log data
+ */
+function buildActivityLogData(req, fields) {
+  const userAgent = req.get('user-agent') || null;
+  const { device, browser, os } = parseUserAgent(userAgent);
+
+  // Tag events caused by support staff acting as the user
+  if (req.user && req.user.act) {
+    fields = { ...fields, metadata: { ...(fields.metadata || {}), impersonator_user_id: req.user.act.sub } };
+  }
+
+  return {
+    module: 'authentication',
+    ip_address: req.ip || (req.connection && req.connection.remoteAddress) || null,
+    user_agent: userAgent,
+    device,
+    browser,
+    os,
+    platform: 'web',
+    endpoint: req.originalUrl,
+    method: req.method,
+    request_id: req.id || null,
+    ...fields
+  };
+}
+
+/**
+ * Respond to a throttled or locked-out request with its error code, retry_after and a Retry-After header
+ * @param {object} res - Express response object
+ * @param {object} throttle - { errorKey, retry_after } from otp_throttle.js, or a login_lockout.js error
+ * @returns {object} Express response
+ */
+function sendThrottled(res, throttle) {
+  res.set('Retry-After', String(throttle.retry_after));
+  const errorResponse = ERROR.fromMap(throttle.errorKey, { retry_after: throttle.retry_after });
+  return res.status(errorResponse.statusCode).json(errorResponse.detail);
+}
+
 /**
  * Get request user by identifier
  * @param {string} userId - User identifier (email or phone)
@@ -121,6 +224,11 @@ module.exports = {
   validateEmail,
   serializeUserData,
   serializeData,
+  buildMfaChallengeData,
+  buildLoginHoldData,
+  extractOrigin,
+  buildActivityLogData,
+  sendThrottled,
   getRequestUser
 };
 
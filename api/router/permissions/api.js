@@ -5,6 +5,7 @@ const { ERROR } = require('../../src/response/error');
 const logger = require('../../src/logger/logger');
 const { validateRequest } = require('../../src/authenticate/authenticate');
 const { checkPermission } = require('../../src/middleware/permissionMiddleware');
+const { requireRecentAuth } = require('../../src/authenticate/step_up');
 const {
   getAllPermissions,
   getPermissionById,
@@ -628,8 +629,10 @@ router.get('/users/:user_id/permissions', validateRequest, checkPermission('view
  *     responses:
  *       200:
  *         description: Groups assigned successfully
+ *       401:
+ *         description: Recent authentication required (AUTH_REAUTHENTICATION_REQUIRED) - call /auth/reauthenticate first
  */
-router.post('/users/:user_id/groups', validateRequest, checkPermission('assign_groups'), async (req, res, next) => {
+router.post('/users/:user_id/groups', validateRequest, checkPermission('assign_groups'), requireRecentAuth(), async (req, res, next) => {
   try {
     const { user_id } = req.params;
     const { group_codenames } = req.body;
@@ -640,7 +643,7 @@ router.post('/users/:user_id/groups', validateRequest, checkPermission('assign_g
       return res.status(errorResponse.statusCode).json(errorResponse.detail);
     }
     
-    const validCodenames = ['super_admin', 'admin', 'developer', 'business', 'accountant', 'user'];
+    const validCodenames = ['super_admin', 'admin', 'developer', 'business', 'accountant', 'user', 'guest'];
     const invalidCodenames = group_codenames.filter(codename => !validCodenames.includes(codename));
     
     if (invalidCodenames.length > 0) {
@@ -0,0 +1,628 @@
+/**
+ * User Management Router
+ * Admin endpoints to search, export, edit, suspend, restore and merge users
+ */
+
+const express = require('express');
+const router = express.Router();
+const { SUCCESS } = require('../../src/response/success');
+const { ERROR } = require('../../src/response/error');
+const logger = require('../../src/logger/logger');
+const { validateRequest } = require('../../src/authenticate/authenticate');
+const { checkPermission, requestHasPermission } = require('../../src/middleware/permissionMiddleware');
+const { blockImpersonation } = require('../../src/authenticate/impersonation');
+const { requireRecentAuth } = require('../../src/authenticate/step_up');
+const { serializeData } = require('../authenticate/utils');
+const {
+  searchUsers,
+  getUserForAdmin,
+  updateUserByAdmin,
+  suspendUser,
+  restoreUser
+} = require('../../src/users/users');
+const {
+  CONTENT_TYPES,
+  resolveExportColumns,
+  exportFileName,
+  streamUserExport
+} = require('../../src/users/user_export');
+const { previewUserMerge, mergeUsers } = require('../../src/users/user_merge');
+const {
+  userSearchQuerySchema,
+  userExportQuerySchema,
+  userUpdateSchema,
+  userStatusChangeSchema,
+  userMergePreviewSchema,
+  userMergeSchema,
+  validate
+} = require('./models');
+
+/**
+ * @swagger
+ * /api/users:
+ *   get:
+ *     summary: Search users
+ *     description: List users page by page. q matches every word against first name, last name, email, user name and phone number. Trashed users (pending deletion) are left out unless trashed is include or only; purged accounts are never listed.
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Active, Inactive, Suspended, Deleted]
+ *       - in: query
+ *         name: user_type
+ *         schema:
+ *           type: string
+ *           enum: [admin, customer, business]
+ *       - in: query
+ *         name: auth_type
+ *         schema:
+ *           type: string
+ *           enum: [email, phone, google, apple, anonymous]
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: is_verified
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: is_email_verified
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: is_phone_verified
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: group
+ *         description: Group codename
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: trashed
+ *         schema:
+ *           type: string
+ *           enum: [exclude, include, only]
+ *           default: exclude
+ *       - in: query
+ *         name: sort_by
+ *         schema:
+ *           type: string
+ *           enum: [created_at, last_sign_in_at, email, first_name, last_name, user_name]
+ *           default: created_at
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Users fetched successfully
+ *       400:
+ *         description: Invalid filter (INVALID_QUERY)
+ */
+router.get('/users', validateRequest, checkPermission('list_users'), async (req, res, next) => {
+  try {
+    const { error: validationError, value } = validate(req.query, userSearchQuerySchema);
+    if (validationError) {
+      const errorResponse = ERROR.fromMap('INVALID_QUERY', { error: validationError });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const { users, pagination } = await searchUsers(value);
+
+    return res.status(200).json(
+      SUCCESS.paginated('Users fetched successfully', serializeData(users), pagination)
+    );
+  } catch (error) {
+    logger.error('Error searching users', { error: error.message, module: 'Users', label: 'SEARCH' });
+    const errorResponse = ERROR.fromMap('SEARCH_FAILED', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/export:
+ *   get:
+ *     summary: Export users
+ *     description: Download the users matching the same filters as the user search as CSV, NDJSON or XLSX. The file is streamed, so any number of users can be exported. Pick columns with columns (comma-separated); without it a default set is exported. Columns that identify a person (email, phone, names, user name, gender, dob, bio, profile picture) need the export_user_pii permission and are left out of the default set without it. The password hash is never exported.
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson, xlsx]
+ *           default: csv
+ *       - in: query
+ *         name: columns
+ *         description: Comma-separated column names, e.g. user_id,email,groups,created_at
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Active, Inactive, Suspended, Deleted]
+ *       - in: query
+ *         name: user_type
+ *         schema:
+ *           type: string
+ *           enum: [admin, customer, business]
+ *       - in: query
+ *         name: auth_type
+ *         schema:
+ *           type: string
+ *           enum: [email, phone, google, apple, anonymous]
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: is_verified
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: is_email_verified
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: is_phone_verified
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: group
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: trashed
+ *         schema:
+ *           type: string
+ *           enum: [exclude, include, only]
+ *           default: exclude
+ *     responses:
+ *       200:
+ *         description: Export file
+ *       400:
+ *         description: Invalid filter (INVALID_QUERY) or unknown column (USER_EXPORT_UNKNOWN_COLUMN)
+ *       403:
+ *         description: Missing export_users, or PII columns without export_user_pii (USER_EXPORT_PII_FORBIDDEN)
+ */
+router.get('/users/export', validateRequest, blockImpersonation, checkPermission('export_users'), async (req, res, next) => {
+  let options;
+  try {
+    const { error: validationError, value } = validate(req.query, userExportQuerySchema);
+    if (validationError) {
+      const errorResponse = ERROR.fromMap('INVALID_QUERY', { error: validationError });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const { format, columns, ...filters } = value;
+    options = {
+      format,
+      filters,
+      columns: resolveExportColumns(columns, await requestHasPermission(req, 'export_user_pii'))
+    };
+  } catch (error) {
+    logger.error('Error preparing user export', { error: error.message, module: 'Users', label: 'EXPORT' });
+    const errorResponse = ERROR.fromMap(error.errorKey || 'AUTH_PROCESSING_ERROR', error.errorKey ? { error: error.message } : {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+
+  try {
+    res.attachment(exportFileName(options.format));
+    res.type(CONTENT_TYPES[options.format]);
+    await streamUserExport(res, options, req);
+    return res.end();
+  } catch (error) {
+    logger.error('Error exporting users', { error: error.message, module: 'Users', label: 'EXPORT' });
+    if (res.headersSent) {
+      // Cut the connection so the client does not take a partial file for a complete one
+      return res.destroy(error);
+    }
+    res.removeHeader('Content-Disposition');
+    const errorResponse = ERROR.fromMap('AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{user_id}:
+ *   get:
+ *     summary: Get user
+ *     description: A user as admins see it, with their groups. The password hash is never returned.
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: user_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: User fetched successfully
+ *       404:
+ *         description: User not found
+ */
+router.get('/users/:user_id', validateRequest, checkPermission('view_user'), async (req, res, next) => {
+  try {
+    const user = await getUserForAdmin(req.params.user_id);
+    if (!user) {
+      const errorResponse = ERROR.fromMap('USER_NOT_FOUND', { user_id: req.params.user_id });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    return res.status(200).json(
+      SUCCESS.response('User fetched successfully', serializeData(user))
+    );
+  } catch (error) {
+    logger.error('Error fetching user', { error: error.message, module: 'Users', label: 'GET' });
+    const errorResponse = ERROR.fromMap('AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{user_id}:
+ *   put:
+ *     summary: Edit user
+ *     description: Change a user's profile fields. Only the fields sent are changed. A new email or phone number is marked unverified unless is_email_verified / is_phone_verified is sent with it. Protected users cannot be edited.
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: user_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               first_name:
+ *                 type: string
+ *               last_name:
+ *                 type: string
+ *               user_name:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *                 example: "+14155550123"
+ *               country:
+ *                 type: string
+ *               gender:
+ *                 type: string
+ *               dob:
+ *                 type: string
+ *                 format: date
+ *               bio:
+ *                 type: string
+ *               timezone:
+ *                 type: string
+ *               language:
+ *                 type: string
+ *               theme:
+ *                 type: string
+ *                 enum: [light, dark, dynamic]
+ *               profile_accessibility:
+ *                 type: string
+ *                 enum: [public, private, friends]
+ *               user_type:
+ *                 type: string
+ *                 enum: [admin, customer, business]
+ *               is_verified:
+ *                 type: boolean
+ *               is_email_verified:
+ *                 type: boolean
+ *               is_phone_verified:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: User updated successfully
+ *       401:
+ *         description: Recent authentication required (AUTH_REAUTHENTICATION_REQUIRED) - call /auth/reauthenticate first
+ *       403:
+ *         description: Protected user (USER_PROTECTED), or a user with more privileges than the caller (USER_PRIVILEGES_EXCEEDED)
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Email, phone number or user name belongs to another account (USER_IDENTIFIER_TAKEN)
+ */
+router.put('/users/:user_id', validateRequest, blockImpersonation, checkPermission('edit_user'), requireRecentAuth(), async (req, res, next) => {
+  try {
+    const { error: validationError, value } = validate(req.body || {}, userUpdateSchema);
+    if (validationError) {
+      const errorResponse = ERROR.fromMap('AUTH_INVALID_PAYLOAD', { error: validationError });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const user = await updateUserByAdmin(req.user, req.params.user_id, value, req);
+
+    return res.status(200).json(
+      SUCCESS.response('User updated successfully', serializeData(user))
+    );
+  } catch (error) {
+    logger.error('Error updating user', { error: error.message, module: 'Users', label: 'UPDATE' });
+    const errorResponse = ERROR.fromMap(error.errorKey || 'UPDATE_FAILED', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{user_id}/suspend:
+ *   post:
+ *     summary: Suspend user
+ *     description: Set the user's status to Suspended, deactivate the account and sign it out on every device (sessions, refresh tokens and the user blacklist). The user cannot sign in until restored. Protected users and your own account cannot be suspended.
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: user_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Chargeback fraud, ticket 5120
+ *     responses:
+ *       200:
+ *         description: User suspended
+ *       401:
+ *         description: Recent authentication required (AUTH_REAUTHENTICATION_REQUIRED) - call /auth/reauthenticate first
+ *       403:
+ *         description: Protected user (USER_PROTECTED), a user with more privileges than the caller (USER_PRIVILEGES_EXCEEDED), or own account
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Already suspended or pending deletion
+ */
+router.post('/users/:user_id/suspend', validateRequest, blockImpersonation, checkPermission('suspend_user'), requireRecentAuth(), async (req, res, next) => {
+  try {
+    const { error: validationError, value } = validate(req.body || {}, userStatusChangeSchema);
+    if (validationError) {
+      const errorResponse = ERROR.fromMap('AUTH_INVALID_PAYLOAD', { error: validationError });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const result = await suspendUser(req.user, req.params.user_id, value.reason || null, req);
+
+    return res.status(200).json(
+      SUCCESS.response('User suspended successfully', serializeData(result))
+    );
+  } catch (error) {
+    logger.error('Error suspending user', { error: error.message, module: 'Users', label: 'SUSPEND' });
+    const errorResponse = ERROR.fromMap(error.errorKey || 'UPDATE_FAILED', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{user_id}/restore:
+ *   post:
+ *     summary: Restore user
+ *     description: Reactivate a suspended user, or a trashed user whose account has not been purged yet. Restoring a trashed user cancels the scheduled deletion. The user signs in again as usual.
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: user_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: User restored
+ *       403:
+ *         description: Protected user (USER_PROTECTED), or a user with more privileges than the caller (USER_PRIVILEGES_EXCEEDED)
+ *       404:
+ *         description: User not found or already purged
+ *       409:
+ *         description: User is neither suspended nor trashed (USER_NOT_RESTORABLE)
+ */
+router.post('/users/:user_id/restore', validateRequest, blockImpersonation, checkPermission('restore_user'), async (req, res, next) => {
+  try {
+    const { error: validationError, value } = validate(req.body || {}, userStatusChangeSchema);
+    if (validationError) {
+      const errorResponse = ERROR.fromMap('AUTH_INVALID_PAYLOAD', { error: validationError });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const user = await restoreUser(req.user, req.params.user_id, value.reason || null, req);
+
+    return res.status(200).json(
+      SUCCESS.response('User restored successfully', serializeData(user))
+    );
+  } catch (error) {
+    logger.error('Error restoring user', { error: error.message, module: 'Users', label: 'RESTORE' });
+    const errorResponse = ERROR.fromMap(error.errorKey || 'UPDATE_FAILED', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{user_id}/merge/preview:
+ *   post:
+ *     summary: Preview user merge
+ *     description: Show what merging the duplicate account merged_user_id into user_id would change, without changing anything. The response lists the email, phone number and profile picture that move over or are dropped, the groups added, how many activity log entries, OAuth sign-ins and files move, and what is left on the duplicate. Pass its preview_token to the merge.
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: user_id
+ *         required: true
+ *         description: Account to keep
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [merged_user_id]
+ *             properties:
+ *               merged_user_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Duplicate account to merge into user_id
+ *     responses:
+ *       200:
+ *         description: Merge previewed
+ *       400:
+ *         description: Invalid body or the same account twice (USER_MERGE_SAME_USER)
+ *       403:
+ *         description: Missing permission, a protected account (USER_PROTECTED), an account with more privileges than the caller (USER_PRIVILEGES_EXCEEDED), your own account as the duplicate, or as the account to keep when groups would be added (USER_SELF_ACTION_FORBIDDEN), or groups you may not assign (INVITATION_GROUP_NOT_ALLOWED)
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: An account was already merged (USER_ALREADY_MERGED) or the account to keep is pending deletion (USER_PENDING_DELETION)
+ */
+router.post('/users/:user_id/merge/preview', validateRequest, blockImpersonation, checkPermission('merge_users'), async (req, res, next) => {
+  try {
+    const { error: validationError, value } = validate(req.body || {}, userMergePreviewSchema);
+    if (validationError) {
+      const errorResponse = ERROR.fromMap('AUTH_INVALID_PAYLOAD', { error: validationError });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const preview = await previewUserMerge(req.user, req.params.user_id, value.merged_user_id);
+
+    return res.status(200).json(
+      SUCCESS.response('Merge previewed successfully', serializeData(preview))
+    );
+  } catch (error) {
+    logger.error('Error previewing user merge', { error: error.message, module: 'Users', label: 'MERGE' });
+    const errorResponse = ERROR.fromMap(error.errorKey || 'AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{user_id}/merge:
+ *   post:
+ *     summary: Merge users
+ *     description: Merge the duplicate account merged_user_id into user_id, as shown by the preview. In one transaction the duplicate's email, phone number and profile picture move over where user_id has none, group memberships are combined, activity log entries and OAuth sign-ins are reassigned, the duplicate's API keys are revoked, the duplicate is deactivated with merged_into_user_id set, a users_merged audit entry is written, and the duplicate is signed out everywhere (if its tokens cannot be revoked, nothing is merged). Afterwards its uploaded files are moved to user_id. Fails with USER_MERGE_PREVIEW_STALE when either account changed since the preview.
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: user_id
+ *         required: true
+ *         description: Account to keep
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [merged_user_id, preview_token]
+ *             properties:
+ *               merged_user_id:
+ *                 type: string
+ *                 format: uuid
+ *               preview_token:
+ *                 type: string
+ *                 description: preview_token from the merge preview
+ *     responses:
+ *       200:
+ *         description: Users merged
+ *       400:
+ *         description: Invalid body or the same account twice (USER_MERGE_SAME_USER)
+ *       401:
+ *         description: Recent authentication required (AUTH_REAUTHENTICATION_REQUIRED) - call /auth/reauthenticate first
+ *       403:
+ *         description: Missing permission, a protected account, an account with more privileges than the caller (USER_PRIVILEGES_EXCEEDED), your own account as the duplicate or as the account to keep when groups would be added, or groups you may not assign (INVITATION_GROUP_NOT_ALLOWED)
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Already merged, pending deletion, or changed since the preview (USER_MERGE_PREVIEW_STALE)
+ */
+router.post('/users/:user_id/merge', validateRequest, blockImpersonation, checkPermission('merge_users'), requireRecentAuth(), async (req, res, next) => {
+  try {
+    const { error: validationError, value } = validate(req.body || {}, userMergeSchema);
+    if (validationError) {
+      const errorResponse = ERROR.fromMap('AUTH_INVALID_PAYLOAD', { error: validationError });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const result = await mergeUsers(req.user, req.params.user_id, value.merged_user_id, value.preview_token, req);
+
+    return res.status(200).json(
+      SUCCESS.response('Users merged successfully', serializeData(result))
+    );
+  } catch (error) {
+    logger.error('Error merging users', { error: error.message, module: 'Users', label: 'MERGE' });
+    const errorResponse = ERROR.fromMap(error.errorKey || 'UPDATE_FAILED', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,228 @@
+/**
+ * User Import Router
+ * Admin endpoints to import users in bulk from a CSV or NDJSON file and download the per-row report
+ */
+
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const { SUCCESS } = require('../../src/response/success');
+const { ERROR } = require('../../src/response/error');
+const logger = require('../../src/logger/logger');
+const { validateRequest } = require('../../src/authenticate/authenticate');
+const { checkPermission } = require('../../src/middleware/permissionMiddleware');
+const { blockImpersonation } = require('../../src/authenticate/impersonation');
+const { serializeData } = require('../authenticate/utils');
+const {
+  USER_IMPORT_MAX_FILE_MB,
+  startUserImport,
+  getUserImport,
+  describeUserImport,
+  renderUserImportReport
+} = require('../../src/users/user_import');
+const { userImportOptionsSchema, userImportReportQuerySchema, validate } = require('./models');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: USER_IMPORT_MAX_FILE_MB * 1024 * 1024,
+    files: 1
+  }
+});
+
+/**
+ * Accept the uploaded file, answering oversized or malformed uploads with USER_IMPORT_INVALID_FILE
+ */
+function receiveImportFile(req, res, next) {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      const errorResponse = ERROR.fromMap('USER_IMPORT_INVALID_FILE', { error: error.message });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+    next();
+  });
+}
+
+/**
+ * Load the import named in the URL, answering USER_IMPORT_NOT_FOUND when it does not exist
+ */
+async function loadUserImport(req, res) {
+  const userImport = await getUserImport(req.params.import_id);
+  if (!userImport) {
+    const errorResponse = ERROR.fromMap('USER_IMPORT_NOT_FOUND', { import_id: req.params.import_id });
+    res.status(errorResponse.statusCode).json(errorResponse.detail);
+    return null;
+  }
+  return userImport;
+}
+
+/**
+ * @swagger
+ * /api/users/import:
+ *   post:
+ *     summary: Import users
+ *     description: Create users, or send them invitations, from a CSV or NDJSON file. Each row needs an email or phone number and may set first_name, last_name, user_name, country, language, user_type and groups. Rows whose email or phone number already has an account are reported as duplicates. With dry_run nothing is created. Files of up to 100 rows are imported before the response (200); larger files are imported in the background (202) - poll the import for progress.
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               format:
+ *                 type: string
+ *                 enum: [csv, ndjson]
+ *                 description: Defaults to the file extension
+ *               dry_run:
+ *                 type: boolean
+ *                 default: false
+ *               send_invites:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Send invitations instead of creating accounts
+ *               channel:
+ *                 type: string
+ *                 enum: [sms, whatsapp]
+ *                 default: sms
+ *                 description: Invitation channel for rows without an email
+ *               default_groups:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Groups for rows without a groups column (default user)
+ *     responses:
+ *       200:
+ *         description: Import finished
+ *       202:
+ *         description: Import started in the background
+ *       400:
+ *         description: Invalid file or options (USER_IMPORT_INVALID_FILE, AUTH_INVALID_PAYLOAD) or unknown group (INVITATION_GROUP_NOT_FOUND)
+ *       403:
+ *         description: Missing permission or not allowed to assign a group in the file (INVITATION_GROUP_NOT_ALLOWED)
+ *       409:
+ *         description: Another import of yours is still running (USER_IMPORT_IN_PROGRESS)
+ */
+router.post('/users/import', validateRequest, blockImpersonation, checkPermission('import_users'), receiveImportFile, async (req, res, next) => {
+  try {
+    if (!req.file) {
+      const errorResponse = ERROR.fromMap('USER_IMPORT_INVALID_FILE', { error: 'No file uploaded' });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const { error: validationError, value } = validate(req.body || {}, userImportOptionsSchema);
+    if (validationError) {
+      const errorResponse = ERROR.fromMap('AUTH_INVALID_PAYLOAD', { error: validationError });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const userImport = await startUserImport(req.user, req.file, value, req);
+    const finished = userImport.status !== 'processing';
+
+    return res.status(finished ? 200 : 202).json(
+      SUCCESS.response(finished ? 'Users imported' : 'User import started', serializeData(describeUserImport(userImport)))
+    );
+  } catch (error) {
+    logger.error('Error importing users', { error: error.message, module: 'Users', label: 'IMPORT' });
+    // Keyed errors say what is wrong with the file or its groups, which the admin needs to fix it
+    const errorResponse = ERROR.fromMap(error.errorKey || 'AUTH_PROCESSING_ERROR', error.errorKey ? { error: error.message } : {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/imports/{import_id}:
+ *   get:
+ *     summary: Get user import
+ *     description: Status, progress and result counts of an import. Download the per-row report once it has finished.
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: import_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Import fetched successfully
+ *       404:
+ *         description: Import not found (USER_IMPORT_NOT_FOUND)
+ */
+router.get('/users/imports/:import_id', validateRequest, checkPermission('import_users'), async (req, res, next) => {
+  try {
+    const userImport = await loadUserImport(req, res);
+    if (!userImport) return;
+
+    return res.status(200).json(
+      SUCCESS.response('Import fetched successfully', serializeData(describeUserImport(userImport)))
+    );
+  } catch (error) {
+    logger.error('Error fetching user import', { error: error.message, module: 'Users', label: 'IMPORT' });
+    const errorResponse = ERROR.fromMap('AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/imports/{import_id}/report:
+ *   get:
+ *     summary: Download user import report
+ *     description: One line per row of the file with its result (created, invited, would_create, would_invite, duplicate, duplicate_in_file, invalid or failed), the user or invitation ID and a message.
+ *     tags: [User Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: import_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: csv
+ *     responses:
+ *       200:
+ *         description: Report file
+ *       404:
+ *         description: Import not found (USER_IMPORT_NOT_FOUND)
+ *       409:
+ *         description: Import still running (USER_IMPORT_IN_PROGRESS)
+ */
+router.get('/users/imports/:import_id/report', validateRequest, checkPermission('import_users'), async (req, res, next) => {
+  try {
+    const { error: validationError, value } = validate(req.query, userImportReportQuerySchema);
+    if (validationError) {
+      const errorResponse = ERROR.fromMap('INVALID_QUERY', { error: validationError });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+
+    const userImport = await loadUserImport(req, res);
+    if (!userImport) return;
+
+    const { content, contentType, fileName } = renderUserImportReport(userImport, value.format);
+    res.attachment(fileName);
+    res.type(contentType);
+    return res.status(200).send(content);
+  } catch (error) {
+    logger.error('Error rendering user import report', { error: error.message, module: 'Users', label: 'IMPORT' });
+    const errorResponse = ERROR.fromMap(error.errorKey || 'AUTH_PROCESSING_ERROR', {}, error);
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+});
+
+module.exports = router;
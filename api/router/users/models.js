@@ -0,0 +1,137 @@
+/**
+ * Request Models for User Management
+ * Joi validation schemas for the /users admin endpoints
+ */
+
+const Joi = require('joi');
+const { UserTypeEnum, AuthTypeEnum, UserStatusAuthEnum, ThemeEnum, LanguageStatusEnum } = require('../../src/enum/enum');
+const { validate } = require('../authenticate/models');
+
+const phonePattern = /^\+?[1-9]\d{1,14}$/;
+
+// Filters shared by user search and user export (see buildUserWhere in src/users/users.js)
+// status matches case-insensitively, so older rows stored as INACTIVE are found too
+const userFilterKeys = {
+  q: Joi.string().trim().max(200).allow(''),
+  status: Joi.string().valid(...Object.values(UserStatusAuthEnum)).insensitive(),
+  user_type: Joi.string().valid(...Object.values(UserTypeEnum)),
+  auth_type: Joi.string().valid(...Object.values(AuthTypeEnum)),
+  country: Joi.string().trim().max(100),
+  is_verified: Joi.boolean(),
+  is_email_verified: Joi.boolean(),
+  is_phone_verified: Joi.boolean(),
+  group: Joi.string().trim().max(100),
+  trashed: Joi.string().valid('exclude', 'include', 'only').default('exclude')
+};
+
+/**
+ * User Search Query Schema
+ */
+const userSearchQuerySchema = Joi.object({
+  ...userFilterKeys,
+  sort_by: Joi.string().valid('created_at', 'last_sign_in_at', 'email', 'first_name', 'last_name', 'user_name').default('created_at'),
+  order: Joi.string().valid('asc', 'desc').default('desc'),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+/**
+ * User Export Query Schema
+ * columns is a comma-separated list; the column names are checked by the export service
+ */
+const userExportQuerySchema = Joi.object({
+  ...userFilterKeys,
+  format: Joi.string().valid('csv', 'ndjson', 'xlsx').default('csv'),
+  columns: Joi.string().trim().max(1000)
+});
+
+/**
+ * User Update Schema
+ * Status, password and protection are changed through their own endpoints, never here
+ */
+const userUpdateSchema = Joi.object({
+  first_name: Joi.string().trim().max(100).allow(null),
+  last_name: Joi.string().trim().max(100).allow(null),
+  user_name: Joi.string().trim().min(3).max(50).allow(null),
+  email: Joi.string().trim().email(),
+  phone: Joi.string().trim().pattern(phonePattern),
+  country: Joi.string().trim().max(100).allow(null),
+  gender: Joi.string().trim().max(50).allow(null),
+  dob: Joi.date().iso().max('now').allow(null),
+  bio: Joi.string().max(1000).allow(null, ''),
+  timezone: Joi.string().trim().max(100).allow(null),
+  language: Joi.string().valid(...Object.values(LanguageStatusEnum)),
+  theme: Joi.string().valid(...Object.values(ThemeEnum)),
+  profile_accessibility: Joi.string().valid('public', 'private', 'friends'),
+  user_type: Joi.string().valid(...Object.values(UserTypeEnum)).allow(null),
+  is_verified: Joi.boolean(),
+  is_email_verified: Joi.boolean(),
+  is_phone_verified: Joi.boolean()
+}).min(1);
+
+/**
+ * User Import Row Schema - one user from an import file
+ * Phone numbers are normalized to E.164 before validation (src/users/import_parser.js)
+ */
+const userImportRowSchema = Joi.object({
+  email: Joi.string().trim().lowercase().email(),
+  phone: Joi.string().trim().pattern(phonePattern),
+  first_name: Joi.string().trim().max(100),
+  last_name: Joi.string().trim().max(100),
+  user_name: Joi.string().trim().min(3).max(50),
+  country: Joi.string().trim().max(100),
+  language: Joi.string().valid(...Object.values(LanguageStatusEnum)),
+  user_type: Joi.string().valid(...Object.values(UserTypeEnum)),
+  groups: Joi.array().items(Joi.string().trim().max(100)).max(20).unique()
+}).or('email', 'phone');
+
+/**
+ * User Import Options Schema - multipart fields sent with the file
+ * default_groups applies to rows without a groups column; repeat the field for several groups
+ */
+const userImportOptionsSchema = Joi.object({
+  format: Joi.string().valid('csv', 'ndjson'),
+  dry_run: Joi.boolean().default(false),
+  send_invites: Joi.boolean().default(false),
+  channel: Joi.string().valid('sms', 'whatsapp').default('sms'),
+  default_groups: Joi.array().items(Joi.string().trim().max(100)).max(20).single().default(['user'])
+});
+
+/**
+ * User Import Report Query Schema
+ */
+const userImportReportQuerySchema = Joi.object({
+  format: Joi.string().valid('csv', 'json').default('csv')
+});
+
+/**
+ * User Status Change Schema - optional reason for suspending or restoring, kept in the audit log
+ */
+const userStatusChangeSchema = Joi.object({
+  reason: Joi.string().trim().max(500)
+});
+
+/**
+ * User Merge Schema - the duplicate account to merge into user_id, and for the merge itself the
+ * preview_token returned by the preview
+ */
+const userMergePreviewSchema = Joi.object({
+  merged_user_id: Joi.string().guid().required()
+});
+
+const userMergeSchema = userMergePreviewSchema.keys({
+  preview_token: Joi.string().trim().max(100).required()
+});
+
+module.exports = {
+  userSearchQuerySchema,
+  userExportQuerySchema,
+  userUpdateSchema,
+  userStatusChangeSchema,
+  userMergePreviewSchema,
+  userMergeSchema,
+  userImportRowSchema,
+  userImportOptionsSchema,
+  userImportReportQuerySchema,
+  validate
+};
@@ -0,0 +1,125 @@
+/**
+ * Break-Glass CLI
+ * Mints and manages emergency OTPs (src/authenticate/break_glass.js) and grants groups
+ * explicitly - a break-glass code itself never elevates anyone
+ */
+
+require('dotenv').config();
+const {
+  mintBreakGlassCode,
+  listBreakGlassCodes,
+  revokeBreakGlassCode
+} = require('../src/authenticate/break_glass');
+const { getUserByEmailOrPhone } = require('../src/authenticate/checkpoint');
+const { getUserGroups, assignGroupsToUser } = require('../src/permissions/permissions');
+const { createActivityLog } = require('../src/activity/activityLog');
+
+/**
+ * Print a code record (never the hash)
+ * @param {object} code - BreakGlassCode record
+ */
+function printCode(code) {
+  let state = 'active ';
+  if (code.used_at) state = 'used   ';
+  else if (code.revoked_at) state = 'revoked';
+  else if (new Date(code.expires_at) <= new Date()) state = 'expired';
+  console.log(`  ${code.code_id}  ${state}  ${code.identifier}  expires ${new Date(code.expires_at).toISOString()}  "${code.reason}"`);
+}
+
+/**
+ * Add groups to a user, keeping the groups they already have
+ * @param {string} identifier - Email or phone number
+ * @param {Array<string>} codenames - Group codenames to add
+ * @param {string} reason - Why the groups are granted (audited)
+ */
+async function grantGroups(identifier, codenames, reason) {
+  const user = await getUserByEmailOrPhone(identifier);
+  if (!user) {
+    throw new Error(`No user with identifier ${identifier}`);
+  }
+
+  const current = (await getUserGroups(user.user_id)).map(g => g.codename);
+  const groups = [...new Set([...current, ...codenames])];
+  await assignGroupsToUser(user.user_id, groups, null);
+
+  await createActivityLog({
+    user_id: user.user_id,
+    level: 'audit',
+    message: `Groups ${codenames.join(', ')} granted from the CLI`,
+    action: 'break_glass_group_assign',
+    module: 'break_glass',
+    platform: 'cli',
+    metadata: { previous_groups: current, groups, reason }
+  });
+
+  console.log(`  ${user.user_id}  ${identifier}  [${groups.join(',')}]`);
+}
+
+// Main execution
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  try {
+    switch (command) {
+      case 'mint': {
+        if (!args[0] || !args[1]) {
+          throw new Error('Usage: mint <identifier> "<reason>" [ttl_minutes]');
+        }
+        const { break_glass_code, code } = await mintBreakGlassCode({
+          identifier: args[0],
+          reason: args[1],
+          ttl_minutes: args[2] ? parseInt(args[2], 10) : undefined
+        });
+        printCode(break_glass_code);
+        console.log(`\ncode: ${code}`);
+        console.log('\nUse it in place of the OTP for this identifier. It works once and is not stored - hand it over now.');
+        break;
+      }
+      case 'list':
+        (await listBreakGlassCodes({ identifier: args[0] })).forEach(printCode);
+        break;
+      case 'revoke': {
+        const revoked = await revokeBreakGlassCode(args[0]);
+        await createActivityLog({
+          level: 'audit',
+          message: `Break-glass code for ${revoked.identifier} revoked from the CLI`,
+          action: 'break_glass_code_revoke',
+          module: 'break_glass',
+          platform: 'cli',
+          metadata: { code_id: revoked.code_id, identifier: revoked.identifier }
+        });
+        printCode(revoked);
+        break;
+      }
+      case 'assign-groups': {
+        const codenames = (args[1] || '').split(',').map(g => g.trim()).filter(Boolean);
+        if (!args[0] || codenames.length === 0 || !args[2]) {
+          throw new Error('Usage: assign-groups <identifier> <group,group,...> "<reason>"');
+        }
+        await grantGroups(args[0], codenames, args[2]);
+        break;
+      }
+      default:
+        console.log(`
+Usage: node scripts/break-glass.js <command> [args]
+
+Commands:
+  mint <identifier> "<reason>" [ttl_minutes]         - Mint a single-use code for an email or phone number
+  list [identifier]                                  - Show codes and whether they were used
+  revoke <code_id>                                   - Revoke an unused code
+  assign-groups <identifier> <groups> "<reason>"     - Add groups to an existing user (e.g. the first super_admin)
+
+Every command except list is written to the activity log at audit level.
+        `);
+        process.exit(1);
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error(`Command failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,238 @@
+/**
+ * Breached-Password Filter Builder
+ * Builds the bloom filter used by the offline breach check in src/authenticate/password_policy.js
+ * from a plaintext password list (one per line) or a Have I Been Pwned SHA-1 download
+ * (HASH or HASH:COUNT per line). Inputs ending in .gz are decompressed on the fly.
+ *
+ * Without an input file the default corpus is downloaded: ~437k passwords from leaked password
+ * dumps (rockyou, the 10 million password list and others) as collected by SecLists
+ * (https://github.com/danielmiessler/SecLists, MIT) and packaged in password-blacklist (MIT).
+ * The corpus itself is not kept in the repository - only the filter built from it
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const https = require('https');
+const crypto = require('crypto');
+const readline = require('readline');
+const zlib = require('zlib');
+const {
+  BREACH_FILTER_MAGIC,
+  BREACH_FILTER_VERSION,
+  BREACH_FILTER_HEADER_SIZE,
+  breachFilterIndexes
+} = require('../src/authenticate/password_policy');
+
+// Pinned npm tarball of password-blacklist; the download is checked against its integrity hash
+const DEFAULT_CORPUS = {
+  url: 'https://registry.npmjs.org/password-blacklist/-/password-blacklist-1.1.1.tgz',
+  integrity: 'sha512-D3Prmmicwvp0kSktB9gniBLnf/egHx19ef+7ZbVnlEyFbffED/omeeYEvY1pfHWKCNbmyw6VYCQBfQ8HgWMiBw==',
+  entry: 'package/data/passwords.txt.gz'
+};
+const DEFAULT_OUTPUT = path.join(__dirname, '..', 'src', 'authenticate', 'data', 'breached-passwords.bloom');
+const DEFAULT_FALSE_POSITIVE_RATE = 0.000001;
+
+/**
+ * Download a URL into memory, following redirects
+ * @param {string} url - HTTPS URL
+ * @param {number} redirects - Redirects left to follow
+ * @returns {Promise<Buffer>} Response body
+ */
+function download(url, redirects = 5) {
+  return new Promise((resolve, reject) => {
+    https.get(url, (response) => {
+      if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location && redirects > 0) {
+        response.resume();
+        resolve(download(new URL(response.headers.location, url).toString(), redirects - 1));
+        return;
+      }
+      if (response.statusCode !== 200) {
+        response.resume();
+        reject(new Error(`GET ${url} returned ${response.statusCode}`));
+        return;
+      }
+      const chunks = [];
+      response.on('data', chunk => chunks.push(chunk));
+      response.on('end', () => resolve(Buffer.concat(chunks)));
+      response.on('error', reject);
+    }).on('error', reject);
+  });
+}
+
+/**
+ * Find a file in an uncompressed tar archive
+ * @param {Buffer} tar - Tar bytes
+ * @param {string} name - Entry path
+ * @returns {Buffer|null} File contents
+ */
+function extractTarEntry(tar, name) {
+  let offset = 0;
+  while (offset + 512 <= tar.length) {
+    const header = tar.subarray(offset, offset + 512);
+    const entryName = header.toString('utf8', 0, 100).replace(/\0.*$/s, '');
+    if (!entryName) {
+      break;
+    }
+    const size = parseInt(header.toString('ascii', 124, 136).replace(/\0.*$/s, '').trim() || '0', 8);
+    if (entryName === name) {
+      return tar.subarray(offset + 512, offset + 512 + size);
+    }
+    offset += 512 + Math.ceil(size / 512) * 512;
+  }
+  return null;
+}
+
+/**
+ * Download the default corpus into a temporary file
+ * @returns {Promise<string>} Path of the gzipped password list
+ */
+async function downloadCorpus() {
+  console.log(`  Downloading ${DEFAULT_CORPUS.url}`);
+  const tarball = await download(DEFAULT_CORPUS.url);
+
+  const [algorithm, expected] = DEFAULT_CORPUS.integrity.split('-');
+  const actual = crypto.createHash(algorithm).update(tarball).digest('base64');
+  if (actual !== expected) {
+    throw new Error(`Integrity check failed for ${DEFAULT_CORPUS.url}`);
+  }
+
+  const list = extractTarEntry(zlib.gunzipSync(tarball), DEFAULT_CORPUS.entry);
+  if (!list) {
+    throw new Error(`${DEFAULT_CORPUS.entry} not found in ${DEFAULT_CORPUS.url}`);
+  }
+
+  const file = path.join(os.tmpdir(), `breached-passwords-${process.pid}.txt.gz`);
+  fs.writeFileSync(file, list);
+  return file;
+}
+
+/**
+ * Iterate over the entries of an input file
+ * @param {string} file - Input path (.gz is decompressed)
+ * @param {boolean} sha1 - Lines are SHA-1 hex hashes (optionally followed by :count)
+ * @returns {AsyncGenerator<string>} Hex hashes, or plaintext passwords
+ */
+async function* entries(file, sha1) {
+  let input = fs.createReadStream(file);
+  if (file.endsWith('.gz')) {
+    input = input.pipe(zlib.createGunzip());
+  }
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (sha1) {
+      const hex = line.trim().split(':')[0];
+      if (/^[0-9a-fA-F]{40}$/.test(hex)) {
+        yield hex;
+      }
+    } else if (line.length > 0) {
+      yield line;
+    }
+  }
+}
+
+/**
+ * Count the entries of an input file without hashing them
+ * @param {string} file - Input path
+ * @param {boolean} sha1 - Input is a SHA-1 hash list
+ * @returns {Promise<number>} Entry count
+ */
+async function countEntries(file, sha1) {
+  let count = 0;
+  const iterator = entries(file, sha1);
+  while (!(await iterator.next()).done) {
+    count++;
+  }
+  return count;
+}
+
+/**
+ * SHA-1 digest of an entry
+ * @param {string} entry - Hex hash or plaintext password
+ * @param {boolean} sha1 - Entry is already a hex hash
+ * @returns {Buffer} Digest
+ */
+function entryDigest(entry, sha1) {
+  return sha1 ? Buffer.from(entry, 'hex') : crypto.createHash('sha1').update(entry, 'utf8').digest();
+}
+
+/**
+ * Build the filter file
+ * The input is read twice - once to size the filter, once to fill it - so large lists are never held in memory
+ * @param {string} input - Input path
+ * @param {string} output - Output path
+ * @param {boolean} sha1 - Input is a SHA-1 hash list
+ * @param {number} falsePositiveRate - Target false positive rate
+ */
+async function build(input, output, sha1, falsePositiveRate) {
+  const itemCount = await countEntries(input, sha1);
+  if (itemCount === 0) {
+    throw new Error(`No passwords found in ${input}`);
+  }
+
+  const bitCount = Math.min(Math.ceil(-itemCount * Math.log(falsePositiveRate) / (Math.LN2 ** 2)), 0xffffffff);
+  const hashCount = Math.max(1, Math.min(Math.round((bitCount / itemCount) * Math.LN2), 255));
+  const buffer = Buffer.alloc(BREACH_FILTER_HEADER_SIZE + Math.ceil(bitCount / 8));
+  buffer.write(BREACH_FILTER_MAGIC, 0, 'ascii');
+  buffer.writeUInt8(BREACH_FILTER_VERSION, 4);
+  buffer.writeUInt8(hashCount, 5);
+  buffer.writeUInt32BE(bitCount, 8);
+  buffer.writeUInt32BE(itemCount, 12);
+
+  const bits = buffer.subarray(BREACH_FILTER_HEADER_SIZE);
+  for await (const entry of entries(input, sha1)) {
+    breachFilterIndexes(entryDigest(entry, sha1), bitCount, hashCount).forEach(index => {
+      bits[index >> 3] |= 1 << (index & 7);
+    });
+  }
+
+  fs.mkdirSync(path.dirname(output), { recursive: true });
+  fs.writeFileSync(output, buffer);
+  console.log(`  ${itemCount} passwords -> ${output} (${buffer.length} bytes, ${hashCount} hashes, ~${falsePositiveRate} false positives)`);
+}
+
+// Main execution
+async function main() {
+  const args = process.argv.slice(2);
+  const sha1 = args.includes('--sha1');
+  const rateArg = args.find(arg => arg.startsWith('--fp='));
+  const [inputArg, output = DEFAULT_OUTPUT] = args.filter(arg => !arg.startsWith('--'));
+  const falsePositiveRate = rateArg ? parseFloat(rateArg.slice(5)) : DEFAULT_FALSE_POSITIVE_RATE;
+
+  if (args.includes('--help') || !(falsePositiveRate > 0 && falsePositiveRate < 1)) {
+    console.log(`
+Usage: node scripts/build-breached-passwords.js [input] [output] [--sha1] [--fp=rate]
+
+  input     Password list, one per line, optionally gzipped (default: download ${DEFAULT_CORPUS.url})
+  output    Filter file (default: src/authenticate/data/breached-passwords.bloom)
+  --sha1    Input lines are SHA-1 hashes, e.g. the Have I Been Pwned download (HASH:COUNT)
+  --fp      Target false positive rate (default: ${DEFAULT_FALSE_POSITIVE_RATE})
+    `);
+    process.exit(1);
+  }
+
+  let input = inputArg;
+  let exitCode = 0;
+  try {
+    if (!input) {
+      if (sha1) {
+        throw new Error('--sha1 needs an input file');
+      }
+      input = await downloadCorpus();
+    }
+    await build(input, output, sha1, falsePositiveRate);
+  } catch (error) {
+    console.error(`Build failed: ${error.message}`);
+    exitCode = 1;
+  }
+
+  // The downloaded corpus is only needed for the build
+  if (!inputArg && input) {
+    fs.rmSync(input, { force: true });
+  }
+  process.exit(exitCode);
+}
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,133 @@
+/**
+ * GeoIP Database Builder
+ * Converts a country CSV into the database read by src/activity/geoip.js. Accepts the DB-IP
+ * "IP to Country Lite" CSV (start,end,country with IPv4 and IPv6 addresses) and the
+ * IP2Location LITE DB1 CSVs (numeric "start","end","CC","Country" rows, IPv4 or IPv6).
+ * Outputs ending in .gz are gzipped, like the bundled src/activity/data/geoip-country.bin.gz
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const {
+  GEOIP_MAGIC,
+  GEOIP_VERSION,
+  GEOIP_HEADER_SIZE,
+  GEOIP_RECORD_SIZE,
+  parseIp
+} = require('../src/activity/geoip');
+
+const DEFAULT_OUTPUT = path.join(__dirname, '..', 'src', 'activity', 'data', 'geoip-country.bin.gz');
+
+/**
+ * Parse a start or end column - a textual IP address or an IP2Location decimal number
+ * @param {string} field - Column value
+ * @returns {Buffer|null} 4 or 16 address bytes, or null
+ */
+function parseAddress(field) {
+  if (!/^\d+$/.test(field)) {
+    return parseIp(field);
+  }
+  const number = BigInt(field);
+  if (number <= 0xffffffffn) {
+    const bytes = Buffer.alloc(4);
+    bytes.writeUInt32BE(Number(number));
+    return bytes;
+  }
+  const hex = number.toString(16).padStart(32, '0');
+  if (hex.length > 32) {
+    return null;
+  }
+  // Runs the bytes through parseIp so IPv4-mapped ranges land in the IPv4 table
+  return parseIp(hex.match(/.{4}/g).join(':'));
+}
+
+/**
+ * Read all ranges from the CSV
+ * @param {string} input - Input path
+ * @returns {Promise<object>} { 4: [ranges], 16: [ranges], skipped }
+ */
+async function readRanges(input) {
+  const ranges = { 4: [], 16: [], skipped: 0 };
+  const lines = readline.createInterface({ input: fs.createReadStream(input), crlfDelay: Infinity });
+  for await (const line of lines) {
+    const [startField, endField, countryField] = line.split(',').map(field => field.trim().replace(/^"|"$/g, ''));
+    if (!startField || !endField || !countryField) {
+      continue;
+    }
+    const start = parseAddress(startField);
+    const end = parseAddress(endField);
+    const country = countryField.toUpperCase();
+    // "-" and "ZZ" mark reserved or unassigned ranges
+    if (!start || !end || start.length !== end.length || !/^[A-Z]{2}$/.test(country) || country === 'ZZ') {
+      ranges.skipped++;
+      continue;
+    }
+    ranges[start.length].push({ start, end, country });
+  }
+  return ranges;
+}
+
+/**
+ * Build the database file
+ * @param {string} input - Input path
+ * @param {string} output - Output path
+ */
+async function build(input, output) {
+  const ranges = await readRanges(input);
+  if (ranges[4].length + ranges[16].length === 0) {
+    throw new Error(`No country ranges found in ${input}`);
+  }
+
+  const size = GEOIP_HEADER_SIZE + ranges[4].length * GEOIP_RECORD_SIZE[4] + ranges[16].length * GEOIP_RECORD_SIZE[16];
+  const buffer = Buffer.alloc(size);
+  buffer.write(GEOIP_MAGIC, 0, 'ascii');
+  buffer.writeUInt8(GEOIP_VERSION, 4);
+  buffer.writeUInt32BE(ranges[4].length, 8);
+  buffer.writeUInt32BE(ranges[16].length, 12);
+
+  let offset = GEOIP_HEADER_SIZE;
+  for (const family of [4, 16]) {
+    ranges[family].sort((a, b) => Buffer.compare(a.start, b.start));
+    for (const { start, end, country } of ranges[family]) {
+      start.copy(buffer, offset);
+      end.copy(buffer, offset + family);
+      buffer.write(country, offset + family * 2, 'ascii');
+      offset += GEOIP_RECORD_SIZE[family];
+    }
+  }
+
+  fs.mkdirSync(path.dirname(output), { recursive: true });
+  const data = output.endsWith('.gz') ? zlib.gzipSync(buffer, { level: 9 }) : buffer;
+  fs.writeFileSync(output, data);
+  console.log(`  ${ranges[4].length} IPv4 and ${ranges[16].length} IPv6 ranges -> ${output} (${data.length} bytes, ${ranges.skipped} rows skipped)`);
+}
+
+// Main execution
+async function main() {
+  const args = process.argv.slice(2);
+  const [input, output = DEFAULT_OUTPUT] = args.filter(arg => !arg.startsWith('--'));
+
+  if (args.includes('--help') || !input) {
+    console.log(`
+Usage: node scripts/build-geoip.js <input> [output]
+
+  input     Country CSV from DB-IP (dbip-country-lite-YYYY-MM.csv) or IP2Location LITE DB1
+  output    Database file, gzipped when it ends in .gz (default: src/activity/data/geoip-country.bin.gz)
+    `);
+    process.exit(1);
+  }
+
+  try {
+    await build(input, output);
+    process.exit(0);
+  } catch (error) {
+    console.error(`Build failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,52 @@
+/**
+ * Background Jobs CLI
+ * Lists the jobs the server schedules (src/jobs/jobs.js) and runs one on demand, e.g. from
+ * cron on deployments that set BACKGROUND_JOBS_ENABLED=false
+ */
+
+require('dotenv').config();
+const { getBackgroundJobs } = require('../src/jobs/jobs');
+
+// Main execution
+async function main() {
+  const [command, name] = process.argv.slice(2);
+  const jobs = getBackgroundJobs();
+
+  try {
+    switch (command) {
+      case 'list':
+        for (const job of jobs) {
+          const schedule = job.intervalMinutes > 0 ? `every ${job.intervalMinutes} min` : 'disabled';
+          console.log(`  ${job.name.padEnd(24)} ${schedule.padEnd(16)} ${job.description}`);
+        }
+        break;
+      case 'run': {
+        const job = jobs.find(j => j.name === name);
+        if (!job) {
+          throw new Error(`Unknown job '${name}'. Run "list" to see the available jobs`);
+        }
+        // Runs even when the job is disabled on the schedule
+        const result = await job.handler();
+        console.log(`  ${job.name} finished: ${JSON.stringify(result)}`);
+        break;
+      }
+      default:
+        console.log(`
+Usage: node scripts/jobs.js <command> [args]
+
+Commands:
+  list          - Show the background jobs and their schedule
+  run <name>    - Run a job once now
+        `);
+        process.exit(1);
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error(`Command failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,79 @@
+/**
+ * JWT Keystore CLI
+ * Creates and rotates the RS256/ES256 signing keys used by src/authenticate/keystore.js
+ */
+
+require('dotenv').config();
+const {
+  JWT_SIGNING_ALGORITHM,
+  JWT_KEYSTORE_PATH,
+  readKeystore,
+  initKeystore,
+  rotateKeys
+} = require('../src/authenticate/keystore');
+
+/**
+ * Resolve the algorithm for new keys: CLI argument, then JWT_ALGORITHM, then RS256
+ * @param {string} arg - Optional algorithm argument
+ * @returns {string} RS256 or ES256
+ */
+function resolveAlgorithm(arg) {
+  if (arg) {
+    return arg.toUpperCase();
+  }
+  return ['RS256', 'ES256'].includes(JWT_SIGNING_ALGORITHM) ? JWT_SIGNING_ALGORITHM : 'RS256';
+}
+
+/**
+ * Print the keys in the keystore (never the private keys)
+ */
+function listKeys() {
+  const store = readKeystore();
+  if (!store) {
+    console.log(`No keystore at ${JWT_KEYSTORE_PATH}`);
+    return;
+  }
+  console.log(`Keystore: ${JWT_KEYSTORE_PATH}`);
+  for (const key of store.keys) {
+    console.log(`  ${key.status.padEnd(8)} ${key.alg} ${key.kid} created ${key.created_at}${key.retired_at ? ` retired ${key.retired_at}` : ''}`);
+  }
+}
+
+// Main execution
+function main() {
+  const command = process.argv[2];
+  const alg = resolveAlgorithm(process.argv[3]);
+
+  try {
+    switch (command) {
+      case 'init':
+        initKeystore(alg);
+        listKeys();
+        break;
+      case 'rotate':
+        rotateKeys(alg);
+        listKeys();
+        break;
+      case 'list':
+        listKeys();
+        break;
+      default:
+        console.log(`
+Usage: node scripts/jwt-keys.js <command> [RS256|ES256]
+
+Commands:
+  init    - Create the keystore with an active and a next key (no-op if it exists)
+  rotate  - Promote next to active, retire active, generate a new next key
+  list    - Show key IDs and their status
+        `);
+        process.exit(1);
+    }
+  } catch (error) {
+    console.error(`Command failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,99 @@
+/**
+ * OAuth Clients CLI
+ * Registers and manages the clients that use the client_credentials grant (src/authenticate/oauth_clients.js)
+ */
+
+require('dotenv').config();
+const {
+  createClient,
+  listClients,
+  setClientPermissions,
+  rotateClientSecret,
+  setClientActive
+} = require('../src/authenticate/oauth_clients');
+
+/**
+ * Parse a comma-separated permission list
+ * @param {string} arg - e.g. "view_user,view_activity_log"
+ * @returns {Array<string>} Permission codenames
+ */
+function parsePermissions(arg) {
+  return (arg || '').split(',').map(p => p.trim()).filter(Boolean);
+}
+
+/**
+ * Print a client (never the secret hash)
+ * @param {object} client - Client record
+ */
+function printClient(client) {
+  const permissions = Array.isArray(client.permissions) ? client.permissions.join(',') : '';
+  console.log(`  ${client.client_id}  ${client.is_active ? 'active  ' : 'disabled'}  ${client.name}  [${permissions}]`);
+}
+
+/**
+ * Print a newly issued secret
+ * @param {object} result - { client, client_secret }
+ */
+function printSecret({ client, client_secret }) {
+  printClient(client);
+  console.log(`\nclient_id:     ${client.client_id}`);
+  console.log(`client_secret: ${client_secret}`);
+  console.log('\nStore the secret now - it cannot be shown again.');
+}
+
+// Main execution
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+
+  try {
+    switch (command) {
+      case 'create':
+        if (!args[0] || parsePermissions(args[1]).length === 0) {
+          throw new Error('Usage: create <name> <permission,permission,...>');
+        }
+        printSecret(await createClient({ name: args[0], permissions: parsePermissions(args[1]) }));
+        break;
+      case 'list':
+        (await listClients()).forEach(printClient);
+        break;
+      case 'set-permissions':
+        if (!args[0] || parsePermissions(args[1]).length === 0) {
+          throw new Error('Usage: set-permissions <client_id> <permission,permission,...>');
+        }
+        printClient(await setClientPermissions(args[0], parsePermissions(args[1])));
+        break;
+      case 'rotate-secret':
+        printSecret(await rotateClientSecret(args[0]));
+        break;
+      case 'disable':
+        printClient(await setClientActive(args[0], false));
+        break;
+      case 'enable':
+        printClient(await setClientActive(args[0], true));
+        break;
+      default:
+        console.log(`
+Usage: node scripts/oauth-clients.js <command> [args]
+
+Commands:
+  create <name> <permissions>                  - Register a client (prints the secret once)
+  list                                         - Show clients and their permissions
+  set-permissions <client_id> <permissions>    - Replace the granted permissions
+  rotate-secret <client_id>                    - Issue a new secret (the old one stops working)
+  disable <client_id>                          - Block new tokens and reject outstanding ones
+  enable <client_id>                           - Re-enable a disabled client
+
+<permissions> is a comma-separated list of permission codenames.
+        `);
+        process.exit(1);
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error(`Command failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
@@ -17,11 +17,30 @@ require('express-async-errors');
 // ============================================================
 const authenticateRouter = require('./router/authenticate/authenticate');
 const profileRouter = require('./router/authenticate/profile');
+const oauthRouter = require('./router/authenticate/oauth');
+const oauthClientsRouter = require('./router/authenticate/oauth_clients');
+const mfaRouter = require('./router/authenticate/mfa');
+const passkeysRouter = require('./router/authenticate/passkeys');
+const sessionsRouter = require('./router/authenticate/sessions');
+const apiKeysRouter = require('./router/authenticate/api_keys');
+const impersonationRouter = require('./router/authenticate/impersonation');
+const invitationsRouter = require('./router/authenticate/invitations');
+const breakGlassRouter = require('./router/authenticate/break_glass');
+const loginLockoutRouter = require('./router/authenticate/login_lockout');
+const stepUpRouter = require('./router/authenticate/step_up');
+const anonymousRouter = require('./router/authenticate/anonymous');
+const magicLinkRouter = require('./router/authenticate/magic_link');
+const loginAlertsRouter = require('./router/authenticate/login_alerts');
+const dataExportRouter = require('./router/authenticate/data_export');
+const accountDeletionRouter = require('./router/authenticate/account_deletion');
+const jwksRouter = require('./router/authenticate/jwks');
 const healthRouter = require('./router/health/api');
 const testSentryRouter = require('./router/health/test-sentry');
 const uploadRouter = require('./router/upload/api');
 const dashboardRouter = require('./router/dashboard/api');
 const permissionsRouter = require('./router/permissions/api');
+const usersRouter = require('./router/users/api');
+const userImportRouter = require('./router/users/import');
 const activityRouter = require('./router/activity/api');
 
 // ============================================================
@@ -232,9 +251,60 @@ app.get('/health', async (req, res) => {
 // ROUTERS - Matching FastAPI Backend
 // ============================================================
 
+// JWKS - public signing keys, served at the root like other .well-known documents
+app.use(jwksRouter);
+
 // Authentication Routes
 app.use(`/${MODE}`, authenticateRouter);
 
+// OAuth Sign-In Routes (Google, Apple)
+app.use(`/${MODE}`, oauthRouter);
+
+// OAuth2 Client Credentials (Service-to-Service) Routes
+app.use(`/${MODE}`, oauthClientsRouter);
+
+// Two-Factor Authentication Routes
+app.use(`/${MODE}`, mfaRouter);
+
+// Passkey (WebAuthn) Routes
+app.use(`/${MODE}`, passkeysRouter);
+
+// Active Sessions (Devices) Routes
+app.use(`/${MODE}`, sessionsRouter);
+
+// API Key (Personal Access Token) Routes
+app.use(`/${MODE}`, apiKeysRouter);
+
+// Impersonation (Support "Log In As User") Routes
+app.use(`/${MODE}`, impersonationRouter);
+
+// Invitation Routes
+app.use(`/${MODE}`, invitationsRouter);
+
+// Break-Glass Code Routes
+app.use(`/${MODE}`, breakGlassRouter);
+
+// Login Lockout Routes
+app.use(`/${MODE}`, loginLockoutRouter);
+
+// Step-Up Re-Authentication Routes
+app.use(`/${MODE}`, stepUpRouter);
+
+// Anonymous Guest Routes
+app.use(`/${MODE}`, anonymousRouter);
+
+// Magic-Link Routes
+app.use(`/${MODE}`, magicLinkRouter);
+
+// Login Alert Routes
+app.use(`/${MODE}`, loginAlertsRouter);
+
+// Data Export Routes
+app.use(`/${MODE}`, dataExportRouter);
+
+// Account Deletion Routes
+app.use(`/${MODE}`, accountDeletionRouter);
+
 // Profile & Settings Routes
 app.use(`/${MODE}`, profileRouter);
 
@@ -251,6 +321,10 @@ app.use(`/${MODE}`, dashboardRouter);
 // Permissions & Groups Routes
 app.use(`/${MODE}`, permissionsRouter);
 
+// User Management Routes
+app.use(`/${MODE}`, usersRouter);
+app.use(`/${MODE}`, userImportRouter);
+
 // Activity Logs Routes
 app.use(`/${MODE}/activity`, activityRouter);
 
@@ -310,6 +384,21 @@ async function startupEvent() {
     });
   }
 
+  // Read the GeoIP database in the background so the first sign-in does not wait for it
+  const { loadDatabase: loadGeoipDatabase } = require('./src/activity/geoip');
+  loadGeoipDatabase();
+
+  // Schedule background jobs (stale guest cleanup)
+  try {
+    const { startBackgroundJobs } = require('./src/jobs/jobs');
+    startBackgroundJobs();
+  } catch (jobsError) {
+    logger.warn('⚠️  Background jobs could not be scheduled', {
+      module: 'Server',
+      error: jobsError.message
+    });
+  }
+
   // Note: Database schema is managed via Prisma
   // Use 'npm run db:pull' to pull schema from remote
   // Use 'npm run db:push' to push schema to database
@@ -321,6 +410,17 @@ async function startupEvent() {
 
 // Start server
 async function startServer() {
+  // Refuse to start with settings that would leave security checks to whatever the client sends
+  try {
+    const { assertKeystoreConfigured } = require('./src/authenticate/keystore');
+    const { assertRelyingPartyConfigured } = require('./src/authenticate/webauthn');
+    assertKeystoreConfigured();
+    assertRelyingPartyConfigured();
+  } catch (error) {
+    logger.error('Invalid configuration, refusing to start', { error: error.message });
+    process.exit(1);
+  }
+
   try {
     // Run startup event
     await startupEvent();
@@ -366,6 +466,14 @@ async function gracefulShutdown(signal) {
     }
   }
   
+  // Stop background jobs
+  try {
+    const { stopBackgroundJobs } = require('./src/jobs/jobs');
+    stopBackgroundJobs();
+  } catch (error) {
+    logger.error('Error stopping background jobs', { error: error.message });
+  }
+  
   // Close worker pool
   try {
     const { terminateWorkerPool } = require('./src/utils/workerUtils');
@@ -9,9 +9,10 @@ const logger = require('../logger/logger');
 /**
  * Create activity log entry
  * @param {object} logData - Activity log data
+ * @param {object} client - Prisma client or transaction client (optional)
  * @returns {Promise<object>} Created activity log
  */
-async function createActivityLog(logData) {
+async function createActivityLog(logData, client = prisma) {
   try {
     const {
       user_id,
@@ -39,7 +40,7 @@ async function createActivityLog(logData) {
       throw new Error('Message is required for activity log');
     }
 
-    const activityLog = await prisma.activityLog.create({
+    const activityLog = await client.activityLog.create({
       data: {
         user_id: user_id || null,
         level,
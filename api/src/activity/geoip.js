@@ -0,0 +1,173 @@
+/**
+ * GeoIP Country Lookup
+ * Resolves client IP addresses to ISO country codes from an offline database file, so no
+ * request ever leaves the server. The bundled file is built from the DB-IP IP to Country Lite
+ * database (CC BY 4.0, https://db-ip.com) with scripts/build-geoip.js; a gzipped file is
+ * decompressed on load. The file is read asynchronously (started at server startup), and
+ * lookups return null until it is loaded or when there is no usable file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const logger = require('../logger/logger');
+
+const GEOIP_DATABASE_PATH = process.env.GEOIP_DATABASE_PATH
+  || path.join(__dirname, 'data', 'geoip-country.bin.gz');
+
+// Database file: "GEOC", version (u8), 3 reserved bytes, IPv4 range count (u32 BE),
+// IPv6 range count (u32 BE), then the IPv4 ranges and the IPv6 ranges, each sorted by start
+// address and stored as start address, end address, 2-letter country code
+const GEOIP_MAGIC = 'GEOC';
+const GEOIP_VERSION = 1;
+const GEOIP_HEADER_SIZE = 16;
+const GEOIP_RECORD_SIZE = { 4: 10, 16: 34 };
+
+// CC BY 4.0 attribution for the bundled DB-IP data - required wherever a looked-up country is shown
+const GEOIP_ATTRIBUTION = { text: 'IP Geolocation by DB-IP', url: 'https://db-ip.com' };
+
+const gunzip = promisify(zlib.gunzip);
+
+let database = null;
+let loading = null;
+
+/**
+ * Parse an IP address into its bytes
+ * IPv4-mapped IPv6 addresses (::ffff:203.0.113.7, as reported by dual-stack sockets) are
+ * returned as IPv4
+ * @param {string} ip - IPv4 or IPv6 address
+ * @returns {Buffer|null} 4 or 16 bytes, or null if not an IP address
+ */
+function parseIp(ip) {
+  const value = String(ip || '').trim().replace(/^\[|\]$/g, '').split('%')[0];
+
+  if (net.isIPv4(value)) {
+    return Buffer.from(value.split('.').map(Number));
+  }
+  if (!net.isIPv6(value)) {
+    return null;
+  }
+
+  // An embedded IPv4 tail counts as two groups
+  let text = value;
+  const ipv4Tail = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (ipv4Tail) {
+    const [a, b, c, d] = ipv4Tail[1].split('.').map(Number);
+    text = text.slice(0, -ipv4Tail[1].length) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const groups = text.includes('::')
+    ? [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups]
+    : headGroups;
+
+  const bytes = Buffer.alloc(16);
+  groups.forEach((group, index) => bytes.writeUInt16BE(parseInt(group, 16), index * 2));
+
+  const isMappedIpv4 = bytes.subarray(0, 10).every(byte => byte === 0) && bytes.readUInt16BE(10) === 0xffff;
+  return isMappedIpv4 ? Buffer.from(bytes.subarray(12)) : bytes;
+}
+
+/**
+ * Split a database file into its IPv4 and IPv6 range tables
+ * @param {Buffer} buffer - Uncompressed database file
+ * @returns {object} { 4: { records, count }, 16: { records, count } }
+ * @throws {Error} If the buffer is not a GeoIP country database
+ */
+function parseDatabase(buffer) {
+  if (buffer.length < GEOIP_HEADER_SIZE || buffer.toString('ascii', 0, 4) !== GEOIP_MAGIC || buffer.readUInt8(4) !== GEOIP_VERSION) {
+    throw new Error('Not a GeoIP country database');
+  }
+  const ipv4Count = buffer.readUInt32BE(8);
+  const ipv6Count = buffer.readUInt32BE(12);
+  const ipv6Offset = GEOIP_HEADER_SIZE + ipv4Count * GEOIP_RECORD_SIZE[4];
+  return {
+    4: { records: buffer.subarray(GEOIP_HEADER_SIZE, ipv6Offset), count: ipv4Count },
+    16: { records: buffer.subarray(ipv6Offset, ipv6Offset + ipv6Count * GEOIP_RECORD_SIZE[16]), count: ipv6Count }
+  };
+}
+
+/**
+ * Load the database once without blocking the event loop; a missing or invalid file disables lookups
+ * @returns {Promise<object|null>} { 4: { records, count }, 16: { records, count } } or null
+ */
+function loadDatabase() {
+  if (!loading) {
+    loading = (async () => {
+      try {
+        let buffer = await fs.promises.readFile(GEOIP_DATABASE_PATH);
+        if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+          buffer = await gunzip(buffer);
+        }
+        database = parseDatabase(buffer);
+        logger.info(`GeoIP database loaded (${database[4].count} IPv4 and ${database[16].count} IPv6 ranges)`, { module: 'GeoIP', label: 'LOAD' });
+      } catch (error) {
+        logger.warn(`GeoIP country lookup disabled: ${error.message}`, { module: 'GeoIP', label: 'LOAD' });
+      }
+      return database;
+    })();
+  }
+  return loading;
+}
+
+/**
+ * Look up the country of an IP address
+ * Starts loading the database if startup has not, and returns null until it is ready
+ * @param {string} ip - IPv4 or IPv6 address
+ * @returns {string|null} ISO 3166-1 alpha-2 country code, or null if unknown
+ */
+function lookupCountry(ip) {
+  const address = parseIp(ip);
+  if (!address) {
+    return null;
+  }
+  const db = database;
+  if (!db) {
+    loadDatabase();
+    return null;
+  }
+
+  const size = address.length;
+  const { records, count } = db[size];
+  const recordSize = GEOIP_RECORD_SIZE[size];
+
+  // Last range starting at or before the address
+  let low = 0;
+  let high = count - 1;
+  let found = -1;
+  while (low <= high) {
+    const mid = (low + high) >>> 1;
+    const start = records.subarray(mid * recordSize, mid * recordSize + size);
+    if (Buffer.compare(start, address) <= 0) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  if (found < 0) {
+    return null;
+  }
+
+  const offset = found * recordSize;
+  const end = records.subarray(offset + size, offset + size * 2);
+  if (Buffer.compare(address, end) > 0) {
+    return null;
+  }
+  return records.toString('ascii', offset + size * 2, offset + size * 2 + 2);
+}
+
+module.exports = {
+  GEOIP_MAGIC,
+  GEOIP_VERSION,
+  GEOIP_HEADER_SIZE,
+  GEOIP_RECORD_SIZE,
+  GEOIP_ATTRIBUTION,
+  parseIp,
+  loadDatabase,
+  lookupCountry
+};
@@ -0,0 +1,332 @@
+/**
+ * Account Deletion
+ * /settings/delete-account moves the account to the trash: it is deactivated, signed out
+ * everywhere and scheduled for purging after ACCOUNT_DELETION_GRACE_DAYS. Until then the user
+ * can cancel with the link that was emailed or texted to them. The purge job then removes the
+ * user's PII, uploaded media, group links and sign-in methods. The user row stays behind as an
+ * anonymous placeholder so activity_log entries (stripped of IP addresses, user agents and
+ * metadata) keep pointing at one account. Protected users are never purged
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { prisma, Prisma } = require('../db/prisma');
+const logger = require('../logger/logger');
+const { createActivityLog } = require('../activity/activityLog');
+const { signToken, verifyToken } = require('./keystore');
+const { requestContext } = require('./login_lockout');
+const { signOutUserEverywhere } = require('./session_registry');
+const { deleteUserFiles, deleteFromGoogleStorage } = require('../storage/storage');
+const { sendAccountDeletionEmail } = require('../email/email');
+const { sendSMS } = require('../sms/sms');
+const { UserStatusAuthEnum, InvitationStatusEnum } = require('../enum/enum');
+
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '30', 10);
+const ACCOUNT_DELETION_CANCEL_URL = process.env.ACCOUNT_DELETION_CANCEL_URL || 'http://localhost:8900/cancel-deletion';
+const ACCOUNT_PURGE_INTERVAL_MINUTES = parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES || '60', 10);
+
+const PURGE_BATCH_SIZE = 50;
+// Replaces the message of every activity log entry of a purged account
+const PURGED_LOG_MESSAGE = 'Redacted: account purged';
+
+/**
+ * Build an error carrying an error map key so routes can respond with ERROR.fromMap
+ * @param {string} errorKey - Error key from ERRORS map
+ * @param {string} message - Error message
+ * @returns {Error} Error with errorKey set
+ */
+function accountDeletionError(errorKey, message) {
+  const error = new Error(message);
+  error.errorKey = errorKey;
+  return error;
+}
+
+/**
+ * Send the deletion notice with its cancel link by email, or by SMS for phone-only accounts
+ * The link is bound to this deletion request, so it cannot cancel a later one
+ * @param {object} user - User record after scheduling
+ * @returns {Promise<boolean>} True if the notice was sent
+ */
+async function sendDeletionNotice(user) {
+  const token = signToken({
+    sub: String(user.user_id),
+    req: user.deletion_requested_at.getTime(),
+    jti: uuidv4(),
+    type: 'account_deletion',
+    aud: 'account_deletion'
+  }, { expiresIn: Math.max(Math.floor((user.purge_scheduled_at.getTime() - Date.now()) / 1000), 1) });
+  const link = `${ACCOUNT_DELETION_CANCEL_URL}?token=${encodeURIComponent(token)}`;
+  const date = user.purge_scheduled_at.toUTCString();
+
+  if (user.email) {
+    return sendAccountDeletionEmail(user.email, date, link);
+  }
+  const phone = user.phone_number && user.phone_number.phone;
+  if (!phone) {
+    return false;
+  }
+  const result = await sendSMS(phone, `Your account will be deleted on ${date}. Changed your mind? ${link}`);
+  return Boolean(result && result.success);
+}
+
+/**
+ * Trash an account and schedule its purge
+ * @param {object} user - User record
+ * @param {object} request - Express request (for the audit entry)
+ * @returns {Promise<object>} { purge_scheduled_at, notified }
+ * @throws {Error} errorKey ACCOUNT_DELETION_PROTECTED
+ */
+async function requestAccountDeletion(user, request = null) {
+  if (user.is_protected) {
+    throw accountDeletionError('ACCOUNT_DELETION_PROTECTED', 'Protected accounts cannot be deleted');
+  }
+
+  const requestedAt = new Date();
+  const scheduled = await prisma.user.update({
+    where: { user_id: user.user_id },
+    data: {
+      is_trashed: true,
+      is_active: false,
+      status: UserStatusAuthEnum.DELETED,
+      deletion_requested_at: requestedAt,
+      purge_scheduled_at: new Date(requestedAt.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000)
+    }
+  });
+
+  const sessionsRevoked = await signOutUserEverywhere(user.user_id);
+
+  let notified = false;
+  try {
+    notified = await sendDeletionNotice(scheduled);
+  } catch (error) {
+    logger.warn(`Account deletion notice not sent: ${error.message}`, { module: 'Auth', label: 'ACCOUNT_DELETION' });
+  }
+
+  await createActivityLog({
+    module: 'authentication',
+    ...requestContext(request),
+    user_id: user.user_id,
+    level: 'audit',
+    message: 'Account deletion requested',
+    action: 'account_deletion_requested',
+    status_code: 200,
+    session_id: request?.user?.session_id || null,
+    metadata: {
+      purge_scheduled_at: scheduled.purge_scheduled_at.toISOString(),
+      sessions_revoked: sessionsRevoked,
+      notified
+    }
+  });
+
+  return { purge_scheduled_at: scheduled.purge_scheduled_at, notified };
+}
+
+/**
+ * Cancel a pending deletion with the link from the deletion notice
+ * The account is restored as active; the user signs in again as usual
+ * @param {string} token - Token from the cancel link
+ * @param {object} request - Express request
+ * @returns {Promise<object>} { user_id }
+ * @throws {Error} errorKey ACCOUNT_DELETION_LINK_INVALID or ACCOUNT_DELETION_NOT_PENDING
+ */
+async function cancelAccountDeletion(token, request) {
+  let payload;
+  try {
+    payload = verifyToken(token, { audience: 'account_deletion' });
+  } catch (error) {
+    throw accountDeletionError('ACCOUNT_DELETION_LINK_INVALID', error.name === 'TokenExpiredError' ? 'Cancel link has expired' : 'Invalid cancel link');
+  }
+  if (payload.type !== 'account_deletion' || !payload.sub || !payload.req) {
+    throw accountDeletionError('ACCOUNT_DELETION_LINK_INVALID', 'Invalid cancel link');
+  }
+
+  // Matching the request time makes the link useless once this deletion is cancelled or replaced
+  const { count } = await prisma.user.updateMany({
+    where: {
+      user_id: payload.sub,
+      is_trashed: true,
+      purged_at: null,
+      // A duplicate merged into another account stays deactivated
+      merged_into_user_id: null,
+      deletion_requested_at: new Date(payload.req),
+      purge_scheduled_at: { gt: new Date() }
+    },
+    data: {
+      is_trashed: false,
+      is_active: true,
+      status: UserStatusAuthEnum.ACTIVE,
+      deletion_requested_at: null,
+      purge_scheduled_at: null
+    }
+  });
+  if (count === 0) {
+    throw accountDeletionError('ACCOUNT_DELETION_NOT_PENDING', 'No pending deletion for this link');
+  }
+
+  await createActivityLog({
+    module: 'authentication',
+    ...requestContext(request),
+    user_id: payload.sub,
+    level: 'audit',
+    message: 'Account deletion cancelled',
+    action: 'account_deletion_cancelled',
+    status_code: 200
+  });
+
+  return { user_id: payload.sub };
+}
+
+/**
+ * Remove a trashed account's PII and everything linked to it
+ * Files are deleted first; if that fails the account is left untouched for the next run
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True if the account was purged
+ */
+async function purgeAccount(userId) {
+  // Without a bucket nothing can have been uploaded
+  if (process.env.GOOGLE_STORAGE_BUCKET_NAME) {
+    await deleteUserFiles(userId);
+    const exportsWithFiles = await prisma.dataExport.findMany({
+      where: { user_id: userId, object_path: { not: null } },
+      select: { object_path: true }
+    });
+    for (const { object_path: objectPath } of exportsWithFiles) {
+      const slash = objectPath.lastIndexOf('/');
+      if (!await deleteFromGoogleStorage(objectPath.slice(0, slash), objectPath.slice(slash + 1))) {
+        throw new Error(`Data export file ${objectPath} could not be deleted`);
+      }
+    }
+  }
+
+  const now = new Date();
+  const purged = await prisma.$transaction(async (tx) => {
+    // Re-checked inside the transaction so a cancelled or protected account is never touched
+    const { count } = await tx.user.updateMany({
+      where: {
+        user_id: userId,
+        is_trashed: true,
+        purged_at: null,
+        is_protected: { not: true },
+        purge_scheduled_at: { lte: now }
+      },
+      data: {
+        first_name: null,
+        last_name: null,
+        country: null,
+        gender: null,
+        dob: null,
+        email: null,
+        profile_picture_url: null,
+        phone_number: Prisma.DbNull,
+        password: crypto.randomBytes(32).toString('hex'),
+        is_email_verified: false,
+        is_phone_verified: false,
+        email_verified_at: null,
+        phone_number_verified_at: null,
+        last_sign_in_at: null,
+        mfa_enabled: false,
+        bio: null,
+        user_name: null,
+        timezone: null,
+        invited_by_user_id: null,
+        is_active: false,
+        status: UserStatusAuthEnum.DELETED,
+        purged_at: now
+      }
+    });
+    if (count === 0) {
+      return false;
+    }
+
+    await tx.userGroup.deleteMany({ where: { user_id: userId } });
+    await tx.oAuthIdentity.deleteMany({ where: { user_id: userId } });
+    await tx.userMfa.deleteMany({ where: { user_id: userId } });
+    await tx.mfaRecoveryCode.deleteMany({ where: { user_id: userId } });
+    await tx.passkeyCredential.deleteMany({ where: { user_id: userId } });
+    await tx.userSession.deleteMany({ where: { user_id: userId } });
+    await tx.apiKey.deleteMany({ where: { user_id: userId } });
+    await tx.passwordHistory.deleteMany({ where: { user_id: userId } });
+    await tx.loginSource.deleteMany({ where: { user_id: userId } });
+    await tx.dataExport.deleteMany({ where: { user_id: userId } });
+    await tx.invitation.updateMany({
+      where: { invited_by_user_id: userId, status: InvitationStatusEnum.PENDING },
+      data: { status: InvitationStatusEnum.REVOKED, revoked_at: now }
+    });
+    // Messages and endpoints can name the user (e.g. "Break-glass code used for <email>"); action is kept
+    await tx.activityLog.updateMany({
+      where: { user_id: userId },
+      data: {
+        message: PURGED_LOG_MESSAGE,
+        endpoint: null,
+        ip_address: null,
+        user_agent: null,
+        metadata: Prisma.DbNull,
+        error_details: Prisma.DbNull
+      }
+    });
+    return true;
+  });
+
+  if (purged) {
+    await createActivityLog({
+      module: 'authentication',
+      user_id: userId,
+      level: 'audit',
+      message: 'Deleted account purged',
+      action: 'account_purged',
+      status_code: 200
+    });
+  }
+  return purged;
+}
+
+/**
+ * Background job: purge trashed accounts whose cancel window has passed
+ * @returns {Promise<object>} { purged, skipped }
+ */
+async function purgeDeletedAccounts() {
+  // Accounts that could not be purged are retried on the next run
+  const skipped = [];
+  let purged = 0;
+
+  for (;;) {
+    const due = await prisma.user.findMany({
+      where: {
+        is_trashed: true,
+        purged_at: null,
+        is_protected: { not: true },
+        purge_scheduled_at: { lte: new Date() },
+        user_id: { notIn: skipped }
+      },
+      select: { user_id: true },
+      take: PURGE_BATCH_SIZE
+    });
+    if (due.length === 0) {
+      break;
+    }
+
+    for (const { user_id: userId } of due) {
+      try {
+        if (await purgeAccount(userId)) {
+          purged++;
+        } else {
+          skipped.push(userId);
+        }
+      } catch (error) {
+        logger.warn(`Keeping deleted account ${userId} for the next run: ${error.message}`, { module: 'Auth', label: 'ACCOUNT_PURGE' });
+        skipped.push(userId);
+      }
+    }
+  }
+
+  return { purged, skipped: skipped.length };
+}
+
+module.exports = {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  ACCOUNT_PURGE_INTERVAL_MINUTES,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  purgeAccount,
+  purgeDeletedAccounts
+};
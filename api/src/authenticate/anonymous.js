@@ -0,0 +1,390 @@
+/**
+ * Anonymous Guest Accounts
+ * /auth/anonymous creates a throwaway user in the restricted guest group so the app can be
+ * used before signing up. Upgrading attaches a verified email, phone number or OAuth identity
+ * to the same user_id, so activity and uploads stay with the account. Guests that are never
+ * upgraded are purged by a background job once they have been idle for ANONYMOUS_GUEST_TTL_DAYS
+ */
+
+const crypto = require('crypto');
+const { prisma } = require('../db/prisma');
+const cache = require('../cache/cache');
+const logger = require('../logger/logger');
+const { getUserById, getUserByEmailOrPhone, createUserInDb, hashPassword, updateLastSignIn } = require('./checkpoint');
+const { assignGroupsToUser } = require('../permissions/permissions');
+const { revokeAllUserSessions } = require('./session_registry');
+const { verifyOtpThrottled } = require('./otp_throttle');
+const { deleteOtp } = require('./otp_cache');
+const { checkPasswordPolicy } = require('./password_policy');
+const { createAuthorizationRequest, isEmailVerified } = require('./oauth');
+const { deleteUserFiles } = require('../storage/storage');
+const { AuthTypeEnum, ProfileAccessibilityEnum, ThemeEnum, UserTypeEnum, LanguageStatusEnum, UserStatusAuthEnum } = require('../enum/enum');
+
+const ANONYMOUS_AUTH_ENABLED = process.env.ANONYMOUS_AUTH_ENABLED !== 'false';
+// Guest accounts one IP address may create per hour (0 = unlimited)
+const ANONYMOUS_MAX_PER_IP_PER_HOUR = parseInt(process.env.ANONYMOUS_MAX_PER_IP_PER_HOUR || '10', 10);
+const ANONYMOUS_GUEST_TTL_DAYS = parseInt(process.env.ANONYMOUS_GUEST_TTL_DAYS || '30', 10);
+const ANONYMOUS_CLEANUP_INTERVAL_MINUTES = parseInt(process.env.ANONYMOUS_CLEANUP_INTERVAL_MINUTES || '60', 10);
+
+const GUEST_GROUP = 'guest';
+// Groups an upgraded guest gets - the same as a self-signup
+const UPGRADED_GROUPS = ['user'];
+const PURGE_BATCH_SIZE = 100;
+
+/**
+ * Build an error carrying an error map key so routes can respond with ERROR.fromMap
+ * @param {string} errorKey - Error key from ERRORS map
+ * @param {string} message - Error message
+ * @returns {Error} Error with errorKey set
+ */
+function anonymousError(errorKey, message) {
+  const error = new Error(message);
+  error.errorKey = errorKey;
+  return error;
+}
+
+/**
+ * Count a guest account creation for the client IP in the current one-hour window
+ * @param {string} ip - Client IP address
+ * @returns {Promise<object|null>} { errorKey, retry_after } if over the limit, otherwise null
+ */
+async function registerGuestCreation(ip) {
+  if (!ip || ANONYMOUS_MAX_PER_IP_PER_HOUR <= 0) {
+    return null;
+  }
+  const windowSeconds = 3600;
+  const now = Math.floor(Date.now() / 1000);
+  const window = Math.floor(now / windowSeconds);
+  const count = await cache.incr(`anonymous_signup:${ip}:${window}`, windowSeconds);
+  if (count !== null && count > ANONYMOUS_MAX_PER_IP_PER_HOUR) {
+    return { errorKey: 'AUTH_ANONYMOUS_RATE_LIMITED', retry_after: (window + 1) * windowSeconds - now };
+  }
+  return null;
+}
+
+/**
+ * Create a guest user in the guest group
+ * @param {object} request - Express request (client IP)
+ * @returns {Promise<object>} { user }, or { errorKey } (with retry_after when rate limited)
+ */
+async function createGuestUser(request) {
+  if (!ANONYMOUS_AUTH_ENABLED) {
+    return { errorKey: 'AUTH_ANONYMOUS_DISABLED' };
+  }
+
+  const throttle = await registerGuestCreation(request ? request.ip : null);
+  if (throttle) {
+    return throttle;
+  }
+
+  const userId = await createUserInDb({
+    // Password column is required - guests get an unusable random one
+    password: crypto.randomBytes(32).toString('hex'),
+    auth_type: AuthTypeEnum.anonymous,
+    is_email_verified: false,
+    is_phone_verified: false,
+    profile_accessibility: ProfileAccessibilityEnum.private,
+    theme: ThemeEnum.light,
+    user_type: UserTypeEnum.customer,
+    language: LanguageStatusEnum.en,
+    status: UserStatusAuthEnum.ACTIVE
+  });
+  if (!userId) {
+    return { errorKey: 'AUTH_SIGNUP_FAILED' };
+  }
+
+  try {
+    await assignGroupsToUser(userId, [GUEST_GROUP], null);
+  } catch (error) {
+    // A user without groups has no permissions at all - don't leave it behind
+    logger.error(`Failed to assign the ${GUEST_GROUP} group (is it seeded?): ${error.message}`, { module: 'Auth', label: 'ANONYMOUS' });
+    await prisma.user.delete({ where: { user_id: userId } }).catch(() => null);
+    return { errorKey: 'AUTH_SIGNUP_FAILED' };
+  }
+
+  await updateLastSignIn(userId);
+  return { user: await getUserById(userId) };
+}
+
+/**
+ * Load a user that may be upgraded
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} { user } or { errorKey }
+ */
+async function getGuestUser(userId) {
+  const user = await getUserById(userId);
+  if (!user) {
+    return { errorKey: 'USER_NOT_FOUND' };
+  }
+  if (user.auth_type !== AuthTypeEnum.anonymous) {
+    return { errorKey: 'AUTH_NOT_ANONYMOUS' };
+  }
+  return { user };
+}
+
+/**
+ * Pick a user name for an upgraded guest, or null if the preferred one is taken
+ * @param {string} preferred - Preferred user name
+ * @returns {Promise<string|null>} User name or null
+ */
+async function availableUserName(preferred) {
+  if (!preferred) {
+    return null;
+  }
+  const taken = await prisma.user.findFirst({ where: { user_name: preferred }, select: { user_id: true } });
+  return taken ? null : preferred;
+}
+
+/**
+ * Move an upgraded guest from the guest group to the regular groups and end its guest sessions,
+ * whose tokens still describe an anonymous user
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} Updated user record
+ */
+async function completeUpgrade(userId) {
+  await assignGroupsToUser(userId, UPGRADED_GROUPS, null);
+  await revokeAllUserSessions(userId);
+  logger.info(`Guest ${userId} upgraded to a regular account`, { module: 'Auth', label: 'ANONYMOUS_UPGRADE' });
+  return getUserById(userId);
+}
+
+/**
+ * Upgrade a guest with an email address or phone number proven by OTP
+ * @param {string} userId - Guest user ID
+ * @param {object} data - { user_id, channel, otp, password?, first_name?, last_name? }
+ * @param {object} request - Express request (client IP for OTP throttling)
+ * @returns {Promise<object>} { user }, or { errorKey } (with retry_after when throttled,
+ *   violations on a password policy violation)
+ */
+async function upgradeGuestWithIdentifier(userId, data, request) {
+  const guest = await getGuestUser(userId);
+  if (guest.errorKey) {
+    return guest;
+  }
+
+  const identifier = String(data.user_id).trim();
+  const isEmail = data.channel === 'email';
+  const email = isEmail ? identifier.toLowerCase() : null;
+  let phoneNumber = isEmail ? null : identifier;
+  if (data.channel === 'whatsapp' && phoneNumber.startsWith('+')) {
+    phoneNumber = phoneNumber.substring(1);
+  }
+
+  // Check the password before the OTP so a rejected password doesn't cost a code
+  if (data.password) {
+    const policy = await checkPasswordPolicy(data.password, {
+      ...guest.user,
+      email,
+      first_name: data.first_name || guest.user.first_name,
+      last_name: data.last_name || guest.user.last_name
+    });
+    if (!policy.valid) {
+      return { errorKey: 'PASSWORD_POLICY_VIOLATION', violations: policy.violations };
+    }
+  }
+
+  const result = await verifyOtpThrottled(identifier, data.otp, false, request);
+  if (!result.valid) {
+    return { errorKey: result.errorKey || 'AUTH_OTP_INVALID', retry_after: result.retry_after };
+  }
+
+  if (await getUserByEmailOrPhone(identifier)) {
+    return { errorKey: 'AUTH_USER_ALREADY_EXISTS' };
+  }
+
+  const update = {
+    auth_type: isEmail ? AuthTypeEnum.email : AuthTypeEnum.phone,
+    user_name: await availableUserName(isEmail ? email.split('@')[0] : phoneNumber.replace('+', ''))
+  };
+  if (isEmail) {
+    update.email = email;
+    update.is_email_verified = true;
+    update.email_verified_at = new Date();
+  } else {
+    update.phone_number = { phone: phoneNumber };
+    update.is_phone_verified = true;
+    update.phone_number_verified_at = new Date();
+  }
+  if (data.first_name) update.first_name = data.first_name;
+  if (data.last_name) update.last_name = data.last_name;
+  if (data.password) update.password = await hashPassword(data.password);
+
+  try {
+    // Only while still a guest - two upgrades racing must not both apply
+    const { count } = await prisma.user.updateMany({
+      where: { user_id: guest.user.user_id, auth_type: AuthTypeEnum.anonymous },
+      data: update
+    });
+    if (count === 0) {
+      return { errorKey: 'AUTH_NOT_ANONYMOUS' };
+    }
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return { errorKey: 'AUTH_USER_ALREADY_EXISTS' };
+    }
+    throw error;
+  }
+
+  await deleteOtp(identifier);
+  return { user: await completeUpgrade(guest.user.user_id) };
+}
+
+/**
+ * Start an OAuth flow whose callback attaches the provider identity to the guest
+ * @param {string} userId - Guest user ID
+ * @param {string} provider - Provider name
+ * @param {string} origin - Origin that started the flow (tokens are bound to it)
+ * @returns {Promise<object>} { authorization_url, state }
+ * @throws {Error} errorKey AUTH_NOT_ANONYMOUS, USER_NOT_FOUND or AUTH_OAUTH_PROVIDER_UNSUPPORTED
+ */
+async function startGuestOAuthUpgrade(userId, provider, origin = null) {
+  const guest = await getGuestUser(userId);
+  if (guest.errorKey) {
+    throw anonymousError(guest.errorKey, `User ${userId} cannot be upgraded`);
+  }
+  return createAuthorizationRequest(provider, origin, String(guest.user.user_id));
+}
+
+/**
+ * Upgrade a guest with a verified OAuth identity (called from the OAuth callback)
+ * @param {string} userId - Guest user ID stored with the OAuth state
+ * @param {string} provider - Provider name
+ * @param {object} claims - Verified ID token claims
+ * @param {object} profile - Extra profile data (Apple sends name only on first consent)
+ * @returns {Promise<object>} { user, created: false, linked: true }
+ * @throws {Error} errorKey AUTH_NOT_ANONYMOUS, AUTH_USER_ALREADY_EXISTS or AUTH_OAUTH_EMAIL_UNVERIFIED
+ */
+async function upgradeGuestWithOAuth(userId, provider, claims, profile = {}) {
+  const guest = await getGuestUser(userId);
+  if (guest.errorKey) {
+    throw anonymousError(guest.errorKey, `User ${userId} cannot be upgraded`);
+  }
+
+  const providerUserId = String(claims.sub);
+  const identity = await prisma.oAuthIdentity.findUnique({
+    where: {
+      provider_provider_user_id: {
+        provider,
+        provider_user_id: providerUserId
+      }
+    }
+  });
+  if (identity) {
+    throw anonymousError('AUTH_USER_ALREADY_EXISTS', `OAuth identity ${provider}:${providerUserId} already belongs to an account`);
+  }
+
+  const email = claims.email ? String(claims.email).trim().toLowerCase() : null;
+  if (!email || !isEmailVerified(claims)) {
+    throw anonymousError('AUTH_OAUTH_EMAIL_UNVERIFIED', `Provider ${provider} did not return a verified email`);
+  }
+  if (await getUserByEmailOrPhone(email)) {
+    throw anonymousError('AUTH_USER_ALREADY_EXISTS', 'The provider email already belongs to an account');
+  }
+
+  const update = {
+    email,
+    auth_type: provider,
+    user_name: await availableUserName(email.split('@')[0]),
+    is_email_verified: true,
+    email_verified_at: new Date()
+  };
+  const firstName = profile.first_name || claims.given_name;
+  const lastName = profile.last_name || claims.family_name;
+  if (firstName) update.first_name = firstName;
+  if (lastName) update.last_name = lastName;
+
+  try {
+    await prisma.$transaction(async (tx) => {
+      const { count } = await tx.user.updateMany({
+        where: { user_id: guest.user.user_id, auth_type: AuthTypeEnum.anonymous },
+        data: update
+      });
+      if (count === 0) {
+        throw anonymousError('AUTH_NOT_ANONYMOUS', `User ${userId} is no longer a guest`);
+      }
+      await tx.oAuthIdentity.create({
+        data: {
+          user_id: guest.user.user_id,
+          provider,
+          provider_user_id: providerUserId,
+          email,
+          last_used_at: new Date()
+        }
+      });
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      throw anonymousError('AUTH_USER_ALREADY_EXISTS', 'The provider email or identity already belongs to an account');
+    }
+    throw error;
+  }
+
+  return { user: await completeUpgrade(guest.user.user_id), created: false, linked: true };
+}
+
+/**
+ * Delete guests that were never upgraded and have not been seen for ANONYMOUS_GUEST_TTL_DAYS,
+ * together with their uploaded files. Activity log rows are kept without a user
+ * @returns {Promise<object>} { purged, skipped }
+ */
+async function purgeStaleGuests() {
+  const cutoff = new Date(Date.now() - ANONYMOUS_GUEST_TTL_DAYS * 24 * 60 * 60 * 1000);
+  // Guests whose files could not be removed are kept and retried on the next run
+  const skipped = [];
+  let purged = 0;
+
+  for (;;) {
+    const guests = await prisma.user.findMany({
+      where: {
+        auth_type: AuthTypeEnum.anonymous,
+        is_protected: { not: true },
+        created_at: { lt: cutoff },
+        sessions: { none: { last_seen_at: { gte: cutoff } } },
+        user_id: { notIn: skipped }
+      },
+      select: { user_id: true },
+      take: PURGE_BATCH_SIZE
+    });
+    if (guests.length === 0) {
+      break;
+    }
+
+    const userIds = [];
+    for (const { user_id: userId } of guests) {
+      try {
+        // Without a bucket nothing can have been uploaded
+        if (process.env.GOOGLE_STORAGE_BUCKET_NAME) {
+          await deleteUserFiles(userId);
+        }
+        userIds.push(userId);
+      } catch (error) {
+        logger.warn(`Keeping stale guest ${userId}, its files could not be deleted: ${error.message}`, { module: 'Auth', label: 'ANONYMOUS_PURGE' });
+        skipped.push(userId);
+      }
+    }
+
+    if (userIds.length > 0) {
+      const { count } = await prisma.user.deleteMany({
+        where: { user_id: { in: userIds }, auth_type: AuthTypeEnum.anonymous }
+      });
+      purged += count;
+    }
+    if (guests.length < PURGE_BATCH_SIZE) {
+      break;
+    }
+  }
+
+  if (purged > 0) {
+    logger.info(`Purged ${purged} stale guest account(s)`, { module: 'Auth', label: 'ANONYMOUS_PURGE' });
+  }
+  return { purged, skipped: skipped.length };
+}
+
+module.exports = {
+  ANONYMOUS_CLEANUP_INTERVAL_MINUTES,
+  createGuestUser,
+  upgradeGuestWithIdentifier,
+  startGuestOAuthUpgrade,
+  upgradeGuestWithOAuth,
+  purgeStaleGuests
+};
@@ -0,0 +1,245 @@
+/**
+ * API Keys
+ * Personal access tokens for scripts and integrations. Each key is limited to a subset of the
+ * owner's permission codenames (scopes); only a SHA-256 hash of the key is stored, so the
+ * plaintext is shown once at creation
+ */
+
+const crypto = require('crypto');
+const { prisma } = require('../db/prisma');
+const cache = require('../cache/cache');
+const logger = require('../logger/logger');
+const { getAllPermissions, getUserGroups, getUserPermissions } = require('../permissions/permissions');
+
+const API_KEY_PREFIX = 'ak';
+const API_KEY_MAX_PER_USER = parseInt(process.env.API_KEY_MAX_PER_USER || '25', 10);
+// last_used_at is written at most once per interval per key
+const API_KEY_TOUCH_INTERVAL = parseInt(process.env.API_KEY_TOUCH_INTERVAL_SECONDS || '60', 10);
+
+// ak_<8 hex public id>_<43 char base64url secret>
+const API_KEY_PATTERN = /^ak_[0-9a-f]{8}_[A-Za-z0-9_-]{43}$/;
+
+const API_KEY_PUBLIC_FIELDS = {
+  api_key_id: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  expires_at: true,
+  last_used_at: true,
+  last_used_ip: true,
+  created_at: true
+};
+
+/**
+ * Build an error carrying an error map key so routes can respond with ERROR.fromMap
+ * @param {string} errorKey - Error key from ERRORS map
+ * @param {string} message - Error message
+ * @returns {Error} Error with errorKey set
+ */
+function apiKeyError(errorKey, message) {
+  const error = new Error(message);
+  error.errorKey = errorKey;
+  return error;
+}
+
+/**
+ * Hash an API key for storage and lookup
+ * Keys carry 256 bits of randomness, so a plain SHA-256 is sufficient (no salt or slow hash)
+ * @param {string} key - Plaintext API key
+ * @returns {string} Hex digest
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Generate a new plaintext API key
+ * @returns {object} { key, prefix }
+ */
+function generateApiKey() {
+  const prefix = `${API_KEY_PREFIX}_${crypto.randomBytes(4).toString('hex')}`;
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { key: `${prefix}_${secret}`, prefix };
+}
+
+/**
+ * Check whether an API key is past its expiry
+ * @param {object} apiKey - ApiKey record
+ * @returns {boolean} True if expired
+ */
+function isApiKeyExpired(apiKey) {
+  return Boolean(apiKey.expires_at) && new Date(apiKey.expires_at) <= new Date();
+}
+
+/**
+ * Format an ApiKey record for responses
+ * @param {object} apiKey - ApiKey record (public fields)
+ * @returns {object} API key with is_expired flag
+ */
+function formatApiKey(apiKey) {
+  return {
+    ...apiKey,
+    scopes: Array.isArray(apiKey.scopes) ? apiKey.scopes : [],
+    is_expired: isApiKeyExpired(apiKey)
+  };
+}
+
+/**
+ * Permission codenames a user may grant to their keys
+ * Super admins hold every permission through the superuser bypass, so they may grant any of them
+ * @param {string} userId - User ID
+ * @returns {Promise<Set<string>>} Grantable permission codenames
+ */
+async function getGrantableScopes(userId) {
+  const groups = await getUserGroups(userId);
+  const permissions = groups.some(g => g.codename === 'super_admin')
+    ? await getAllPermissions()
+    : await getUserPermissions(userId);
+  return new Set(permissions.map(p => p.codename));
+}
+
+/**
+ * Create an API key
+ * @param {string} userId - Owner user ID
+ * @param {object} data - { name, scopes, expires_at }
+ * @returns {Promise<object>} { api_key, key } - key is the plaintext, only returned here
+ */
+async function createApiKey(userId, { name, scopes, expires_at = null }) {
+  const grantable = await getGrantableScopes(userId);
+  const invalidScopes = scopes.filter(scope => !grantable.has(scope));
+  if (invalidScopes.length > 0) {
+    throw apiKeyError('AUTH_API_KEY_SCOPE_INVALID', `Scopes not granted to this user: ${invalidScopes.join(', ')}`);
+  }
+
+  const activeCount = await prisma.apiKey.count({
+    where: {
+      user_id: userId,
+      revoked_at: null,
+      OR: [{ expires_at: null }, { expires_at: { gt: new Date() } }]
+    }
+  });
+  if (activeCount >= API_KEY_MAX_PER_USER) {
+    throw apiKeyError('AUTH_API_KEY_LIMIT_REACHED', `A user can have at most ${API_KEY_MAX_PER_USER} active API keys`);
+  }
+
+  const { key, prefix } = generateApiKey();
+  const apiKey = await prisma.apiKey.create({
+    data: {
+      user_id: userId,
+      name,
+      prefix,
+      key_hash: hashApiKey(key),
+      scopes: [...new Set(scopes)],
+      expires_at: expires_at ? new Date(expires_at) : null
+    },
+    select: API_KEY_PUBLIC_FIELDS
+  });
+
+  logger.info(`API key ${apiKey.api_key_id} created for user ${userId}`, { module: 'ApiKeys', label: 'CREATE' });
+
+  return { api_key: formatApiKey(apiKey), key };
+}
+
+/**
+ * List a user's API keys that have not been revoked (expired keys included)
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} API keys, newest first
+ */
+async function listApiKeys(userId) {
+  const apiKeys = await prisma.apiKey.findMany({
+    where: { user_id: userId, revoked_at: null },
+    orderBy: { created_at: 'desc' },
+    select: API_KEY_PUBLIC_FIELDS
+  });
+
+  return apiKeys.map(formatApiKey);
+}
+
+/**
+ * Revoke one of the user's API keys
+ * @param {string} userId - User ID
+ * @param {string} apiKeyId - API key ID
+ * @returns {Promise<object>} { api_key_id, revoked_at }
+ */
+async function revokeApiKey(userId, apiKeyId) {
+  const revokedAt = new Date();
+  const result = await prisma.apiKey.updateMany({
+    where: { api_key_id: apiKeyId, user_id: userId, revoked_at: null },
+    data: { revoked_at: revokedAt }
+  });
+
+  if (result.count === 0) {
+    throw apiKeyError('AUTH_API_KEY_NOT_FOUND', 'API key not found');
+  }
+
+  logger.info(`API key ${apiKeyId} revoked by user ${userId}`, { module: 'ApiKeys', label: 'REVOKE' });
+
+  return { api_key_id: apiKeyId, revoked_at: revokedAt };
+}
+
+/**
+ * Record key usage (throttled via cache, never blocks the request)
+ * @param {string} apiKeyId - API key ID
+ * @param {string} ipAddress - Client IP
+ * @returns {Promise<void>}
+ */
+async function touchApiKey(apiKeyId, ipAddress) {
+  try {
+    const touchKey = `api_key_seen:${apiKeyId}`;
+    if (await cache.get(touchKey)) {
+      return;
+    }
+    await cache.set(touchKey, '1', API_KEY_TOUCH_INTERVAL);
+
+    await prisma.apiKey.update({
+      where: { api_key_id: apiKeyId },
+      data: {
+        last_used_at: new Date(),
+        last_used_ip: ipAddress ? String(ipAddress).slice(0, 45) : null
+      }
+    });
+  } catch (error) {
+    logger.warn('Error updating API key last used', { error: error.message, module: 'ApiKeys', label: 'TOUCH' });
+  }
+}
+
+/**
+ * Resolve a plaintext API key to its record and owner
+ * @param {string} key - Plaintext API key from the X-API-Key header
+ * @param {string} ipAddress - Client IP (recorded as last_used_ip)
+ * @returns {Promise<object>} ApiKey record with scopes and user
+ * @throws {Error} AUTH_API_KEY_INVALID or AUTH_API_KEY_EXPIRED
+ */
+async function authenticateApiKey(key, ipAddress = null) {
+  if (!key || !API_KEY_PATTERN.test(key)) {
+    throw apiKeyError('AUTH_API_KEY_INVALID', 'Malformed API key');
+  }
+
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { key_hash: hashApiKey(key) },
+    include: { user: true }
+  });
+
+  if (!apiKey || apiKey.revoked_at) {
+    throw apiKeyError('AUTH_API_KEY_INVALID', 'API key not found or revoked');
+  }
+  if (isApiKeyExpired(apiKey)) {
+    throw apiKeyError('AUTH_API_KEY_EXPIRED', 'API key has expired');
+  }
+
+  touchApiKey(apiKey.api_key_id, ipAddress);
+
+  return {
+    ...apiKey,
+    scopes: Array.isArray(apiKey.scopes) ? apiKey.scopes : []
+  };
+}
+
+module.exports = {
+  API_KEY_MAX_PER_USER,
+  hashApiKey,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  authenticateApiKey
+};
@@ -3,7 +3,6 @@
  * Token validation, extraction, and user authentication
  */
 
-const jwt = require('jsonwebtoken');
 const logger = require('../logger/logger');
 const {
   isTokenBlacklisted,
@@ -12,11 +11,16 @@ const {
   isAccessTokenBlacklistedByJti,
   isUserRefreshTokenRevoked
 } = require('./session_manager');
+const { touchSession } = require('./session_registry');
+const { authenticateApiKey } = require('./api_keys');
+const { getActiveClient } = require('./oauth_clients');
+const { logImpersonatedRequest } = require('./impersonation');
+const { JWT_SIGNING_ALGORITHM, signToken, verifyToken } = require('./keystore');
 const url = require('url');
 
 // JWT Configuration - all configurable via .env
 const SECRET_KEY = process.env.JWT_SECRET_KEY || process.env.JWT_SECRET;
-const ALGORITHM = process.env.JWT_ALGORITHM || 'HS256';
+const ALGORITHM = JWT_SIGNING_ALGORITHM;
 
 /**
  * Extract token from multiple sources with priority (optimized for session_token)
@@ -112,6 +116,125 @@ function parseDatetime(dtStr) {
   }
 }
 
+/**
+ * Validate an X-API-Key header and build the request user from the key's owner
+ * API keys are not sessions: logout and session revocation do not affect them, only
+ * revoking the key, its expiry, or deactivating the user does
+ * @param {object} req - Express request object
+ * @param {string} key - Plaintext API key
+ * @returns {Promise<object>} User object with auth_method 'api_key' and api_key_scopes
+ */
+async function validateApiKeyUser(req, key) {
+  const apiKeyException = (errorKey, message) => {
+    const error = new Error(message);
+    error.statusCode = 401;
+    error.details = {
+      success: false,
+      error_key: errorKey,
+      message,
+      details: {
+        Reason: message,
+        'WWW-Authenticate': 'ApiKey',
+        Tips: [
+          'Send the full key returned when it was created in the X-API-Key header',
+          'Create a new key under /settings/api-keys if this one was revoked or expired'
+        ]
+      }
+    };
+    return error;
+  };
+
+  let apiKey;
+  try {
+    apiKey = await authenticateApiKey(key, req.ip);
+  } catch (error) {
+    if (error.errorKey) {
+      throw apiKeyException(error.errorKey, error.message);
+    }
+    throw error;
+  }
+
+  const user = apiKey.user;
+  if (!user || !user.is_active || user.is_trashed) {
+    throw apiKeyException('AUTH_API_KEY_INVALID', 'API key owner is inactive');
+  }
+
+  return {
+    // Primary key
+    user_id: user.user_id,
+    uid: user.user_id,
+    session_id: null,
+
+    // Basic user information
+    first_name: user.first_name,
+    last_name: user.last_name,
+    email: user.email,
+    phone_number: user.phone_number,
+    user_name: user.user_name,
+    user_type: user.user_type,
+
+    is_active: user.is_active,
+    is_verified: user.is_verified,
+    status: user.status,
+    is_protected: user.is_protected || false,
+    is_trashed: false,
+
+    // API key context - checkPermission limits the request to these scopes
+    auth_method: 'api_key',
+    api_key_id: apiKey.api_key_id,
+    api_key_scopes: apiKey.scopes
+  };
+}
+
+/**
+ * Build the request principal for a client_credentials access token
+ * The client must still be active; its permissions are the token scope narrowed to what
+ * the client is currently granted, so revoking a permission does not wait for token expiry
+ * @param {object} payload - Verified token payload (type 'client')
+ * @returns {Promise<object>} Principal with auth_method 'client' and client_permissions
+ */
+async function validateClientToken(payload) {
+  const client = await getActiveClient(payload.sub);
+  if (!client) {
+    const error = new Error('Client is unknown or disabled');
+    error.statusCode = 401;
+    error.details = {
+      success: false,
+      error_key: 'AUTH_CLIENT_INVALID',
+      message: 'Client is unknown or disabled',
+      details: {
+        Reason: 'Client is unknown or disabled',
+        'WWW-Authenticate': 'Bearer',
+        Tips: [
+          'Request a new token from /oauth/token',
+          'Ask an administrator whether the client was disabled'
+        ]
+      }
+    };
+    throw error;
+  }
+
+  const tokenScopes = (payload.scope || '').split(' ').filter(Boolean);
+
+  return {
+    // Clients are not users - user-scoped routes must not act on their behalf
+    user_id: null,
+    uid: null,
+    session_id: null,
+
+    auth_method: 'client',
+    client_id: client.client_id,
+    client_name: client.name,
+    client_permissions: tokenScopes.filter(scope => client.permissions.includes(scope)),
+
+    is_active: true,
+    is_verified: true,
+    is_user: false,
+    is_superuser: false,
+    is_admin: false
+  };
+}
+
 /**
  * Validate user token - optimized for session_token (preferred) and access_token
  * 
@@ -123,6 +246,7 @@ function parseDatetime(dtStr) {
  * 1. X-Session-Token header (preferred for client-side - fastest)
  * 2. Authorization Bearer header (standard OAuth2)
  * 3. access_token query parameter (backward compatibility)
+ * An X-API-Key header is checked before any of these (see validateApiKeyUser)
  * 
  * Security:
  * - All tokens are validated against blacklist (cache-based)
@@ -148,6 +272,12 @@ async function validateUser(req) {
     }
   };
 
+  // API keys (X-API-Key header) take precedence over bearer tokens
+  const apiKeyHeader = req.headers['x-api-key'];
+  if (apiKeyHeader) {
+    return validateApiKeyUser(req, String(apiKeyHeader).trim());
+  }
+
   // Extract token
   const token = extractToken(req);
 
@@ -163,15 +293,10 @@ async function validateUser(req) {
     // Decode token - try with audience first, fallback without if that fails
     let payload;
     try {
-      payload = jwt.verify(token, SECRET_KEY, { 
-        algorithms: [ALGORITHM],
-        audience: 'authenticated'
-      });
+      payload = verifyToken(token, { audience: 'authenticated' });
     } catch (audienceError) {
       // Fallback: try without audience if token wasn't created with audience
-      payload = jwt.verify(token, SECRET_KEY, { 
-        algorithms: [ALGORITHM]
-      });
+      payload = verifyToken(token);
     }
 
     const uid = payload.sub;
@@ -187,6 +312,11 @@ async function validateUser(req) {
     const sessionId = payload.session_id;
     const userId = payload.sub;
 
+    // Service-to-service tokens from the client_credentials grant
+    if (tokenType === 'client') {
+      return await validateClientToken(payload);
+    }
+
     // Validate token type - only accept access or session tokens for authentication
     if (tokenType !== 'access' && tokenType !== 'session') {
       const error = new Error(`Token type '${tokenType}' is not valid for authentication`);
@@ -272,7 +402,11 @@ async function validateUser(req) {
     }
 
     // 3. Check user blacklist last (least common, but still important)
-    if (userId && await isUserBlacklisted(userId)) {
+    // The user-wide flags below record the user's own logout and are only cleared by their next
+    // login. Impersonation sessions are minted independently of that and are recorded in the
+    // session registry, so a later logout still ends them through the session blacklist above
+    const isImpersonation = Boolean(payload.act);
+    if (userId && !isImpersonation && await isUserBlacklisted(userId)) {
       const error = new Error('All sessions for this user have been revoked');
       error.statusCode = 401;
       error.details = {
@@ -292,7 +426,7 @@ async function validateUser(req) {
     }
 
     // 4. Check if all refresh tokens for user have been revoked (complete logout)
-    if (userId && await isUserRefreshTokenRevoked(userId)) {
+    if (userId && !isImpersonation && await isUserRefreshTokenRevoked(userId)) {
       const error = new Error('All refresh tokens have been revoked (user logged out)');
       error.statusCode = 401;
       error.details = {
@@ -364,6 +498,9 @@ async function validateUser(req) {
       }
     }
 
+    // Record activity on the session registry (throttled, never blocks the request)
+    touchSession(sessionId);
+
     // Optimized: If session_token, use full user_profile from token (no DB query needed)
     // If access_token, we have minimal data but it's still valid
     const userProfile = payload.user_profile || {};
@@ -382,6 +519,9 @@ async function validateUser(req) {
         // Primary key
         user_id: userIdValue,
         uid: userIdValue,
+        session_id: sessionId || null,
+        // Set on impersonation tokens: { sub: user_id of the staff member }
+        act: payload.act || null,
 
         // Basic user information (from user_profile in session token)
         first_name: payload.first_name || userProfile.first_name,
@@ -431,6 +571,11 @@ async function validateUser(req) {
         // Primary key
         user_id: userIdValue,
         uid: userIdValue,
+        session_id: sessionId || null,
+        act: payload.act || null,
+        // When and how the user last proved who they are (see requireRecentAuth)
+        auth_time: payload.auth_time || null,
+        amr: payload.amr || [],
 
         // Basic user information (from access token payload)
         first_name: payload.first_name,
@@ -489,6 +634,11 @@ async function validateRequest(req, res, next) {
     
     // Attach user info to request
     req.user = user;
+
+    // Every request made under impersonation is audited
+    if (user.act) {
+      logImpersonatedRequest(req, res);
+    }
     next();
   } catch (error) {
     logger.error('Authentication validation failed', { error: error.message, module: 'Auth', label: 'VALIDATE_REQUEST' });
@@ -511,7 +661,7 @@ async function validateRequest(req, res, next) {
  * @returns {string} JWT token
  */
 function generateToken(payload, expiresIn = process.env.JWT_EXPIRES_IN || '7d') {
-  return jwt.sign(payload, SECRET_KEY, { expiresIn, algorithm: ALGORITHM });
+  return signToken(payload, { expiresIn });
 }
 
 /**
@@ -528,7 +678,7 @@ function validateToken(token) {
     // Remove 'Bearer ' prefix if present
     const cleanToken = token.startsWith('Bearer ') ? token.slice(7) : token;
 
-    const decoded = jwt.verify(cleanToken, SECRET_KEY, { algorithms: [ALGORITHM] });
+    const decoded = verifyToken(cleanToken);
     return decoded;
   } catch (error) {
     logger.error('Token validation failed', { error: error.message, module: 'Auth', label: 'VALIDATE_TOKEN' });
@@ -0,0 +1,276 @@
+/**
+ * Break-Glass Codes
+ * Emergency one-time passwords minted by a super admin (API) or an operator (CLI) when the
+ * normal OTP delivery is unavailable. A code is bound to one email or phone number, works once,
+ * expires within minutes and is stored only as a hash. Minting and every use are written to the
+ * activity log at audit level. A code only proves control of the identifier - it never grants groups
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { prisma } = require('../db/prisma');
+const logger = require('../logger/logger');
+const { createActivityLog, parseUserAgent } = require('../activity/activityLog');
+const { getUserByEmailOrPhone } = require('./checkpoint');
+
+const BREAK_GLASS_CODE_TTL_MINUTES = parseInt(process.env.BREAK_GLASS_CODE_TTL_MINUTES || '15', 10);
+const BREAK_GLASS_CODE_MAX_TTL_MINUTES = parseInt(process.env.BREAK_GLASS_CODE_MAX_TTL_MINUTES || '60', 10);
+
+// Codes look nothing like a 6-digit OTP, so only these ever cost a database lookup
+const BREAK_GLASS_CODE_PREFIX = 'bg_';
+
+const BREAK_GLASS_PUBLIC_FIELDS = {
+  code_id: true,
+  identifier: true,
+  reason: true,
+  created_by_user_id: true,
+  expires_at: true,
+  created_at: true,
+  used_at: true,
+  used_ip: true,
+  used_endpoint: true,
+  revoked_at: true
+};
+
+/**
+ * Build an error carrying an error map key so routes can respond with ERROR.fromMap
+ * @param {string} errorKey - Error key from ERRORS map
+ * @param {string} message - Error message
+ * @returns {Error} Error with errorKey set
+ */
+function breakGlassError(errorKey, message) {
+  const error = new Error(message);
+  error.errorKey = errorKey;
+  return error;
+}
+
+/**
+ * Normalize the identifier a code is bound to
+ * Phone numbers are compared without spaces, dashes or the leading +, since OTP routes accept both forms
+ * @param {string} identifier - Email or phone number
+ * @returns {string} Normalized identifier
+ */
+function normalizeBreakGlassIdentifier(identifier) {
+  const value = String(identifier || '').trim();
+  return value.includes('@') ? value.toLowerCase() : value.replace(/[\s-]/g, '').replace(/^\+/, '');
+}
+
+/**
+ * Hash a code for storage, salted with its ID
+ * @param {string} codeId - Code ID
+ * @param {string} code - Plaintext code
+ * @returns {string} Hex digest
+ */
+function hashBreakGlassCode(codeId, code) {
+  return crypto.createHash('sha256').update(`${codeId}:${code}`).digest('hex');
+}
+
+/**
+ * Check whether a submitted OTP has the break-glass code format
+ * @param {string} otp - Submitted OTP
+ * @returns {boolean} True if it could be a break-glass code
+ */
+function isBreakGlassCode(otp) {
+  return typeof otp === 'string' && otp.startsWith(BREAK_GLASS_CODE_PREFIX);
+}
+
+/**
+ * Request details for audit entries (the CLI has no request)
+ * @param {object|null} request - Express request
+ * @returns {object} Activity log fields
+ */
+function auditContext(request) {
+  if (!request) {
+    return { platform: 'cli' };
+  }
+  const userAgent = request.get ? request.get('user-agent') || null : null;
+  const { device, browser, os } = parseUserAgent(userAgent);
+  return {
+    ip_address: request.ip || null,
+    user_agent: userAgent,
+    device,
+    browser,
+    os,
+    platform: 'web',
+    endpoint: request.originalUrl || null,
+    method: request.method || null,
+    request_id: request.id || null
+  };
+}
+
+/**
+ * Mint a break-glass code
+ * Any unused code for the same identifier is revoked, so at most one is live at a time
+ * @param {object} data - { identifier, reason, ttl_minutes, created_by_user_id }
+ * @param {object} request - Express request (null from the CLI)
+ * @returns {Promise<object>} { break_glass_code, code } - code is the plaintext, only returned here
+ */
+async function mintBreakGlassCode({ identifier, reason, ttl_minutes, created_by_user_id = null }, request = null) {
+  const normalized = normalizeBreakGlassIdentifier(identifier);
+  if (!normalized) {
+    throw breakGlassError('AUTH_INVALID_PAYLOAD', 'Identifier is required');
+  }
+  const ttlMinutes = ttl_minutes || BREAK_GLASS_CODE_TTL_MINUTES;
+  if (ttlMinutes < 1 || ttlMinutes > BREAK_GLASS_CODE_MAX_TTL_MINUTES) {
+    throw breakGlassError('AUTH_INVALID_PAYLOAD', `ttl_minutes must be between 1 and ${BREAK_GLASS_CODE_MAX_TTL_MINUTES}`);
+  }
+
+  await prisma.breakGlassCode.updateMany({
+    where: { identifier: normalized, used_at: null, revoked_at: null },
+    data: { revoked_at: new Date() }
+  });
+
+  const codeId = uuidv4();
+  const code = `${BREAK_GLASS_CODE_PREFIX}${crypto.randomBytes(15).toString('base64url')}`;
+  const breakGlassCode = await prisma.breakGlassCode.create({
+    data: {
+      code_id: codeId,
+      identifier: normalized,
+      code_hash: hashBreakGlassCode(codeId, code),
+      reason,
+      created_by_user_id,
+      expires_at: new Date(Date.now() + ttlMinutes * 60 * 1000)
+    },
+    select: BREAK_GLASS_PUBLIC_FIELDS
+  });
+
+  await createActivityLog({
+    ...auditContext(request),
+    user_id: created_by_user_id,
+    level: 'audit',
+    message: `Break-glass code minted for ${normalized}`,
+    action: 'break_glass_code_mint',
+    module: 'break_glass',
+    status_code: 201,
+    metadata: { code_id: codeId, identifier: normalized, reason, ttl_minutes: ttlMinutes, source: request ? 'api' : 'cli' }
+  });
+
+  logger.warn(`Break-glass code ${codeId} minted for ${normalized}`, { module: 'BreakGlass', label: 'MINT' });
+
+  return { break_glass_code: breakGlassCode, code };
+}
+
+/**
+ * Verify and consume a break-glass code for an identifier
+ * The code is claimed atomically, so concurrent requests cannot both use it. If the audit
+ * entry cannot be written the claim is released and the code is refused
+ * @param {string} identifier - Email or phone number the OTP was submitted for
+ * @param {string} otp - Submitted code
+ * @param {object} request - Express request (optional, for the audit entry)
+ * @returns {Promise<boolean>} True if the code was valid and is now used
+ */
+async function consumeBreakGlassCode(identifier, otp, request = null) {
+  if (!isBreakGlassCode(otp)) {
+    return false;
+  }
+
+  try {
+    const normalized = normalizeBreakGlassIdentifier(identifier);
+    const candidates = await prisma.breakGlassCode.findMany({
+      where: { identifier: normalized, used_at: null, revoked_at: null, expires_at: { gt: new Date() } }
+    });
+
+    const match = candidates.find(candidate => {
+      const expected = Buffer.from(candidate.code_hash, 'hex');
+      const actual = Buffer.from(hashBreakGlassCode(candidate.code_id, otp), 'hex');
+      return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    });
+    if (!match) {
+      logger.warn(`Invalid break-glass code submitted for ${normalized}`, { module: 'BreakGlass', label: 'USE' });
+      return false;
+    }
+
+    const context = auditContext(request);
+    const { count } = await prisma.breakGlassCode.updateMany({
+      where: { code_id: match.code_id, used_at: null, revoked_at: null },
+      data: { used_at: new Date(), used_ip: context.ip_address || null, used_endpoint: context.endpoint || null }
+    });
+    if (count === 0) {
+      return false;
+    }
+
+    try {
+      const user = await getUserByEmailOrPhone(normalized);
+      await createActivityLog({
+        ...context,
+        user_id: user ? user.user_id : null,
+        level: 'audit',
+        message: `Break-glass code used for ${normalized}`,
+        action: 'break_glass_code_use',
+        module: 'break_glass',
+        status_code: 200,
+        metadata: {
+          code_id: match.code_id,
+          identifier: normalized,
+          reason: match.reason,
+          minted_by_user_id: match.created_by_user_id
+        }
+      });
+    } catch (auditError) {
+      await prisma.breakGlassCode.update({
+        where: { code_id: match.code_id },
+        data: { used_at: null, used_ip: null, used_endpoint: null }
+      });
+      logger.error(`Break-glass code ${match.code_id} refused - audit entry could not be written`, { error: auditError.message, module: 'BreakGlass', label: 'USE' });
+      return false;
+    }
+
+    logger.warn(`Break-glass code ${match.code_id} used for ${normalized}`, { module: 'BreakGlass', label: 'USE' });
+    return true;
+  } catch (error) {
+    logger.error('Error verifying break-glass code', { error: error.message, module: 'BreakGlass', label: 'USE' });
+    return false;
+  }
+}
+
+/**
+ * List break-glass codes, newest first
+ * @param {object} filters - { identifier, active, limit, offset }
+ * @returns {Promise<Array>} Codes (never the hash)
+ */
+async function listBreakGlassCodes(filters = {}) {
+  const { identifier, active, limit = 100, offset = 0 } = filters;
+  const where = {};
+  if (identifier) where.identifier = normalizeBreakGlassIdentifier(identifier);
+  if (active) {
+    where.used_at = null;
+    where.revoked_at = null;
+    where.expires_at = { gt: new Date() };
+  }
+
+  return prisma.breakGlassCode.findMany({
+    where,
+    select: BREAK_GLASS_PUBLIC_FIELDS,
+    orderBy: { created_at: 'desc' },
+    take: parseInt(limit),
+    skip: parseInt(offset)
+  });
+}
+
+/**
+ * Revoke an unused break-glass code
+ * @param {string} codeId - Code ID
+ * @returns {Promise<object>} Revoked code
+ */
+async function revokeBreakGlassCode(codeId) {
+  const { count } = await prisma.breakGlassCode.updateMany({
+    where: { code_id: codeId, used_at: null, revoked_at: null },
+    data: { revoked_at: new Date() }
+  });
+  if (count === 0) {
+    throw breakGlassError('BREAK_GLASS_CODE_NOT_FOUND', 'No unused break-glass code with this ID');
+  }
+
+  logger.info(`Break-glass code ${codeId} revoked`, { module: 'BreakGlass', label: 'REVOKE' });
+
+  return prisma.breakGlassCode.findUnique({ where: { code_id: codeId }, select: BREAK_GLASS_PUBLIC_FIELDS });
+}
+
+module.exports = {
+  BREAK_GLASS_CODE_MAX_TTL_MINUTES,
+  isBreakGlassCode,
+  mintBreakGlassCode,
+  consumeBreakGlassCode,
+  listBreakGlassCodes,
+  revokeBreakGlassCode
+};
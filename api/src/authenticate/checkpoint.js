@@ -4,36 +4,41 @@
  */
 
 const { v4: uuidv4 } = require('uuid');
-const jwt = require('jsonwebtoken');
-const bcrypt = require('bcryptjs');
 const { prisma } = require('../db/prisma');
 const logger = require('../logger/logger');
 const { generateToken } = require('./authenticate');
 const {
   ACCESS_TOKEN_EXPIRY,
   SESSION_TOKEN_EXPIRY,
-  REFRESH_TOKEN_EXPIRY
+  REFRESH_TOKEN_EXPIRY,
+  setRefreshFamilySession
 } = require('./session_manager');
+const { recordSession } = require('./session_registry');
+const { signToken } = require('./keystore');
+const { assertLoginAllowed, recordLoginFailure, clearLoginFailures } = require('./login_lockout');
+const { recordPasswordHistory } = require('./password_policy');
+const { needsRehash } = require('./password_hash');
+const { hashPasswordInWorker, comparePasswordInWorker } = require('../utils/workerUtils');
 
-const SECRET_KEY = process.env.JWT_SECRET_KEY || process.env.JWT_SECRET;
-const ALGORITHM = 'HS256';
+const MFA_PENDING_TOKEN_EXPIRY = parseInt(process.env.MFA_PENDING_TOKEN_EXPIRY_MINUTES || '5', 10); // 5 minutes
+const IMPERSONATION_TOKEN_EXPIRY = parseInt(process.env.IMPERSONATION_TOKEN_EXPIRY_MINUTES || '30', 10); // 30 minutes
 
 // Email and phone validators
 const emailValidator = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
 const phoneValidator = /^\+?[1-9]\d{1,14}$/;
 
 /**
- * Verify password using bcrypt
+ * Verify password against a scrypt or legacy bcrypt hash (in a worker thread)
  * @param {string} plainPassword - Plain text password
  * @param {string} hashedPassword - Hashed password
- * @returns {boolean} True if password matches
+ * @returns {Promise<boolean>} True if password matches
  */
-function verifyPassword(plainPassword, hashedPassword) {
+async function verifyPassword(plainPassword, hashedPassword) {
   if (!hashedPassword || !plainPassword) {
     return false;
   }
   try {
-    return bcrypt.compareSync(plainPassword, hashedPassword);
+    return await comparePasswordInWorker(plainPassword, hashedPassword);
   } catch (error) {
     logger.error('Password verification error', { error: error.message, module: 'Auth', label: 'PASSWORD_VERIFY' });
     return false;
@@ -41,20 +46,43 @@ function verifyPassword(plainPassword, hashedPassword) {
 }
 
 /**
- * Hash password using bcrypt
+ * Hash password with scrypt (in a worker thread)
  * @param {string} password - Plain text password
- * @returns {string} Hashed password
+ * @returns {Promise<string>} Hashed password
  */
-function hashPassword(password) {
+async function hashPassword(password) {
   try {
-    const saltRounds = 10;
-    return bcrypt.hashSync(password, saltRounds);
+    return await hashPasswordInWorker(password);
   } catch (error) {
     logger.error('Password hashing error', { error: error.message, module: 'Auth', label: 'PASSWORD_HASH' });
     throw error;
   }
 }
 
+/**
+ * Replace a legacy or weaker hash after the password was verified
+ * Failures are only logged - the login itself has already succeeded
+ * @param {object} user - User record (user_id, password)
+ * @param {string} plainPassword - Password that matched user.password
+ * @returns {Promise<void>}
+ */
+async function rehashPasswordIfNeeded(user, plainPassword) {
+  if (!needsRehash(user.password)) {
+    return;
+  }
+  try {
+    const hashedPassword = await hashPassword(plainPassword);
+    // Only swap the hash that was verified, in case the password changed meanwhile
+    await prisma.user.updateMany({
+      where: { user_id: user.user_id, password: user.password },
+      data: { password: hashedPassword }
+    });
+    logger.info(`Password hash upgraded for user ${user.user_id}`, { module: 'Auth', label: 'PASSWORD_REHASH' });
+  } catch (error) {
+    logger.error('Password rehash error', { error: error.message, module: 'Auth', label: 'PASSWORD_REHASH' });
+  }
+}
+
 /**
  * Get user by email or phone number
  * @param {string} identifier - Email or phone number
@@ -128,17 +156,23 @@ async function checkUserAvailabilityInDb(identifier) {
 
 /**
  * Authenticate user by email/phone and password
+ * Wrong passwords (and unknown identifiers) count towards the login lockout in login_lockout.js
  * @param {string} identifier - Email or phone number
  * @param {string} password - Plain text password
+ * @param {object} request - Express request, for the per-IP counter and activity log (optional)
  * @returns {Promise<object|null>} User object if successful, null otherwise
+ * @throws {Error} errorKey AUTH_ACCOUNT_LOCKED or AUTH_LOGIN_TOO_MANY_ATTEMPTS (with retry_after) while locked out
  */
-async function authenticateUser(identifier, password) {
+async function authenticateUser(identifier, password, request = null) {
   try {
     // Get user from database
     const user = await getUserByEmailOrPhone(identifier);
     
+    await assertLoginAllowed(user, identifier, request ? request.ip : null);
+    
     if (!user) {
       logger.warn(`User not found: ${identifier}`, { module: 'Auth', label: 'AUTH_FAILED' });
+      await recordLoginFailure(null, identifier, request);
       return null;
     }
     
@@ -154,16 +188,23 @@ async function authenticateUser(identifier, password) {
       return null;
     }
     
-    if (!verifyPassword(password, hashedPassword)) {
+    if (!(await verifyPassword(password, hashedPassword))) {
       logger.warn(`Invalid password for user: ${identifier}`, { module: 'Auth', label: 'AUTH_FAILED' });
+      await recordLoginFailure(user, identifier, request);
       return null;
     }
     
+    await clearLoginFailures(user);
+    await rehashPasswordIfNeeded(user, password);
+    
     // Update last sign in
     await updateLastSignIn(user.user_id);
     
     return user;
   } catch (error) {
+    if (error.errorKey) {
+      throw error;
+    }
     logger.error('Authentication error', { error: error.message, module: 'Auth', label: 'AUTH_ERROR' });
     return null;
   }
@@ -282,12 +323,14 @@ function buildPermissionsPayload(user) {
  * @param {object} user - User object
  * @param {string} origin - Request origin (optional)
  * @param {string} sessionId - Session ID (optional)
+ * @param {object} options - { actor, expiryMinutes } for impersonation tokens, { authTime, amr } for the
+ *   auth_time / amr claims checked by requireRecentAuth (optional)
  * @returns {string} JWT access token
  */
-function generateAccessToken(user, origin = null, sessionId = null) {
+function generateAccessToken(user, origin = null, sessionId = null, options = {}) {
   try {
     const now = Math.floor(Date.now() / 1000);
-    const exp = now + (ACCESS_TOKEN_EXPIRY * 60);
+    const exp = now + ((options.expiryMinutes || ACCESS_TOKEN_EXPIRY) * 60);
 
     // Lightweight payload - only essential fields for access token
     const payload = {
@@ -309,12 +352,15 @@ function generateAccessToken(user, origin = null, sessionId = null) {
     if (sessionId) {
       payload.session_id = sessionId;
     }
-
-    if (!SECRET_KEY) {
-      throw new Error('JWT_SECRET_KEY environment variable is not set');
+    if (options.actor) {
+      payload.act = options.actor;
+    }
+    if (options.authTime) {
+      payload.auth_time = options.authTime;
+      payload.amr = options.amr || [];
     }
 
-    return jwt.sign(payload, SECRET_KEY, { algorithm: ALGORITHM });
+    return signToken(payload);
   } catch (error) {
     logger.error('Error generating access token', { error: error.message, module: 'Auth', label: 'TOKEN_GENERATION' });
     throw error;
@@ -326,9 +372,11 @@ function generateAccessToken(user, origin = null, sessionId = null) {
  * @param {object} user - User object
  * @param {string} origin - Request origin (optional)
  * @param {string} sessionId - Session ID (optional)
+ * @param {string} familyId - Refresh token family ID, kept across rotations (optional)
+ * @param {object} options - { authTime, amr } of the original login, carried across rotations (optional)
  * @returns {string} JWT refresh token
  */
-function generateRefreshToken(user, origin = null, sessionId = null) {
+function generateRefreshToken(user, origin = null, sessionId = null, familyId = null, options = {}) {
   try {
     const now = Math.floor(Date.now() / 1000);
     const exp = now + (REFRESH_TOKEN_EXPIRY * 60);
@@ -348,12 +396,15 @@ function generateRefreshToken(user, origin = null, sessionId = null) {
     if (sessionId) {
       payload.session_id = sessionId;
     }
-
-    if (!SECRET_KEY) {
-      throw new Error('JWT_SECRET_KEY environment variable is not set');
+    if (familyId) {
+      payload.fid = familyId;
+    }
+    if (options.authTime) {
+      payload.auth_time = options.authTime;
+      payload.amr = options.amr || [];
     }
 
-    return jwt.sign(payload, SECRET_KEY, { algorithm: ALGORITHM });
+    return signToken(payload);
   } catch (error) {
     logger.error('Error generating refresh token', { error: error.message, module: 'Auth', label: 'TOKEN_GENERATION' });
     throw error;
@@ -365,15 +416,16 @@ function generateRefreshToken(user, origin = null, sessionId = null) {
  * @param {object} user - User object
  * @param {string} origin - Request origin (optional)
  * @param {string} sessionId - Session ID (optional)
+ * @param {object} options - { actor, expiryMinutes } for impersonation tokens (optional)
  * @returns {string} JWT session token
  */
-function generateSessionToken(user, origin = null, sessionId = null) {
+function generateSessionToken(user, origin = null, sessionId = null, options = {}) {
   try {
     const userProfile = buildUserProfilePayload(user);
     const permissions = buildPermissionsPayload(user);
 
     const now = Math.floor(Date.now() / 1000);
-    const exp = now + (SESSION_TOKEN_EXPIRY * 60);
+    const exp = now + ((options.expiryMinutes || SESSION_TOKEN_EXPIRY) * 60);
 
     const payload = {
       sub: String(user.user_id || user.uid),
@@ -396,12 +448,11 @@ function generateSessionToken(user, origin = null, sessionId = null) {
     if (sessionId) {
       payload.session_id = sessionId;
     }
-
-    if (!SECRET_KEY) {
-      throw new Error('JWT_SECRET_KEY environment variable is not set');
+    if (options.actor) {
+      payload.act = options.actor;
     }
 
-    return jwt.sign(payload, SECRET_KEY, { algorithm: ALGORITHM });
+    return signToken(payload);
   } catch (error) {
     logger.error('Error generating session token', { error: error.message, module: 'Auth', label: 'TOKEN_GENERATION' });
     throw error;
@@ -410,24 +461,43 @@ function generateSessionToken(user, origin = null, sessionId = null) {
 
 /**
  * Generate all tokens (access, refresh, session) with session_id
- * Stateless approach - session_id is embedded in tokens, no database storage
+ * Tokens are stateless - the session is recorded in the session registry (user_session)
+ * for listing and remote revoke, invalidation is still handled via blacklist in cache
  * @param {object} user - User object
  * @param {string} origin - Request origin (optional)
  * @param {object} request - Express request object (optional)
+ * @param {object} options - { amr } methods the user just signed in with (e.g. ['pwd']), or
+ *   { previousSessionId, familyId, authTime, amr } when rotating an existing session (optional)
  * @returns {object} Object with access_token, refresh_token, session_token, and session_id
  */
-function generateAllTokens(user, origin = null, request = null) {
+function generateAllTokens(user, origin = null, request = null, options = {}) {
   try {
     // Generate session_id once - this will be embedded in all tokens
     const sessionId = uuidv4();
+    // A login starts a new refresh token family; rotation passes the existing one
+    const familyId = options.familyId || uuidv4();
+    // A login authenticates the user now; rotation passes authTime to keep the time of the
+    // original login (null for tokens issued before auth_time existed - those need step-up)
+    const authOptions = {
+      authTime: 'authTime' in options ? options.authTime || null : Math.floor(Date.now() / 1000),
+      amr: options.amr
+    };
 
     // Generate all tokens with the same session_id
-    const accessToken = generateAccessToken(user, origin, sessionId);
-    const refreshToken = generateRefreshToken(user, origin, sessionId);
+    const accessToken = generateAccessToken(user, origin, sessionId, authOptions);
+    const refreshToken = generateRefreshToken(user, origin, sessionId, familyId, authOptions);
     const sessionToken = generateSessionToken(user, origin, sessionId);
 
-    // No database storage - tokens are stateless
-    // Session invalidation is handled via blacklist in cache
+    // Record the session and family without blocking token issuance - both log their own failures
+    recordSession(sessionId, String(user.user_id || user.uid), origin, request, options.previousSessionId || null);
+    setRefreshFamilySession(familyId, sessionId);
+
+    // Sign-ins only - a refresh is the same device, and guest sessions prove nothing (no auth_time)
+    if (!options.previousSessionId && authOptions.authTime) {
+      // Required here - login_alerts loads break_glass, which imports this module
+      const { checkNewSignIn } = require('./login_alerts');
+      checkNewSignIn(user, sessionId, familyId, request, authOptions.amr);
+    }
 
     return {
       access_token: accessToken,
@@ -441,6 +511,82 @@ function generateAllTokens(user, origin = null, request = null) {
   }
 }
 
+/**
+ * Generate impersonation tokens (access + session) for support staff acting as another user
+ * Tokens carry an RFC 8693 act claim identifying the staff member, expire after
+ * IMPERSONATION_TOKEN_EXPIRY minutes and come without a refresh token, so impersonation
+ * can never turn into a regular long-lived session
+ * @param {object} user - Target user object
+ * @param {string} actorUserId - User ID of the staff member
+ * @param {string} origin - Request origin (optional)
+ * @param {object} request - Express request object (optional)
+ * @returns {object} { access_token, session_token, session_id, expires_in }
+ */
+function generateImpersonationTokens(user, actorUserId, origin = null, request = null) {
+  try {
+    const sessionId = uuidv4();
+    const options = {
+      actor: { sub: String(actorUserId) },
+      expiryMinutes: IMPERSONATION_TOKEN_EXPIRY
+    };
+
+    const accessToken = generateAccessToken(user, origin, sessionId, options);
+    const sessionToken = generateSessionToken(user, origin, sessionId, options);
+
+    // Shows up in the target's session list, so the user can see and end it
+    const expiresAt = new Date(Date.now() + IMPERSONATION_TOKEN_EXPIRY * 60 * 1000);
+    recordSession(sessionId, String(user.user_id || user.uid), origin, request, null, expiresAt);
+
+    return {
+      access_token: accessToken,
+      session_token: sessionToken,
+      session_id: sessionId,
+      expires_in: IMPERSONATION_TOKEN_EXPIRY * 60
+    };
+  } catch (error) {
+    logger.error('Error generating impersonation tokens', { error: error.message, module: 'Auth', label: 'TOKEN_GENERATION' });
+    throw error;
+  }
+}
+
+/**
+ * Generate short-lived mfa_pending token (5 minutes)
+ * Issued instead of the full token set when the user has 2FA enabled;
+ * it can only be exchanged at /auth/mfa/verify, never used for API authentication
+ * @param {object} user - User object
+ * @param {string} origin - Request origin (optional)
+ * @param {Array<string>} amr - First-factor methods, carried into the final tokens (default: ['pwd'])
+ * @returns {object} { mfa_token, expires_in }
+ */
+function generateMfaPendingToken(user, origin = null, amr = ['pwd']) {
+  try {
+    const now = Math.floor(Date.now() / 1000);
+    const expiresIn = MFA_PENDING_TOKEN_EXPIRY * 60;
+
+    const payload = {
+      sub: String(user.user_id || user.uid),
+      exp: now + expiresIn,
+      iat: now,
+      jti: uuidv4(),
+      type: 'mfa_pending',
+      aud: 'mfa',
+      amr: amr
+    };
+
+    if (origin) {
+      payload.origin = origin;
+    }
+
+    return {
+      mfa_token: signToken(payload),
+      expires_in: expiresIn
+    };
+  } catch (error) {
+    logger.error('Error generating mfa_pending token', { error: error.message, module: 'Auth', label: 'TOKEN_GENERATION' });
+    throw error;
+  }
+}
+
 /**
  * Get user by user_id
  * @param {string} userId - User ID
@@ -486,15 +632,34 @@ async function authenticateUserToken(identifier, password, origin = null) {
  * @param {string} password - Plain text password
  * @param {string} origin - Request origin (optional)
  * @param {object} request - Express request object (optional)
- * @returns {Promise<object|null>} Object with tokens and user, or null
+ * @returns {Promise<object|null>} Object with tokens and user, { mfa_required, mfa_token, user } when 2FA is enabled,
+ *   { confirmation_required, hold_token, user } when the sign-in is held, or null
  */
 async function authenticateUserWithData(identifier, password, origin = null, request = null) {
   try {
-    const user = await authenticateUser(identifier, password);
+    const user = await authenticateUser(identifier, password, request);
     if (!user) {
       return null;
     }
 
+    // 2FA enabled - password alone is not enough, hand back an mfa_pending token
+    if (user.mfa_enabled) {
+      const mfaChallenge = generateMfaPendingToken(user, origin);
+      return {
+        mfa_required: true,
+        mfa_token: mfaChallenge.mfa_token,
+        expires_in: mfaChallenge.expires_in,
+        user: user
+      };
+    }
+
+    // Sign-in from a new device or network - with login holds enabled, tokens wait for an OTP
+    const { holdSuspiciousLogin } = require('./login_alerts');
+    const hold = await holdSuspiciousLogin(user, origin, request, ['pwd']);
+    if (hold) {
+      return { ...hold, user: user };
+    }
+
     const userId = String(user.user_id);
 
     // Clear user-level blacklist entries BEFORE generating tokens
@@ -512,7 +677,7 @@ async function authenticateUserWithData(identifier, password, origin = null, req
     }
 
     // Generate all tokens and create session
-    const tokens = generateAllTokens(user, origin, request);
+    const tokens = generateAllTokens(user, origin, request, { amr: ['pwd'] });
 
     // Return tokens and user data
     return {
@@ -523,6 +688,9 @@ async function authenticateUserWithData(identifier, password, origin = null, req
       user: user
     };
   } catch (error) {
+    if (error.errorKey) {
+      throw error;
+    }
     logger.error('Authentication failed', { error: error.message, module: 'Auth', label: 'AUTH_USER_DATA' });
     return null;
   }
@@ -530,18 +698,25 @@ async function authenticateUserWithData(identifier, password, origin = null, req
 
 /**
  * Update user password
+ * The replaced hash goes into the password history checked by password_policy.js
  * @param {string} userId - User ID
  * @param {string} newPassword - New plain text password
  * @returns {Promise<boolean>} True if successful
  */
 async function updateUserPassword(userId, newPassword) {
   try {
-    const hashedPassword = hashPassword(newPassword);
-    await prisma.user.update({
-      where: { user_id: userId },
-      data: { 
-        password: hashedPassword
+    const hashedPassword = await hashPassword(newPassword);
+    await prisma.$transaction(async (tx) => {
+      const current = await tx.user.findUnique({ where: { user_id: userId }, select: { password: true } });
+      if (current) {
+        await recordPasswordHistory(tx, userId, current.password);
       }
+      await tx.user.update({
+        where: { user_id: userId },
+        data: { 
+          password: hashedPassword
+        }
+      });
     });
     return true;
   } catch (error) {
@@ -562,7 +737,7 @@ async function updateUserPassword(userId, newPassword) {
 async function createUserInDb(payload) {
   try {
     const userId = uuidv4();
-    const hashedPassword = hashPassword(payload.password || '');
+    const hashedPassword = await hashPassword(payload.password || '');
     
     // Build user data object
     const userData = {
@@ -584,7 +759,7 @@ async function createUserInDb(payload) {
     }
     
     // Add optional fields
-    const optionalFields = ['auth_type', 'profile_accessibility', 'theme', 'user_type', 'language', 'status', 'user_name', 'first_name', 'last_name', 'is_email_verified', 'is_phone_verified'];
+    const optionalFields = ['auth_type', 'profile_accessibility', 'theme', 'user_type', 'language', 'status', 'user_name', 'first_name', 'last_name', 'country', 'is_email_verified', 'is_phone_verified', 'invited_by_user_id'];
     for (const field of optionalFields) {
       if (payload[field] !== undefined) {
         userData[field] = payload[field];
@@ -623,6 +798,8 @@ module.exports = {
   generateRefreshToken,
   generateSessionToken,
   generateAllTokens,
+  generateImpersonationTokens,
+  generateMfaPendingToken,
   getUserById,
   authenticateUserToken,
   authenticateUserWithData,
@@ -0,0 +1,396 @@
+/**
+ * Data Exports
+ * Builds a copy of everything stored for a user (account row, groups, permissions, activity log,
+ * uploaded media and sign-in methods) as a ZIP or JSON bundle. Requests create a data_export row
+ * that a background job turns into a private file in the storage bucket; the user is emailed a
+ * time-limited download link, and the file is deleted once the link has expired
+ */
+
+const path = require('path');
+const { prisma } = require('../db/prisma');
+const logger = require('../logger/logger');
+const { createActivityLog } = require('../activity/activityLog');
+const { getUserGroups, getUserPermissions } = require('../permissions/permissions');
+const { listUserFiles, uploadPrivateToGoogleStorage, getSignedDownloadUrl, deleteFromGoogleStorage } = require('../storage/storage');
+const { sendDataExportEmail } = require('../email/email');
+const { requestContext } = require('./login_lockout');
+const { createZip } = require('../utils/zip');
+
+// Signed URLs allow at most 7 days
+const DATA_EXPORT_LINK_TTL_HOURS = Math.min(parseInt(process.env.DATA_EXPORT_LINK_TTL_HOURS || '48', 10), 168);
+// Hours before a user can request another export of their own data (admins are not limited)
+const DATA_EXPORT_COOLDOWN_HOURS = parseInt(process.env.DATA_EXPORT_COOLDOWN_HOURS || '24', 10);
+const DATA_EXPORT_INTERVAL_MINUTES = parseInt(process.env.DATA_EXPORT_INTERVAL_MINUTES || '5', 10);
+
+const EXPORT_FOLDER = 'exports/users';
+const ACTIVITY_BATCH_SIZE = 1000;
+const PROCESS_BATCH_SIZE = 10;
+// An export still "processing" after this long was interrupted (e.g. by a restart) and is retried
+const STALE_PROCESSING_MINUTES = 30;
+
+const CONTENT_TYPES = {
+  zip: 'application/zip',
+  json: 'application/json'
+};
+
+const README = `This archive contains the data stored for your account.
+
+account.json          Your profile and account settings (the password hash is left out)
+groups.json           Groups you belong to
+permissions.json      Permissions granted through those groups
+activity_log.json     Activity recorded for your account, oldest first
+media.json            Files you uploaded and your profile picture, with their URLs
+sign_in_methods.json  Linked Google/Apple accounts, passkeys, two-factor status and API keys (no secrets)
+sessions.json         Devices you are or were signed in on
+login_sources.json    Devices and networks you have signed in from
+`;
+
+/**
+ * Build an error carrying an error map key so routes can respond with ERROR.fromMap
+ * @param {string} errorKey - Error key from ERRORS map
+ * @param {string} message - Error message
+ * @returns {Error} Error with errorKey set
+ */
+function dataExportError(errorKey, message) {
+  const error = new Error(message);
+  error.errorKey = errorKey;
+  return error;
+}
+
+/**
+ * Request an export of a user's data
+ * An export that is still pending or processing is returned instead of starting another one
+ * @param {string} userId - User whose data is exported
+ * @param {object} options - { format: 'zip'|'json', notifyUser, requestedByUserId (admin, or null for self) }
+ * @param {object} request - Express request (for the audit entry)
+ * @returns {Promise<object>} { export, created } or { errorKey, retry_after } when in cooldown
+ */
+async function requestDataExport(userId, options = {}, request = null) {
+  // Without a bucket nothing can have been uploaded
+  if (!process.env.GOOGLE_STORAGE_BUCKET_NAME) {
+    throw dataExportError('DATA_EXPORT_UNAVAILABLE', 'No storage bucket configured for data exports');
+  }
+  const requestedByUserId = options.requestedByUserId || null;
+
+  const active = await prisma.dataExport.findFirst({
+    where: { user_id: userId, status: { in: ['pending', 'processing'] } },
+    orderBy: { created_at: 'desc' }
+  });
+  if (active) {
+    return { export: active, created: false };
+  }
+
+  if (!requestedByUserId && DATA_EXPORT_COOLDOWN_HOURS > 0) {
+    const since = new Date(Date.now() - DATA_EXPORT_COOLDOWN_HOURS * 3600 * 1000);
+    const recent = await prisma.dataExport.findFirst({
+      where: { user_id: userId, requested_by_user_id: null, status: { not: 'failed' }, created_at: { gte: since } },
+      orderBy: { created_at: 'desc' }
+    });
+    if (recent) {
+      const retryAfter = Math.ceil((recent.created_at.getTime() + DATA_EXPORT_COOLDOWN_HOURS * 3600 * 1000 - Date.now()) / 1000);
+      return { errorKey: 'DATA_EXPORT_RATE_LIMITED', retry_after: Math.max(retryAfter, 1) };
+    }
+  }
+
+  const dataExport = await prisma.dataExport.create({
+    data: {
+      user_id: userId,
+      requested_by_user_id: requestedByUserId,
+      format: options.format || 'zip',
+      notify_user: options.notifyUser !== false
+    }
+  });
+
+  await createActivityLog({
+    module: 'authentication',
+    ...requestContext(request),
+    user_id: userId,
+    level: 'audit',
+    message: requestedByUserId ? `Data export requested for user ${userId}` : 'Data export requested',
+    action: 'data_export_requested',
+    status_code: 202,
+    session_id: request?.user?.session_id || null,
+    metadata: {
+      export_id: dataExport.export_id,
+      format: dataExport.format,
+      requested_by_user_id: requestedByUserId
+    }
+  });
+
+  // Start right away; the background job picks the export up if this instance stops first
+  setImmediate(() => {
+    processDataExport(dataExport.export_id).catch(error => {
+      logger.error('Error processing data export', { error: error.message, module: 'Auth', label: 'DATA_EXPORT' });
+    });
+  });
+
+  return { export: dataExport, created: true };
+}
+
+/**
+ * Read every activity log entry of a user, oldest first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Activity log rows
+ */
+async function getAllActivityLogs(userId) {
+  const logs = [];
+  let cursor = null;
+  for (;;) {
+    const batch = await prisma.activityLog.findMany({
+      where: { user_id: userId },
+      orderBy: [{ created_at: 'asc' }, { log_id: 'asc' }],
+      take: ACTIVITY_BATCH_SIZE,
+      ...(cursor ? { cursor: { log_id: cursor }, skip: 1 } : {})
+    });
+    logs.push(...batch);
+    if (batch.length < ACTIVITY_BATCH_SIZE) {
+      return logs;
+    }
+    cursor = batch[batch.length - 1].log_id;
+  }
+}
+
+/**
+ * Collect the data stored for a user
+ * Secrets (password and key hashes, passkey public keys, MFA secrets) are left out
+ * @param {object} user - User row
+ * @returns {Promise<object>} Sections keyed by their file name in the ZIP bundle
+ */
+async function collectUserData(user) {
+  const { password, ...account } = user;
+  const userId = user.user_id;
+
+  const [groups, permissions, activityLog, files, oauthIdentities, passkeys, apiKeys, sessions, loginSources] = await Promise.all([
+    getUserGroups(userId),
+    getUserPermissions(userId),
+    getAllActivityLogs(userId),
+    listUserFiles(userId),
+    prisma.oAuthIdentity.findMany({
+      where: { user_id: userId },
+      select: { provider: true, email: true, created_at: true, last_used_at: true }
+    }),
+    prisma.passkeyCredential.findMany({
+      where: { user_id: userId },
+      select: { name: true, backed_up: true, created_at: true, last_used_at: true }
+    }),
+    prisma.apiKey.findMany({
+      where: { user_id: userId },
+      select: { name: true, prefix: true, scopes: true, created_at: true, expires_at: true, last_used_at: true, last_used_ip: true, revoked_at: true }
+    }),
+    prisma.userSession.findMany({
+      where: { user_id: userId },
+      select: { device: true, browser: true, os: true, ip_address: true, user_agent: true, origin: true, created_at: true, last_seen_at: true, expires_at: true, revoked_at: true },
+      orderBy: { created_at: 'asc' }
+    }),
+    prisma.loginSource.findMany({
+      where: { user_id: userId },
+      select: { kind: true, value: true, country: true, first_seen_at: true, last_seen_at: true }
+    })
+  ]);
+
+  return {
+    account,
+    groups,
+    permissions,
+    activity_log: activityLog,
+    media: {
+      profile_picture_url: user.profile_picture_url || null,
+      files
+    },
+    sign_in_methods: {
+      mfa_enabled: Boolean(user.mfa_enabled),
+      oauth_identities: oauthIdentities,
+      passkeys,
+      api_keys: apiKeys
+    },
+    sessions,
+    login_sources: loginSources
+  };
+}
+
+/**
+ * Render collected data as a bundle file
+ * @param {object} data - Output of collectUserData
+ * @param {string} format - zip or json
+ * @param {Date} exportedAt - Export timestamp
+ * @returns {Buffer} File contents
+ */
+function renderBundle(data, format, exportedAt) {
+  if (format === 'json') {
+    return Buffer.from(JSON.stringify({ exported_at: exportedAt.toISOString(), ...data }, null, 2), 'utf8');
+  }
+  const files = [{ name: 'README.txt', data: `${README}\nExported at ${exportedAt.toISOString()}\n` }];
+  for (const [section, value] of Object.entries(data)) {
+    files.push({ name: `${section}.json`, data: JSON.stringify(value, null, 2) });
+  }
+  return createZip(files, exportedAt);
+}
+
+/**
+ * Build and store one pending export
+ * The export is claimed by moving it from pending to processing, so concurrent callers
+ * (the request itself and the background job) never build it twice
+ * @param {string} exportId - Export ID
+ * @returns {Promise<boolean>} True if this call processed the export
+ */
+async function processDataExport(exportId) {
+  const { count } = await prisma.dataExport.updateMany({
+    where: { export_id: exportId, status: 'pending' },
+    data: { status: 'processing', started_at: new Date() }
+  });
+  if (count === 0) {
+    return false;
+  }
+
+  const dataExport = await prisma.dataExport.findUnique({ where: { export_id: exportId } });
+  try {
+    const user = await prisma.user.findUnique({ where: { user_id: dataExport.user_id } });
+    if (!user) {
+      throw new Error('User no longer exists');
+    }
+
+    const exportedAt = new Date();
+    const bundle = renderBundle(await collectUserData(user), dataExport.format, exportedAt);
+    const objectKey = `${dataExport.export_id}.${dataExport.format}`;
+    const objectPath = await uploadPrivateToGoogleStorage(bundle, `${EXPORT_FOLDER}/${user.user_id}`, objectKey, CONTENT_TYPES[dataExport.format]);
+
+    const expiresAt = new Date(exportedAt.getTime() + DATA_EXPORT_LINK_TTL_HOURS * 3600 * 1000);
+    const ready = await prisma.dataExport.update({
+      where: { export_id: exportId },
+      data: { status: 'ready', object_path: objectPath, file_size: bundle.length, completed_at: exportedAt, expires_at: expiresAt, error: null }
+    });
+
+    let emailed = false;
+    if (ready.notify_user && user.email) {
+      const link = await getSignedDownloadUrl(objectPath, DATA_EXPORT_LINK_TTL_HOURS * 3600, downloadName(ready));
+      emailed = await sendDataExportEmail(user.email, link, DATA_EXPORT_LINK_TTL_HOURS);
+    }
+
+    await createActivityLog({
+      module: 'authentication',
+      user_id: user.user_id,
+      level: 'audit',
+      message: 'Data export ready',
+      action: 'data_export_ready',
+      status_code: 200,
+      metadata: {
+        export_id: exportId,
+        format: ready.format,
+        file_size: bundle.length,
+        requested_by_user_id: ready.requested_by_user_id,
+        emailed
+      }
+    });
+  } catch (error) {
+    logger.error(`Data export ${exportId} failed`, { error: error.message, module: 'Auth', label: 'DATA_EXPORT' });
+    await prisma.dataExport.update({
+      where: { export_id: exportId },
+      data: { status: 'failed', error: error.message, completed_at: new Date() }
+    });
+  }
+  return true;
+}
+
+/**
+ * File name offered when downloading an export
+ * @param {object} dataExport - data_export row
+ * @returns {string} File name
+ */
+function downloadName(dataExport) {
+  const date = (dataExport.completed_at || dataExport.created_at).toISOString().slice(0, 10);
+  return `data-export-${date}.${dataExport.format}`;
+}
+
+/**
+ * Latest export of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<object|null>} data_export row or null
+ */
+async function getLatestDataExport(userId) {
+  return prisma.dataExport.findFirst({
+    where: { user_id: userId },
+    orderBy: { created_at: 'desc' }
+  });
+}
+
+/**
+ * Response data for an export, with a fresh download URL while it is ready
+ * @param {object} dataExport - data_export row
+ * @returns {Promise<object>} Export status
+ */
+async function describeDataExport(dataExport) {
+  let downloadUrl = null;
+  const remainingSeconds = dataExport.expires_at ? Math.floor((dataExport.expires_at.getTime() - Date.now()) / 1000) : 0;
+  if (dataExport.status === 'ready' && dataExport.object_path && remainingSeconds > 0) {
+    downloadUrl = await getSignedDownloadUrl(dataExport.object_path, remainingSeconds, downloadName(dataExport));
+  }
+  return {
+    export_id: dataExport.export_id,
+    status: dataExport.status === 'ready' && !downloadUrl ? 'expired' : dataExport.status,
+    format: dataExport.format,
+    requested_by_user_id: dataExport.requested_by_user_id,
+    file_size: dataExport.file_size,
+    created_at: dataExport.created_at,
+    completed_at: dataExport.completed_at,
+    expires_at: dataExport.expires_at,
+    download_url: downloadUrl
+  };
+}
+
+/**
+ * Background job: build pending exports and delete expired files
+ * @returns {Promise<object>} { processed, expired }
+ */
+async function processDataExports() {
+  const staleBefore = new Date(Date.now() - STALE_PROCESSING_MINUTES * 60 * 1000);
+  await prisma.dataExport.updateMany({
+    where: { status: 'processing', started_at: { lt: staleBefore } },
+    data: { status: 'pending' }
+  });
+
+  let processed = 0;
+  for (;;) {
+    const pending = await prisma.dataExport.findMany({
+      where: { status: 'pending' },
+      select: { export_id: true },
+      orderBy: { created_at: 'asc' },
+      take: PROCESS_BATCH_SIZE
+    });
+    if (pending.length === 0) {
+      break;
+    }
+    for (const { export_id: exportId } of pending) {
+      if (await processDataExport(exportId)) {
+        processed++;
+      }
+    }
+  }
+
+  let expired = 0;
+  const due = await prisma.dataExport.findMany({
+    where: { status: 'ready', expires_at: { lt: new Date() } }
+  });
+  for (const dataExport of due) {
+    // A file that cannot be deleted stays ready and is retried on the next run
+    if (await deleteFromGoogleStorage(path.posix.dirname(dataExport.object_path), path.posix.basename(dataExport.object_path))) {
+      await prisma.dataExport.update({
+        where: { export_id: dataExport.export_id },
+        data: { status: 'expired', object_path: null }
+      });
+      expired++;
+    }
+  }
+
+  return { processed, expired };
+}
+
+module.exports = {
+  DATA_EXPORT_LINK_TTL_HOURS,
+  DATA_EXPORT_INTERVAL_MINUTES,
+  requestDataExport,
+  collectUserData,
+  processDataExport,
+  processDataExports,
+  getLatestDataExport,
+  describeDataExport
+};
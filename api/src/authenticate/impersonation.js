@@ -0,0 +1,112 @@
+/**
+ * Impersonation
+ * Lets support staff with the impersonate_user permission act as a customer.
+ * Impersonation tokens carry an act claim ({ sub: staff user_id }); every request made with
+ * them is written to the activity log, and credential changes are refused
+ */
+
+const { ERROR } = require('../response/error');
+const logger = require('../logger/logger');
+const { createActivityLog, parseUserAgent } = require('../activity/activityLog');
+const { getUserGroups, userPrivilegesCover } = require('../permissions/permissions');
+
+/**
+ * Build an error carrying an error map key so routes can respond with ERROR.fromMap
+ * @param {string} errorKey - Error key from ERRORS map
+ * @param {string} message - Error message
+ * @returns {Error} Error with errorKey set
+ */
+function impersonationError(errorKey, message) {
+  const error = new Error(message);
+  error.errorKey = errorKey;
+  return error;
+}
+
+/**
+ * Check whether the caller may start impersonating the target user
+ * Super admins and users holding permissions the caller lacks are refused, so an
+ * impersonation token never carries more than the caller could do themselves
+ * @param {object} actor - req.user of the staff member
+ * @param {object} target - Target user record
+ * @throws {Error} AUTH_IMPERSONATION_NOT_ALLOWED, AUTH_IMPERSONATION_PROTECTED_USER or AUTH_IMPERSONATION_PRIVILEGED_USER
+ */
+async function assertCanImpersonate(actor, target) {
+  if (actor.auth_method === 'api_key' || actor.auth_method === 'client') {
+    throw impersonationError('AUTH_IMPERSONATION_NOT_ALLOWED', 'Impersonation requires a signed-in staff member');
+  }
+  if (actor.act) {
+    throw impersonationError('AUTH_IMPERSONATION_NOT_ALLOWED', 'Cannot start impersonation while impersonating');
+  }
+  if (String(target.user_id) === String(actor.uid || actor.user_id)) {
+    throw impersonationError('AUTH_IMPERSONATION_NOT_ALLOWED', 'Cannot impersonate yourself');
+  }
+  if (target.is_protected) {
+    throw impersonationError('AUTH_IMPERSONATION_PROTECTED_USER', 'Protected users cannot be impersonated');
+  }
+
+  const targetGroups = await getUserGroups(target.user_id);
+  if (targetGroups.some(g => g.codename === 'super_admin')) {
+    throw impersonationError('AUTH_IMPERSONATION_PRIVILEGED_USER', 'Super admins cannot be impersonated');
+  }
+  if (!(await userPrivilegesCover(actor.uid || actor.user_id, target.user_id))) {
+    throw impersonationError('AUTH_IMPERSONATION_PRIVILEGED_USER', 'Target holds permissions the caller lacks');
+  }
+}
+
+/**
+ * Write an audit entry for a request made under impersonation once the response is sent
+ * @param {object} req - Express request (req.user.act set)
+ * @param {object} res - Express response
+ */
+function logImpersonatedRequest(req, res) {
+  const startedAt = Date.now();
+
+  res.on('finish', () => {
+    const userAgent = req.get('user-agent') || null;
+    const { device, browser, os } = parseUserAgent(userAgent);
+
+    createActivityLog({
+      user_id: req.user.uid || req.user.user_id,
+      level: 'audit',
+      message: `${req.method} ${req.originalUrl} under impersonation`,
+      action: 'impersonated_request',
+      module: 'impersonation',
+      ip_address: req.ip || null,
+      user_agent: userAgent,
+      device,
+      browser,
+      os,
+      platform: 'web',
+      endpoint: req.originalUrl,
+      method: req.method,
+      status_code: res.statusCode,
+      request_id: req.id || null,
+      session_id: req.user.session_id || null,
+      metadata: { impersonator_user_id: req.user.act.sub },
+      duration_ms: Date.now() - startedAt
+    }).catch(error => {
+      logger.error('Error logging impersonated request', { error: error.message, module: 'Impersonation', label: 'AUDIT' });
+    });
+  });
+}
+
+/**
+ * Refuse the request when it is made under impersonation (Express middleware)
+ * Use after validateRequest on routes that change credentials or end the user's sessions
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {function} next - Express next function
+ */
+function blockImpersonation(req, res, next) {
+  if (req.user && req.user.act) {
+    const errorResponse = ERROR.fromMap('AUTH_IMPERSONATION_FORBIDDEN');
+    return res.status(errorResponse.statusCode).json(errorResponse.detail);
+  }
+  next();
+}
+
+module.exports = {
+  assertCanImpersonate,
+  logImpersonatedRequest,
+  blockImpersonation
+};
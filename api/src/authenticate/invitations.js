@@ -0,0 +1,558 @@
+/**
+ * Invitations
+ * Admins and business users invite people by email or phone with groups assigned up front.
+ * Email invitations carry a signed link; phone invitations carry an OTP sent by SMS or WhatsApp.
+ * Accepting creates the account, assigns the groups and records who invited the user
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { prisma } = require('../db/prisma');
+const logger = require('../logger/logger');
+const { signToken, verifyToken } = require('./keystore');
+const { getUserByEmailOrPhone, getUserById, createUserInDb } = require('./checkpoint');
+const { checkPasswordPolicy } = require('./password_policy');
+const { getUserGroups, userHasPermission, assignGroupsToUser } = require('../permissions/permissions');
+const { sendInvitationEmail } = require('../email/email');
+const { sendSMS, sendWhatsApp } = require('../sms/sms');
+const {
+  AuthTypeEnum,
+  ProfileAccessibilityEnum,
+  ThemeEnum,
+  UserTypeEnum,
+  LanguageStatusEnum,
+  UserStatusAuthEnum,
+  InvitationStatusEnum
+} = require('../enum/enum');
+
+const INVITATION_ACCEPT_URL = process.env.INVITATION_ACCEPT_URL || 'http://localhost:8900/accept-invitation';
+const INVITATION_EXPIRY_HOURS = parseInt(process.env.INVITATION_EXPIRY_HOURS || '72', 10);
+const INVITATION_MAX_OTP_ATTEMPTS = parseInt(process.env.INVITATION_MAX_OTP_ATTEMPTS || '5', 10);
+
+// Groups anyone allowed to invite may hand out - the same group a self-signup gets
+const DEFAULT_INVITATION_GROUPS = ['user'];
+
+const INVITATION_PUBLIC_FIELDS = {
+  invitation_id: true,
+  identifier: true,
+  channel: true,
+  group_codenames: true,
+  invited_by_user_id: true,
+  status: true,
+  send_count: true,
+  last_sent_at: true,
+  expires_at: true,
+  created_at: true,
+  accepted_at: true,
+  accepted_user_id: true,
+  revoked_at: true,
+  revoked_by_user_id: true
+};
+
+/**
+ * Build an error carrying an error map key so routes can respond with ERROR.fromMap
+ * @param {string} errorKey - Error key from ERRORS map
+ * @param {string} message - Error message
+ * @returns {Error} Error with errorKey set
+ */
+function invitationError(errorKey, message) {
+  const error = new Error(message);
+  error.errorKey = errorKey;
+  return error;
+}
+
+/**
+ * Normalize an email or phone number so the same person always maps to the same identifier
+ * @param {string} identifier - Email or phone number
+ * @returns {string} Lowercased email, or phone number without spaces
+ */
+function normalizeIdentifier(identifier) {
+  const value = String(identifier).trim();
+  return value.includes('@') ? value.toLowerCase() : value.replace(/[\s-]/g, '');
+}
+
+/**
+ * Hash an invitation OTP, salted with the invitation ID
+ * @param {string} invitationId - Invitation ID
+ * @param {string} otp - Plaintext OTP
+ * @returns {string} Hex digest
+ */
+function hashInvitationOtp(invitationId, otp) {
+  return crypto.createHash('sha256').update(`${invitationId}:${otp}`).digest('hex');
+}
+
+/**
+ * Compute a fresh expiry date for an invitation
+ * @returns {Date} Expiry date
+ */
+function nextExpiry() {
+  return new Date(Date.now() + INVITATION_EXPIRY_HOURS * 60 * 60 * 1000);
+}
+
+/**
+ * Format an Invitation record for responses
+ * @param {object} invitation - Invitation record (public fields)
+ * @returns {object} Invitation with is_expired flag
+ */
+function formatInvitation(invitation) {
+  return {
+    ...invitation,
+    group_codenames: Array.isArray(invitation.group_codenames) ? invitation.group_codenames : [],
+    is_expired: invitation.status === InvitationStatusEnum.PENDING && new Date(invitation.expires_at) <= new Date()
+  };
+}
+
+/**
+ * Check whether a user may see and manage every invitation, not only their own
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True for super admins and holders of manage_invitations
+ */
+async function canManageAllInvitations(userId) {
+  const groups = await getUserGroups(userId);
+  if (groups.some(g => g.codename === 'super_admin')) {
+    return true;
+  }
+  return userHasPermission(userId, 'manage_invitations');
+}
+
+/**
+ * Check that the inviter may hand out the requested groups
+ * Super admins may assign any group; holders of assign_groups any group except super_admin;
+ * everyone else only the default groups and groups they belong to themselves
+ * @param {string} inviterId - Inviter user ID
+ * @param {Array<string>} groupCodenames - Requested group codenames
+ * @throws {Error} INVITATION_GROUP_NOT_ALLOWED or INVITATION_GROUP_NOT_FOUND
+ */
+async function assertGroupsAllowed(inviterId, groupCodenames) {
+  const existing = await prisma.group.findMany({
+    where: { codename: { in: groupCodenames }, is_active: true },
+    select: { codename: true }
+  });
+  const existingCodenames = existing.map(g => g.codename);
+  const missing = groupCodenames.filter(codename => !existingCodenames.includes(codename));
+  if (missing.length > 0) {
+    throw invitationError('INVITATION_GROUP_NOT_FOUND', `Groups not found: ${missing.join(', ')}`);
+  }
+
+  const inviterGroups = (await getUserGroups(inviterId)).map(g => g.codename);
+  if (inviterGroups.includes('super_admin')) {
+    return;
+  }
+
+  let notAllowed;
+  if (await userHasPermission(inviterId, 'assign_groups')) {
+    notAllowed = groupCodenames.filter(codename => codename === 'super_admin');
+  } else {
+    notAllowed = groupCodenames.filter(codename =>
+      !DEFAULT_INVITATION_GROUPS.includes(codename) && !inviterGroups.includes(codename)
+    );
+  }
+  if (notAllowed.length > 0) {
+    throw invitationError('INVITATION_GROUP_NOT_ALLOWED', `Not allowed to assign groups: ${notAllowed.join(', ')}`);
+  }
+}
+
+/**
+ * Display name of the inviter used in invitation messages
+ * @param {object} inviter - Inviter user record
+ * @returns {string} Name
+ */
+function inviterDisplayName(inviter) {
+  const fullName = [inviter.first_name, inviter.last_name].filter(Boolean).join(' ');
+  return fullName || inviter.user_name || inviter.email || 'Someone';
+}
+
+/**
+ * Sign the acceptance token for an email invitation
+ * The token version is bumped on every resend so only the latest link works
+ * @param {object} invitation - Invitation record
+ * @returns {string} Signed JWT
+ */
+function generateInvitationToken(invitation) {
+  const now = Math.floor(Date.now() / 1000);
+  return signToken({
+    sub: invitation.invitation_id,
+    exp: Math.floor(new Date(invitation.expires_at).getTime() / 1000),
+    iat: now,
+    jti: uuidv4(),
+    type: 'invite',
+    ver: invitation.token_version,
+    aud: 'invite'
+  });
+}
+
+/**
+ * Send an invitation: a signed link by email, or a fresh OTP by SMS or WhatsApp
+ * @param {object} invitation - Invitation record
+ * @param {object} inviter - Inviter user record
+ * @returns {Promise<boolean>} True if the message was handed to the provider
+ */
+async function deliverInvitation(invitation, inviter) {
+  const inviterName = inviterDisplayName(inviter);
+
+  if (invitation.channel === 'email') {
+    const link = `${INVITATION_ACCEPT_URL}?token=${encodeURIComponent(generateInvitationToken(invitation))}`;
+    return sendInvitationEmail(invitation.identifier, link, inviterName, INVITATION_EXPIRY_HOURS);
+  }
+
+  const otp = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  await prisma.invitation.update({
+    where: { invitation_id: invitation.invitation_id },
+    data: { otp_hash: hashInvitationOtp(invitation.invitation_id, otp), otp_attempts: 0 }
+  });
+
+  const result = invitation.channel === 'whatsapp'
+    ? await sendWhatsApp(invitation.identifier, otp)
+    : await sendSMS(invitation.identifier, `${inviterName} invited you. Your invitation code is ${otp}. It is valid for ${INVITATION_EXPIRY_HOURS} hours.`);
+  return Boolean(result && result.success);
+}
+
+/**
+ * Create and send an invitation
+ * @param {string} inviterId - Inviter user ID
+ * @param {object} data - { identifier, channel, groups }
+ * @returns {Promise<object>} { invitation, delivered }
+ */
+async function createInvitation(inviterId, { identifier, channel, groups }) {
+  const inviter = await getUserById(inviterId);
+  if (!inviter) {
+    throw invitationError('USER_NOT_FOUND', 'Inviter not found');
+  }
+
+  const normalized = normalizeIdentifier(identifier);
+  const isEmail = normalized.includes('@');
+  const deliveryChannel = isEmail ? 'email' : (channel === 'whatsapp' ? 'whatsapp' : 'sms');
+  const groupCodenames = [...new Set(groups && groups.length > 0 ? groups : DEFAULT_INVITATION_GROUPS)];
+
+  if (await getUserByEmailOrPhone(normalized)) {
+    throw invitationError('AUTH_USER_ALREADY_EXISTS', 'A user with this email or phone number already exists');
+  }
+
+  const pending = await prisma.invitation.findFirst({
+    where: { identifier: normalized, status: InvitationStatusEnum.PENDING, expires_at: { gt: new Date() } },
+    select: { invitation_id: true }
+  });
+  if (pending) {
+    throw invitationError('INVITATION_ALREADY_PENDING', `Invitation ${pending.invitation_id} is already pending for this identifier`);
+  }
+
+  await assertGroupsAllowed(inviterId, groupCodenames);
+
+  // Expired invitations for the same identifier are superseded by the new one
+  await prisma.invitation.updateMany({
+    where: { identifier: normalized, status: InvitationStatusEnum.PENDING },
+    data: { status: InvitationStatusEnum.REVOKED, revoked_at: new Date() }
+  });
+
+  const invitation = await prisma.invitation.create({
+    data: {
+      identifier: normalized,
+      channel: deliveryChannel,
+      group_codenames: groupCodenames,
+      invited_by_user_id: inviterId,
+      status: InvitationStatusEnum.PENDING,
+      expires_at: nextExpiry(),
+      last_sent_at: new Date()
+    }
+  });
+
+  const delivered = await deliverInvitation(invitation, inviter);
+  if (!delivered) {
+    logger.warn(`Invitation ${invitation.invitation_id} created but could not be sent`, { module: 'Invitations', label: 'CREATE' });
+  }
+
+  logger.info(`Invitation ${invitation.invitation_id} created by user ${inviterId}`, { module: 'Invitations', label: 'CREATE' });
+
+  return { invitation: await getInvitation(invitation.invitation_id), delivered };
+}
+
+/**
+ * Get an invitation by ID
+ * @param {string} invitationId - Invitation ID
+ * @returns {Promise<object|null>} Formatted invitation or null
+ */
+async function getInvitation(invitationId) {
+  const invitation = await prisma.invitation.findUnique({
+    where: { invitation_id: invitationId },
+    select: INVITATION_PUBLIC_FIELDS
+  });
+  return invitation ? formatInvitation(invitation) : null;
+}
+
+/**
+ * Load an invitation the actor may manage
+ * @param {string} actorId - Acting user ID
+ * @param {string} invitationId - Invitation ID
+ * @returns {Promise<object>} Invitation record
+ * @throws {Error} INVITATION_NOT_FOUND when missing or owned by someone else
+ */
+async function getManageableInvitation(actorId, invitationId) {
+  const invitation = await prisma.invitation.findUnique({ where: { invitation_id: invitationId } });
+  if (!invitation) {
+    throw invitationError('INVITATION_NOT_FOUND', 'Invitation not found');
+  }
+  if (invitation.invited_by_user_id !== actorId && !await canManageAllInvitations(actorId)) {
+    throw invitationError('INVITATION_NOT_FOUND', 'Invitation not found');
+  }
+  return invitation;
+}
+
+/**
+ * List invitations - everything for managers, otherwise only the actor's own
+ * @param {string} actorId - Acting user ID
+ * @param {object} filters - { status, identifier, limit, offset }
+ * @returns {Promise<Array>} Formatted invitations
+ */
+async function listInvitations(actorId, filters = {}) {
+  const { status, identifier, limit = 100, offset = 0 } = filters;
+  const where = {};
+
+  if (!await canManageAllInvitations(actorId)) {
+    where.invited_by_user_id = actorId;
+  }
+  if (status) where.status = status;
+  if (identifier) where.identifier = normalizeIdentifier(identifier);
+
+  const invitations = await prisma.invitation.findMany({
+    where,
+    select: {
+      ...INVITATION_PUBLIC_FIELDS,
+      invitedBy: {
+        select: { user_id: true, email: true, user_name: true, first_name: true, last_name: true }
+      }
+    },
+    orderBy: { created_at: 'desc' },
+    take: parseInt(limit),
+    skip: parseInt(offset)
+  });
+
+  return invitations.map(formatInvitation);
+}
+
+/**
+ * Resend a pending invitation with a new link or OTP and a fresh expiry
+ * Links and OTPs sent earlier stop working
+ * @param {string} actorId - Acting user ID
+ * @param {string} invitationId - Invitation ID
+ * @returns {Promise<object>} { invitation, delivered }
+ */
+async function resendInvitation(actorId, invitationId) {
+  const existing = await getManageableInvitation(actorId, invitationId);
+  if (existing.status !== InvitationStatusEnum.PENDING) {
+    throw invitationError('INVITATION_INVALID', `Invitation is ${existing.status}`);
+  }
+
+  const invitation = await prisma.invitation.update({
+    where: { invitation_id: invitationId },
+    data: {
+      token_version: { increment: 1 },
+      send_count: { increment: 1 },
+      last_sent_at: new Date(),
+      expires_at: nextExpiry()
+    }
+  });
+
+  const inviter = await getUserById(invitation.invited_by_user_id);
+  const delivered = await deliverInvitation(invitation, inviter || {});
+
+  logger.info(`Invitation ${invitationId} resent by user ${actorId}`, { module: 'Invitations', label: 'RESEND' });
+
+  return { invitation: await getInvitation(invitationId), delivered };
+}
+
+/**
+ * Revoke a pending invitation
+ * @param {string} actorId - Acting user ID
+ * @param {string} invitationId - Invitation ID
+ * @returns {Promise<object>} Formatted invitation
+ */
+async function revokeInvitation(actorId, invitationId) {
+  await getManageableInvitation(actorId, invitationId);
+
+  const { count } = await prisma.invitation.updateMany({
+    where: { invitation_id: invitationId, status: InvitationStatusEnum.PENDING },
+    data: { status: InvitationStatusEnum.REVOKED, revoked_at: new Date(), revoked_by_user_id: actorId }
+  });
+  if (count === 0) {
+    throw invitationError('INVITATION_INVALID', 'Only pending invitations can be revoked');
+  }
+
+  logger.info(`Invitation ${invitationId} revoked by user ${actorId}`, { module: 'Invitations', label: 'REVOKE' });
+
+  return getInvitation(invitationId);
+}
+
+/**
+ * Find the pending invitation an email link points to
+ * @param {string} token - Invitation JWT
+ * @returns {Promise<object>} Invitation record
+ */
+async function resolveInvitationToken(token) {
+  let payload;
+  try {
+    payload = verifyToken(token, { audience: 'invite' });
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw invitationError('INVITATION_EXPIRED', 'Invitation has expired');
+    }
+    throw invitationError('INVITATION_INVALID', 'Invalid invitation token');
+  }
+  if (payload.type !== 'invite' || !payload.sub) {
+    throw invitationError('INVITATION_INVALID', 'Invalid invitation token');
+  }
+
+  const invitation = await prisma.invitation.findUnique({ where: { invitation_id: payload.sub } });
+  if (!invitation || invitation.status !== InvitationStatusEnum.PENDING || invitation.token_version !== payload.ver) {
+    throw invitationError('INVITATION_INVALID', 'Invitation is no longer valid');
+  }
+  return invitation;
+}
+
+/**
+ * Find the pending phone invitation for an identifier and check its OTP
+ * Wrong codes are counted; after INVITATION_MAX_OTP_ATTEMPTS the invitation must be resent
+ * @param {string} identifier - Phone number
+ * @param {string} otp - OTP
+ * @returns {Promise<object>} Invitation record
+ */
+async function resolveInvitationOtp(identifier, otp) {
+  const invitation = await prisma.invitation.findFirst({
+    where: { identifier: normalizeIdentifier(identifier), status: InvitationStatusEnum.PENDING, otp_hash: { not: null } },
+    orderBy: { created_at: 'desc' }
+  });
+  if (!invitation) {
+    throw invitationError('INVITATION_INVALID', 'No pending invitation for this identifier');
+  }
+  if (new Date(invitation.expires_at) <= new Date()) {
+    throw invitationError('INVITATION_EXPIRED', 'Invitation has expired');
+  }
+  if (invitation.otp_attempts >= INVITATION_MAX_OTP_ATTEMPTS) {
+    throw invitationError('INVITATION_OTP_ATTEMPTS_EXCEEDED', 'Too many wrong codes for this invitation');
+  }
+
+  const expected = Buffer.from(invitation.otp_hash, 'hex');
+  const actual = Buffer.from(hashInvitationOtp(invitation.invitation_id, String(otp)), 'hex');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    await prisma.invitation.update({
+      where: { invitation_id: invitation.invitation_id },
+      data: { otp_attempts: { increment: 1 } }
+    });
+    throw invitationError('INVITATION_INVALID', 'Invalid invitation code');
+  }
+  return invitation;
+}
+
+/**
+ * Accept an invitation and create the account
+ * The invitation is claimed atomically before the user is created, so a link or OTP
+ * can only ever create one account; if creation fails the claim is released.
+ * The OTP hash is only cleared once the user exists, so a released OTP invitation stays usable
+ * @param {object} data - { token } or { identifier, otp }, plus optional first_name, last_name, password
+ * @returns {Promise<object>} { user, invitation }
+ */
+async function acceptInvitation({ token, identifier, otp, first_name, last_name, password }) {
+  const invitation = token
+    ? await resolveInvitationToken(token)
+    : await resolveInvitationOtp(identifier, otp);
+
+  if (new Date(invitation.expires_at) <= new Date()) {
+    throw invitationError('INVITATION_EXPIRED', 'Invitation has expired');
+  }
+  if (await getUserByEmailOrPhone(invitation.identifier)) {
+    throw invitationError('AUTH_USER_ALREADY_EXISTS', 'A user with this email or phone number already exists');
+  }
+
+  const userDataDict = {
+    // Without a password the account gets an unusable random one until the user sets their own
+    password: password || crypto.randomBytes(32).toString('base64url'),
+    invited_by_user_id: invitation.invited_by_user_id,
+    profile_accessibility: ProfileAccessibilityEnum.public,
+    theme: ThemeEnum.light,
+    user_type: UserTypeEnum.customer,
+    language: LanguageStatusEnum.en,
+    status: UserStatusAuthEnum.ACTIVE
+  };
+  if (first_name) userDataDict.first_name = first_name;
+  if (last_name) userDataDict.last_name = last_name;
+
+  if (invitation.channel === 'email') {
+    userDataDict.email = invitation.identifier;
+    userDataDict.user_name = invitation.identifier.split('@')[0];
+    userDataDict.auth_type = AuthTypeEnum.email;
+    userDataDict.is_email_verified = true;
+    userDataDict.email_verified_at = new Date();
+    userDataDict.is_phone_verified = false;
+  } else {
+    let phoneNumber = invitation.identifier;
+    if (invitation.channel === 'whatsapp' && phoneNumber.startsWith('+')) {
+      phoneNumber = phoneNumber.substring(1);
+    }
+    userDataDict.phone_number = { phone: phoneNumber };
+    userDataDict.user_name = phoneNumber.replace('+', '');
+    userDataDict.auth_type = AuthTypeEnum.phone;
+    userDataDict.is_phone_verified = true;
+    userDataDict.phone_number_verified_at = new Date();
+    userDataDict.is_email_verified = false;
+  }
+
+  if (password) {
+    const policy = await checkPasswordPolicy(password, userDataDict);
+    if (!policy.valid) {
+      const error = invitationError('PASSWORD_POLICY_VIOLATION', 'Password does not meet the password policy');
+      error.violations = policy.violations;
+      throw error;
+    }
+  }
+
+  const { count } = await prisma.invitation.updateMany({
+    where: {
+      invitation_id: invitation.invitation_id,
+      status: InvitationStatusEnum.PENDING,
+      token_version: invitation.token_version
+    },
+    data: { status: InvitationStatusEnum.ACCEPTED, accepted_at: new Date() }
+  });
+  if (count === 0) {
+    throw invitationError('INVITATION_INVALID', 'Invitation is no longer valid');
+  }
+
+  const userId = await createUserInDb(userDataDict);
+  if (!userId) {
+    await prisma.invitation.update({
+      where: { invitation_id: invitation.invitation_id },
+      data: { status: InvitationStatusEnum.PENDING, accepted_at: null }
+    });
+    throw invitationError('AUTH_SIGNUP_FAILED', 'Failed to create the invited user');
+  }
+
+  try {
+    await assignGroupsToUser(userId, invitation.group_codenames, invitation.invited_by_user_id);
+  } catch (groupError) {
+    logger.error(`CRITICAL: Failed to assign invitation groups to user ${userId}: ${groupError.message}`, { module: 'Invitations', label: 'ACCEPT' });
+    throw invitationError('AUTH_SIGNUP_FAILED', `Failed to assign user groups: ${groupError.message}`);
+  }
+
+  await prisma.invitation.update({
+    where: { invitation_id: invitation.invitation_id },
+    data: { accepted_user_id: userId, otp_hash: null }
+  });
+
+  logger.info(`Invitation ${invitation.invitation_id} accepted by new user ${userId}`, { module: 'Invitations', label: 'ACCEPT' });
+
+  return {
+    user: await getUserById(userId),
+    invitation: await getInvitation(invitation.invitation_id)
+  };
+}
+
+module.exports = {
+  INVITATION_EXPIRY_HOURS,
+  normalizeIdentifier,
+  assertGroupsAllowed,
+  createInvitation,
+  getInvitation,
+  listInvitations,
+  resendInvitation,
+  revokeInvitation,
+  acceptInvitation
+};
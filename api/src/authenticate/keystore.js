@@ -0,0 +1,352 @@
+/**
+ * JWT Keystore
+ * Signs and verifies access, session, refresh and mfa_pending tokens
+ * With RS256/ES256 the keystore file holds "active" (signs new tokens), "next" (published in
+ * JWKS ahead of rotation) and "retired" (verifies tokens issued before rotation) keys, and every
+ * token carries the signing key's kid. HS256 with JWT_SECRET_KEY remains the default
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const logger = require('../logger/logger');
+const { ACCESS_TOKEN_EXPIRY, SESSION_TOKEN_EXPIRY, REFRESH_TOKEN_EXPIRY } = require('./session_manager');
+
+const SECRET_KEY = process.env.JWT_SECRET_KEY || process.env.JWT_SECRET;
+const JWT_SIGNING_ALGORITHM = (process.env.JWT_ALGORITHM || 'HS256').toUpperCase();
+const JWT_KEYSTORE_PATH = path.resolve(process.env.JWT_KEYSTORE_PATH || path.join(__dirname, '../../credentials/jwt-keystore.json'));
+// Other instances pick up a rotated keystore file within this interval
+const JWT_KEYSTORE_RELOAD_SECONDS = parseInt(process.env.JWT_KEYSTORE_RELOAD_SECONDS || '60', 10);
+// Opt-in: keep accepting HS256 tokens without a kid after switching to RS256/ES256, but only
+// tokens issued before JWT_HS256_CUTOVER_AT and only until the longest token lifetime has passed
+const JWT_ACCEPT_HS256 = process.env.JWT_ACCEPT_HS256 === 'true';
+const JWT_HS256_CUTOVER_AT = process.env.JWT_HS256_CUTOVER_AT ? new Date(process.env.JWT_HS256_CUTOVER_AT) : null;
+const MAX_TOKEN_LIFETIME_MS = Math.max(ACCESS_TOKEN_EXPIRY, SESSION_TOKEN_EXPIRY, REFRESH_TOKEN_EXPIRY) * 60 * 1000;
+
+const ASYMMETRIC_ALGORITHMS = ['RS256', 'ES256'];
+const KeyStatusEnum = {
+  ACTIVE: 'active',
+  NEXT: 'next',
+  RETIRED: 'retired'
+};
+
+// In-memory copy of the keystore file
+let loadedStore = null;
+let loadedMtimeMs = 0;
+let lastCheckedAt = 0;
+
+/**
+ * Check whether new tokens are signed with an asymmetric key
+ * @returns {boolean} True for RS256 / ES256
+ */
+function isAsymmetric() {
+  return ASYMMETRIC_ALGORITHMS.includes(JWT_SIGNING_ALGORITHM);
+}
+
+/**
+ * Compute the RFC 7638 JWK thumbprint used as kid
+ * @param {object} publicJwk - Public JWK (RSA or EC)
+ * @returns {string} base64url thumbprint
+ */
+function computeKid(publicJwk) {
+  const members = publicJwk.kty === 'RSA'
+    ? { e: publicJwk.e, kty: publicJwk.kty, n: publicJwk.n }
+    : { crv: publicJwk.crv, kty: publicJwk.kty, x: publicJwk.x, y: publicJwk.y };
+  return crypto.createHash('sha256').update(JSON.stringify(members)).digest('base64url');
+}
+
+/**
+ * Generate a new signing key
+ * @param {string} alg - RS256 or ES256
+ * @param {string} status - Key status (KeyStatusEnum)
+ * @returns {object} Keystore entry with PEM encoded keys
+ */
+function generateSigningKey(alg, status) {
+  if (!ASYMMETRIC_ALGORITHMS.includes(alg)) {
+    throw new Error(`Unsupported JWT signing algorithm: ${alg}`);
+  }
+
+  const { publicKey, privateKey } = alg === 'RS256'
+    ? crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+    : crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+  return {
+    kid: computeKid(publicKey.export({ format: 'jwk' })),
+    alg,
+    status,
+    public_key: publicKey.export({ type: 'spki', format: 'pem' }),
+    private_key: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    created_at: new Date().toISOString(),
+    activated_at: status === KeyStatusEnum.ACTIVE ? new Date().toISOString() : null,
+    retired_at: null
+  };
+}
+
+/**
+ * Read the keystore file
+ * @returns {object|null} { keys: [...] } or null if the file does not exist
+ */
+function readKeystore() {
+  if (!fs.existsSync(JWT_KEYSTORE_PATH)) {
+    return null;
+  }
+  const store = JSON.parse(fs.readFileSync(JWT_KEYSTORE_PATH, 'utf8'));
+  if (!store || !Array.isArray(store.keys)) {
+    throw new Error(`Invalid JWT keystore file: ${JWT_KEYSTORE_PATH}`);
+  }
+  return store;
+}
+
+/**
+ * Write the keystore file atomically (owner read/write only)
+ * @param {object} store - { keys: [...] }
+ */
+function writeKeystore(store) {
+  fs.mkdirSync(path.dirname(JWT_KEYSTORE_PATH), { recursive: true });
+  const tmpPath = `${JWT_KEYSTORE_PATH}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(store, null, 2), { mode: 0o600 });
+  fs.renameSync(tmpPath, JWT_KEYSTORE_PATH);
+  loadedStore = null;
+}
+
+/**
+ * Get the keystore, reloading the file when it changed on disk
+ * @param {boolean} force - Skip the reload interval
+ * @returns {object|null} { keys: [...] } or null if there is no keystore
+ */
+function getKeystore(force = false) {
+  const now = Date.now();
+  if (loadedStore && !force && now - lastCheckedAt < JWT_KEYSTORE_RELOAD_SECONDS * 1000) {
+    return loadedStore;
+  }
+  lastCheckedAt = now;
+
+  try {
+    const stat = fs.existsSync(JWT_KEYSTORE_PATH) ? fs.statSync(JWT_KEYSTORE_PATH) : null;
+    if (!stat) {
+      loadedStore = null;
+      return null;
+    }
+    if (!loadedStore || stat.mtimeMs !== loadedMtimeMs) {
+      loadedStore = readKeystore();
+      loadedMtimeMs = stat.mtimeMs;
+    }
+  } catch (error) {
+    logger.error('Error loading JWT keystore', { error: error.message, module: 'Auth', label: 'KEYSTORE' });
+    if (!loadedStore) {
+      throw error;
+    }
+  }
+  return loadedStore;
+}
+
+/**
+ * Create the keystore with an active and a next key if it does not exist yet
+ * @param {string} alg - RS256 or ES256 (defaults to JWT_SIGNING_ALGORITHM)
+ * @returns {object} Keystore
+ */
+function initKeystore(alg = JWT_SIGNING_ALGORITHM) {
+  const existing = readKeystore();
+  if (existing && existing.keys.some(key => key.status === KeyStatusEnum.ACTIVE)) {
+    return existing;
+  }
+
+  const store = {
+    keys: [
+      generateSigningKey(alg, KeyStatusEnum.ACTIVE),
+      generateSigningKey(alg, KeyStatusEnum.NEXT)
+    ]
+  };
+  writeKeystore(store);
+  logger.info(`JWT keystore created at ${JWT_KEYSTORE_PATH}`, { module: 'Auth', label: 'KEYSTORE' });
+  return store;
+}
+
+/**
+ * Rotate keys: next becomes active, active becomes retired, a new next key is generated.
+ * Retired keys are kept (public part only) until every token they signed has expired
+ * @param {string} alg - Algorithm for the new next key (defaults to JWT_SIGNING_ALGORITHM)
+ * @returns {object} { active_kid, next_kid, retired_kids }
+ */
+function rotateKeys(alg = JWT_SIGNING_ALGORITHM) {
+  const store = readKeystore() || initKeystore(alg);
+  const now = new Date();
+  const retentionMs = REFRESH_TOKEN_EXPIRY * 60 * 1000;
+
+  let next = store.keys.find(key => key.status === KeyStatusEnum.NEXT);
+  if (!next) {
+    next = generateSigningKey(alg, KeyStatusEnum.NEXT);
+    store.keys.push(next);
+  }
+
+  for (const key of store.keys) {
+    if (key.status === KeyStatusEnum.ACTIVE) {
+      key.status = KeyStatusEnum.RETIRED;
+      key.retired_at = now.toISOString();
+      delete key.private_key;
+    }
+  }
+  next.status = KeyStatusEnum.ACTIVE;
+  next.activated_at = now.toISOString();
+
+  store.keys = store.keys.filter(key =>
+    key.status !== KeyStatusEnum.RETIRED || now - new Date(key.retired_at) < retentionMs
+  );
+  store.keys.push(generateSigningKey(alg, KeyStatusEnum.NEXT));
+
+  writeKeystore(store);
+  logger.info(`JWT signing key rotated, active kid ${next.kid}`, { module: 'Auth', label: 'KEYSTORE' });
+
+  return {
+    active_kid: next.kid,
+    next_kid: store.keys.find(key => key.status === KeyStatusEnum.NEXT).kid,
+    retired_kids: store.keys.filter(key => key.status === KeyStatusEnum.RETIRED).map(key => key.kid)
+  };
+}
+
+/**
+ * Get the active signing key
+ * The keystore is never generated here - an instance with its own key would sign tokens the others reject
+ * @returns {object} Keystore entry
+ * @throws {Error} If there is no keystore or it has no active key
+ */
+function getActiveKey() {
+  const store = getKeystore();
+  if (!store) {
+    throw new Error(`No JWT keystore at ${JWT_KEYSTORE_PATH} - run "npm run jwt:keys init" and share the file with every instance`);
+  }
+
+  const active = store.keys.find(key => key.status === KeyStatusEnum.ACTIVE && key.private_key);
+  if (!active) {
+    throw new Error('JWT keystore has no active signing key');
+  }
+  return active;
+}
+
+/**
+ * Check whether an HS256 token without kid may still be accepted after the cutover
+ * @param {object} payload - Decoded (unverified) token payload
+ * @returns {boolean} True if it was issued before the cutover and the acceptance window is open
+ */
+function acceptsLegacyHs256(payload) {
+  if (!JWT_ACCEPT_HS256 || !JWT_HS256_CUTOVER_AT || isNaN(JWT_HS256_CUTOVER_AT)) {
+    return false;
+  }
+  const cutoverMs = JWT_HS256_CUTOVER_AT.getTime();
+  if (Date.now() >= cutoverMs + MAX_TOKEN_LIFETIME_MS) {
+    return false;
+  }
+  return Boolean(payload) && typeof payload.iat === 'number' && payload.iat * 1000 <= cutoverMs;
+}
+
+/**
+ * Check the signing configuration at startup
+ * @throws {Error} If the HS256 secret, the keystore or the HS256 cutover time is missing
+ */
+function assertKeystoreConfigured() {
+  if (!isAsymmetric()) {
+    if (!SECRET_KEY) {
+      throw new Error('JWT_SECRET_KEY environment variable is not set');
+    }
+    return;
+  }
+  getActiveKey();
+  if (JWT_ACCEPT_HS256 && (!JWT_HS256_CUTOVER_AT || isNaN(JWT_HS256_CUTOVER_AT))) {
+    throw new Error('JWT_ACCEPT_HS256=true needs JWT_HS256_CUTOVER_AT set to the time JWT_ALGORITHM was switched');
+  }
+}
+
+/**
+ * Find a verification key by kid; reloads the keystore once for an unknown kid
+ * so keys rotated by another instance are picked up immediately
+ * @param {string} kid - Key ID from the token header
+ * @returns {object|null} Keystore entry
+ */
+function findKey(kid) {
+  const find = store => (store ? store.keys.find(key => key.kid === kid) : null) || null;
+  return find(getKeystore()) || find(getKeystore(true));
+}
+
+/**
+ * Sign a JWT with the active key
+ * @param {object} payload - Token claims
+ * @param {object} options - Extra jsonwebtoken sign options (e.g. expiresIn)
+ * @returns {string} Signed JWT
+ */
+function signToken(payload, options = {}) {
+  if (!isAsymmetric()) {
+    if (!SECRET_KEY) {
+      throw new Error('JWT_SECRET_KEY environment variable is not set');
+    }
+    return jwt.sign(payload, SECRET_KEY, { ...options, algorithm: 'HS256' });
+  }
+
+  const key = getActiveKey();
+  return jwt.sign(payload, key.private_key, { ...options, algorithm: key.alg, keyid: key.kid });
+}
+
+/**
+ * Verify a JWT, choosing the key by the kid header
+ * Tokens without kid are verified as HS256 with JWT_SECRET_KEY - with RS256/ES256 only while
+ * acceptsLegacyHs256 allows it
+ * @param {string} token - JWT
+ * @param {object} options - Extra jsonwebtoken verify options (e.g. audience)
+ * @returns {object} Verified payload
+ * @throws {Error} jsonwebtoken errors (JsonWebTokenError, TokenExpiredError)
+ */
+function verifyToken(token, options = {}) {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded || !decoded.header) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  const { kid } = decoded.header;
+  if (kid) {
+    const key = findKey(kid);
+    if (!key) {
+      throw new jwt.JsonWebTokenError(`unknown signing key: ${kid}`);
+    }
+    return jwt.verify(token, key.public_key, { ...options, algorithms: [key.alg] });
+  }
+
+  if (!SECRET_KEY || (isAsymmetric() && !acceptsLegacyHs256(decoded.payload))) {
+    throw new jwt.JsonWebTokenError('token has no kid');
+  }
+  return jwt.verify(token, SECRET_KEY, { ...options, algorithms: ['HS256'] });
+}
+
+/**
+ * Public keys for /.well-known/jwks.json (active, next and retired)
+ * @returns {object} { keys: [JWK] }
+ */
+function getPublicJwks() {
+  const store = getKeystore();
+  if (!store) {
+    return { keys: [] };
+  }
+
+  return {
+    keys: store.keys.map(key => ({
+      ...crypto.createPublicKey(key.public_key).export({ format: 'jwk' }),
+      kid: key.kid,
+      alg: key.alg,
+      use: 'sig'
+    }))
+  };
+}
+
+module.exports = {
+  JWT_SIGNING_ALGORITHM,
+  JWT_KEYSTORE_PATH,
+  KeyStatusEnum,
+  isAsymmetric,
+  assertKeystoreConfigured,
+  generateSigningKey,
+  readKeystore,
+  initKeystore,
+  rotateKeys,
+  signToken,
+  verifyToken,
+  getPublicJwks
+};
@@ -0,0 +1,461 @@
+/**
+ * Login Alerts
+ * Remembers the devices (parseUserAgent fingerprint) and IP ranges each user signs in from.
+ * A sign-in from a device or range the user has not used before sends an email or SMS alert
+ * with a "this wasn't me" link that ends the new session, and writes an audit entry.
+ * With LOGIN_HOLD_ENABLED, password sign-ins from a new source wait for an OTP instead
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { prisma } = require('../db/prisma');
+const cache = require('../cache/cache');
+const logger = require('../logger/logger');
+const { createActivityLog, parseUserAgent } = require('../activity/activityLog');
+const { GEOIP_ATTRIBUTION, parseIp, lookupCountry } = require('../activity/geoip');
+const { signToken, verifyToken } = require('./keystore');
+const { generateOtp } = require('./otp_cache');
+const { getOtpLockout, registerOtpSend, registerOtpFailure, clearOtpFailures } = require('./otp_throttle');
+const { requestContext } = require('./login_lockout');
+const { revokeUserSession } = require('./session_registry');
+const { revokeRefreshFamily } = require('./session_manager');
+const { sendLoginAlertEmail, sendOtpEmail } = require('../email/email');
+const { sendSMS } = require('../sms/sms');
+
+const LOGIN_ALERTS_ENABLED = process.env.LOGIN_ALERTS_ENABLED !== 'false';
+const LOGIN_ALERT_NEW_NETWORK = process.env.LOGIN_ALERT_NEW_NETWORK !== 'false';
+const LOGIN_ALERT_IPV4_PREFIX = parseInt(process.env.LOGIN_ALERT_IPV4_PREFIX || '24', 10);
+const LOGIN_ALERT_IPV6_PREFIX = parseInt(process.env.LOGIN_ALERT_IPV6_PREFIX || '48', 10);
+const LOGIN_ALERT_DENY_URL = process.env.LOGIN_ALERT_DENY_URL || 'http://localhost:8900/not-me';
+const LOGIN_ALERT_LINK_TTL_HOURS = parseInt(process.env.LOGIN_ALERT_LINK_TTL_HOURS || '72', 10);
+const LOGIN_HOLD_ENABLED = process.env.LOGIN_HOLD_ENABLED === 'true';
+const LOGIN_HOLD_TTL_MINUTES = parseInt(process.env.LOGIN_HOLD_TTL_MINUTES || '10', 10);
+
+/**
+ * Build an error carrying an error map key so routes can respond with ERROR.fromMap
+ * @param {string} errorKey - Error key from ERRORS map
+ * @param {string} message - Error message
+ * @returns {Error} Error with errorKey set
+ */
+function loginAlertError(errorKey, message) {
+  const error = new Error(message);
+  error.errorKey = errorKey;
+  return error;
+}
+
+/**
+ * Hash of a hold OTP, bound to its hold so a code is only valid for the sign-in it was sent for
+ * @param {string} holdToken - hold_token of the held sign-in
+ * @param {string} otp - OTP
+ * @returns {string} Hex SHA-256
+ */
+function hashHoldOtp(holdToken, otp) {
+  return crypto.createHash('sha256').update(`${holdToken}:${otp}`).digest('hex');
+}
+
+/**
+ * IP range of an address as CIDR, e.g. 203.0.113.0/24 or 2001:db8:1::/48
+ * @param {string} ip - Client IP address
+ * @returns {string|null} Network, or null if the address cannot be parsed
+ */
+function getNetworkRange(ip) {
+  const bytes = parseIp(ip);
+  if (!bytes) {
+    return null;
+  }
+
+  const prefix = bytes.length === 4 ? LOGIN_ALERT_IPV4_PREFIX : LOGIN_ALERT_IPV6_PREFIX;
+  const masked = Buffer.from(bytes);
+  for (let bit = prefix; bit < masked.length * 8; bit++) {
+    masked[bit >> 3] &= ~(0x80 >> (bit & 7));
+  }
+
+  if (masked.length === 4) {
+    return `${Array.from(masked).join('.')}/${prefix}`;
+  }
+
+  // Network prefixes end in zero groups, so compressing the trailing zeros is enough
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) {
+    groups.push(masked.readUInt16BE(i).toString(16));
+  }
+  while (groups.length > 0 && groups[groups.length - 1] === '0') {
+    groups.pop();
+  }
+  return `${groups.join(':')}${groups.length < 8 ? '::' : ''}/${prefix}`;
+}
+
+/**
+ * Describe where a sign-in comes from
+ * @param {object} request - Express request
+ * @returns {object} { device, network, country, ip_address, label }
+ */
+function describeLoginSource(request) {
+  const userAgent = request && request.get ? request.get('user-agent') || null : null;
+  const { device, browser, os } = parseUserAgent(userAgent);
+  const ipAddress = request ? request.ip || null : null;
+
+  return {
+    device: [device || 'Unknown', browser || 'Unknown', os || 'Unknown'].join('/'),
+    network: getNetworkRange(ipAddress),
+    country: lookupCountry(ipAddress),
+    ip_address: ipAddress,
+    label: `${browser || 'Unknown browser'} on ${os || 'unknown system'} (${device || 'unknown device'})`
+  };
+}
+
+/**
+ * Compare a sign-in with the sources the user signed in from before
+ * A user's first device and first network are learned without an alert - otherwise every
+ * existing account would be flagged once after this feature is enabled
+ * @param {string} userId - User ID
+ * @param {object} source - From describeLoginSource
+ * @returns {Promise<object>} { new_device, new_network, suspicious }
+ */
+async function assessLoginSource(userId, source) {
+  const known = await prisma.loginSource.findMany({
+    where: { user_id: userId },
+    select: { kind: true, value: true }
+  });
+
+  const devices = known.filter(row => row.kind === 'device').map(row => row.value);
+  const networks = known.filter(row => row.kind === 'network').map(row => row.value);
+
+  const newDevice = devices.length > 0 && !devices.includes(source.device);
+  const newNetwork = LOGIN_ALERT_NEW_NETWORK && Boolean(source.network)
+    && networks.length > 0 && !networks.includes(source.network);
+
+  return { new_device: newDevice, new_network: newNetwork, suspicious: newDevice || newNetwork };
+}
+
+/**
+ * Store the device and network of a sign-in as known for the user
+ * @param {string} userId - User ID
+ * @param {object} source - From describeLoginSource
+ * @returns {Promise<void>}
+ */
+async function rememberLoginSource(userId, source) {
+  const now = new Date();
+  const entries = [{ kind: 'device', value: source.device, country: null }];
+  if (source.network) {
+    entries.push({ kind: 'network', value: source.network, country: source.country });
+  }
+
+  for (const entry of entries) {
+    await prisma.loginSource.upsert({
+      where: { user_id_kind_value: { user_id: userId, kind: entry.kind, value: entry.value } },
+      create: { user_id: userId, ...entry, first_seen_at: now, last_seen_at: now },
+      update: { last_seen_at: now, ...(entry.country ? { country: entry.country } : {}) }
+    });
+  }
+}
+
+/**
+ * Email or phone number alerts and holds are sent to
+ * @param {object} user - User record
+ * @returns {object|null} { channel, identifier } or null if the user has neither
+ */
+function getAlertContact(user) {
+  if (user.email) {
+    return { channel: 'email', identifier: user.email };
+  }
+  const phone = user.phone_number && user.phone_number.phone;
+  return phone ? { channel: 'sms', identifier: phone } : null;
+}
+
+/**
+ * Send the new sign-in alert with its "this wasn't me" link
+ * The link names the session, its refresh token family (the session ID changes on every
+ * refresh) and the sources that were new, so denying the sign-in also forgets them and the
+ * next sign-in from there is flagged again
+ * @param {object} user - User record
+ * @param {string} sessionId - Session created by the sign-in
+ * @param {string} familyId - Refresh token family of the session
+ * @param {object} source - From describeLoginSource
+ * @param {object} assessment - From assessLoginSource
+ * @returns {Promise<boolean>} True if the alert was sent
+ */
+async function sendLoginAlert(user, sessionId, familyId, source, assessment) {
+  const contact = getAlertContact(user);
+  if (!contact) {
+    return false;
+  }
+
+  const token = signToken({
+    sub: String(user.user_id),
+    sid: sessionId,
+    fid: familyId,
+    device: assessment.new_device ? source.device : null,
+    network: assessment.new_network ? source.network : null,
+    jti: uuidv4(),
+    type: 'login_alert',
+    aud: 'login_alert'
+  }, { expiresIn: LOGIN_ALERT_LINK_TTL_HOURS * 3600 });
+  const link = `${LOGIN_ALERT_DENY_URL}?token=${encodeURIComponent(token)}`;
+
+  const location = `IP address ${source.ip_address || 'unknown'}${source.country ? ` (${source.country})` : ''}`;
+  // A shown country must credit the GeoIP data source
+  const attribution = source.country ? GEOIP_ATTRIBUTION : null;
+  if (contact.channel === 'email') {
+    return sendLoginAlertEmail(contact.identifier, { device: source.label, location, time: new Date().toUTCString(), attribution }, link);
+  }
+  const credit = attribution ? ` ${attribution.text} (${attribution.url}).` : '';
+  const result = await sendSMS(contact.identifier, `New sign-in to your account from ${source.label}, ${location}. Not you? ${link}${credit}`);
+  return Boolean(result && result.success);
+}
+
+/**
+ * Check a new session for an unfamiliar device or network (called by generateAllTokens)
+ * Runs without blocking token issuance and logs its own failures
+ * @param {object} user - User record
+ * @param {string} sessionId - Session ID of the new tokens
+ * @param {string} familyId - Refresh token family of the new tokens
+ * @param {object} request - Express request
+ * @param {Array<string>} amr - Sign-in methods of the new tokens
+ * @returns {Promise<void>}
+ */
+async function checkNewSignIn(user, sessionId, familyId, request, amr = []) {
+  if (!LOGIN_ALERTS_ENABLED || !request) {
+    return;
+  }
+
+  try {
+    const userId = String(user.user_id);
+    const source = describeLoginSource(request);
+    const assessment = await assessLoginSource(userId, source);
+
+    if (assessment.suspicious) {
+      const alerted = await sendLoginAlert(user, sessionId, familyId, source, assessment);
+      await createActivityLog({
+        module: 'authentication',
+        ...requestContext(request),
+        user_id: userId,
+        level: 'audit',
+        message: `Sign-in from a new ${assessment.new_device ? 'device' : 'network'}`,
+        action: 'suspicious_login',
+        status_code: 200,
+        session_id: sessionId,
+        metadata: {
+          device: source.device,
+          network: source.network,
+          country: source.country,
+          new_device: assessment.new_device,
+          new_network: assessment.new_network,
+          amr,
+          alert_sent: alerted
+        }
+      });
+    }
+
+    await rememberLoginSource(userId, source);
+  } catch (error) {
+    logger.error('Error checking sign-in source', { error: error.message, module: 'LoginAlerts', label: 'CHECK' });
+  }
+}
+
+/**
+ * Hold a password sign-in from an unfamiliar source until the user confirms it with an OTP
+ * @param {object} user - User record
+ * @param {string} origin - Origin the tokens will be issued for
+ * @param {object} request - Express request
+ * @param {Array<string>} amr - Sign-in methods used so far
+ * @returns {Promise<object|null>} { confirmation_required, hold_token, channel, expires_in }, or null to sign in normally
+ * @throws {Error} errorKey AUTH_OTP_RESEND_COOLDOWN or AUTH_OTP_LOCKED with retry_after
+ */
+async function holdSuspiciousLogin(user, origin, request, amr = []) {
+  if (!LOGIN_ALERTS_ENABLED || !LOGIN_HOLD_ENABLED || !request) {
+    return null;
+  }
+
+  const userId = String(user.user_id);
+  const source = describeLoginSource(request);
+  const assessment = await assessLoginSource(userId, source);
+  const contact = getAlertContact(user);
+  if (!assessment.suspicious || !contact) {
+    return null;
+  }
+
+  const throttle = await registerOtpSend(contact.identifier, request.ip);
+  if (throttle) {
+    const error = loginAlertError(throttle.errorKey, 'Sign-in confirmation code throttled');
+    error.retry_after = throttle.retry_after;
+    throw error;
+  }
+
+  const ttlSeconds = LOGIN_HOLD_TTL_MINUTES * 60;
+  const holdToken = uuidv4();
+  // The code lives in the hold, not under otp:<identifier>, so it can't be used as a login OTP
+  const otp = generateOtp();
+  const stored = await cache.set(`login_hold:${holdToken}`, {
+    user_id: userId,
+    origin,
+    amr,
+    identifier: contact.identifier,
+    otp_hash: hashHoldOtp(holdToken, otp),
+    source
+  }, ttlSeconds);
+  // Without Redis the hold cannot be confirmed later - let the sign-in through with an alert
+  if (!stored) {
+    return null;
+  }
+
+  if (contact.channel === 'email') {
+    await sendOtpEmail(contact.identifier, otp);
+  } else {
+    await sendSMS(contact.identifier, `Confirm your new sign-in with code ${otp}. It is valid for ${LOGIN_HOLD_TTL_MINUTES} minutes. If this wasn't you, change your password.`);
+  }
+
+  await createActivityLog({
+    module: 'authentication',
+    ...requestContext(request),
+    user_id: userId,
+    level: 'audit',
+    message: `Sign-in from a new ${assessment.new_device ? 'device' : 'network'} held for confirmation`,
+    action: 'suspicious_login',
+    status_code: 200,
+    metadata: {
+      device: source.device,
+      network: source.network,
+      country: source.country,
+      new_device: assessment.new_device,
+      new_network: assessment.new_network,
+      amr,
+      held: true
+    }
+  });
+
+  return {
+    confirmation_required: true,
+    hold_token: holdToken,
+    channel: contact.channel,
+    expires_in: ttlSeconds
+  };
+}
+
+/**
+ * Release a held sign-in with the OTP sent for it
+ * The source is remembered before the route issues tokens, so no alert follows the confirmation
+ * @param {string} holdToken - hold_token from the sign-in response
+ * @param {string} otp - OTP sent to the user
+ * @param {string} origin - Origin of the confirming request (from extractOrigin)
+ * @param {object} request - Express request
+ * @returns {Promise<object>} { user, origin, amr }, or { errorKey, retry_after } when OTP checks are locked out
+ * @throws {Error} errorKey LOGIN_HOLD_INVALID, TOKEN_DOMAIN_MISMATCH or AUTH_OTP_INVALID
+ */
+async function confirmHeldLogin(holdToken, otp, origin, request) {
+  const hold = await cache.get(`login_hold:${holdToken}`);
+  if (!hold) {
+    throw loginAlertError('LOGIN_HOLD_INVALID', 'Sign-in confirmation expired or not found');
+  }
+  if (hold.origin !== origin) {
+    throw loginAlertError('TOKEN_DOMAIN_MISMATCH', `Sign-in was started from ${hold.origin}`);
+  }
+
+  // Wrong codes count towards the same lockout as OTP login for this email or phone
+  const ip = request ? request.ip : null;
+  const lockout = await getOtpLockout(hold.identifier, ip);
+  if (lockout) {
+    return lockout;
+  }
+  const expected = Buffer.from(hold.otp_hash || '', 'hex');
+  const actual = Buffer.from(hashHoldOtp(holdToken, String(otp).trim()), 'hex');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    const throttle = await registerOtpFailure(hold.identifier, ip);
+    if (throttle) {
+      // Like a pending login OTP, the hold is discarded once its code is locked out
+      await cache.del(`login_hold:${holdToken}`);
+      return throttle;
+    }
+    throw loginAlertError('AUTH_OTP_INVALID', 'Invalid sign-in confirmation code');
+  }
+  await clearOtpFailures(hold.identifier);
+  await cache.del(`login_hold:${holdToken}`);
+
+  const user = await prisma.user.findUnique({ where: { user_id: hold.user_id } });
+  if (!user || !user.is_active) {
+    throw loginAlertError('AUTH_INVALID_CREDENTIALS', 'User account is not active');
+  }
+
+  await rememberLoginSource(hold.user_id, hold.source);
+  await createActivityLog({
+    module: 'authentication',
+    ...requestContext(request),
+    user_id: hold.user_id,
+    level: 'audit',
+    message: 'Held sign-in confirmed with OTP',
+    action: 'suspicious_login_confirmed',
+    status_code: 200,
+    metadata: { device: hold.source.device, network: hold.source.network, country: hold.source.country }
+  });
+
+  return { user, origin: hold.origin, amr: [...hold.amr, 'otp'] };
+}
+
+/**
+ * "This wasn't me" - end the session named in a login alert and forget its new sources
+ * Repeating the request is harmless; the session is only revoked once
+ * @param {string} token - Token from the alert link
+ * @param {object} request - Express request
+ * @returns {Promise<object>} { user_id, session_id, session_revoked }
+ * @throws {Error} errorKey LOGIN_ALERT_LINK_INVALID
+ */
+async function denyLogin(token, request) {
+  let payload;
+  try {
+    payload = verifyToken(token, { audience: 'login_alert' });
+  } catch (error) {
+    throw loginAlertError('LOGIN_ALERT_LINK_INVALID', error.name === 'TokenExpiredError' ? 'Login alert link has expired' : 'Invalid login alert link');
+  }
+  if (payload.type !== 'login_alert' || !payload.sub || !payload.sid) {
+    throw loginAlertError('LOGIN_ALERT_LINK_INVALID', 'Invalid login alert link');
+  }
+
+  // Refreshing moved the session to a new ID - the family knows the current one and
+  // blacklisting it also stops further refreshes
+  const currentSessionId = payload.fid ? await revokeRefreshFamily(payload.fid) : null;
+  const sessionId = currentSessionId || payload.sid;
+
+  let revoked = true;
+  try {
+    await revokeUserSession(payload.sub, sessionId);
+  } catch (error) {
+    if (error.errorKey !== 'AUTH_SESSION_NOT_FOUND') {
+      throw error;
+    }
+    revoked = false;
+  }
+
+  const forget = [
+    payload.device ? { kind: 'device', value: payload.device } : null,
+    payload.network ? { kind: 'network', value: payload.network } : null
+  ].filter(Boolean);
+  if (forget.length > 0) {
+    await prisma.loginSource.deleteMany({ where: { user_id: payload.sub, OR: forget } });
+  }
+
+  if (revoked) {
+    await createActivityLog({
+      module: 'authentication',
+      ...requestContext(request),
+      user_id: payload.sub,
+      level: 'audit',
+      message: 'Sign-in reported as not made by the user - session revoked',
+      action: 'login_denied',
+      status_code: 200,
+      session_id: sessionId,
+      metadata: { device: payload.device, network: payload.network }
+    });
+  }
+
+  return { user_id: payload.sub, session_id: sessionId, session_revoked: revoked };
+}
+
+module.exports = {
+  LOGIN_HOLD_TTL_MINUTES,
+  getNetworkRange,
+  describeLoginSource,
+  checkNewSignIn,
+  holdSuspiciousLogin,
+  confirmHeldLogin,
+  denyLogin
+};
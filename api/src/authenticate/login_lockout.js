@@ -0,0 +1,248 @@
+/**
+ * Password Login Lockout
+ * Remembers failed password logins per account and per IP in Redis. After a few failures each
+ * further attempt on the account has to wait an exponentially growing delay; after
+ * LOGIN_MAX_FAILED_ATTEMPTS the account is locked for LOGIN_LOCKOUT_MINUTES and the user is
+ * emailed. An IP is locked after LOGIN_MAX_FAILED_ATTEMPTS_PER_IP failures across all accounts.
+ * Failures and locks are written to the activity log
+ */
+
+const cache = require('../cache/cache');
+const logger = require('../logger/logger');
+const { createActivityLog, parseUserAgent } = require('../activity/activityLog');
+const { sendAccountLockedEmail } = require('../email/email');
+
+const LOGIN_BACKOFF_AFTER = parseInt(process.env.LOGIN_BACKOFF_AFTER || '3', 10);
+const LOGIN_BACKOFF_BASE_SECONDS = parseInt(process.env.LOGIN_BACKOFF_BASE_SECONDS || '2', 10);
+const LOGIN_BACKOFF_MAX_SECONDS = parseInt(process.env.LOGIN_BACKOFF_MAX_SECONDS || '60', 10);
+const LOGIN_MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS || '10', 10);
+const LOGIN_MAX_FAILED_ATTEMPTS_PER_IP = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS_PER_IP || '50', 10);
+const LOGIN_ATTEMPT_WINDOW_SECONDS = parseInt(process.env.LOGIN_ATTEMPT_WINDOW_SECONDS || '3600', 10);
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10);
+
+/**
+ * Build an error carrying an error map key and the seconds until the next attempt is allowed
+ * @param {string} errorKey - Error key from ERRORS map
+ * @param {number} retryAfter - Seconds until the next attempt
+ * @returns {Error} Error with errorKey and retry_after set
+ */
+function lockoutError(errorKey, retryAfter) {
+  const error = new Error(`Password login refused: ${errorKey}`);
+  error.errorKey = errorKey;
+  error.retry_after = retryAfter;
+  return error;
+}
+
+/**
+ * Counter key for an account - the user ID when the account exists, so email and phone
+ * share one counter, otherwise the submitted identifier
+ * @param {object|null} user - User record
+ * @param {string} identifier - Submitted email or phone number
+ * @returns {string} Account key
+ */
+function accountKey(user, identifier) {
+  if (user) {
+    return String(user.user_id);
+  }
+  const value = String(identifier || '').trim();
+  return value.includes('@') ? value.toLowerCase() : value;
+}
+
+/**
+ * Seconds left until a stored { until } timestamp, or 0 if it has passed
+ * @param {object|null} entry - Cached { until } value
+ * @returns {number} Seconds remaining (rounded up)
+ */
+function secondsLeft(entry) {
+  if (!entry || !entry.until) {
+    return 0;
+  }
+  return Math.max(Math.ceil((entry.until - Date.now()) / 1000), 0);
+}
+
+/**
+ * Activity log fields describing the login request
+ * @param {object|null} request - Express request
+ * @returns {object} Activity log fields
+ */
+function requestContext(request) {
+  if (!request) {
+    return {};
+  }
+  const userAgent = request.get ? request.get('user-agent') || null : null;
+  const { device, browser, os } = parseUserAgent(userAgent);
+  return {
+    ip_address: request.ip || null,
+    user_agent: userAgent,
+    device,
+    browser,
+    os,
+    platform: 'web',
+    endpoint: request.originalUrl || null,
+    method: request.method || null,
+    request_id: request.id || null
+  };
+}
+
+/**
+ * Write a lockout event without letting a logging failure change the login outcome
+ * @param {object} data - Activity log data
+ * @returns {Promise<void>}
+ */
+async function logLoginEvent(data) {
+  try {
+    await createActivityLog({ module: 'authentication', ...data });
+  } catch (error) {
+    logger.error('Failed to write login lockout activity log', { error: error.message, module: 'LoginLockout', label: data.action });
+  }
+}
+
+/**
+ * Throw if the account or IP is locked or still waiting out its backoff delay
+ * @param {object|null} user - User record (null for unknown identifiers)
+ * @param {string} identifier - Submitted email or phone number
+ * @param {string} ip - Client IP address
+ * @returns {Promise<void>}
+ * @throws {Error} errorKey AUTH_ACCOUNT_LOCKED or AUTH_LOGIN_TOO_MANY_ATTEMPTS with retry_after
+ */
+async function assertLoginAllowed(user, identifier, ip) {
+  const key = accountKey(user, identifier);
+
+  const accountLock = secondsLeft(await cache.get(`login_lock:id:${key}`));
+  if (accountLock > 0) {
+    throw lockoutError('AUTH_ACCOUNT_LOCKED', accountLock);
+  }
+
+  const ipLock = ip ? secondsLeft(await cache.get(`login_lock:ip:${ip}`)) : 0;
+  const backoff = secondsLeft(await cache.get(`login_backoff:id:${key}`));
+  if (ipLock > 0 || backoff > 0) {
+    throw lockoutError('AUTH_LOGIN_TOO_MANY_ATTEMPTS', Math.max(ipLock, backoff));
+  }
+}
+
+/**
+ * Record a wrong password, applying backoff and locks as thresholds are reached
+ * @param {object|null} user - User record (null for unknown identifiers)
+ * @param {string} identifier - Submitted email or phone number
+ * @param {object|null} request - Express request
+ * @returns {Promise<void>}
+ */
+async function recordLoginFailure(user, identifier, request = null) {
+  const key = accountKey(user, identifier);
+  const ip = request ? request.ip : null;
+  const context = requestContext(request);
+  const userId = user ? user.user_id : null;
+
+  const failures = await cache.incr(`login_fail:id:${key}`, LOGIN_ATTEMPT_WINDOW_SECONDS);
+  const ipFailures = ip ? await cache.incr(`login_fail:ip:${ip}`, LOGIN_ATTEMPT_WINDOW_SECONDS) : null;
+
+  await logLoginEvent({
+    ...context,
+    user_id: userId,
+    level: 'warn',
+    message: `Failed password login for ${identifier}`,
+    action: 'login_failed',
+    status_code: 401,
+    metadata: { identifier, failed_attempts: failures, ip_failed_attempts: ipFailures }
+  });
+
+  if (failures !== null && failures >= LOGIN_MAX_FAILED_ATTEMPTS) {
+    const seconds = LOGIN_LOCKOUT_MINUTES * 60;
+    await cache.set(`login_lock:id:${key}`, { until: Date.now() + seconds * 1000 }, seconds);
+    await cache.del(`login_fail:id:${key}`);
+    await cache.del(`login_backoff:id:${key}`);
+
+    logger.warn(`Account ${key} locked for ${LOGIN_LOCKOUT_MINUTES} minutes after ${failures} failed logins`, { module: 'LoginLockout', label: 'ACCOUNT_LOCK' });
+    await logLoginEvent({
+      ...context,
+      user_id: userId,
+      level: 'audit',
+      message: `Account ${identifier} locked after ${failures} failed password logins`,
+      action: 'login_account_locked',
+      status_code: 423,
+      metadata: { identifier, failed_attempts: failures, lockout_minutes: LOGIN_LOCKOUT_MINUTES }
+    });
+
+    if (user && user.email) {
+      await sendAccountLockedEmail(user.email, LOGIN_LOCKOUT_MINUTES);
+    }
+  } else if (failures !== null && failures >= LOGIN_BACKOFF_AFTER) {
+    const delay = Math.min(LOGIN_BACKOFF_BASE_SECONDS * 2 ** (failures - LOGIN_BACKOFF_AFTER), LOGIN_BACKOFF_MAX_SECONDS);
+    await cache.set(`login_backoff:id:${key}`, { until: Date.now() + delay * 1000 }, delay);
+  }
+
+  if (ipFailures !== null && ipFailures >= LOGIN_MAX_FAILED_ATTEMPTS_PER_IP) {
+    const seconds = LOGIN_LOCKOUT_MINUTES * 60;
+    await cache.set(`login_lock:ip:${ip}`, { until: Date.now() + seconds * 1000 }, seconds);
+    await cache.del(`login_fail:ip:${ip}`);
+
+    logger.warn(`IP ${ip} locked for ${LOGIN_LOCKOUT_MINUTES} minutes after ${ipFailures} failed logins`, { module: 'LoginLockout', label: 'IP_LOCK' });
+    await logLoginEvent({
+      ...context,
+      level: 'audit',
+      message: `IP ${ip} locked after ${ipFailures} failed password logins`,
+      action: 'login_ip_locked',
+      status_code: 429,
+      metadata: { failed_attempts: ipFailures, lockout_minutes: LOGIN_LOCKOUT_MINUTES }
+    });
+  }
+}
+
+/**
+ * Reset an account's failure count and backoff after a correct password
+ * The IP counter is kept, so one working login does not hide failures against other accounts
+ * @param {object} user - User record
+ * @returns {Promise<void>}
+ */
+async function clearLoginFailures(user) {
+  const key = accountKey(user);
+  await cache.del(`login_fail:id:${key}`);
+  await cache.del(`login_backoff:id:${key}`);
+}
+
+/**
+ * Current lockout state of an account
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} { locked, retry_after, failed_attempts }
+ */
+async function getLoginLockStatus(userId) {
+  const retryAfter = secondsLeft(await cache.get(`login_lock:id:${userId}`));
+  const failures = await cache.get(`login_fail:id:${userId}`);
+  return {
+    locked: retryAfter > 0,
+    retry_after: retryAfter,
+    failed_attempts: failures ? parseInt(failures, 10) : 0
+  };
+}
+
+/**
+ * Lift an account lock and reset its counters, optionally also for an IP
+ * @param {string} userId - User ID
+ * @param {string} ip - IP address to unlock as well (optional)
+ * @returns {Promise<object>} { was_locked, ip_was_locked }
+ */
+async function unlockLogin(userId, ip = null) {
+  const wasLocked = secondsLeft(await cache.get(`login_lock:id:${userId}`)) > 0;
+  await cache.del(`login_lock:id:${userId}`);
+  await cache.del(`login_fail:id:${userId}`);
+  await cache.del(`login_backoff:id:${userId}`);
+
+  let ipWasLocked = false;
+  if (ip) {
+    ipWasLocked = secondsLeft(await cache.get(`login_lock:ip:${ip}`)) > 0;
+    await cache.del(`login_lock:ip:${ip}`);
+    await cache.del(`login_fail:ip:${ip}`);
+  }
+
+  logger.info(`Login lock cleared for ${userId}${ip ? ` and IP ${ip}` : ''}`, { module: 'LoginLockout', label: 'UNLOCK' });
+  return { was_locked: wasLocked, ip_was_locked: ipWasLocked };
+}
+
+module.exports = {
+  requestContext,
+  assertLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures,
+  getLoginLockStatus,
+  unlockLogin
+};
@@ -0,0 +1,121 @@
+/**
+ * Magic-Link Sign-In
+ * Emails a signed, single-use link instead of a six-digit OTP. The link is bound to the origin
+ * that requested it and can only be exchanged for tokens from that origin. Sending a link
+ * counts as an OTP send, so links and OTPs share one cooldown and lockout per email and IP
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const cache = require('../cache/cache');
+const logger = require('../logger/logger');
+const { signToken, verifyToken } = require('./keystore');
+const { getUserByEmailOrPhone, getUserById } = require('./checkpoint');
+const { registerOtpSend } = require('./otp_throttle');
+const { sendMagicLinkEmail } = require('../email/email');
+
+const MAGIC_LINK_URL = process.env.MAGIC_LINK_URL || 'http://localhost:8900/magic-link';
+const MAGIC_LINK_TTL_MINUTES = parseInt(process.env.MAGIC_LINK_TTL_MINUTES || '15', 10);
+
+/**
+ * Build an error carrying an error map key so routes can respond with ERROR.fromMap
+ * @param {string} errorKey - Error key from ERRORS map
+ * @param {string} message - Error message
+ * @returns {Error} Error with errorKey set
+ */
+function magicLinkError(errorKey, message) {
+  const error = new Error(message);
+  error.errorKey = errorKey;
+  return error;
+}
+
+/**
+ * Email a sign-in link to an existing, active user
+ * The response must not reveal whether the email has an account, so unknown emails are
+ * throttled like known ones and simply get no email
+ * @param {string} email - Email address
+ * @param {string} origin - Origin of the requesting app (from extractOrigin)
+ * @param {object} request - Express request (client IP)
+ * @returns {Promise<object>} { sent }, or { errorKey, retry_after } when throttled
+ * @throws {Error} errorKey SERVICE_UNAVAILABLE if the link cannot be stored
+ */
+async function sendMagicLink(email, origin, request) {
+  const normalized = String(email).trim().toLowerCase();
+  const throttle = await registerOtpSend(normalized, request ? request.ip : null);
+  if (throttle) {
+    return throttle;
+  }
+
+  const user = await getUserByEmailOrPhone(normalized);
+  if (!user || !user.is_active || !user.email) {
+    logger.info(`Magic link not sent - no active account for ${normalized}`, { module: 'Auth', label: 'MAGIC_LINK' });
+    return { sent: false };
+  }
+
+  const jti = uuidv4();
+  const ttlSeconds = MAGIC_LINK_TTL_MINUTES * 60;
+  const stored = await cache.set(`magic_link:${jti}`, { user_id: String(user.user_id), origin }, ttlSeconds);
+  if (!stored) {
+    throw magicLinkError('SERVICE_UNAVAILABLE', 'Failed to store magic link');
+  }
+
+  const token = signToken({
+    sub: String(user.user_id),
+    email: user.email.toLowerCase(),
+    origin,
+    jti,
+    type: 'magic_link',
+    aud: 'magic_link'
+  }, { expiresIn: ttlSeconds });
+
+  const link = `${MAGIC_LINK_URL}?token=${encodeURIComponent(token)}`;
+  return { sent: await sendMagicLinkEmail(user.email, link, MAGIC_LINK_TTL_MINUTES) };
+}
+
+/**
+ * Exchange a sign-in link for its user, invalidating the link
+ * @param {string} token - Token from the link
+ * @param {string} origin - Origin of the consuming app (from extractOrigin)
+ * @returns {Promise<object>} User record
+ * @throws {Error} errorKey MAGIC_LINK_INVALID, MAGIC_LINK_EXPIRED or TOKEN_DOMAIN_MISMATCH
+ */
+async function consumeMagicLink(token, origin) {
+  let payload;
+  try {
+    payload = verifyToken(token, { audience: 'magic_link' });
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw magicLinkError('MAGIC_LINK_EXPIRED', 'Magic link has expired');
+    }
+    throw magicLinkError('MAGIC_LINK_INVALID', 'Invalid magic link');
+  }
+  if (payload.type !== 'magic_link' || !payload.sub || !payload.jti) {
+    throw magicLinkError('MAGIC_LINK_INVALID', 'Invalid magic link');
+  }
+
+  // Checked before the link is used up, so a link opened in the wrong app still works in the right one
+  if (payload.origin !== origin) {
+    throw magicLinkError('TOKEN_DOMAIN_MISMATCH', `Magic link was requested from ${payload.origin}`);
+  }
+
+  // The counter makes the first use win even when two requests race; the stored entry is
+  // what a valid link must still have
+  const uses = await cache.incr(`magic_link_used:${payload.jti}`, MAGIC_LINK_TTL_MINUTES * 60);
+  const stored = await cache.get(`magic_link:${payload.jti}`);
+  if (uses !== 1 || !stored || stored.user_id !== payload.sub) {
+    throw magicLinkError('MAGIC_LINK_INVALID', 'Magic link has already been used');
+  }
+  await cache.del(`magic_link:${payload.jti}`);
+
+  // A link sent before an email change must not sign in to the account
+  const user = await getUserById(payload.sub);
+  if (!user || !user.email || user.email.toLowerCase() !== payload.email) {
+    throw magicLinkError('MAGIC_LINK_INVALID', 'Magic link no longer matches the account');
+  }
+  return user;
+}
+
+module.exports = {
+  MAGIC_LINK_TTL_MINUTES,
+  sendMagicLink,
+  consumeMagicLink
+};
@@ -0,0 +1,437 @@
+/**
+ * Two-Factor Authentication (TOTP)
+ * RFC 6238 time-based one-time passwords, one-time recovery codes,
+ * and verification of the short-lived "mfa_pending" login token
+ */
+
+const crypto = require('crypto');
+const { prisma } = require('../db/prisma');
+const cache = require('../cache/cache');
+const logger = require('../logger/logger');
+const { verifyToken } = require('./keystore');
+const { getOtpLockout, registerOtpFailure, clearOtpFailures } = require('./otp_throttle');
+
+const SECRET_KEY = process.env.JWT_SECRET_KEY || process.env.JWT_SECRET;
+
+// TOTP parameters - kept at authenticator-app defaults (SHA1, 6 digits, 30s)
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30;
+const TOTP_ISSUER = process.env.MFA_TOTP_ISSUER || 'Node.js Backend';
+// Accept codes from this many steps before/after now to tolerate clock drift
+const TOTP_WINDOW = parseInt(process.env.MFA_TOTP_WINDOW || '1', 10);
+
+const RECOVERY_CODE_COUNT = parseInt(process.env.MFA_RECOVERY_CODE_COUNT || '10', 10);
+const MFA_MAX_ATTEMPTS = parseInt(process.env.MFA_MAX_ATTEMPTS || '5', 10);
+
+// TOTP secrets are stored encrypted - key derived from MFA_ENCRYPTION_KEY (falls back to JWT secret)
+const ENCRYPTION_KEY = crypto.createHash('sha256').update(String(process.env.MFA_ENCRYPTION_KEY || SECRET_KEY || '')).digest();
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Decode RFC 4648 base32 string (case-insensitive, padding and spaces ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+function base32Decode(input) {
+  const cleaned = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Encrypt a TOTP secret for storage (AES-256-GCM)
+ * @param {string} plaintext - Base32 secret
+ * @returns {string} iv:tag:ciphertext (base64)
+ */
+function encryptSecret(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return [iv.toString('base64'), tag.toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {string} stored - iv:tag:ciphertext (base64)
+ * @returns {string} Base32 secret
+ */
+function decryptSecret(stored) {
+  const [iv, tag, ciphertext] = String(stored).split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Generate a random base32 TOTP secret (160 bits)
+ * @returns {string} Base32 secret
+ */
+function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Compute the TOTP code for a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step counter
+ * @returns {string} Zero-padded code
+ */
+function generateTotpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+  return String(binary % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Find the time step a TOTP code belongs to within the drift window
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by user
+ * @returns {number|null} Matching time step or null
+ */
+function matchTotpStep(secret, code) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+    return null;
+  }
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD);
+  for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+    const step = currentStep + drift;
+    const expected = generateTotpCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build otpauth:// URI for authenticator apps (QR code payload)
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Account label (email, phone or username)
+ * @returns {string} otpauth URI
+ */
+function buildOtpauthUri(secret, accountName) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Hash a recovery code for storage
+ * Codes are high-entropy random values, so a keyed SHA-256 is sufficient
+ * @param {string} code - Recovery code
+ * @returns {string} Hex hash
+ */
+function hashRecoveryCode(code) {
+  const normalized = String(code).toLowerCase().replace(/[\s-]/g, '');
+  return crypto.createHmac('sha256', ENCRYPTION_KEY).update(normalized).digest('hex');
+}
+
+/**
+ * Generate a set of plaintext recovery codes (xxxxx-xxxxx)
+ * @returns {Array<string>} Recovery codes
+ */
+function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return codes;
+}
+
+/**
+ * Get MFA status for a user
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} { enabled, enabled_at, pending_enrollment, recovery_codes_remaining }
+ */
+async function getMfaStatus(userId) {
+  const [mfa, remaining] = await Promise.all([
+    prisma.userMfa.findUnique({ where: { user_id: userId } }),
+    prisma.mfaRecoveryCode.count({ where: { user_id: userId, used_at: null } })
+  ]);
+  return {
+    enabled: !!(mfa && mfa.enabled_at),
+    enabled_at: mfa && mfa.enabled_at ? mfa.enabled_at : null,
+    pending_enrollment: !!(mfa && !mfa.enabled_at),
+    recovery_codes_remaining: remaining
+  };
+}
+
+/**
+ * Start TOTP enrollment - stores a new (not yet enabled) secret
+ * Calling again before confirmation replaces the pending secret
+ * @param {object} user - User object
+ * @returns {Promise<object>} { secret, otpauth_uri }
+ */
+async function startTotpEnrollment(user) {
+  const secret = generateTotpSecret();
+  const encrypted = encryptSecret(secret);
+
+  await prisma.userMfa.upsert({
+    where: { user_id: user.user_id },
+    update: { totp_secret: encrypted, enabled_at: null, last_used_step: null },
+    create: { user_id: user.user_id, totp_secret: encrypted }
+  });
+
+  const accountName = user.email || (user.phone_number && user.phone_number.phone) || user.user_name || String(user.user_id);
+  return {
+    secret,
+    otpauth_uri: buildOtpauthUri(secret, accountName)
+  };
+}
+
+/**
+ * Verify a TOTP code against the user's stored secret
+ * A matched time step is recorded so the same code can't be replayed
+ * @param {string} userId - User ID
+ * @param {string} code - TOTP code
+ * @param {boolean} allowPending - Accept a secret that is not yet enabled (enrollment confirmation)
+ * @returns {Promise<boolean>} True if code is valid
+ */
+async function verifyTotp(userId, code, allowPending = false) {
+  const mfa = await prisma.userMfa.findUnique({ where: { user_id: userId } });
+  if (!mfa || (!mfa.enabled_at && !allowPending)) {
+    return false;
+  }
+
+  let secret;
+  try {
+    secret = decryptSecret(mfa.totp_secret);
+  } catch (error) {
+    logger.error('Failed to decrypt TOTP secret', { error: error.message, module: 'Auth', label: 'MFA' });
+    return false;
+  }
+
+  const step = matchTotpStep(secret, code);
+  if (step === null) {
+    return false;
+  }
+
+  // Conditional update - fails if this or a later step was already used
+  const result = await prisma.userMfa.updateMany({
+    where: {
+      user_id: userId,
+      OR: [{ last_used_step: null }, { last_used_step: { lt: step } }]
+    },
+    data: { last_used_step: step }
+  });
+  return result.count === 1;
+}
+
+/**
+ * Consume a recovery code (single use)
+ * @param {string} userId - User ID
+ * @param {string} code - Recovery code
+ * @returns {Promise<boolean>} True if code was valid and unused
+ */
+async function consumeRecoveryCode(userId, code) {
+  if (!code) {
+    return false;
+  }
+  const result = await prisma.mfaRecoveryCode.updateMany({
+    where: { user_id: userId, code_hash: hashRecoveryCode(code), used_at: null },
+    data: { used_at: new Date() }
+  });
+  return result.count === 1;
+}
+
+/**
+ * Verify a second-factor code - TOTP first, then recovery code
+ * @param {string} userId - User ID
+ * @param {string} code - TOTP or recovery code
+ * @returns {Promise<string|null>} Method used ('totp' | 'recovery_code') or null
+ */
+async function verifySecondFactor(userId, code) {
+  if (await verifyTotp(userId, code)) {
+    return 'totp';
+  }
+  if (await consumeRecoveryCode(userId, code)) {
+    logger.info(`Recovery code used by user ${userId}`, { module: 'Auth', label: 'MFA' });
+    return 'recovery_code';
+  }
+  return null;
+}
+
+/**
+ * Verify a second-factor code under the OTP lockout
+ * Failures are counted per user and per IP rather than per mfa_pending token, so logging in
+ * again with the password does not buy more guesses. Shares the `totp:<user_id>` counter with
+ * step-up re-authentication
+ * @param {string} userId - User ID
+ * @param {string} code - TOTP or recovery code
+ * @param {string} ip - Client IP address
+ * @returns {Promise<object>} { method } on success, otherwise { errorKey } (with retry_after when locked out)
+ */
+async function verifySecondFactorThrottled(userId, code, ip) {
+  const key = `totp:${userId}`;
+  const lockout = await getOtpLockout(key, ip);
+  if (lockout) {
+    return lockout;
+  }
+  const method = await verifySecondFactor(userId, code);
+  if (method) {
+    await clearOtpFailures(key);
+    return { method };
+  }
+  const throttle = await registerOtpFailure(key, ip);
+  return throttle || { errorKey: 'AUTH_MFA_INVALID_CODE' };
+}
+
+/**
+ * Replace all recovery codes for a user
+ * @param {string} userId - User ID
+ * @param {object} tx - Prisma transaction client (optional)
+ * @returns {Promise<Array<string>>} New plaintext recovery codes
+ */
+async function regenerateRecoveryCodes(userId, tx = prisma) {
+  const codes = generateRecoveryCodes();
+  await tx.mfaRecoveryCode.deleteMany({ where: { user_id: userId } });
+  await tx.mfaRecoveryCode.createMany({
+    data: codes.map(code => ({ user_id: userId, code_hash: hashRecoveryCode(code) }))
+  });
+  return codes;
+}
+
+/**
+ * Confirm TOTP enrollment with a code from the authenticator app
+ * Enables MFA and issues a fresh set of recovery codes
+ * @param {string} userId - User ID
+ * @param {string} code - TOTP code
+ * @returns {Promise<Array<string>|null>} Recovery codes, or null if code is invalid
+ */
+async function confirmTotpEnrollment(userId, code) {
+  const valid = await verifyTotp(userId, code, true);
+  if (!valid) {
+    return null;
+  }
+
+  return prisma.$transaction(async (tx) => {
+    await tx.userMfa.update({
+      where: { user_id: userId },
+      data: { enabled_at: new Date() }
+    });
+    await tx.user.update({
+      where: { user_id: userId },
+      data: { mfa_enabled: true }
+    });
+    return regenerateRecoveryCodes(userId, tx);
+  });
+}
+
+/**
+ * Disable MFA and remove the secret and recovery codes
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+async function disableMfa(userId) {
+  await prisma.$transaction([
+    prisma.mfaRecoveryCode.deleteMany({ where: { user_id: userId } }),
+    prisma.userMfa.deleteMany({ where: { user_id: userId } }),
+    prisma.user.update({ where: { user_id: userId }, data: { mfa_enabled: false } })
+  ]);
+}
+
+/**
+ * Verify an mfa_pending token and count the attempt against it
+ * @param {string} token - mfa_pending JWT
+ * @returns {Promise<object>} { payload } on success, or { errorKey } on failure
+ */
+async function checkMfaPendingToken(token) {
+  let payload;
+  try {
+    payload = verifyToken(token, { audience: 'mfa' });
+  } catch (error) {
+    return { errorKey: 'AUTH_MFA_TOKEN_INVALID' };
+  }
+  if (payload.type !== 'mfa_pending' || !payload.sub || !payload.jti) {
+    return { errorKey: 'AUTH_MFA_TOKEN_INVALID' };
+  }
+
+  if (await cache.exists(`mfa_pending_used:${payload.jti}`)) {
+    return { errorKey: 'AUTH_MFA_TOKEN_INVALID' };
+  }
+
+  const ttl = Math.max(payload.exp - Math.floor(Date.now() / 1000), 1);
+  const attempts = await cache.incr(`mfa_attempts:${payload.jti}`, ttl);
+  if (attempts !== null && attempts > MFA_MAX_ATTEMPTS) {
+    return { errorKey: 'AUTH_MFA_TOO_MANY_ATTEMPTS' };
+  }
+
+  return { payload };
+}
+
+/**
+ * Mark an mfa_pending token as used so it can't complete a second login
+ * @param {object} payload - Decoded mfa_pending token payload
+ * @returns {Promise<void>}
+ */
+async function consumeMfaPendingToken(payload) {
+  const ttl = Math.max(payload.exp - Math.floor(Date.now() / 1000), 1);
+  await cache.set(`mfa_pending_used:${payload.jti}`, '1', ttl);
+  await cache.del(`mfa_attempts:${payload.jti}`);
+}
+
+module.exports = {
+  generateTotpSecret,
+  generateTotpCode,
+  buildOtpauthUri,
+  getMfaStatus,
+  startTotpEnrollment,
+  confirmTotpEnrollment,
+  verifyTotp,
+  verifySecondFactor,
+  verifySecondFactorThrottled,
+  regenerateRecoveryCodes,
+  disableMfa,
+  checkMfaPendingToken,
+  consumeMfaPendingToken
+};
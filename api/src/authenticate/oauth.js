@@ -0,0 +1,402 @@
+/**
+ * OAuth / OpenID Connect Sign-In
+ * Authorization-code + PKCE flow for Google and Apple sign-in
+ * ID tokens are verified against the provider's JWKS before a user is linked or created
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { prisma } = require('../db/prisma');
+const cache = require('../cache/cache');
+const logger = require('../logger/logger');
+const { getUserByEmailOrPhone, createUserInDb, getUserById } = require('./checkpoint');
+const { assignGroupsToUser } = require('../permissions/permissions');
+const { AuthTypeEnum, ProfileAccessibilityEnum, ThemeEnum, UserTypeEnum, LanguageStatusEnum, UserStatusAuthEnum } = require('../enum/enum');
+
+// PKCE state lifetime (seconds) - user must finish the provider consent screen within this window
+const OAUTH_STATE_TTL = parseInt(process.env.OAUTH_STATE_TTL_SECONDS || '600', 10);
+// How long a fetched JWKS document is trusted before it is re-fetched (seconds)
+const OAUTH_JWKS_CACHE_TTL = parseInt(process.env.OAUTH_JWKS_CACHE_SECONDS || '3600', 10);
+const OAUTH_HTTP_TIMEOUT = parseInt(process.env.OAUTH_HTTP_TIMEOUT_MS || '10000', 10);
+
+/**
+ * Provider configuration
+ * Every endpoint is overridable via .env so the flow can run against a local OIDC stand-in
+ */
+const OAUTH_PROVIDERS = {
+  [AuthTypeEnum.google]: {
+    clientId: process.env.GOOGLE_OAUTH_CLIENT_ID,
+    clientSecret: process.env.GOOGLE_OAUTH_CLIENT_SECRET,
+    redirectUri: process.env.GOOGLE_OAUTH_REDIRECT_URI,
+    authorizationUrl: process.env.GOOGLE_OAUTH_AUTHORIZATION_URL || 'https://accounts.google.com/o/oauth2/v2/auth',
+    tokenUrl: process.env.GOOGLE_OAUTH_TOKEN_URL || 'https://oauth2.googleapis.com/token',
+    jwksUrl: process.env.GOOGLE_OAUTH_JWKS_URL || 'https://www.googleapis.com/oauth2/v3/certs',
+    issuers: (process.env.GOOGLE_OAUTH_ISSUER || 'https://accounts.google.com,accounts.google.com').split(',').map(i => i.trim()),
+    scope: process.env.GOOGLE_OAUTH_SCOPE || 'openid email profile',
+    responseMode: null
+  },
+  [AuthTypeEnum.apple]: {
+    clientId: process.env.APPLE_OAUTH_CLIENT_ID,
+    clientSecret: process.env.APPLE_OAUTH_CLIENT_SECRET,
+    teamId: process.env.APPLE_OAUTH_TEAM_ID,
+    keyId: process.env.APPLE_OAUTH_KEY_ID,
+    privateKey: process.env.APPLE_OAUTH_PRIVATE_KEY ? process.env.APPLE_OAUTH_PRIVATE_KEY.replace(/\\n/g, '\n') : null,
+    redirectUri: process.env.APPLE_OAUTH_REDIRECT_URI,
+    authorizationUrl: process.env.APPLE_OAUTH_AUTHORIZATION_URL || 'https://appleid.apple.com/auth/authorize',
+    tokenUrl: process.env.APPLE_OAUTH_TOKEN_URL || 'https://appleid.apple.com/auth/token',
+    jwksUrl: process.env.APPLE_OAUTH_JWKS_URL || 'https://appleid.apple.com/auth/keys',
+    issuers: (process.env.APPLE_OAUTH_ISSUER || 'https://appleid.apple.com').split(',').map(i => i.trim()),
+    scope: process.env.APPLE_OAUTH_SCOPE || 'name email',
+    // Apple only returns name/email scopes with form_post
+    responseMode: 'form_post'
+  }
+};
+
+// In-memory JWKS cache: provider -> { keys, fetchedAt }
+const jwksCache = new Map();
+
+/**
+ * Build an error carrying an error map key so routes can respond with ERROR.fromMap
+ * @param {string} errorKey - Error key from ERRORS map
+ * @param {string} message - Error message
+ * @returns {Error} Error with errorKey set
+ */
+function oauthError(errorKey, message) {
+  const error = new Error(message);
+  error.errorKey = errorKey;
+  return error;
+}
+
+/**
+ * Get provider configuration if the provider is supported and configured
+ * @param {string} provider - Provider name (google, apple)
+ * @returns {object|null} Provider configuration or null
+ */
+function getProviderConfig(provider) {
+  const config = OAUTH_PROVIDERS[provider];
+  if (!config || !config.clientId || !config.redirectUri) {
+    return null;
+  }
+  return config;
+}
+
+/**
+ * Base64url encode a buffer
+ * @param {Buffer} buffer - Buffer to encode
+ * @returns {string} Base64url string
+ */
+function base64Url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Create the provider authorization URL and persist PKCE state in cache
+ * @param {string} provider - Provider name
+ * @param {string} origin - Origin that started the flow (tokens are bound to it)
+ * @param {string} upgradeUserId - Guest user the identity should be attached to (optional)
+ * @returns {Promise<object>} { authorization_url, state }
+ */
+async function createAuthorizationRequest(provider, origin = null, upgradeUserId = null) {
+  const config = getProviderConfig(provider);
+  if (!config) {
+    throw oauthError('AUTH_OAUTH_PROVIDER_UNSUPPORTED', `OAuth provider '${provider}' is not configured`);
+  }
+
+  const state = base64Url(crypto.randomBytes(32));
+  const nonce = base64Url(crypto.randomBytes(32));
+  const codeVerifier = base64Url(crypto.randomBytes(48));
+  const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  const stored = await cache.set(`oauth_state:${state}`, {
+    provider,
+    nonce,
+    code_verifier: codeVerifier,
+    origin,
+    upgrade_user_id: upgradeUserId
+  }, OAUTH_STATE_TTL);
+
+  if (!stored) {
+    throw oauthError('SERVICE_UNAVAILABLE', 'Failed to persist OAuth state');
+  }
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scope,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+  if (config.responseMode) {
+    params.set('response_mode', config.responseMode);
+  }
+
+  return {
+    authorization_url: `${config.authorizationUrl}?${params.toString()}`,
+    state
+  };
+}
+
+/**
+ * Read and delete stored PKCE state (single use)
+ * @param {string} provider - Provider name
+ * @param {string} state - State value returned by the provider
+ * @returns {Promise<object|null>} Stored state or null if unknown/expired/mismatched
+ */
+async function consumeAuthorizationState(provider, state) {
+  const cacheKey = `oauth_state:${state}`;
+  const stored = await cache.get(cacheKey);
+  if (!stored) {
+    return null;
+  }
+  await cache.del(cacheKey);
+  if (stored.provider !== provider) {
+    logger.warn(`OAuth state provider mismatch: expected ${stored.provider}, got ${provider}`, { module: 'Auth', label: 'OAUTH' });
+    return null;
+  }
+  return stored;
+}
+
+/**
+ * Get the client secret for the token request
+ * Apple requires a short-lived ES256 JWT signed with the developer key
+ * @param {string} provider - Provider name
+ * @param {object} config - Provider configuration
+ * @returns {string} Client secret
+ */
+function getClientSecret(provider, config) {
+  if (provider === AuthTypeEnum.apple && !config.clientSecret && config.privateKey) {
+    const now = Math.floor(Date.now() / 1000);
+    return jwt.sign({
+      iss: config.teamId,
+      iat: now,
+      exp: now + 300,
+      aud: config.issuers[0],
+      sub: config.clientId
+    }, config.privateKey, { algorithm: 'ES256', keyid: config.keyId });
+  }
+  return config.clientSecret;
+}
+
+/**
+ * Exchange authorization code for provider tokens
+ * @param {string} provider - Provider name
+ * @param {string} code - Authorization code
+ * @param {string} codeVerifier - PKCE code verifier
+ * @returns {Promise<object>} Provider token response (contains id_token)
+ */
+async function exchangeAuthorizationCode(provider, code, codeVerifier) {
+  const config = getProviderConfig(provider);
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.redirectUri,
+    client_id: config.clientId,
+    code_verifier: codeVerifier
+  });
+  const clientSecret = getClientSecret(provider, config);
+  if (clientSecret) {
+    params.set('client_secret', clientSecret);
+  }
+
+  try {
+    const response = await axios.post(config.tokenUrl, params.toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+      timeout: OAUTH_HTTP_TIMEOUT
+    });
+    if (!response.data || !response.data.id_token) {
+      throw new Error('Token response did not include an id_token');
+    }
+    return response.data;
+  } catch (error) {
+    const providerError = error.response && error.response.data ? error.response.data : null;
+    logger.error(`OAuth code exchange failed for ${provider}`, { error: error.message, providerError, module: 'Auth', label: 'OAUTH' });
+    throw oauthError('AUTH_OAUTH_EXCHANGE_FAILED', error.message);
+  }
+}
+
+/**
+ * Get JWKS for a provider, using the in-memory cache unless stale or forced
+ * @param {string} provider - Provider name
+ * @param {boolean} forceRefresh - Ignore cached keys
+ * @returns {Promise<Array>} Array of JWKs
+ */
+async function getProviderJwks(provider, forceRefresh = false) {
+  const cached = jwksCache.get(provider);
+  const now = Date.now();
+  if (!forceRefresh && cached && (now - cached.fetchedAt) < OAUTH_JWKS_CACHE_TTL * 1000) {
+    return cached.keys;
+  }
+
+  const config = getProviderConfig(provider);
+  const response = await axios.get(config.jwksUrl, { timeout: OAUTH_HTTP_TIMEOUT });
+  const keys = (response.data && response.data.keys) || [];
+  jwksCache.set(provider, { keys, fetchedAt: now });
+  return keys;
+}
+
+/**
+ * Verify an ID token signature and claims against the provider's JWKS
+ * @param {string} provider - Provider name
+ * @param {string} idToken - ID token from token response
+ * @param {string} nonce - Nonce stored with the authorization request
+ * @returns {Promise<object>} Verified ID token claims
+ */
+async function verifyIdToken(provider, idToken, nonce) {
+  const config = getProviderConfig(provider);
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header || !decoded.header.kid) {
+    throw oauthError('AUTH_OAUTH_ID_TOKEN_INVALID', 'ID token is malformed or has no kid');
+  }
+
+  let jwk;
+  try {
+    let keys = await getProviderJwks(provider);
+    jwk = keys.find(k => k.kid === decoded.header.kid);
+    if (!jwk) {
+      // Provider may have rotated keys since the last fetch
+      keys = await getProviderJwks(provider, true);
+      jwk = keys.find(k => k.kid === decoded.header.kid);
+    }
+  } catch (error) {
+    logger.error(`Failed to fetch JWKS for ${provider}`, { error: error.message, module: 'Auth', label: 'OAUTH' });
+    throw oauthError('AUTH_OAUTH_ID_TOKEN_INVALID', 'Unable to fetch provider signing keys');
+  }
+
+  if (!jwk) {
+    throw oauthError('AUTH_OAUTH_ID_TOKEN_INVALID', `No signing key found for kid ${decoded.header.kid}`);
+  }
+
+  let claims;
+  try {
+    const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    claims = jwt.verify(idToken, publicKey, {
+      algorithms: ['RS256', 'ES256'],
+      audience: config.clientId,
+      issuer: config.issuers
+    });
+  } catch (error) {
+    throw oauthError('AUTH_OAUTH_ID_TOKEN_INVALID', error.message);
+  }
+
+  if (!claims.sub) {
+    throw oauthError('AUTH_OAUTH_ID_TOKEN_INVALID', 'ID token has no subject');
+  }
+  if (nonce && claims.nonce !== nonce) {
+    throw oauthError('AUTH_OAUTH_ID_TOKEN_INVALID', 'ID token nonce mismatch');
+  }
+
+  return claims;
+}
+
+/**
+ * Whether the provider asserts the email is verified
+ * Apple sends email_verified as the string "true"
+ * @param {object} claims - ID token claims
+ * @returns {boolean} True if email is verified
+ */
+function isEmailVerified(claims) {
+  return claims.email_verified === true || claims.email_verified === 'true';
+}
+
+/**
+ * Link provider identity to a user, creating the user if needed
+ * Resolution order: existing identity -> existing user with the same verified email -> new user
+ * @param {string} provider - Provider name
+ * @param {object} claims - Verified ID token claims
+ * @param {object} profile - Extra profile data (Apple sends name only on first consent)
+ * @returns {Promise<object>} { user, created, linked }
+ */
+async function findOrCreateOAuthUser(provider, claims, profile = {}) {
+  const providerUserId = String(claims.sub);
+  const email = claims.email ? String(claims.email).trim().toLowerCase() : null;
+  const emailVerified = email && isEmailVerified(claims);
+
+  // 1. Known identity
+  const identity = await prisma.oAuthIdentity.findUnique({
+    where: {
+      provider_provider_user_id: {
+        provider,
+        provider_user_id: providerUserId
+      }
+    }
+  });
+
+  if (identity) {
+    await prisma.oAuthIdentity.update({
+      where: { identity_id: identity.identity_id },
+      data: { last_used_at: new Date(), email: email || identity.email }
+    });
+    const user = await getUserById(identity.user_id);
+    return { user, created: false, linked: false };
+  }
+
+  // Never link or create on an unverified email - it could belong to someone else
+  if (!emailVerified) {
+    throw oauthError('AUTH_OAUTH_EMAIL_UNVERIFIED', `Provider ${provider} did not return a verified email`);
+  }
+
+  // 2. Existing user with the same verified email
+  let user = await getUserByEmailOrPhone(email);
+  let created = false;
+
+  // 3. New user
+  if (!user) {
+    const userId = await createUserInDb({
+      email,
+      // Password column is required - OAuth users get an unusable random one
+      password: crypto.randomBytes(32).toString('hex'),
+      auth_type: provider,
+      user_name: email.split('@')[0],
+      first_name: profile.first_name || claims.given_name || undefined,
+      last_name: profile.last_name || claims.family_name || undefined,
+      is_email_verified: true,
+      email_verified_at: new Date(),
+      is_phone_verified: false,
+      profile_accessibility: ProfileAccessibilityEnum.public,
+      theme: ThemeEnum.light,
+      user_type: UserTypeEnum.customer,
+      language: LanguageStatusEnum.en,
+      status: UserStatusAuthEnum.ACTIVE
+    });
+
+    if (!userId) {
+      throw oauthError('AUTH_SIGNUP_FAILED', 'Failed to create user for OAuth identity');
+    }
+
+    await assignGroupsToUser(userId, ['user'], null);
+    user = await getUserById(userId);
+    created = true;
+  } else if (!user.is_email_verified) {
+    // Whoever registered this account never proved the email - it may be squatting on someone else's address
+    throw oauthError('AUTH_OAUTH_ACCOUNT_UNVERIFIED', `User ${user.user_id} has not verified ${email}`);
+  }
+
+  await prisma.oAuthIdentity.create({
+    data: {
+      user_id: user.user_id,
+      provider,
+      provider_user_id: providerUserId,
+      email,
+      last_used_at: new Date()
+    }
+  });
+
+  logger.info(`OAuth identity ${provider}:${providerUserId} linked to user ${user.user_id}`, { module: 'Auth', label: 'OAUTH' });
+
+  return { user, created, linked: true };
+}
+
+module.exports = {
+  OAUTH_PROVIDERS,
+  getProviderConfig,
+  createAuthorizationRequest,
+  consumeAuthorizationState,
+  exchangeAuthorizationCode,
+  verifyIdToken,
+  isEmailVerified,
+  findOrCreateOAuthUser
+};
@@ -0,0 +1,283 @@
+/**
+ * OAuth2 Clients
+ * Registered clients for service-to-service calls (client_credentials grant).
+ * A client authenticates with client_id + client_secret and receives a short-lived access
+ * token whose subject is the client_id. Clients are authorized by the permission codenames
+ * granted to them, not by user groups
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { prisma } = require('../db/prisma');
+const cache = require('../cache/cache');
+const logger = require('../logger/logger');
+const { signToken } = require('./keystore');
+
+const CLIENT_TOKEN_EXPIRY = parseInt(process.env.OAUTH_CLIENT_TOKEN_EXPIRY_MINUTES || '60', 10); // 1 hour
+// Disabling a client or narrowing its permissions reaches running instances within this interval
+const OAUTH_CLIENT_CACHE_SECONDS = parseInt(process.env.OAUTH_CLIENT_CACHE_SECONDS || '60', 10);
+
+const CLIENT_ID_PREFIX = 'cl';
+
+const CLIENT_PUBLIC_FIELDS = {
+  client_id: true,
+  name: true,
+  permissions: true,
+  is_active: true,
+  created_at: true,
+  last_updated: true,
+  secret_rotated_at: true,
+  last_token_at: true
+};
+
+/**
+ * Build an error carrying an RFC 6749 error code (invalid_client, invalid_scope, ...)
+ * @param {string} oauthError - RFC 6749 error code
+ * @param {string} message - Error description
+ * @returns {Error} Error with oauthError set
+ */
+function oauthClientError(oauthError, message) {
+  const error = new Error(message);
+  error.oauthError = oauthError;
+  return error;
+}
+
+/**
+ * Hash a client secret for storage
+ * Secrets carry 256 bits of randomness, so a plain SHA-256 is sufficient
+ * @param {string} secret - Plaintext client secret
+ * @returns {string} Hex digest
+ */
+function hashClientSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Generate a new client secret
+ * @returns {string} base64url secret
+ */
+function generateClientSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Normalize the permissions JSON column
+ * @param {any} permissions - Stored permissions value
+ * @returns {Array<string>} Permission codenames
+ */
+function normalizePermissions(permissions) {
+  return Array.isArray(permissions) ? permissions : [];
+}
+
+/**
+ * Ensure every codename exists in the permission table
+ * @param {Array<string>} permissions - Permission codenames
+ * @returns {Promise<Array<string>>} Unique codenames
+ */
+async function assertPermissionsExist(permissions) {
+  const unique = [...new Set(permissions)];
+  const existing = await prisma.permission.findMany({
+    where: { codename: { in: unique } },
+    select: { codename: true }
+  });
+  const known = new Set(existing.map(p => p.codename));
+  const unknown = unique.filter(codename => !known.has(codename));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown permission codenames: ${unknown.join(', ')}`);
+  }
+  return unique;
+}
+
+/**
+ * Drop the cached client so validateUser re-reads it
+ * @param {string} clientId - Client ID
+ * @returns {Promise<void>}
+ */
+async function invalidateClientCache(clientId) {
+  await cache.del(`oauth_client:${clientId}`);
+}
+
+/**
+ * Register a client
+ * @param {object} data - { name, permissions }
+ * @returns {Promise<object>} { client, client_secret } - the secret is only returned here
+ */
+async function createClient({ name, permissions }) {
+  const granted = await assertPermissionsExist(permissions);
+  const clientSecret = generateClientSecret();
+
+  const client = await prisma.oAuthClient.create({
+    data: {
+      client_id: `${CLIENT_ID_PREFIX}_${crypto.randomBytes(8).toString('hex')}`,
+      name,
+      secret_hash: hashClientSecret(clientSecret),
+      permissions: granted
+    },
+    select: CLIENT_PUBLIC_FIELDS
+  });
+
+  logger.info(`OAuth client ${client.client_id} registered`, { module: 'OAuthClients', label: 'CREATE' });
+  return { client, client_secret: clientSecret };
+}
+
+/**
+ * List registered clients
+ * @returns {Promise<Array>} Clients (without secret hashes)
+ */
+async function listClients() {
+  return prisma.oAuthClient.findMany({
+    orderBy: { created_at: 'asc' },
+    select: CLIENT_PUBLIC_FIELDS
+  });
+}
+
+/**
+ * Replace a client's granted permissions
+ * @param {string} clientId - Client ID
+ * @param {Array<string>} permissions - Permission codenames
+ * @returns {Promise<object>} Updated client
+ */
+async function setClientPermissions(clientId, permissions) {
+  const granted = await assertPermissionsExist(permissions);
+  const client = await prisma.oAuthClient.update({
+    where: { client_id: clientId },
+    data: { permissions: granted },
+    select: CLIENT_PUBLIC_FIELDS
+  });
+  await invalidateClientCache(clientId);
+  return client;
+}
+
+/**
+ * Issue a new secret; the old one stops working immediately
+ * @param {string} clientId - Client ID
+ * @returns {Promise<object>} { client, client_secret }
+ */
+async function rotateClientSecret(clientId) {
+  const clientSecret = generateClientSecret();
+  const client = await prisma.oAuthClient.update({
+    where: { client_id: clientId },
+    data: { secret_hash: hashClientSecret(clientSecret), secret_rotated_at: new Date() },
+    select: CLIENT_PUBLIC_FIELDS
+  });
+  return { client, client_secret: clientSecret };
+}
+
+/**
+ * Enable or disable a client. Disabled clients cannot obtain tokens and their
+ * outstanding tokens are rejected once the client cache expires
+ * @param {string} clientId - Client ID
+ * @param {boolean} isActive - New state
+ * @returns {Promise<object>} Updated client
+ */
+async function setClientActive(clientId, isActive) {
+  const client = await prisma.oAuthClient.update({
+    where: { client_id: clientId },
+    data: { is_active: isActive },
+    select: CLIENT_PUBLIC_FIELDS
+  });
+  await invalidateClientCache(clientId);
+  return client;
+}
+
+/**
+ * Verify client credentials
+ * @param {string} clientId - Client ID
+ * @param {string} clientSecret - Plaintext secret
+ * @returns {Promise<object>} Client record
+ * @throws {Error} invalid_client
+ */
+async function authenticateClient(clientId, clientSecret) {
+  const client = clientId && clientSecret
+    ? await prisma.oAuthClient.findUnique({ where: { client_id: clientId } })
+    : null;
+
+  const expected = Buffer.from(client ? client.secret_hash : hashClientSecret(''), 'hex');
+  const presented = Buffer.from(hashClientSecret(clientSecret || ''), 'hex');
+  const secretMatches = crypto.timingSafeEqual(expected, presented);
+
+  if (!client || !secretMatches || !client.is_active) {
+    throw oauthClientError('invalid_client', 'Client authentication failed');
+  }
+
+  return { ...client, permissions: normalizePermissions(client.permissions) };
+}
+
+/**
+ * Issue an access token for an authenticated client
+ * @param {object} client - Client record from authenticateClient
+ * @param {string} requestedScope - Space-separated permission codenames (optional, defaults to all granted)
+ * @returns {Promise<object>} RFC 6749 token response
+ * @throws {Error} invalid_scope
+ */
+async function issueClientToken(client, requestedScope = null) {
+  let scopes = client.permissions;
+  if (requestedScope) {
+    scopes = [...new Set(requestedScope.split(' ').filter(Boolean))];
+    const notGranted = scopes.filter(scope => !client.permissions.includes(scope));
+    if (notGranted.length > 0) {
+      throw oauthClientError('invalid_scope', `Scope not granted to this client: ${notGranted.join(' ')}`);
+    }
+  }
+
+  const accessToken = signToken({
+    sub: client.client_id,
+    client_id: client.client_id,
+    type: 'client',
+    scope: scopes.join(' '),
+    aud: 'authenticated',
+    jti: uuidv4()
+  }, { expiresIn: CLIENT_TOKEN_EXPIRY * 60 });
+
+  prisma.oAuthClient.update({
+    where: { client_id: client.client_id },
+    data: { last_token_at: new Date() }
+  }).catch(error => {
+    logger.warn('Error updating client last token time', { error: error.message, module: 'OAuthClients', label: 'TOKEN' });
+  });
+
+  return {
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: CLIENT_TOKEN_EXPIRY * 60,
+    scope: scopes.join(' ')
+  };
+}
+
+/**
+ * Get an active client for token validation (cached)
+ * @param {string} clientId - Client ID
+ * @returns {Promise<object|null>} { client_id, name, permissions } or null if unknown / disabled
+ */
+async function getActiveClient(clientId) {
+  const cacheKey = `oauth_client:${clientId}`;
+  const cached = await cache.get(cacheKey);
+  if (cached) {
+    return cached.is_active ? cached : null;
+  }
+
+  const client = await prisma.oAuthClient.findUnique({
+    where: { client_id: clientId },
+    select: { client_id: true, name: true, permissions: true, is_active: true }
+  });
+  if (!client) {
+    return null;
+  }
+
+  const entry = { ...client, permissions: normalizePermissions(client.permissions) };
+  await cache.set(cacheKey, entry, OAUTH_CLIENT_CACHE_SECONDS);
+  return entry.is_active ? entry : null;
+}
+
+module.exports = {
+  CLIENT_TOKEN_EXPIRY,
+  hashClientSecret,
+  createClient,
+  listClients,
+  setClientPermissions,
+  rotateClientSecret,
+  setClientActive,
+  authenticateClient,
+  issueClientToken,
+  getActiveClient
+};
@@ -6,17 +6,7 @@
 const cache = require('../cache/cache');
 const { randomInt } = require('crypto');
 const logger = require('../logger/logger');
-
-const MASTER_OTP = process.env.MASTER_OTP || process.env.MASTER_ADMIN_OTP || '1408199';
-
-/**
- * Check if the provided OTP is the master OTP
- * @param {string} otp - OTP to check
- * @returns {boolean} True if OTP matches MASTER_OTP, False otherwise
- */
-function isMasterOtp(otp) {
-  return otp === MASTER_OTP;
-}
+const { isBreakGlassCode, consumeBreakGlassCode } = require('./break_glass');
 
 /**
  * Generate numeric OTP of given length (default: 6)
@@ -70,12 +60,15 @@ function normalizeUserId(userId) {
 
 /**
  * Verify OTP for given user_id
+ * Break-glass codes are accepted too; they are single-use, so they are consumed on the first
+ * successful check regardless of deleteAfterVerify
  * @param {string} userId - User ID (email or phone)
  * @param {string} otp - OTP to verify
  * @param {boolean} deleteAfterVerify - Delete OTP after verification (default: true)
+ * @param {object} request - Express request, recorded in the audit entry when a break-glass code is used (optional)
  * @returns {Promise<boolean>} True if valid, False otherwise
  */
-async function verifyOtp(userId, otp, deleteAfterVerify = true) {
+async function verifyOtp(userId, otp, deleteAfterVerify = true, request = null) {
   // Normalize userId for consistent cache key lookup
   const normalizedUserId = normalizeUserId(userId);
   const cacheKey = `otp:${normalizedUserId}`;
@@ -83,10 +76,9 @@ async function verifyOtp(userId, otp, deleteAfterVerify = true) {
   // Ensure OTP is a string for comparison
   const otpString = String(otp).trim();
   
-  // 1. Master OTP check
-  if (isMasterOtp(otpString)) {
-    logger.info('Master OTP verified', { userId: normalizedUserId });
-    return true;
+  // 1. Break-glass code check (never logged - the code is a credential)
+  if (isBreakGlassCode(otpString)) {
+    return consumeBreakGlassCode(normalizedUserId, otpString, request);
   }
   
   // 2. Get stored OTP from cache
@@ -166,7 +158,6 @@ module.exports = {
   setOtp,
   verifyOtp,
   verifyOtpKeep,
-  deleteOtp,
-  isMasterOtp
+  deleteOtp
 };
 
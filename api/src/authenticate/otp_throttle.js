@@ -0,0 +1,203 @@
+/**
+ * OTP Throttling
+ * Counts OTP sends and failed verifications per identifier and per IP in Redis, enforces a
+ * resend cooldown and locks an identifier or IP out with an exponentially growing lockout once
+ * too many wrong codes are entered. A lockout also discards the pending OTP, so a code can never
+ * be guessed more than OTP_MAX_FAILED_ATTEMPTS times
+ */
+
+const cache = require('../cache/cache');
+const logger = require('../logger/logger');
+const { verifyOtp } = require('./otp_cache');
+const { isBreakGlassCode } = require('./break_glass');
+
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS || '60', 10);
+const OTP_MAX_SENDS_PER_WINDOW = parseInt(process.env.OTP_MAX_SENDS_PER_WINDOW || '5', 10);
+const OTP_MAX_FAILED_ATTEMPTS = parseInt(process.env.OTP_MAX_FAILED_ATTEMPTS || '5', 10);
+const OTP_MAX_FAILED_ATTEMPTS_PER_IP = parseInt(process.env.OTP_MAX_FAILED_ATTEMPTS_PER_IP || '20', 10);
+const OTP_ATTEMPT_WINDOW_SECONDS = parseInt(process.env.OTP_ATTEMPT_WINDOW_SECONDS || '3600', 10);
+const OTP_LOCKOUT_BASE_SECONDS = parseInt(process.env.OTP_LOCKOUT_BASE_SECONDS || '300', 10);
+const OTP_LOCKOUT_MAX_SECONDS = parseInt(process.env.OTP_LOCKOUT_MAX_SECONDS || '86400', 10);
+
+// Lockouts within this period make the next one longer
+const OTP_LOCKOUT_HISTORY_SECONDS = 24 * 60 * 60;
+
+/**
+ * Normalize an identifier the same way OTP cache keys are normalized
+ * @param {string} identifier - Email or phone number
+ * @returns {string} Normalized identifier
+ */
+function normalizeIdentifier(identifier) {
+  const value = String(identifier || '').trim();
+  return value.includes('@') ? value.toLowerCase() : value;
+}
+
+/**
+ * Throttle subjects for a request - the identifier and, when known, the client IP
+ * @param {string} identifier - Email or phone number
+ * @param {string} ip - Client IP address
+ * @returns {Array<object>} [{ scope, key }]
+ */
+function subjects(identifier, ip) {
+  const list = [{ scope: 'id', key: normalizeIdentifier(identifier) }];
+  if (ip) {
+    list.push({ scope: 'ip', key: ip });
+  }
+  return list;
+}
+
+/**
+ * Seconds left until a stored { until } timestamp, or 0 if it has passed
+ * @param {object|null} entry - Cached { until } value
+ * @returns {number} Seconds remaining (rounded up)
+ */
+function secondsLeft(entry) {
+  if (!entry || !entry.until) {
+    return 0;
+  }
+  return Math.max(Math.ceil((entry.until - Date.now()) / 1000), 0);
+}
+
+/**
+ * Return the longest active lockout for the identifier or IP
+ * @param {string} identifier - Email or phone number
+ * @param {string} ip - Client IP address
+ * @returns {Promise<object|null>} { errorKey, retry_after } if locked out, otherwise null
+ */
+async function getOtpLockout(identifier, ip) {
+  let retryAfter = 0;
+  for (const { scope, key } of subjects(identifier, ip)) {
+    retryAfter = Math.max(retryAfter, secondsLeft(await cache.get(`otp_lock:${scope}:${key}`)));
+  }
+  return retryAfter > 0 ? { errorKey: 'AUTH_OTP_LOCKED', retry_after: retryAfter } : null;
+}
+
+/**
+ * Lock a subject out; each lockout within OTP_LOCKOUT_HISTORY_SECONDS doubles the duration
+ * @param {string} scope - 'id' or 'ip'
+ * @param {string} key - Normalized identifier or IP
+ * @returns {Promise<number>} Lockout duration in seconds
+ */
+async function lockOut(scope, key) {
+  const lockouts = (await cache.incr(`otp_lockouts:${scope}:${key}`, OTP_LOCKOUT_HISTORY_SECONDS)) || 1;
+  const duration = Math.min(OTP_LOCKOUT_BASE_SECONDS * 2 ** (lockouts - 1), OTP_LOCKOUT_MAX_SECONDS);
+
+  await cache.set(`otp_lock:${scope}:${key}`, { until: Date.now() + duration * 1000 }, duration);
+  await cache.del(`otp_fail:${scope}:${key}`);
+  await cache.del(`otp_send:${scope}:${key}`);
+
+  logger.warn(`OTP lockout for ${scope} ${key} (${duration}s, lockout #${lockouts})`, { module: 'OtpThrottle', label: 'LOCKOUT' });
+  return duration;
+}
+
+/**
+ * Check and record an OTP send
+ * Refused while locked out or within the resend cooldown. Sending more than
+ * OTP_MAX_SENDS_PER_WINDOW codes to one identifier (or from one IP) in OTP_ATTEMPT_WINDOW_SECONDS
+ * locks it out
+ * @param {string} identifier - Email or phone number the OTP is sent to
+ * @param {string} ip - Client IP address
+ * @returns {Promise<object|null>} { errorKey, retry_after } if the send is refused, otherwise null
+ */
+async function registerOtpSend(identifier, ip) {
+  const lockout = await getOtpLockout(identifier, ip);
+  if (lockout) {
+    return lockout;
+  }
+
+  const normalized = normalizeIdentifier(identifier);
+  const cooldown = secondsLeft(await cache.get(`otp_cooldown:${normalized}`));
+  if (cooldown > 0) {
+    return { errorKey: 'AUTH_OTP_RESEND_COOLDOWN', retry_after: cooldown };
+  }
+
+  let lockedFor = 0;
+  for (const { scope, key } of subjects(identifier, ip)) {
+    // One IP legitimately requests codes for several identifiers, so it gets a larger allowance
+    const limit = scope === 'ip' ? OTP_MAX_SENDS_PER_WINDOW * 4 : OTP_MAX_SENDS_PER_WINDOW;
+    const sends = await cache.incr(`otp_send:${scope}:${key}`, OTP_ATTEMPT_WINDOW_SECONDS);
+    if (sends !== null && sends > limit) {
+      lockedFor = Math.max(lockedFor, await lockOut(scope, key));
+    }
+  }
+  if (lockedFor > 0) {
+    return { errorKey: 'AUTH_OTP_LOCKED', retry_after: lockedFor };
+  }
+
+  await cache.set(`otp_cooldown:${normalized}`, { until: Date.now() + OTP_RESEND_COOLDOWN_SECONDS * 1000 }, OTP_RESEND_COOLDOWN_SECONDS);
+  return null;
+}
+
+/**
+ * Record a wrong OTP
+ * Once the identifier reaches OTP_MAX_FAILED_ATTEMPTS (or the IP OTP_MAX_FAILED_ATTEMPTS_PER_IP)
+ * it is locked out and the pending OTP for the identifier is discarded
+ * @param {string} identifier - Email or phone number the OTP was submitted for
+ * @param {string} ip - Client IP address
+ * @returns {Promise<object|null>} { errorKey, retry_after } if this failure caused a lockout, otherwise null
+ */
+async function registerOtpFailure(identifier, ip) {
+  let lockedFor = 0;
+  for (const { scope, key } of subjects(identifier, ip)) {
+    const limit = scope === 'ip' ? OTP_MAX_FAILED_ATTEMPTS_PER_IP : OTP_MAX_FAILED_ATTEMPTS;
+    const failures = await cache.incr(`otp_fail:${scope}:${key}`, OTP_ATTEMPT_WINDOW_SECONDS);
+    if (failures !== null && failures >= limit) {
+      lockedFor = Math.max(lockedFor, await lockOut(scope, key));
+      if (scope === 'id') {
+        await cache.del(`otp:${key}`);
+      }
+    }
+  }
+  return lockedFor > 0 ? { errorKey: 'AUTH_OTP_LOCKED', retry_after: lockedFor } : null;
+}
+
+/**
+ * Reset the failure and send counters of an identifier after a correct OTP
+ * IP counters are kept, so a caller cannot reset them by verifying a code of their own
+ * @param {string} identifier - Email or phone number
+ * @returns {Promise<void>}
+ */
+async function clearOtpFailures(identifier) {
+  const normalized = normalizeIdentifier(identifier);
+  await cache.del(`otp_fail:id:${normalized}`);
+  await cache.del(`otp_send:id:${normalized}`);
+}
+
+/**
+ * Verify an OTP with lockout checks and failure counting
+ * Break-glass codes skip throttling - they are long random values, single use and audited,
+ * and an attacker locking an account out must not block the emergency path
+ * @param {string} identifier - Email or phone number
+ * @param {string} otp - Submitted OTP
+ * @param {boolean} deleteAfterVerify - Delete the OTP after a successful check
+ * @param {object} request - Express request (client IP and break-glass audit entry)
+ * @returns {Promise<object>} { valid: true }, or { valid: false } with errorKey and retry_after when locked out
+ */
+async function verifyOtpThrottled(identifier, otp, deleteAfterVerify, request) {
+  const ip = request ? request.ip : null;
+  if (isBreakGlassCode(String(otp).trim())) {
+    return { valid: await verifyOtp(identifier, otp, deleteAfterVerify, request) };
+  }
+
+  const lockout = await getOtpLockout(identifier, ip);
+  if (lockout) {
+    return { valid: false, ...lockout };
+  }
+
+  if (await verifyOtp(identifier, otp, deleteAfterVerify, request)) {
+    await clearOtpFailures(identifier);
+    return { valid: true };
+  }
+
+  const throttle = await registerOtpFailure(identifier, ip);
+  return throttle ? { valid: false, ...throttle } : { valid: false };
+}
+
+module.exports = {
+  OTP_RESEND_COOLDOWN_SECONDS,
+  verifyOtpThrottled,
+  getOtpLockout,
+  registerOtpSend,
+  registerOtpFailure,
+  clearOtpFailures
+};
@@ -0,0 +1,130 @@
+/**
+ * Password Hash Format
+ * New hashes use scrypt in a versioned, self-describing string:
+ *
+ *   $scrypt$v=1$ln=<log2 N>,r=<block size>,p=<parallelization>$<salt>$<key>
+ *
+ * (salt and key are unpadded base64). Legacy bcrypt hashes ($2a$/$2b$/$2y$) still verify and are
+ * reported by needsRehash(), as are scrypt hashes made with a lower cost than currently configured.
+ * The functions here are CPU-heavy - call them through src/utils/workerUtils.js, not on the event loop
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+const SCRYPT_PREFIX = '$scrypt$';
+const SCRYPT_VERSION = 1;
+const SCRYPT_SALT_BYTES = 16;
+const SCRYPT_KEY_BYTES = 64;
+
+const PASSWORD_SCRYPT_LOG_N = parseInt(process.env.PASSWORD_SCRYPT_LOG_N || '15', 10);
+const PASSWORD_SCRYPT_BLOCK_SIZE = parseInt(process.env.PASSWORD_SCRYPT_BLOCK_SIZE || '8', 10);
+const PASSWORD_SCRYPT_PARALLELIZATION = parseInt(process.env.PASSWORD_SCRYPT_PARALLELIZATION || '1', 10);
+
+const BCRYPT_PATTERN = /^\$2[aby]\$\d{2}\$/;
+
+/**
+ * Run scrypt with enough memory allowance for the chosen cost
+ * @param {string} password - Plain text password
+ * @param {Buffer} salt - Salt
+ * @param {object} params - { ln, r, p }
+ * @returns {Promise<Buffer>} Derived key
+ */
+function deriveKey(password, salt, params) {
+  const N = 2 ** params.ln;
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEY_BYTES, { N, r: params.r, p: params.p, maxmem: 256 * N * params.r }, (error, key) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve(key);
+      }
+    });
+  });
+}
+
+/**
+ * Parse a scrypt hash string
+ * @param {string} hash - Stored hash
+ * @returns {object|null} { version, ln, r, p, salt, key } or null if not a valid scrypt hash
+ */
+function parseScryptHash(hash) {
+  const parts = String(hash).split('$');
+  // ['', 'scrypt', 'v=1', 'ln=15,r=8,p=1', salt, key]
+  if (parts.length !== 6 || parts[1] !== 'scrypt') {
+    return null;
+  }
+  const version = parseInt(parts[2].replace('v=', ''), 10);
+  const params = Object.fromEntries(parts[3].split(',').map(pair => pair.split('=')));
+  const ln = parseInt(params.ln, 10);
+  const r = parseInt(params.r, 10);
+  const p = parseInt(params.p, 10);
+  if (version !== SCRYPT_VERSION || !ln || !r || !p) {
+    return null;
+  }
+  return {
+    version,
+    ln,
+    r,
+    p,
+    salt: Buffer.from(parts[4], 'base64'),
+    key: Buffer.from(parts[5], 'base64')
+  };
+}
+
+/**
+ * Hash a password with scrypt at the configured cost
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} Versioned hash string
+ */
+async function createPasswordHash(password) {
+  const params = { ln: PASSWORD_SCRYPT_LOG_N, r: PASSWORD_SCRYPT_BLOCK_SIZE, p: PASSWORD_SCRYPT_PARALLELIZATION };
+  const salt = crypto.randomBytes(SCRYPT_SALT_BYTES);
+  const key = await deriveKey(password, salt, params);
+  return `${SCRYPT_PREFIX}v=${SCRYPT_VERSION}$ln=${params.ln},r=${params.r},p=${params.p}$${salt.toString('base64').replace(/=+$/, '')}$${key.toString('base64').replace(/=+$/, '')}`;
+}
+
+/**
+ * Check a password against a scrypt or legacy bcrypt hash
+ * @param {string} password - Plain text password
+ * @param {string} hash - Stored hash
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function verifyPasswordHash(password, hash) {
+  if (!password || !hash) {
+    return false;
+  }
+  if (BCRYPT_PATTERN.test(hash)) {
+    return bcrypt.compare(password, hash);
+  }
+  const parsed = parseScryptHash(hash);
+  if (!parsed || parsed.key.length === 0) {
+    return false;
+  }
+  const key = await deriveKey(password, parsed.salt, parsed);
+  return key.length === parsed.key.length && crypto.timingSafeEqual(key, parsed.key);
+}
+
+/**
+ * Whether a stored hash should be replaced with one in the current format and cost
+ * @param {string} hash - Stored hash
+ * @returns {boolean} True for bcrypt hashes and scrypt hashes below the configured cost
+ */
+function needsRehash(hash) {
+  if (!hash) {
+    return false;
+  }
+  const parsed = parseScryptHash(hash);
+  if (!parsed) {
+    return true;
+  }
+  return parsed.ln < PASSWORD_SCRYPT_LOG_N
+    || parsed.r < PASSWORD_SCRYPT_BLOCK_SIZE
+    || parsed.p < PASSWORD_SCRYPT_PARALLELIZATION;
+}
+
+module.exports = {
+  createPasswordHash,
+  verifyPasswordHash,
+  needsRehash
+};
@@ -0,0 +1,216 @@
+/**
+ * Password Policy
+ * One set of rules for every place a user chooses a password: length and character classes,
+ * no personal details, no reuse of recent passwords, and no password known from a breach.
+ * The breach check is offline - candidates are looked up in a bundled bloom filter of SHA-1
+ * hashes built with scripts/build-breached-passwords.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { prisma } = require('../db/prisma');
+const logger = require('../logger/logger');
+const { getError } = require('../response/map');
+const { comparePasswordInWorker } = require('../utils/workerUtils');
+
+const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH || '8', 10);
+const PASSWORD_MAX_LENGTH = parseInt(process.env.PASSWORD_MAX_LENGTH || '128', 10);
+const PASSWORD_REQUIRE_UPPERCASE = process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false';
+const PASSWORD_REQUIRE_LOWERCASE = process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false';
+const PASSWORD_REQUIRE_DIGIT = process.env.PASSWORD_REQUIRE_DIGIT !== 'false';
+const PASSWORD_REQUIRE_SPECIAL = process.env.PASSWORD_REQUIRE_SPECIAL !== 'false';
+const PASSWORD_HISTORY_SIZE = parseInt(process.env.PASSWORD_HISTORY_SIZE || '5', 10);
+const PASSWORD_BREACH_CHECK = process.env.PASSWORD_BREACH_CHECK !== 'false';
+const PASSWORD_BREACH_FILTER_PATH = process.env.PASSWORD_BREACH_FILTER_PATH
+  || path.join(__dirname, 'data', 'breached-passwords.bloom');
+
+// Bloom filter file: "PWBF", version (u8), hash count (u8), 2 reserved bytes, bit count (u32 BE),
+// item count (u32 BE), then the bit array
+const BREACH_FILTER_MAGIC = 'PWBF';
+const BREACH_FILTER_VERSION = 1;
+const BREACH_FILTER_HEADER_SIZE = 16;
+
+// Personal details shorter than this would match too many ordinary passwords
+const MIN_PERSONAL_TOKEN_LENGTH = 3;
+
+let breachFilter;
+
+/**
+ * Bit positions of a SHA-1 digest in a bloom filter (double hashing)
+ * @param {Buffer} digest - SHA-1 digest of the password
+ * @param {number} bitCount - Filter size in bits
+ * @param {number} hashCount - Number of hash functions
+ * @returns {Array<number>} Bit positions
+ */
+function breachFilterIndexes(digest, bitCount, hashCount) {
+  const h1 = digest.readUInt32BE(0);
+  const h2 = (digest.readUInt32BE(4) | 1) >>> 0;
+  const indexes = [];
+  for (let i = 0; i < hashCount; i++) {
+    indexes.push((h1 + i * h2) % bitCount);
+  }
+  return indexes;
+}
+
+/**
+ * Load the breached-password filter once; a missing or invalid file disables the check
+ * @returns {object|null} { bits, bitCount, hashCount } or null
+ */
+function loadBreachFilter() {
+  if (breachFilter !== undefined) {
+    return breachFilter;
+  }
+  breachFilter = null;
+  try {
+    const buffer = fs.readFileSync(PASSWORD_BREACH_FILTER_PATH);
+    if (buffer.toString('ascii', 0, 4) !== BREACH_FILTER_MAGIC || buffer.readUInt8(4) !== BREACH_FILTER_VERSION) {
+      throw new Error('Not a breached-password filter file');
+    }
+    const hashCount = buffer.readUInt8(5);
+    const bitCount = buffer.readUInt32BE(8);
+    const itemCount = buffer.readUInt32BE(12);
+    breachFilter = { bits: buffer.subarray(BREACH_FILTER_HEADER_SIZE), bitCount, hashCount };
+    logger.info(`Breached-password filter loaded (${itemCount} passwords)`, { module: 'PasswordPolicy', label: 'BREACH_FILTER' });
+  } catch (error) {
+    logger.warn(`Breached-password check disabled: ${error.message}`, { module: 'PasswordPolicy', label: 'BREACH_FILTER' });
+  }
+  return breachFilter;
+}
+
+/**
+ * Check a password against the breached-password filter
+ * A bloom filter can report false positives (a rare strong password is rejected) but never misses
+ * @param {string} password - Candidate password
+ * @returns {boolean} True if the password is (probably) in the breach list
+ */
+function isBreachedPassword(password) {
+  const filter = loadBreachFilter();
+  if (!filter) {
+    return false;
+  }
+  const digest = crypto.createHash('sha1').update(password, 'utf8').digest();
+  return breachFilterIndexes(digest, filter.bitCount, filter.hashCount)
+    .every(index => (filter.bits[index >> 3] & (1 << (index & 7))) !== 0);
+}
+
+/**
+ * Personal details a password must not contain, lowercased
+ * @param {object} user - User record (email, user_name, first_name, last_name)
+ * @returns {Array<string>} Tokens
+ */
+function personalTokens(user) {
+  if (!user) {
+    return [];
+  }
+  const tokens = [];
+  if (user.email) {
+    tokens.push(user.email.split('@')[0]);
+  }
+  [user.user_name, user.first_name, user.last_name].forEach(value => {
+    if (value) {
+      tokens.push(...String(value).split(/[\s._-]+/));
+    }
+  });
+  return [...new Set(tokens.map(token => token.toLowerCase()).filter(token => token.length >= MIN_PERSONAL_TOKEN_LENGTH))];
+}
+
+/**
+ * Compare a candidate with the user's current password and their recent password history
+ * @param {string} password - Candidate password
+ * @param {object} user - User record (user_id, password)
+ * @returns {Promise<boolean>} True if the password was used recently
+ */
+async function isRecentPassword(password, user) {
+  if (!user || !user.user_id || PASSWORD_HISTORY_SIZE <= 0) {
+    return false;
+  }
+  const history = await prisma.passwordHistory.findMany({
+    where: { user_id: user.user_id },
+    orderBy: { created_at: 'desc' },
+    take: PASSWORD_HISTORY_SIZE,
+    select: { password_hash: true }
+  });
+  const hashes = [user.password, ...history.map(entry => entry.password_hash)].filter(Boolean);
+  const matches = await Promise.all(hashes.map(hash => comparePasswordInWorker(password, hash).catch(() => false)));
+  return matches.includes(true);
+}
+
+/**
+ * Build a violation entry from an error map key
+ * @param {string} errorKey - Error key from ERRORS map
+ * @returns {object} { rule, code, message }
+ */
+function violation(errorKey) {
+  const errorDef = getError(errorKey);
+  return { rule: errorKey, code: errorDef.code, message: errorDef.message };
+}
+
+/**
+ * Check a new password against the policy
+ * All rules are evaluated so the client can show every problem at once
+ * @param {string} password - Candidate password
+ * @param {object} user - User the password is for (null when there is no account yet)
+ * @returns {Promise<object>} { valid, violations: [{ rule, code, message }] }
+ */
+async function checkPasswordPolicy(password, user = null) {
+  const value = String(password || '');
+  const violations = [];
+
+  if (value.length < PASSWORD_MIN_LENGTH) violations.push(violation('PASSWORD_TOO_SHORT'));
+  if (value.length > PASSWORD_MAX_LENGTH) violations.push(violation('PASSWORD_TOO_LONG'));
+  if (PASSWORD_REQUIRE_UPPERCASE && !/[A-Z]/.test(value)) violations.push(violation('PASSWORD_MISSING_UPPERCASE'));
+  if (PASSWORD_REQUIRE_LOWERCASE && !/[a-z]/.test(value)) violations.push(violation('PASSWORD_MISSING_LOWERCASE'));
+  if (PASSWORD_REQUIRE_DIGIT && !/\d/.test(value)) violations.push(violation('PASSWORD_MISSING_DIGIT'));
+  if (PASSWORD_REQUIRE_SPECIAL && !/[^A-Za-z0-9]/.test(value)) violations.push(violation('PASSWORD_MISSING_SPECIAL'));
+
+  const lowered = value.toLowerCase();
+  if (personalTokens(user).some(token => lowered.includes(token))) {
+    violations.push(violation('PASSWORD_CONTAINS_PERSONAL_INFO'));
+  }
+
+  if (PASSWORD_BREACH_CHECK && isBreachedPassword(value)) {
+    violations.push(violation('PASSWORD_BREACHED'));
+  }
+
+  // Only pay for the hash comparisons when everything else passed
+  if (violations.length === 0 && await isRecentPassword(value, user)) {
+    violations.push(violation('PASSWORD_REUSED'));
+  }
+
+  return { valid: violations.length === 0, violations };
+}
+
+/**
+ * Add a replaced password hash to the user's history and drop entries beyond PASSWORD_HISTORY_SIZE
+ * @param {object} tx - Prisma client or transaction client
+ * @param {string} userId - User ID
+ * @param {string} passwordHash - Hash being replaced
+ * @returns {Promise<void>}
+ */
+async function recordPasswordHistory(tx, userId, passwordHash) {
+  if (!passwordHash || PASSWORD_HISTORY_SIZE <= 0) {
+    return;
+  }
+  await tx.passwordHistory.create({ data: { user_id: userId, password_hash: passwordHash } });
+
+  const stale = await tx.passwordHistory.findMany({
+    where: { user_id: userId },
+    orderBy: { created_at: 'desc' },
+    skip: PASSWORD_HISTORY_SIZE,
+    select: { history_id: true }
+  });
+  if (stale.length > 0) {
+    await tx.passwordHistory.deleteMany({ where: { history_id: { in: stale.map(entry => entry.history_id) } } });
+  }
+}
+
+module.exports = {
+  BREACH_FILTER_MAGIC,
+  BREACH_FILTER_VERSION,
+  BREACH_FILTER_HEADER_SIZE,
+  breachFilterIndexes,
+  isBreachedPassword,
+  checkPasswordPolicy,
+  recordPasswordHistory
+};
@@ -185,8 +185,8 @@ async function clearUserBlacklist(userId) {
  */
 async function clearUserRefreshTokenBlacklist(userId) {
   try {
-    // Check the actual key format used in revoke_all_user_refresh_tokens
-    const blacklistKey = `blacklist:user_refresh_revoke:${userId}`;
+    // Same key format as revokeAllUserRefreshTokens
+    const blacklistKey = `blacklist:refresh:user:${userId}`;
     await cache.del(blacklistKey);
     return true;
   } catch (error) {
@@ -283,6 +283,79 @@ async function isUserRefreshTokenRevoked(userId) {
   }
 }
 
+/**
+ * Record the current session of a refresh token family
+ * The family ID (fid claim) is created at login and carried over on every rotation
+ * @param {string} familyId - Refresh token family ID
+ * @param {string} sessionId - Session ID of the newest refresh token in the family
+ * @returns {Promise<boolean>} True if successful, False otherwise
+ */
+async function setRefreshFamilySession(familyId, sessionId) {
+  try {
+    const familyKey = `refresh_family:${familyId}`;
+    await cache.set(familyKey, sessionId, REFRESH_TOKEN_EXPIRY * 60);
+    return true;
+  } catch (error) {
+    logger.error('Error recording refresh token family', { error: error.message, module: 'Auth', label: 'REFRESH_FAMILY' });
+    return false;
+  }
+}
+
+/**
+ * Mark a refresh token as used (atomic, first caller wins)
+ * @param {string} tokenJti - JWT ID of the refresh token
+ * @returns {Promise<boolean>} True on first use, False if the token was already used (replay)
+ */
+async function markRefreshTokenUsed(tokenJti) {
+  try {
+    const usedKey = `refresh_used:${tokenJti}`;
+    const count = await cache.incr(usedKey, REFRESH_TOKEN_EXPIRY * 60);
+    // Cache unavailable (null) - do not block refresh, consistent with the blacklist checks
+    return count === null || count === 1;
+  } catch (error) {
+    logger.error('Error marking refresh token used', { error: error.message, module: 'Auth', label: 'REFRESH_TOKEN_USED' });
+    return true;
+  }
+}
+
+/**
+ * Revoke a refresh token family after reuse was detected
+ * Blacklists the family and the session currently holding its newest refresh token
+ * @param {string} familyId - Refresh token family ID
+ * @returns {Promise<string|null>} Session ID that was revoked, or null if unknown
+ */
+async function revokeRefreshFamily(familyId) {
+  try {
+    const ttlSeconds = REFRESH_TOKEN_EXPIRY * 60;
+    await cache.set(`blacklist:family:${familyId}`, '1', ttlSeconds);
+
+    const currentSessionId = await cache.get(`refresh_family:${familyId}`);
+    if (currentSessionId) {
+      await blacklistSession(String(currentSessionId));
+      return String(currentSessionId);
+    }
+    return null;
+  } catch (error) {
+    logger.error('Error revoking refresh token family', { error: error.message, module: 'Auth', label: 'REVOKE_REFRESH_FAMILY' });
+    return null;
+  }
+}
+
+/**
+ * Check if a refresh token family has been revoked
+ * @param {string} familyId - Refresh token family ID
+ * @returns {Promise<boolean>} True if revoked, False otherwise
+ */
+async function isRefreshFamilyRevoked(familyId) {
+  try {
+    const result = await cache.get(`blacklist:family:${familyId}`);
+    return result !== null;
+  } catch (error) {
+    logger.error('Error checking refresh token family', { error: error.message, module: 'Auth', label: 'CHECK_REFRESH_FAMILY' });
+    return false;
+  }
+}
+
 module.exports = {
   ACCESS_TOKEN_EXPIRY,
   SESSION_TOKEN_EXPIRY,
@@ -299,6 +372,10 @@ module.exports = {
   blacklistAccessTokenByJti,
   isAccessTokenBlacklistedByJti,
   revokeAllUserRefreshTokens,
-  isUserRefreshTokenRevoked
+  isUserRefreshTokenRevoked,
+  setRefreshFamilySession,
+  markRefreshTokenUsed,
+  revokeRefreshFamily,
+  isRefreshFamilyRevoked
 };
 
@@ -0,0 +1,272 @@
+/**
+ * Session Registry
+ * Persists the sessions created by generateAllTokens so users can see where they are signed in
+ * and revoke them remotely. Tokens stay stateless - revocation still goes through the
+ * session blacklist in session_manager; this table is the record of what exists
+ */
+
+const { prisma } = require('../db/prisma');
+const cache = require('../cache/cache');
+const logger = require('../logger/logger');
+const { parseUserAgent } = require('../activity/activityLog');
+const { REFRESH_TOKEN_EXPIRY, blacklistSession, blacklistAllUserSessions, revokeAllUserRefreshTokens } = require('./session_manager');
+
+// last_seen_at is written at most once per interval per session to keep validateUser cheap
+const SESSION_TOUCH_INTERVAL = parseInt(process.env.SESSION_TOUCH_INTERVAL_SECONDS || '300', 10); // 5 minutes
+
+/**
+ * Build an error carrying an error map key so routes can respond with ERROR.fromMap
+ * @param {string} errorKey - Error key from ERRORS map
+ * @param {string} message - Error message
+ * @returns {Error} Error with errorKey set
+ */
+function sessionError(errorKey, message) {
+  const error = new Error(message);
+  error.errorKey = errorKey;
+  return error;
+}
+
+/**
+ * Extract client IP and user agent from an Express request
+ * @param {object} request - Express request object (optional)
+ * @returns {object} { ip_address, user_agent }
+ */
+function getRequestClient(request) {
+  if (!request) {
+    return { ip_address: null, user_agent: null };
+  }
+
+  const ipAddress = request.ip || (request.connection && request.connection.remoteAddress) || null;
+  const userAgent = (request.headers && request.headers['user-agent']) || null;
+
+  return {
+    ip_address: ipAddress ? String(ipAddress).slice(0, 45) : null,
+    user_agent: userAgent
+  };
+}
+
+/**
+ * Session expiry - sessions live as long as their refresh token
+ * @returns {Date} Expiry timestamp
+ */
+function getSessionExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_EXPIRY * 60 * 1000);
+}
+
+/**
+ * Record a newly issued session
+ * When previousSessionId is given (token refresh) the existing row is carried over to the new
+ * session_id so the device keeps its original created_at
+ * @param {string} sessionId - Session ID embedded in the new tokens
+ * @param {string} userId - User ID
+ * @param {string} origin - Origin the tokens were issued for (optional)
+ * @param {object} request - Express request object (optional)
+ * @param {string} previousSessionId - Session ID being rotated (optional)
+ * @param {Date} expiresAt - Session expiry when shorter than the refresh token, e.g. impersonation (optional)
+ * @returns {Promise<object|null>} Session record or null on failure
+ */
+async function recordSession(sessionId, userId, origin = null, request = null, previousSessionId = null, expiresAt = null) {
+  try {
+    const { ip_address, user_agent } = getRequestClient(request);
+    const now = new Date();
+
+    if (previousSessionId) {
+      const rotated = await prisma.userSession.updateMany({
+        where: { session_id: previousSessionId, user_id: userId, revoked_at: null },
+        data: {
+          session_id: sessionId,
+          ip_address,
+          last_seen_at: now,
+          expires_at: getSessionExpiry()
+        }
+      });
+
+      if (rotated.count > 0) {
+        return await prisma.userSession.findUnique({ where: { session_id: sessionId } });
+      }
+    }
+
+    const { device, browser, os } = parseUserAgent(user_agent);
+
+    return await prisma.userSession.create({
+      data: {
+        session_id: sessionId,
+        user_id: userId,
+        device,
+        browser,
+        os,
+        ip_address,
+        user_agent,
+        origin,
+        created_at: now,
+        last_seen_at: now,
+        expires_at: expiresAt || getSessionExpiry()
+      }
+    });
+  } catch (error) {
+    logger.error('Error recording session', { error: error.message, module: 'Sessions', label: 'RECORD' });
+    return null;
+  }
+}
+
+/**
+ * Update last_seen_at for an authenticated request (throttled via cache)
+ * @param {string} sessionId - Session ID from the token
+ * @returns {Promise<void>}
+ */
+async function touchSession(sessionId) {
+  if (!sessionId) {
+    return;
+  }
+
+  try {
+    const touchKey = `session_seen:${sessionId}`;
+    if (await cache.get(touchKey)) {
+      return;
+    }
+    await cache.set(touchKey, '1', SESSION_TOUCH_INTERVAL);
+
+    await prisma.userSession.updateMany({
+      where: { session_id: sessionId, revoked_at: null },
+      data: { last_seen_at: new Date() }
+    });
+  } catch (error) {
+    logger.warn('Error updating session last seen', { error: error.message, module: 'Sessions', label: 'TOUCH' });
+  }
+}
+
+/**
+ * List a user's active sessions, most recently used first
+ * @param {string} userId - User ID
+ * @param {string} currentSessionId - Session ID of the calling request (optional)
+ * @returns {Promise<Array>} Sessions with an is_current flag
+ */
+async function listUserSessions(userId, currentSessionId = null) {
+  const sessions = await prisma.userSession.findMany({
+    where: {
+      user_id: userId,
+      revoked_at: null,
+      expires_at: { gt: new Date() }
+    },
+    orderBy: { last_seen_at: 'desc' },
+    select: {
+      session_id: true,
+      device: true,
+      browser: true,
+      os: true,
+      ip_address: true,
+      origin: true,
+      created_at: true,
+      last_seen_at: true,
+      expires_at: true
+    }
+  });
+
+  return sessions.map(session => ({
+    ...session,
+    is_current: Boolean(currentSessionId) && session.session_id === currentSessionId
+  }));
+}
+
+/**
+ * Revoke one of the user's sessions
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID to revoke
+ * @returns {Promise<object>} { session_id, revoked_at }
+ */
+async function revokeUserSession(userId, sessionId) {
+  const session = await prisma.userSession.findFirst({
+    where: { session_id: sessionId, user_id: userId, revoked_at: null }
+  });
+
+  if (!session) {
+    throw sessionError('AUTH_SESSION_NOT_FOUND', 'Session not found');
+  }
+
+  if (!await blacklistSession(sessionId)) {
+    throw sessionError('AUTH_PROCESSING_ERROR', 'Failed to revoke session');
+  }
+
+  const revokedAt = new Date();
+  await prisma.userSession.update({
+    where: { session_id: sessionId },
+    data: { revoked_at: revokedAt }
+  });
+
+  return { session_id: sessionId, revoked_at: revokedAt };
+}
+
+/**
+ * Mark a session as revoked in the registry without touching the blacklist
+ * Used when the session was already blacklisted elsewhere (e.g. refresh token reuse)
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} True if a session was updated
+ */
+async function markSessionRevoked(sessionId) {
+  try {
+    const result = await prisma.userSession.updateMany({
+      where: { session_id: sessionId, revoked_at: null },
+      data: { revoked_at: new Date() }
+    });
+    return result.count > 0;
+  } catch (error) {
+    logger.error('Error marking session revoked', { error: error.message, module: 'Sessions', label: 'MARK_REVOKED' });
+    return false;
+  }
+}
+
+/**
+ * Revoke all of the user's active sessions, optionally keeping one
+ * @param {string} userId - User ID
+ * @param {string} exceptSessionId - Session ID to keep, e.g. the current one (optional)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeAllUserSessions(userId, exceptSessionId = null) {
+  const where = { user_id: userId, revoked_at: null };
+  if (exceptSessionId) {
+    where.session_id = { not: exceptSessionId };
+  }
+
+  const sessions = await prisma.userSession.findMany({ where, select: { session_id: true } });
+
+  const revokedIds = [];
+  for (const session of sessions) {
+    if (await blacklistSession(session.session_id)) {
+      revokedIds.push(session.session_id);
+    }
+  }
+
+  if (revokedIds.length > 0) {
+    await prisma.userSession.updateMany({
+      where: { session_id: { in: revokedIds } },
+      data: { revoked_at: new Date() }
+    });
+  }
+
+  return revokedIds.length;
+}
+
+/**
+ * Sign a user out of every device for good, e.g. when the account is deleted or suspended
+ * Besides closing the recorded sessions, blacklists the user and their refresh tokens so tokens
+ * from sessions that were never recorded stop working too. Both blacklists are cleared by the
+ * next successful sign-in
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of recorded sessions revoked
+ */
+async function signOutUserEverywhere(userId) {
+  await blacklistAllUserSessions(String(userId));
+  await revokeAllUserRefreshTokens(String(userId));
+  return revokeAllUserSessions(userId);
+}
+
+module.exports = {
+  SESSION_TOUCH_INTERVAL,
+  recordSession,
+  touchSession,
+  listUserSessions,
+  revokeUserSession,
+  markSessionRevoked,
+  revokeAllUserSessions,
+  signOutUserEverywhere
+};
@@ -0,0 +1,118 @@
+/**
+ * Step-Up Re-Authentication
+ * Access tokens record when the user last proved who they are (auth_time) and how (amr).
+ * Sensitive routes use requireRecentAuth so that an old or stolen token is not enough;
+ * the user confirms with a password, OTP or TOTP code at /auth/reauthenticate and gets an
+ * access token with a fresh auth_time for the same session
+ */
+
+const { ERROR } = require('../response/error');
+const { authenticateUser } = require('./checkpoint');
+const { verifyOtpThrottled, getOtpLockout, registerOtpFailure, clearOtpFailures } = require('./otp_throttle');
+const { verifyTotp } = require('./mfa');
+
+const STEP_UP_MAX_AGE_SECONDS = parseInt(process.env.STEP_UP_MAX_AGE_SECONDS || '300', 10);
+
+/**
+ * Require a sign-in or re-authentication within maxAgeSeconds (Express middleware factory)
+ * Use after validateRequest. Only access tokens carry auth_time, so session tokens, API keys
+ * and client tokens are always refused
+ * @param {number} maxAgeSeconds - Maximum age of auth_time (default: STEP_UP_MAX_AGE_SECONDS)
+ * @returns {function} Express middleware
+ */
+function requireRecentAuth(maxAgeSeconds = STEP_UP_MAX_AGE_SECONDS) {
+  return (req, res, next) => {
+    const authTime = req.user ? req.user.auth_time : null;
+    const age = authTime ? Math.floor(Date.now() / 1000) - authTime : null;
+    if (age === null || age > maxAgeSeconds) {
+      // RFC 9470 step-up challenge
+      res.set('WWW-Authenticate', `Bearer error="insufficient_user_authentication", max_age=${maxAgeSeconds}`);
+      const errorResponse = ERROR.fromMap('AUTH_REAUTHENTICATION_REQUIRED', { max_age: maxAgeSeconds, auth_time: authTime });
+      return res.status(errorResponse.statusCode).json(errorResponse.detail);
+    }
+    next();
+  };
+}
+
+/**
+ * Check a TOTP code, sharing the OTP lockout rules so codes cannot be guessed with a stolen token
+ * @param {string} userId - User ID
+ * @param {string} code - TOTP code
+ * @param {string} ip - Client IP address
+ * @returns {Promise<object>} { valid: true }, or { valid: false } with errorKey (and retry_after when locked out)
+ */
+async function verifyTotpThrottled(userId, code, ip) {
+  const key = `totp:${userId}`;
+  const lockout = await getOtpLockout(key, ip);
+  if (lockout) {
+    return { valid: false, ...lockout };
+  }
+  if (await verifyTotp(userId, code)) {
+    await clearOtpFailures(key);
+    return { valid: true };
+  }
+  const throttle = await registerOtpFailure(key, ip);
+  return throttle ? { valid: false, ...throttle } : { valid: false, errorKey: 'AUTH_MFA_INVALID_CODE' };
+}
+
+/**
+ * The user's phone number without a leading +, the way the login routes compare phone numbers
+ * @param {object} user - User record (phone_number is JSONB { phone })
+ * @returns {string|null} Phone number
+ */
+function userPhone(user) {
+  const phone = user.phone_number && user.phone_number.phone;
+  return phone ? String(phone).trim().replace('+', '') : null;
+}
+
+/**
+ * Confirm the signed-in user's identity again
+ * Password attempts count towards the login lockout, OTP and TOTP attempts towards the OTP lockout
+ * @param {object} user - User record
+ * @param {object} credentials - One of { password }, { user_id, otp } or { totp }
+ * @param {object} request - Express request
+ * @returns {Promise<object>} { amr } on success, otherwise { errorKey } (with retry_after when throttled)
+ * @throws {Error} errorKey AUTH_ACCOUNT_LOCKED or AUTH_LOGIN_TOO_MANY_ATTEMPTS (with retry_after) while locked out
+ */
+async function reauthenticateUser(user, credentials, request) {
+  if (credentials.password !== undefined) {
+    const identifier = user.email || userPhone(user);
+    if (!user.password || !identifier) {
+      return { errorKey: 'AUTH_INVALID_CREDENTIALS' };
+    }
+    const authenticated = await authenticateUser(identifier, credentials.password, request);
+    if (!authenticated || String(authenticated.user_id) !== String(user.user_id)) {
+      return { errorKey: 'AUTH_INVALID_CREDENTIALS' };
+    }
+    return { amr: ['pwd'] };
+  }
+
+  if (credentials.otp !== undefined) {
+    // The code must have been sent to one of the user's own addresses
+    const identifier = String(credentials.user_id).trim();
+    const ownIdentifiers = [user.email && user.email.toLowerCase(), userPhone(user)].filter(Boolean);
+    if (!ownIdentifiers.includes(identifier.includes('@') ? identifier.toLowerCase() : identifier.replace('+', ''))) {
+      return { errorKey: 'AUTH_OTP_INVALID' };
+    }
+    const result = await verifyOtpThrottled(identifier, credentials.otp, true, request);
+    if (!result.valid) {
+      return { errorKey: result.errorKey || 'AUTH_OTP_INVALID', retry_after: result.retry_after };
+    }
+    return { amr: ['otp'] };
+  }
+
+  if (!user.mfa_enabled) {
+    return { errorKey: 'AUTH_MFA_NOT_ENABLED' };
+  }
+  const result = await verifyTotpThrottled(String(user.user_id), credentials.totp, request ? request.ip : null);
+  if (!result.valid) {
+    return { errorKey: result.errorKey, retry_after: result.retry_after };
+  }
+  return { amr: ['otp'] };
+}
+
+module.exports = {
+  STEP_UP_MAX_AGE_SECONDS,
+  requireRecentAuth,
+  reauthenticateUser
+};
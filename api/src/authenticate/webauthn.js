@@ -0,0 +1,661 @@
+/**
+ * WebAuthn / Passkeys
+ * Registration (attestation) and authentication (assertion) ceremonies
+ * Supports "none" and "packed" attestation with ES256, RS256 and EdDSA credentials
+ * Challenges are stored in cache and consumed on first use
+ */
+
+const crypto = require('crypto');
+const { prisma } = require('../db/prisma');
+const cache = require('../cache/cache');
+const logger = require('../logger/logger');
+
+// Relying party configuration - RP ID and origins fall back to the origin that requested options in development only
+const WEBAUTHN_RP_ID = process.env.WEBAUTHN_RP_ID || null;
+const WEBAUTHN_RP_NAME = process.env.WEBAUTHN_RP_NAME || 'Node.js Backend';
+const WEBAUTHN_ORIGINS = (process.env.WEBAUTHN_ORIGINS || '').split(',').map(o => o.trim().replace(/\/$/, '')).filter(Boolean);
+const WEBAUTHN_CHALLENGE_TTL = parseInt(process.env.WEBAUTHN_CHALLENGE_TTL_SECONDS || '300', 10);
+const WEBAUTHN_TIMEOUT_MS = parseInt(process.env.WEBAUTHN_TIMEOUT_MS || '60000', 10);
+// "required" rejects assertions without user verification (PIN / biometric)
+const WEBAUTHN_USER_VERIFICATION = process.env.WEBAUTHN_USER_VERIFICATION || 'preferred';
+// "none" (default) or "direct" - packed attestation statements are verified either way
+const WEBAUTHN_ATTESTATION = process.env.WEBAUTHN_ATTESTATION || 'none';
+
+// COSE algorithm identifiers
+const COSE_ALG_ES256 = -7;
+const COSE_ALG_EDDSA = -8;
+const COSE_ALG_RS256 = -257;
+const SUPPORTED_ALGORITHMS = [COSE_ALG_ES256, COSE_ALG_EDDSA, COSE_ALG_RS256];
+
+// Authenticator data flags
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_BACKUP_ELIGIBLE = 0x08;
+const FLAG_BACKED_UP = 0x10;
+const FLAG_ATTESTED_DATA = 0x40;
+const FLAG_EXTENSION_DATA = 0x80;
+
+/**
+ * Build an error carrying an error map key so routes can respond with ERROR.fromMap
+ * @param {string} errorKey - Error key from ERRORS map
+ * @param {string} message - Error message
+ * @returns {Error} Error with errorKey set
+ */
+function webauthnError(errorKey, message) {
+  const error = new Error(message);
+  error.errorKey = errorKey;
+  return error;
+}
+
+/**
+ * Decode one CBOR item (RFC 8949 subset used by WebAuthn - definite lengths only)
+ * Maps are returned as Map so integer COSE keys are preserved
+ * @param {Buffer} buffer - CBOR bytes
+ * @param {number} offset - Start offset
+ * @returns {object} { value, offset } where offset is the position after the item
+ */
+function cborDecode(buffer, offset = 0) {
+  if (offset >= buffer.length) {
+    throw new Error('CBOR: unexpected end of input');
+  }
+  const initial = buffer[offset++];
+  const major = initial >> 5;
+  const info = initial & 0x1f;
+
+  let length;
+  if (info < 24) {
+    length = info;
+  } else if (info === 24) {
+    length = buffer.readUInt8(offset);
+    offset += 1;
+  } else if (info === 25) {
+    length = buffer.readUInt16BE(offset);
+    offset += 2;
+  } else if (info === 26) {
+    length = buffer.readUInt32BE(offset);
+    offset += 4;
+  } else if (info === 27) {
+    length = Number(buffer.readBigUInt64BE(offset));
+    offset += 8;
+  } else {
+    throw new Error('CBOR: indefinite lengths are not supported');
+  }
+
+  switch (major) {
+    case 0:
+      return { value: length, offset };
+    case 1:
+      return { value: -1 - length, offset };
+    case 2:
+      return { value: buffer.subarray(offset, offset + length), offset: offset + length };
+    case 3:
+      return { value: buffer.toString('utf8', offset, offset + length), offset: offset + length };
+    case 4: {
+      const items = [];
+      for (let i = 0; i < length; i++) {
+        const item = cborDecode(buffer, offset);
+        items.push(item.value);
+        offset = item.offset;
+      }
+      return { value: items, offset };
+    }
+    case 5: {
+      const map = new Map();
+      for (let i = 0; i < length; i++) {
+        const key = cborDecode(buffer, offset);
+        const val = cborDecode(buffer, key.offset);
+        map.set(key.value, val.value);
+        offset = val.offset;
+      }
+      return { value: map, offset };
+    }
+    case 6:
+      // Tagged item - the tag itself is not needed
+      return cborDecode(buffer, offset);
+    case 7:
+      if (info === 20) return { value: false, offset };
+      if (info === 21) return { value: true, offset };
+      if (info === 22) return { value: null, offset };
+      if (info === 23) return { value: undefined, offset };
+      if (info === 26) return { value: buffer.readFloatBE(offset - 4), offset };
+      if (info === 27) return { value: buffer.readDoubleBE(offset - 8), offset };
+      throw new Error('CBOR: unsupported simple value');
+    default:
+      throw new Error('CBOR: unknown major type');
+  }
+}
+
+/**
+ * Parse authenticator data
+ * @param {Buffer} authData - Raw authenticator data
+ * @returns {object} Parsed fields (rpIdHash, flags, signCount, and attested credential data if present)
+ */
+function parseAuthenticatorData(authData) {
+  if (authData.length < 37) {
+    throw new Error('Authenticator data is too short');
+  }
+  const parsed = {
+    rpIdHash: authData.subarray(0, 32),
+    flags: authData[32],
+    signCount: authData.readUInt32BE(33)
+  };
+  let offset = 37;
+
+  if (parsed.flags & FLAG_ATTESTED_DATA) {
+    parsed.aaguid = authData.subarray(offset, offset + 16);
+    offset += 16;
+    const credentialIdLength = authData.readUInt16BE(offset);
+    offset += 2;
+    parsed.credentialId = authData.subarray(offset, offset + credentialIdLength);
+    offset += credentialIdLength;
+    const { value, offset: keyEnd } = cborDecode(authData, offset);
+    parsed.credentialPublicKey = authData.subarray(offset, keyEnd);
+    parsed.cosePublicKey = value;
+    offset = keyEnd;
+  }
+
+  if (parsed.flags & FLAG_EXTENSION_DATA) {
+    offset = cborDecode(authData, offset).offset;
+  }
+
+  if (offset !== authData.length) {
+    throw new Error('Authenticator data has trailing bytes');
+  }
+  return parsed;
+}
+
+/**
+ * Convert a COSE public key to a Node KeyObject
+ * @param {Map} coseKey - Decoded COSE key
+ * @returns {object} { keyObject, alg }
+ */
+function coseToPublicKey(coseKey) {
+  const kty = coseKey.get(1);
+  const alg = coseKey.get(3);
+  let jwk;
+
+  if (kty === 2) {
+    // EC2 - only P-256 (crv 1)
+    if (coseKey.get(-1) !== 1) {
+      throw new Error('Unsupported EC curve');
+    }
+    jwk = { kty: 'EC', crv: 'P-256', x: coseKey.get(-2).toString('base64url'), y: coseKey.get(-3).toString('base64url') };
+  } else if (kty === 3) {
+    jwk = { kty: 'RSA', n: coseKey.get(-1).toString('base64url'), e: coseKey.get(-2).toString('base64url') };
+  } else if (kty === 1) {
+    // OKP - only Ed25519 (crv 6)
+    if (coseKey.get(-1) !== 6) {
+      throw new Error('Unsupported OKP curve');
+    }
+    jwk = { kty: 'OKP', crv: 'Ed25519', x: coseKey.get(-2).toString('base64url') };
+  } else {
+    throw new Error(`Unsupported COSE key type ${kty}`);
+  }
+
+  return { keyObject: crypto.createPublicKey({ key: jwk, format: 'jwk' }), alg };
+}
+
+/**
+ * Verify a signature for a COSE algorithm
+ * @param {number} alg - COSE algorithm identifier
+ * @param {object} key - Node KeyObject
+ * @param {Buffer} data - Signed data
+ * @param {Buffer} signature - Signature
+ * @returns {boolean} True if signature is valid
+ */
+function verifySignature(alg, key, data, signature) {
+  switch (alg) {
+    case COSE_ALG_ES256:
+      // WebAuthn ECDSA signatures are DER encoded
+      return crypto.verify('sha256', data, { key, dsaEncoding: 'der' }, signature);
+    case COSE_ALG_RS256:
+      return crypto.verify('sha256', data, key, signature);
+    case COSE_ALG_EDDSA:
+      return crypto.verify(null, data, key, signature);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Whether the RP ID and origins may be taken from the request
+ * A client-supplied Origin header is only trusted outside production-like modes
+ * @returns {boolean} True in development
+ */
+function allowsRequestRelyingParty() {
+  return (process.env.API_MODE || 'development') === 'development';
+}
+
+/**
+ * Check the relying party configuration at startup
+ * @throws {Error} If WEBAUTHN_RP_ID or WEBAUTHN_ORIGINS is missing outside development
+ */
+function assertRelyingPartyConfigured() {
+  if (allowsRequestRelyingParty()) {
+    return;
+  }
+  const missing = [];
+  if (!WEBAUTHN_RP_ID) {
+    missing.push('WEBAUTHN_RP_ID');
+  }
+  if (WEBAUTHN_ORIGINS.length === 0) {
+    missing.push('WEBAUTHN_ORIGINS');
+  }
+  if (missing.length > 0) {
+    throw new Error(`${missing.join(' and ')} must be set when API_MODE is ${process.env.API_MODE}`);
+  }
+}
+
+/**
+ * Resolve the relying party ID and accepted origins for a ceremony
+ * @param {string} origin - Origin that requested the options
+ * @returns {object} { rpId, origins }
+ */
+function getRelyingParty(origin) {
+  assertRelyingPartyConfigured();
+
+  let rpId = WEBAUTHN_RP_ID;
+  if (!rpId) {
+    try {
+      rpId = new URL(origin).hostname;
+    } catch (error) {
+      rpId = 'localhost';
+    }
+  }
+  const origins = WEBAUTHN_ORIGINS.length > 0 ? WEBAUTHN_ORIGINS : [String(origin || '').replace(/\/$/, '')];
+  return { rpId, origins };
+}
+
+/**
+ * Parse and check clientDataJSON against the expected ceremony
+ * @param {string} clientDataJSON - base64url clientDataJSON from the browser
+ * @param {string} type - Expected type (webauthn.create | webauthn.get)
+ * @param {string} challenge - Expected challenge (base64url)
+ * @param {Array<string>} origins - Accepted origins
+ * @returns {object} { clientData, clientDataHash }
+ */
+function verifyClientData(clientDataJSON, type, challenge, origins) {
+  const raw = Buffer.from(clientDataJSON, 'base64url');
+  let clientData;
+  try {
+    clientData = JSON.parse(raw.toString('utf8'));
+  } catch (error) {
+    throw webauthnError('AUTH_PASSKEY_VERIFICATION_FAILED', 'clientDataJSON is not valid JSON');
+  }
+  if (clientData.type !== type) {
+    throw webauthnError('AUTH_PASSKEY_VERIFICATION_FAILED', `Unexpected clientData type ${clientData.type}`);
+  }
+  if (clientData.challenge !== challenge) {
+    throw webauthnError('AUTH_PASSKEY_CHALLENGE_INVALID', 'Challenge mismatch');
+  }
+  if (!origins.includes(String(clientData.origin || '').replace(/\/$/, ''))) {
+    throw webauthnError('AUTH_PASSKEY_VERIFICATION_FAILED', `Origin ${clientData.origin} is not allowed`);
+  }
+  return { clientData, clientDataHash: crypto.createHash('sha256').update(raw).digest() };
+}
+
+/**
+ * Check RP ID hash and user presence/verification flags
+ * @param {object} authData - Parsed authenticator data
+ * @param {string} rpId - Expected RP ID
+ */
+function verifyAuthenticatorFlags(authData, rpId) {
+  const expectedRpIdHash = crypto.createHash('sha256').update(rpId).digest();
+  if (!expectedRpIdHash.equals(authData.rpIdHash)) {
+    throw webauthnError('AUTH_PASSKEY_VERIFICATION_FAILED', 'RP ID hash mismatch');
+  }
+  if (!(authData.flags & FLAG_USER_PRESENT)) {
+    throw webauthnError('AUTH_PASSKEY_VERIFICATION_FAILED', 'User presence flag not set');
+  }
+  if (WEBAUTHN_USER_VERIFICATION === 'required' && !(authData.flags & FLAG_USER_VERIFIED)) {
+    throw webauthnError('AUTH_PASSKEY_VERIFICATION_FAILED', 'User verification required');
+  }
+}
+
+/**
+ * Verify a packed attestation statement
+ * Full attestation (x5c) is checked against the leaf certificate only -
+ * authenticator metadata / root trust is not evaluated
+ * @param {Map} attStmt - Attestation statement
+ * @param {Buffer} authDataRaw - Raw authenticator data
+ * @param {Buffer} clientDataHash - SHA-256 of clientDataJSON
+ * @param {object} credentialKey - { keyObject, alg } of the new credential
+ * @returns {string} Attestation type (basic | self)
+ */
+function verifyPackedAttestation(attStmt, authDataRaw, clientDataHash, credentialKey) {
+  const alg = attStmt.get('alg');
+  const sig = attStmt.get('sig');
+  const x5c = attStmt.get('x5c');
+  const signedData = Buffer.concat([authDataRaw, clientDataHash]);
+
+  if (!sig || typeof alg !== 'number') {
+    throw webauthnError('AUTH_PASSKEY_VERIFICATION_FAILED', 'Packed attestation is missing alg or sig');
+  }
+
+  if (Array.isArray(x5c) && x5c.length > 0) {
+    const leaf = new crypto.X509Certificate(x5c[0]);
+    if (leaf.ca) {
+      throw webauthnError('AUTH_PASSKEY_VERIFICATION_FAILED', 'Attestation certificate must not be a CA');
+    }
+    if (!/OU=Authenticator Attestation/.test(leaf.subject)) {
+      throw webauthnError('AUTH_PASSKEY_VERIFICATION_FAILED', 'Attestation certificate subject is invalid');
+    }
+    if (!verifySignature(alg, leaf.publicKey, signedData, sig)) {
+      throw webauthnError('AUTH_PASSKEY_VERIFICATION_FAILED', 'Packed attestation signature is invalid');
+    }
+    return 'basic';
+  }
+
+  // Self attestation - signed with the credential key itself
+  if (alg !== credentialKey.alg) {
+    throw webauthnError('AUTH_PASSKEY_VERIFICATION_FAILED', 'Self attestation algorithm mismatch');
+  }
+  if (!verifySignature(alg, credentialKey.keyObject, signedData, sig)) {
+    throw webauthnError('AUTH_PASSKEY_VERIFICATION_FAILED', 'Self attestation signature is invalid');
+  }
+  return 'self';
+}
+
+/**
+ * Create registration options and store the challenge
+ * @param {object} user - User object
+ * @param {string} origin - Requesting origin
+ * @returns {Promise<object>} PublicKeyCredentialCreationOptions (JSON form)
+ */
+async function generateRegistrationOptions(user, origin) {
+  const { rpId } = getRelyingParty(origin);
+  const challenge = crypto.randomBytes(32).toString('base64url');
+
+  const existing = await prisma.passkeyCredential.findMany({
+    where: { user_id: user.user_id },
+    select: { credential_id: true, transports: true }
+  });
+
+  const stored = await cache.set(`webauthn_reg:${user.user_id}`, { challenge, origin }, WEBAUTHN_CHALLENGE_TTL);
+  if (!stored) {
+    throw webauthnError('SERVICE_UNAVAILABLE', 'Failed to persist WebAuthn challenge');
+  }
+
+  return {
+    challenge,
+    rp: { id: rpId, name: WEBAUTHN_RP_NAME },
+    user: {
+      id: Buffer.from(String(user.user_id)).toString('base64url'),
+      name: user.email || user.user_name || String(user.user_id),
+      displayName: [user.first_name, user.last_name].filter(Boolean).join(' ') || user.user_name || user.email || String(user.user_id)
+    },
+    pubKeyCredParams: SUPPORTED_ALGORITHMS.map(alg => ({ type: 'public-key', alg })),
+    timeout: WEBAUTHN_TIMEOUT_MS,
+    attestation: WEBAUTHN_ATTESTATION,
+    excludeCredentials: existing.map(c => ({ type: 'public-key', id: c.credential_id, transports: c.transports || undefined })),
+    authenticatorSelection: {
+      residentKey: 'preferred',
+      userVerification: WEBAUTHN_USER_VERIFICATION
+    }
+  };
+}
+
+/**
+ * Verify a registration response and store the new credential
+ * @param {object} user - User object
+ * @param {object} credential - PublicKeyCredential JSON from the browser
+ * @param {string} name - Friendly name for the passkey (optional)
+ * @returns {Promise<object>} Created PasskeyCredential row
+ */
+async function verifyRegistration(user, credential, name = null) {
+  const cacheKey = `webauthn_reg:${user.user_id}`;
+  const expected = await cache.get(cacheKey);
+  if (!expected) {
+    throw webauthnError('AUTH_PASSKEY_CHALLENGE_INVALID', 'No pending registration challenge');
+  }
+  await cache.del(cacheKey);
+
+  const { rpId, origins } = getRelyingParty(expected.origin);
+  const { clientDataHash } = verifyClientData(credential.response.clientDataJSON, 'webauthn.create', expected.challenge, origins);
+
+  let attestation;
+  let authData;
+  try {
+    attestation = cborDecode(Buffer.from(credential.response.attestationObject, 'base64url')).value;
+    authData = parseAuthenticatorData(attestation.get('authData'));
+  } catch (error) {
+    throw webauthnError('AUTH_PASSKEY_VERIFICATION_FAILED', `Malformed attestation object: ${error.message}`);
+  }
+
+  verifyAuthenticatorFlags(authData, rpId);
+  if (!authData.credentialId) {
+    throw webauthnError('AUTH_PASSKEY_VERIFICATION_FAILED', 'Attested credential data missing');
+  }
+
+  const credentialId = authData.credentialId.toString('base64url');
+  if (credential.id && credential.id !== credentialId) {
+    throw webauthnError('AUTH_PASSKEY_VERIFICATION_FAILED', 'Credential ID mismatch');
+  }
+
+  let credentialKey;
+  try {
+    credentialKey = coseToPublicKey(authData.cosePublicKey);
+  } catch (error) {
+    throw webauthnError('AUTH_PASSKEY_ATTESTATION_UNSUPPORTED', error.message);
+  }
+  if (!SUPPORTED_ALGORITHMS.includes(credentialKey.alg)) {
+    throw webauthnError('AUTH_PASSKEY_ATTESTATION_UNSUPPORTED', `Unsupported algorithm ${credentialKey.alg}`);
+  }
+
+  const fmt = attestation.get('fmt');
+  const attStmt = attestation.get('attStmt') || new Map();
+  let attestationType;
+  if (fmt === 'none') {
+    if (attStmt.size > 0) {
+      throw webauthnError('AUTH_PASSKEY_VERIFICATION_FAILED', 'Attestation "none" must have an empty statement');
+    }
+    attestationType = 'none';
+  } else if (fmt === 'packed') {
+    attestationType = verifyPackedAttestation(attStmt, attestation.get('authData'), clientDataHash, credentialKey);
+  } else {
+    throw webauthnError('AUTH_PASSKEY_ATTESTATION_UNSUPPORTED', `Attestation format "${fmt}" is not supported`);
+  }
+
+  const existing = await prisma.passkeyCredential.findUnique({ where: { credential_id: credentialId } });
+  if (existing) {
+    throw webauthnError('AUTH_PASSKEY_ALREADY_REGISTERED', 'Credential is already registered');
+  }
+
+  const aaguidHex = authData.aaguid.toString('hex');
+  const aaguid = `${aaguidHex.slice(0, 8)}-${aaguidHex.slice(8, 12)}-${aaguidHex.slice(12, 16)}-${aaguidHex.slice(16, 20)}-${aaguidHex.slice(20)}`;
+  const transports = credential.response.transports || (Array.isArray(credential.transports) ? credential.transports : null);
+
+  const passkey = await prisma.passkeyCredential.create({
+    data: {
+      user_id: user.user_id,
+      credential_id: credentialId,
+      public_key: authData.credentialPublicKey.toString('base64url'),
+      algorithm: credentialKey.alg,
+      sign_count: authData.signCount,
+      transports: transports,
+      aaguid,
+      attestation_format: fmt,
+      attestation_type: attestationType,
+      backup_eligible: !!(authData.flags & FLAG_BACKUP_ELIGIBLE),
+      backed_up: !!(authData.flags & FLAG_BACKED_UP),
+      name: name || 'Passkey'
+    }
+  });
+
+  logger.info(`Passkey registered for user ${user.user_id} (${fmt}/${attestationType})`, { module: 'Auth', label: 'PASSKEY' });
+  return passkey;
+}
+
+/**
+ * Create authentication options and store the challenge
+ * @param {object|null} user - User to restrict credentials to, or null for discoverable credentials
+ * @param {string} origin - Requesting origin
+ * @returns {Promise<object>} PublicKeyCredentialRequestOptions (JSON form)
+ */
+async function generateAuthenticationOptions(user, origin) {
+  const { rpId } = getRelyingParty(origin);
+  const challenge = crypto.randomBytes(32).toString('base64url');
+
+  let allowCredentials = [];
+  if (user) {
+    const credentials = await prisma.passkeyCredential.findMany({
+      where: { user_id: user.user_id },
+      select: { credential_id: true, transports: true }
+    });
+    allowCredentials = credentials.map(c => ({ type: 'public-key', id: c.credential_id, transports: c.transports || undefined }));
+  }
+
+  const stored = await cache.set(`webauthn_auth:${challenge}`, {
+    origin,
+    user_id: user ? String(user.user_id) : null
+  }, WEBAUTHN_CHALLENGE_TTL);
+  if (!stored) {
+    throw webauthnError('SERVICE_UNAVAILABLE', 'Failed to persist WebAuthn challenge');
+  }
+
+  return {
+    challenge,
+    rpId,
+    timeout: WEBAUTHN_TIMEOUT_MS,
+    userVerification: WEBAUTHN_USER_VERIFICATION,
+    allowCredentials
+  };
+}
+
+/**
+ * Verify an assertion and advance the credential's sign counter
+ * @param {object} credential - PublicKeyCredential JSON from the browser
+ * @returns {Promise<object>} { passkey, userVerified }
+ */
+async function verifyAuthentication(credential) {
+  // The challenge is echoed inside clientDataJSON - use it to find the pending ceremony
+  let challenge;
+  try {
+    challenge = JSON.parse(Buffer.from(credential.response.clientDataJSON, 'base64url').toString('utf8')).challenge;
+  } catch (error) {
+    throw webauthnError('AUTH_PASSKEY_VERIFICATION_FAILED', 'clientDataJSON is not valid JSON');
+  }
+  const cacheKey = `webauthn_auth:${challenge}`;
+  const expected = challenge ? await cache.get(cacheKey) : null;
+  if (!expected) {
+    throw webauthnError('AUTH_PASSKEY_CHALLENGE_INVALID', 'Unknown or expired challenge');
+  }
+  await cache.del(cacheKey);
+
+  const passkey = await prisma.passkeyCredential.findUnique({ where: { credential_id: credential.id } });
+  if (!passkey) {
+    throw webauthnError('AUTH_PASSKEY_NOT_FOUND', 'Credential is not registered');
+  }
+  if (expected.user_id && expected.user_id !== String(passkey.user_id)) {
+    throw webauthnError('AUTH_PASSKEY_VERIFICATION_FAILED', 'Credential does not belong to the requested user');
+  }
+  if (credential.response.userHandle) {
+    const userHandle = Buffer.from(credential.response.userHandle, 'base64url').toString('utf8');
+    if (userHandle !== String(passkey.user_id)) {
+      throw webauthnError('AUTH_PASSKEY_VERIFICATION_FAILED', 'User handle mismatch');
+    }
+  }
+
+  const { rpId, origins } = getRelyingParty(expected.origin);
+  const { clientDataHash } = verifyClientData(credential.response.clientDataJSON, 'webauthn.get', challenge, origins);
+
+  const authDataRaw = Buffer.from(credential.response.authenticatorData, 'base64url');
+  let authData;
+  try {
+    authData = parseAuthenticatorData(authDataRaw);
+  } catch (error) {
+    throw webauthnError('AUTH_PASSKEY_VERIFICATION_FAILED', `Malformed authenticator data: ${error.message}`);
+  }
+  verifyAuthenticatorFlags(authData, rpId);
+
+  const { keyObject } = coseToPublicKey(cborDecode(Buffer.from(passkey.public_key, 'base64url')).value);
+  const signedData = Buffer.concat([authDataRaw, clientDataHash]);
+  if (!verifySignature(passkey.algorithm, keyObject, signedData, Buffer.from(credential.response.signature, 'base64url'))) {
+    throw webauthnError('AUTH_PASSKEY_VERIFICATION_FAILED', 'Assertion signature is invalid');
+  }
+
+  // Counter must strictly increase unless the authenticator doesn't implement one (both zero)
+  if ((authData.signCount > 0 || passkey.sign_count > 0) && authData.signCount <= passkey.sign_count) {
+    logger.warn(`Passkey sign counter did not increase for credential ${passkey.passkey_id} (stored ${passkey.sign_count}, got ${authData.signCount}) - possible cloned authenticator`, { module: 'Auth', label: 'PASSKEY' });
+    throw webauthnError('AUTH_PASSKEY_COUNTER_INVALID', 'Sign counter did not increase');
+  }
+
+  // Conditional update so two concurrent assertions can't both pass with the same counter
+  const updated = await prisma.passkeyCredential.updateMany({
+    where: { passkey_id: passkey.passkey_id, sign_count: passkey.sign_count },
+    data: {
+      sign_count: authData.signCount,
+      backed_up: !!(authData.flags & FLAG_BACKED_UP),
+      last_used_at: new Date()
+    }
+  });
+  if (updated.count !== 1) {
+    throw webauthnError('AUTH_PASSKEY_COUNTER_INVALID', 'Credential was used concurrently');
+  }
+
+  return { passkey, userVerified: !!(authData.flags & FLAG_USER_VERIFIED) };
+}
+
+/**
+ * List a user's passkeys
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Passkeys (public fields only)
+ */
+async function listPasskeys(userId) {
+  return prisma.passkeyCredential.findMany({
+    where: { user_id: userId },
+    select: {
+      passkey_id: true,
+      name: true,
+      aaguid: true,
+      attestation_format: true,
+      transports: true,
+      backup_eligible: true,
+      backed_up: true,
+      created_at: true,
+      last_used_at: true
+    },
+    orderBy: { created_at: 'desc' }
+  });
+}
+
+/**
+ * Rename a user's passkey
+ * @param {string} userId - User ID
+ * @param {string} passkeyId - Passkey ID
+ * @param {string} name - New name
+ * @returns {Promise<boolean>} True if a passkey was updated
+ */
+async function renamePasskey(userId, passkeyId, name) {
+  const result = await prisma.passkeyCredential.updateMany({
+    where: { passkey_id: passkeyId, user_id: userId },
+    data: { name }
+  });
+  return result.count === 1;
+}
+
+/**
+ * Delete a user's passkey
+ * @param {string} userId - User ID
+ * @param {string} passkeyId - Passkey ID
+ * @returns {Promise<boolean>} True if a passkey was deleted
+ */
+async function deletePasskey(userId, passkeyId) {
+  const result = await prisma.passkeyCredential.deleteMany({
+    where: { passkey_id: passkeyId, user_id: userId }
+  });
+  return result.count === 1;
+}
+
+module.exports = {
+  assertRelyingPartyConfigured,
+  cborDecode,
+  parseAuthenticatorData,
+  generateRegistrationOptions,
+  verifyRegistration,
+  generateAuthenticationOptions,
+  verifyAuthentication,
+  listPasskeys,
+  renamePasskey,
+  deletePasskey
+};
@@ -134,11 +134,34 @@ async function exists(key) {
   }
 }
 
+/**
+ * Atomically increment a counter, setting its TTL when the key is created
+ * @param {string} key - Cache key
+ * @param {number} ttl - Time to live in seconds (applied on first increment)
+ * @returns {Promise<number|null>} New counter value, or null if cache is unavailable
+ */
+async function incr(key, ttl = 3600) {
+  if (!isConnected || !client.isReady) {
+    return null;
+  }
+  try {
+    const value = await client.incr(key);
+    if (value === 1) {
+      await client.expire(key, ttl);
+    }
+    return value;
+  } catch (error) {
+    logger.error('Cache incr error', { error: error.message || error.toString(), key });
+    return null;
+  }
+}
+
 module.exports = {
   client,
   get,
   set,
   del,
-  exists
+  exists,
+  incr
 };
 
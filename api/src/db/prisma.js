@@ -4,7 +4,7 @@
  * Uses the existing PostgreSQL connection pool from postgres.js
  */
 
-const { PrismaClient } = require('@prisma/client');
+const { PrismaClient, Prisma } = require('@prisma/client');
 const { PrismaPg } = require('@prisma/adapter-pg');
 const { getConnection } = require('./postgres/postgres');
 const logger = require('../logger/logger');
@@ -98,6 +98,8 @@ async function testConnection() {
 
 module.exports = {
   prisma,
+  // Namespace for Prisma.DbNull, error classes and other helpers
+  Prisma,
   testConnection,
   // Export common operations for backward compatibility
   query: async (text, params) => {
@@ -5,7 +5,7 @@
  */
 
 const nodemailer = require('nodemailer');
-const { ONETIME_VERIFICATION_TEMPLATE } = require('./template');
+const { ONETIME_VERIFICATION_TEMPLATE, MAGIC_LINK_TEMPLATE, INVITATION_TEMPLATE, ACCOUNT_LOCKED_TEMPLATE, LOGIN_ALERT_TEMPLATE, DATA_EXPORT_TEMPLATE, ACCOUNT_DELETION_TEMPLATE } = require('./template');
 const logger = require('../logger/logger');
 
 // Email Configuration
@@ -83,8 +83,243 @@ function sendOtpAsync(toEmail, otp) {
   });
 }
 
+/**
+ * Send a sign-in (magic) link
+ * @param {string} toEmail - Recipient email address
+ * @param {string} link - Sign-in link
+ * @param {number} expiryMinutes - Minutes until the link expires
+ * @returns {Promise<boolean>} Success status
+ */
+async function sendMagicLinkEmail(toEmail, link, expiryMinutes) {
+  if (!transporter) {
+    logger.error('Email transporter not configured', { module: 'Email' });
+    return false;
+  }
+
+  try {
+    const htmlBody = MAGIC_LINK_TEMPLATE
+      .replace('{link}', link)
+      .replace('{minutes}', String(expiryMinutes));
+
+    const plainText = `Sign in to your account: ${link}\n\nThis link works once and expires in ${expiryMinutes} minutes. If you didn't request it, you can safely ignore this email.`;
+
+    const mailOptions = {
+      from: EMAIL_HOST_USER,
+      to: toEmail,
+      subject: 'Your sign-in link',
+      text: plainText,
+      html: htmlBody
+    };
+
+    await transporter.sendMail(mailOptions);
+    logger.info(`Magic link sent successfully to ${toEmail}`, { module: 'Email' });
+    return true;
+  } catch (error) {
+    logger.error(`Error sending magic link email to ${toEmail}`, { error: error.message, module: 'Email' });
+    return false;
+  }
+}
+
+/**
+ * Send invitation email
+ * @param {string} toEmail - Recipient email address
+ * @param {string} link - Invitation acceptance link
+ * @param {string} inviterName - Name shown as the inviter
+ * @param {number} expiryHours - Hours until the link expires
+ * @returns {Promise<boolean>} Success status
+ */
+async function sendInvitationEmail(toEmail, link, inviterName, expiryHours) {
+  if (!transporter) {
+    logger.error('Email transporter not configured', { module: 'Email' });
+    return false;
+  }
+
+  try {
+    const subject = `${inviterName} invited you`;
+
+    const htmlBody = INVITATION_TEMPLATE
+      .replace('{inviter}', inviterName)
+      .replace('{link}', link)
+      .replace('{hours}', String(expiryHours));
+
+    const plainText = `${inviterName} has invited you to create an account.\n\nAccept the invitation: ${link}\n\nIt will expire in ${expiryHours} hours.`;
+
+    const mailOptions = {
+      from: EMAIL_HOST_USER,
+      to: toEmail,
+      subject: subject,
+      text: plainText,
+      html: htmlBody
+    };
+
+    await transporter.sendMail(mailOptions);
+    logger.info(`Invitation sent successfully to ${toEmail}`, { module: 'Email' });
+    return true;
+  } catch (error) {
+    logger.error(`Error sending invitation email to ${toEmail}`, { error: error.message, module: 'Email' });
+    return false;
+  }
+}
+
+/**
+ * Tell a user their account was locked after failed password logins
+ * @param {string} toEmail - Recipient email address
+ * @param {number} lockMinutes - Minutes until the lock is lifted
+ * @returns {Promise<boolean>} True if sent successfully
+ */
+async function sendAccountLockedEmail(toEmail, lockMinutes) {
+  if (!transporter) {
+    logger.error('Email transporter not configured', { module: 'Email' });
+    return false;
+  }
+
+  try {
+    const htmlBody = ACCOUNT_LOCKED_TEMPLATE.replace('{minutes}', String(lockMinutes));
+
+    const plainText = `We locked your account after several failed sign-in attempts with a wrong password.\n\nYou can try again in ${lockMinutes} minutes, or sign in with a one-time password right away. If these attempts weren't you, change your password after signing in.`;
+
+    const mailOptions = {
+      from: EMAIL_HOST_USER,
+      to: toEmail,
+      subject: 'Your account was locked',
+      text: plainText,
+      html: htmlBody
+    };
+
+    await transporter.sendMail(mailOptions);
+    logger.info(`Account locked notice sent to ${toEmail}`, { module: 'Email' });
+    return true;
+  } catch (error) {
+    logger.error(`Error sending account locked email to ${toEmail}`, { error: error.message, module: 'Email' });
+    return false;
+  }
+}
+
+/**
+ * Tell the user about a sign-in from a new device or location
+ * @param {string} toEmail - Recipient email address
+ * @param {object} details - { device, location, time } lines describing the sign-in, and the GeoIP
+ *   { text, url } attribution when the location names a country
+ * @param {string} link - "This wasn't me" link that signs the new session out
+ * @returns {Promise<boolean>} True if sent successfully
+ */
+async function sendLoginAlertEmail(toEmail, details, link) {
+  if (!transporter) {
+    logger.error('Email transporter not configured', { module: 'Email' });
+    return false;
+  }
+
+  try {
+    const { attribution } = details;
+    const htmlBody = LOGIN_ALERT_TEMPLATE
+      .replace('{device}', details.device)
+      .replace('{location}', details.location)
+      .replace('{time}', details.time)
+      .replace('{link}', link)
+      .replace('{attribution}', attribution ? `<a href="${attribution.url}" target="_blank" style="color: #8c8c8c;">${attribution.text}</a>` : '');
+
+    const credit = attribution ? `\n\n${attribution.text}: ${attribution.url}` : '';
+    const plainText = `Your account was just signed in to from a device or location we haven't seen before.\n\n${details.device}\n${details.location}\n${details.time}\n\nIf this was you, there's nothing to do. If it wasn't, sign that device out and change your password: ${link}${credit}`;
+
+    const mailOptions = {
+      from: EMAIL_HOST_USER,
+      to: toEmail,
+      subject: 'New sign-in to your account',
+      text: plainText,
+      html: htmlBody
+    };
+
+    await transporter.sendMail(mailOptions);
+    logger.info(`Login alert sent to ${toEmail}`, { module: 'Email' });
+    return true;
+  } catch (error) {
+    logger.error(`Error sending login alert email to ${toEmail}`, { error: error.message, module: 'Email' });
+    return false;
+  }
+}
+
+/**
+ * Tell the user their data export can be downloaded
+ * @param {string} toEmail - Recipient email address
+ * @param {string} link - Time-limited download link
+ * @param {number} expiryHours - Hours until the link expires
+ * @returns {Promise<boolean>} True if sent successfully
+ */
+async function sendDataExportEmail(toEmail, link, expiryHours) {
+  if (!transporter) {
+    logger.error('Email transporter not configured', { module: 'Email' });
+    return false;
+  }
+
+  try {
+    const htmlBody = DATA_EXPORT_TEMPLATE
+      .replace('{link}', link)
+      .replace('{hours}', String(expiryHours));
+
+    const plainText = `A copy of the data stored for your account is ready: ${link}\n\nThe link expires in ${expiryHours} hours and the export is deleted after that. If you didn't request this export, change your password and contact us.`;
+
+    const mailOptions = {
+      from: EMAIL_HOST_USER,
+      to: toEmail,
+      subject: 'Your data export is ready',
+      text: plainText,
+      html: htmlBody
+    };
+
+    await transporter.sendMail(mailOptions);
+    logger.info(`Data export email sent to ${toEmail}`, { module: 'Email' });
+    return true;
+  } catch (error) {
+    logger.error(`Error sending data export email to ${toEmail}`, { error: error.message, module: 'Email' });
+    return false;
+  }
+}
+
+/**
+ * Confirm a deletion request and offer the link that cancels it
+ * @param {string} toEmail - Recipient email address
+ * @param {string} date - When the account will be purged
+ * @param {string} link - Cancel link
+ * @returns {Promise<boolean>} True if sent successfully
+ */
+async function sendAccountDeletionEmail(toEmail, date, link) {
+  if (!transporter) {
+    logger.error('Email transporter not configured', { module: 'Email' });
+    return false;
+  }
+
+  try {
+    const htmlBody = ACCOUNT_DELETION_TEMPLATE
+      .replace('{date}', date)
+      .replace('{link}', link);
+
+    const plainText = `We received your request to delete your account. You have been signed out everywhere, and your account and its data will be permanently deleted on ${date}.\n\nChanged your mind? Keep your account: ${link}\n\nIf you didn't ask to delete your account, use this link right away and change your password.`;
+
+    const mailOptions = {
+      from: EMAIL_HOST_USER,
+      to: toEmail,
+      subject: 'Your account is scheduled for deletion',
+      text: plainText,
+      html: htmlBody
+    };
+
+    await transporter.sendMail(mailOptions);
+    logger.info(`Account deletion notice sent to ${toEmail}`, { module: 'Email' });
+    return true;
+  } catch (error) {
+    logger.error(`Error sending account deletion email to ${toEmail}`, { error: error.message, module: 'Email' });
+    return false;
+  }
+}
+
 module.exports = {
   sendOtpEmail,
-  sendOtpAsync
+  sendOtpAsync,
+  sendMagicLinkEmail,
+  sendInvitationEmail,
+  sendAccountLockedEmail,
+  sendLoginAlertEmail,
+  sendDataExportEmail,
+  sendAccountDeletionEmail
 };
 
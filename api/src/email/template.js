@@ -68,7 +68,363 @@ const ONETIME_VERIFICATION_TEMPLATE = `
 </html>
 `;
 
+const MAGIC_LINK_TEMPLATE = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Sign-In Link</title>
+    <style>
+        body {
+            font-family: 'Poppins', sans-serif;
+            margin: 0;
+            padding: 15px;
+            background-color: #f9f9f9;
+        }
+        a {
+            color: #7F4975;
+            text-decoration: none;
+        }
+    </style>
+</head>
+<body>
+    <div style="max-width: 680px; margin: 0 auto; padding: 45px 30px 60px; background: #f4f7ff; background-image: url(https://storage.googleapis.com/klikyai-bucket/style-generation-thumbnail-url/faceswap_1725541603948_kFM8SaMfmFaQRjYAqUVt.png); background-repeat: no-repeat; background-size: 800px 452px; background-position: top center; font-size: 14px; color: #291835;">
+        
+        <div style="margin: 0; margin-top: 70px; padding: 60px 30px 60px; background: #FFFFFF; border-radius: 30px; text-align: center;">
+            <div style="width: 100%;">
+                <h1 style="margin: 0; font-size: 24px; font-weight: 600; color: #1f1f1f;">
+                    Sign In to Your Account
+                </h1>
+
+                <p style="margin: 0; margin-top: 20px; font-size: 16px; font-weight: 500;">
+                    Click the button below to sign in. No code or password needed.
+                </p>
+
+                <div style="margin-top: 30px;">
+                    <a href="{link}" target="_blank" style="display: inline-block; padding: 16px 40px; background-color: #22bb33; color: white; font-size: 18px; font-weight: bold; border-radius: 10px;">
+                        Sign In
+                    </a>
+                </div>
+
+                <p style="margin: 0; margin-top: 25px; font-size: 14px; color: #555;">
+                    This link works once and expires in {minutes} minutes. Open it in the browser where you requested it.
+                    If you didn't request this, you can safely ignore this email.
+                </p>
+            </div>
+        </div>
+
+        <p style="max-width: 400px; margin: 0 auto; margin-top: 90px; text-align: center; font-weight: 500; color: #8c8c8c;">
+            Need help? Ask at <a href="mailto:info@klikyai.com" style="color: #499fb6;">info@klikyai.com</a>
+            or visit our <a href="#" target="_blank" style="color: #499fb6;">Help Center</a>
+        </p>
+
+        <footer style="width: 100%; max-width: 490px; margin: 20px auto 0; text-align: center; border-top: 1px solid #e6ebf1;">
+            <p style="margin: 0; margin-top: 16px; color: #291835;">Copyright © 2024 Kliky AI Screen. All rights reserved.</p>
+        </footer>
+    </div>
+</body>
+</html>
+`;
+
+const INVITATION_TEMPLATE = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>You're Invited</title>
+    <style>
+        body {
+            font-family: 'Poppins', sans-serif;
+            margin: 0;
+            padding: 15px;
+            background-color: #f9f9f9;
+        }
+        a {
+            color: #7F4975;
+            text-decoration: none;
+        }
+    </style>
+</head>
+<body>
+    <div style="max-width: 680px; margin: 0 auto; padding: 45px 30px 60px; background: #f4f7ff; background-image: url(https://storage.googleapis.com/klikyai-bucket/style-generation-thumbnail-url/faceswap_1725541603948_kFM8SaMfmFaQRjYAqUVt.png); background-repeat: no-repeat; background-size: 800px 452px; background-position: top center; font-size: 14px; color: #291835;">
+        
+        <div style="margin: 0; margin-top: 70px; padding: 60px 30px 60px; background: #FFFFFF; border-radius: 30px; text-align: center;">
+            <div style="width: 100%;">
+                <h1 style="margin: 0; font-size: 24px; font-weight: 600; color: #1f1f1f;">
+                    You're Invited
+                </h1>
+
+                <p style="margin: 0; margin-top: 20px; font-size: 16px; font-weight: 500;">
+                    {inviter} has invited you to create an account.
+                </p>
+
+                <div style="margin-top: 30px;">
+                    <a href="{link}" target="_blank" style="display: inline-block; padding: 16px 40px; background-color: #22bb33; color: white; font-size: 18px; font-weight: bold; border-radius: 10px;">
+                        Accept Invitation
+                    </a>
+                </div>
+
+                <p style="margin: 0; margin-top: 25px; font-size: 14px; color: #555;">
+                    This invitation expires in {hours} hours. If you weren't expecting it, you can safely ignore this email.
+                </p>
+            </div>
+        </div>
+
+        <p style="max-width: 400px; margin: 0 auto; margin-top: 90px; text-align: center; font-weight: 500; color: #8c8c8c;">
+            Need help? Ask at <a href="mailto:info@klikyai.com" style="color: #499fb6;">info@klikyai.com</a>
+            or visit our <a href="#" target="_blank" style="color: #499fb6;">Help Center</a>
+        </p>
+
+        <footer style="width: 100%; max-width: 490px; margin: 20px auto 0; text-align: center; border-top: 1px solid #e6ebf1;">
+            <p style="margin: 0; margin-top: 16px; color: #291835;">Copyright © 2024 Kliky AI Screen. All rights reserved.</p>
+        </footer>
+    </div>
+</body>
+</html>
+`;
+
+const ACCOUNT_LOCKED_TEMPLATE = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Account Locked</title>
+    <style>
+        body {
+            font-family: 'Poppins', sans-serif;
+            margin: 0;
+            padding: 15px;
+            background-color: #f9f9f9;
+        }
+        a {
+            color: #7F4975;
+            text-decoration: none;
+        }
+    </style>
+</head>
+<body>
+    <div style="max-width: 680px; margin: 0 auto; padding: 45px 30px 60px; background: #f4f7ff; background-image: url(https://storage.googleapis.com/klikyai-bucket/style-generation-thumbnail-url/faceswap_1725541603948_kFM8SaMfmFaQRjYAqUVt.png); background-repeat: no-repeat; background-size: 800px 452px; background-position: top center; font-size: 14px; color: #291835;">
+        
+        <div style="margin: 0; margin-top: 70px; padding: 60px 30px 60px; background: #FFFFFF; border-radius: 30px; text-align: center;">
+            <div style="width: 100%;">
+                <h1 style="margin: 0; font-size: 24px; font-weight: 600; color: #1f1f1f;">
+                    Your Account Was Locked
+                </h1>
+
+                <p style="margin: 0; margin-top: 20px; font-size: 16px; font-weight: 500;">
+                    We locked your account after several failed sign-in attempts with a wrong password.
+                </p>
+
+                <p style="margin: 0; margin-top: 20px; font-size: 14px; color: #555;">
+                    You can try again in {minutes} minutes, or sign in with a one-time password right away.
+                    If these attempts weren't you, change your password after signing in.
+                </p>
+            </div>
+        </div>
+
+        <p style="max-width: 400px; margin: 0 auto; margin-top: 90px; text-align: center; font-weight: 500; color: #8c8c8c;">
+            Need help? Ask at <a href="mailto:info@klikyai.com" style="color: #499fb6;">info@klikyai.com</a>
+            or visit our <a href="#" target="_blank" style="color: #499fb6;">Help Center</a>
+        </p>
+
+        <footer style="width: 100%; max-width: 490px; margin: 20px auto 0; text-align: center; border-top: 1px solid #e6ebf1;">
+            <p style="margin: 0; margin-top: 16px; color: #291835;">Copyright © 2024 Kliky AI Screen. All rights reserved.</p>
+        </footer>
+    </div>
+</body>
+</html>
+`;
+
+const LOGIN_ALERT_TEMPLATE = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>New Sign-In</title>
+    <style>
+        body {
+            font-family: 'Poppins', sans-serif;
+            margin: 0;
+            padding: 15px;
+            background-color: #f9f9f9;
+        }
+        a {
+            color: #7F4975;
+            text-decoration: none;
+        }
+    </style>
+</head>
+<body>
+    <div style="max-width: 680px; margin: 0 auto; padding: 45px 30px 60px; background: #f4f7ff; background-image: url(https://storage.googleapis.com/klikyai-bucket/style-generation-thumbnail-url/faceswap_1725541603948_kFM8SaMfmFaQRjYAqUVt.png); background-repeat: no-repeat; background-size: 800px 452px; background-position: top center; font-size: 14px; color: #291835;">
+        
+        <div style="margin: 0; margin-top: 70px; padding: 60px 30px 60px; background: #FFFFFF; border-radius: 30px; text-align: center;">
+            <div style="width: 100%;">
+                <h1 style="margin: 0; font-size: 24px; font-weight: 600; color: #1f1f1f;">
+                    New Sign-In to Your Account
+                </h1>
+
+                <p style="margin: 0; margin-top: 20px; font-size: 16px; font-weight: 500;">
+                    Your account was just signed in to from a device or location we haven't seen before.
+                </p>
+
+                <p style="margin: 0; margin-top: 20px; font-size: 14px; color: #555;">
+                    {device}<br>
+                    {location}<br>
+                    {time}
+                </p>
+
+                <p style="margin: 0; margin-top: 20px; font-size: 14px; color: #555;">
+                    If this was you, there's nothing to do. If it wasn't, sign that device out now and change your password.
+                </p>
+
+                <div style="margin-top: 30px;">
+                    <a href="{link}" target="_blank" style="display: inline-block; padding: 16px 40px; background-color: #d9534f; color: white; font-size: 18px; font-weight: bold; border-radius: 10px;">
+                        This Wasn't Me
+                    </a>
+                </div>
+            </div>
+        </div>
+
+        <p style="max-width: 400px; margin: 0 auto; margin-top: 90px; text-align: center; font-weight: 500; color: #8c8c8c;">
+            Need help? Ask at <a href="mailto:info@klikyai.com" style="color: #499fb6;">info@klikyai.com</a>
+            or visit our <a href="#" target="_blank" style="color: #499fb6;">Help Center</a>
+        </p>
+
+        <footer style="width: 100%; max-width: 490px; margin: 20px auto 0; text-align: center; border-top: 1px solid #e6ebf1;">
+            <p style="margin: 0; margin-top: 16px; color: #291835;">Copyright © 2024 Kliky AI Screen. All rights reserved.</p>
+            <p style="margin: 0; margin-top: 8px; font-size: 12px; color: #8c8c8c;">{attribution}</p>
+        </footer>
+    </div>
+</body>
+</html>
+`;
+
+const DATA_EXPORT_TEMPLATE = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Your Data Export</title>
+    <style>
+        body {
+            font-family: 'Poppins', sans-serif;
+            margin: 0;
+            padding: 15px;
+            background-color: #f9f9f9;
+        }
+        a {
+            color: #7F4975;
+            text-decoration: none;
+        }
+    </style>
+</head>
+<body>
+    <div style="max-width: 680px; margin: 0 auto; padding: 45px 30px 60px; background: #f4f7ff; background-image: url(https://storage.googleapis.com/klikyai-bucket/style-generation-thumbnail-url/faceswap_1725541603948_kFM8SaMfmFaQRjYAqUVt.png); background-repeat: no-repeat; background-size: 800px 452px; background-position: top center; font-size: 14px; color: #291835;">
+        
+        <div style="margin: 0; margin-top: 70px; padding: 60px 30px 60px; background: #FFFFFF; border-radius: 30px; text-align: center;">
+            <div style="width: 100%;">
+                <h1 style="margin: 0; font-size: 24px; font-weight: 600; color: #1f1f1f;">
+                    Your Data Export Is Ready
+                </h1>
+
+                <p style="margin: 0; margin-top: 20px; font-size: 16px; font-weight: 500;">
+                    We've put together a copy of the data stored for your account: your profile, groups and permissions, activity history and uploaded files.
+                </p>
+
+                <div style="margin-top: 30px;">
+                    <a href="{link}" target="_blank" style="display: inline-block; padding: 16px 40px; background-color: #22bb33; color: white; font-size: 18px; font-weight: bold; border-radius: 10px;">
+                        Download
+                    </a>
+                </div>
+
+                <p style="margin: 0; margin-top: 25px; font-size: 14px; color: #555;">
+                    The link expires in {hours} hours and the export is deleted after that. You can request a new one from your account settings at any time.
+                    If you didn't request this export, change your password and contact us.
+                </p>
+            </div>
+        </div>
+
+        <p style="max-width: 400px; margin: 0 auto; margin-top: 90px; text-align: center; font-weight: 500; color: #8c8c8c;">
+            Need help? Ask at <a href="mailto:info@klikyai.com" style="color: #499fb6;">info@klikyai.com</a>
+            or visit our <a href="#" target="_blank" style="color: #499fb6;">Help Center</a>
+        </p>
+
+        <footer style="width: 100%; max-width: 490px; margin: 20px auto 0; text-align: center; border-top: 1px solid #e6ebf1;">
+            <p style="margin: 0; margin-top: 16px; color: #291835;">Copyright © 2024 Kliky AI Screen. All rights reserved.</p>
+        </footer>
+    </div>
+</body>
+</html>
+`;
+
+const ACCOUNT_DELETION_TEMPLATE = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Account Deletion Scheduled</title>
+    <style>
+        body {
+            font-family: 'Poppins', sans-serif;
+            margin: 0;
+            padding: 15px;
+            background-color: #f9f9f9;
+        }
+        a {
+            color: #7F4975;
+            text-decoration: none;
+        }
+    </style>
+</head>
+<body>
+    <div style="max-width: 680px; margin: 0 auto; padding: 45px 30px 60px; background: #f4f7ff; background-image: url(https://storage.googleapis.com/klikyai-bucket/style-generation-thumbnail-url/faceswap_1725541603948_kFM8SaMfmFaQRjYAqUVt.png); background-repeat: no-repeat; background-size: 800px 452px; background-position: top center; font-size: 14px; color: #291835;">
+        
+        <div style="margin: 0; margin-top: 70px; padding: 60px 30px 60px; background: #FFFFFF; border-radius: 30px; text-align: center;">
+            <div style="width: 100%;">
+                <h1 style="margin: 0; font-size: 24px; font-weight: 600; color: #1f1f1f;">
+                    Your Account Will Be Deleted
+                </h1>
+
+                <p style="margin: 0; margin-top: 20px; font-size: 16px; font-weight: 500;">
+                    We received your request to delete your account. You have been signed out everywhere, and your account and its data will be permanently deleted on {date}.
+                </p>
+
+                <p style="margin: 0; margin-top: 20px; font-size: 14px; color: #555;">
+                    Changed your mind? Cancel the deletion before then and your account will be restored as it was.
+                </p>
+
+                <div style="margin-top: 30px;">
+                    <a href="{link}" target="_blank" style="display: inline-block; padding: 16px 40px; background-color: #22bb33; color: white; font-size: 18px; font-weight: bold; border-radius: 10px;">
+                        Keep My Account
+                    </a>
+                </div>
+
+                <p style="margin: 0; margin-top: 25px; font-size: 14px; color: #555;">
+                    If you didn't ask to delete your account, use the button above right away and change your password.
+                </p>
+            </div>
+        </div>
+
+        <p style="max-width: 400px; margin: 0 auto; margin-top: 90px; text-align: center; font-weight: 500; color: #8c8c8c;">
+            Need help? Ask at <a href="mailto:info@klikyai.com" style="color: #499fb6;">info@klikyai.com</a>
+            or visit our <a href="#" target="_blank" style="color: #499fb6;">Help Center</a>
+        </p>
+
+        <footer style="width: 100%; max-width: 490px; margin: 20px auto 0; text-align: center; border-top: 1px solid #e6ebf1;">
+            <p style="margin: 0; margin-top: 16px; color: #291835;">Copyright © 2024 Kliky AI Screen. All rights reserved.</p>
+        </footer>
+    </div>
+</body>
+</html>
+`;
+
 module.exports = {
-  ONETIME_VERIFICATION_TEMPLATE
+  ONETIME_VERIFICATION_TEMPLATE,
+  MAGIC_LINK_TEMPLATE,
+  INVITATION_TEMPLATE,
+  ACCOUNT_LOCKED_TEMPLATE,
+  LOGIN_ALERT_TEMPLATE,
+  DATA_EXPORT_TEMPLATE,
+  ACCOUNT_DELETION_TEMPLATE
 };
 
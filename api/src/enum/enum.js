@@ -44,12 +44,19 @@ const UserStatusAuthEnum = {
   DELETED: 'Deleted'
 };
 
+const InvitationStatusEnum = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  REVOKED: 'revoked'
+};
+
 module.exports = {
   ProfileAccessibilityEnum,
   UserTypeEnum,
   ThemeEnum,
   AuthTypeEnum,
   LanguageStatusEnum,
-  UserStatusAuthEnum
+  UserStatusAuthEnum,
+  InvitationStatusEnum
 };
 
@@ -0,0 +1,140 @@
+/**
+ * Background Jobs
+ * Runs periodic maintenance tasks inside the API process. Each run first takes a lock in Redis,
+ * so when several instances are deployed only one of them does the work per interval
+ */
+
+const cache = require('../cache/cache');
+const logger = require('../logger/logger');
+
+const BACKGROUND_JOBS_ENABLED = process.env.BACKGROUND_JOBS_ENABLED !== 'false';
+
+// name -> interval timer
+const timers = new Map();
+
+/**
+ * Take the run lock for a job
+ * The lock expires shortly before the next run is due rather than being released, so an
+ * instance whose timer fires a little later cannot repeat the same run
+ * @param {string} name - Job name
+ * @param {number} ttlSeconds - Lock lifetime in seconds
+ * @returns {Promise<boolean>} True if this instance should run the job
+ */
+async function acquireJobLock(name, ttlSeconds) {
+  const count = await cache.incr(`job_lock:${name}`, ttlSeconds);
+  // Without Redis there is nothing to coordinate on - every instance runs its own jobs
+  return count === null || count === 1;
+}
+
+/**
+ * Run a job once under its lock, logging the outcome
+ * @param {string} name - Job name
+ * @param {function} handler - Async function doing the work
+ * @param {number} lockSeconds - Lock lifetime in seconds
+ * @returns {Promise<*>} Handler result, or undefined if skipped or failed
+ */
+async function runJob(name, handler, lockSeconds) {
+  try {
+    if (!await acquireJobLock(name, lockSeconds)) {
+      return undefined;
+    }
+    const startedAt = Date.now();
+    const result = await handler();
+    logger.info(`Job ${name} finished in ${Date.now() - startedAt}ms`, { module: 'Jobs', label: name.toUpperCase(), result });
+    return result;
+  } catch (error) {
+    logger.error(`Job ${name} failed`, { error: error.message, module: 'Jobs', label: name.toUpperCase() });
+    return undefined;
+  }
+}
+
+/**
+ * Run a job every intervalMinutes
+ * @param {string} name - Job name (also the lock key)
+ * @param {number} intervalMinutes - Minutes between runs; 0 or less disables the job
+ * @param {function} handler - Async function doing the work
+ * @returns {boolean} True if the job was scheduled
+ */
+function scheduleJob(name, intervalMinutes, handler) {
+  if (!intervalMinutes || intervalMinutes <= 0) {
+    logger.info(`Job ${name} is disabled`, { module: 'Jobs', label: 'SCHEDULE' });
+    return false;
+  }
+  if (timers.has(name)) {
+    clearInterval(timers.get(name));
+  }
+
+  const intervalMs = intervalMinutes * 60 * 1000;
+  const lockSeconds = Math.max(Math.floor(intervalMinutes * 60 * 0.9), 1);
+  const timer = setInterval(() => runJob(name, handler, lockSeconds), intervalMs);
+  // Pending runs must not keep the process alive during shutdown
+  timer.unref();
+  timers.set(name, timer);
+
+  logger.info(`Job ${name} scheduled every ${intervalMinutes} minute(s)`, { module: 'Jobs', label: 'SCHEDULE' });
+  return true;
+}
+
+/**
+ * All background jobs
+ * Modules are loaded here rather than at the top so the scheduler has no import cycles
+ * @returns {Array<object>} [{ name, description, intervalMinutes, handler }]
+ */
+function getBackgroundJobs() {
+  const { ANONYMOUS_CLEANUP_INTERVAL_MINUTES, purgeStaleGuests } = require('../authenticate/anonymous');
+  const { DATA_EXPORT_INTERVAL_MINUTES, processDataExports } = require('../authenticate/data_export');
+  const { ACCOUNT_PURGE_INTERVAL_MINUTES, purgeDeletedAccounts } = require('../authenticate/account_deletion');
+  return [
+    {
+      name: 'purge_stale_guests',
+      description: 'Delete guest accounts that were never upgraded and have been idle too long',
+      intervalMinutes: ANONYMOUS_CLEANUP_INTERVAL_MINUTES,
+      handler: purgeStaleGuests
+    },
+    {
+      name: 'process_data_exports',
+      description: 'Build requested data exports and delete expired export files',
+      intervalMinutes: DATA_EXPORT_INTERVAL_MINUTES,
+      handler: processDataExports
+    },
+    {
+      name: 'purge_deleted_accounts',
+      description: 'Anonymize accounts whose deletion can no longer be cancelled',
+      intervalMinutes: ACCOUNT_PURGE_INTERVAL_MINUTES,
+      handler: purgeDeletedAccounts
+    }
+  ];
+}
+
+/**
+ * Schedule all background jobs (called once on server startup)
+ * Set BACKGROUND_JOBS_ENABLED=false on instances that should not run them
+ */
+function startBackgroundJobs() {
+  if (!BACKGROUND_JOBS_ENABLED) {
+    logger.info('Background jobs are disabled on this instance', { module: 'Jobs', label: 'SCHEDULE' });
+    return;
+  }
+
+  for (const job of getBackgroundJobs()) {
+    scheduleJob(job.name, job.intervalMinutes, job.handler);
+  }
+}
+
+/**
+ * Stop all scheduled jobs (graceful shutdown)
+ */
+function stopBackgroundJobs() {
+  for (const timer of timers.values()) {
+    clearInterval(timer);
+  }
+  timers.clear();
+}
+
+module.exports = {
+  scheduleJob,
+  runJob,
+  getBackgroundJobs,
+  startBackgroundJobs,
+  stopBackgroundJobs
+};
@@ -16,6 +16,24 @@ const logger = require('../logger/logger');
 function checkPermission(requiredPermissions, requireAll = false) {
   return async (req, res, next) => {
     try {
+      let permissions = Array.isArray(requiredPermissions) ? requiredPermissions : [requiredPermissions];
+
+      // OAuth clients (client_credentials tokens) are authorized by their granted permissions only
+      if (req.user?.auth_method === 'client') {
+        const granted = req.user.client_permissions || [];
+        const allowed = requireAll
+          ? permissions.every(permission => granted.includes(permission))
+          : permissions.some(permission => granted.includes(permission));
+        if (!allowed) {
+          const errorResponse = ERROR.fromMap('FORBIDDEN', {
+            message: `Client is missing required permission. Required ${requireAll ? 'all' : 'one'} of: ${permissions.join(', ')}`,
+            required_permissions: permissions
+          });
+          return res.status(errorResponse.statusCode).json(errorResponse.detail);
+        }
+        return next();
+      }
+
       const userId = req.user?.uid || req.user?.user_id;
       
       if (!userId) {
@@ -23,6 +41,21 @@ function checkPermission(requiredPermissions, requireAll = false) {
         return res.status(errorResponse.statusCode).json(errorResponse.detail);
       }
 
+      // API key requests are limited to the key's scopes on top of the owner's groups.
+      // Checked before the superuser bypass so a super admin's narrow key stays narrow
+      const apiKeyScopes = req.user.api_key_scopes;
+      if (Array.isArray(apiKeyScopes)) {
+        const scopedPermissions = permissions.filter(permission => apiKeyScopes.includes(permission));
+        if (scopedPermissions.length === 0 || (requireAll && scopedPermissions.length < permissions.length)) {
+          const errorResponse = ERROR.fromMap('AUTH_API_KEY_SCOPE_DENIED', {
+            message: `API key is not scoped for: ${permissions.filter(p => !apiKeyScopes.includes(p)).join(', ')}`,
+            required_permissions: permissions
+          });
+          return res.status(errorResponse.statusCode).json(errorResponse.detail);
+        }
+        permissions = scopedPermissions;
+      }
+
       // Superuser bypass - check if user has super_admin group
       const { getUserGroups } = require('../permissions/permissions');
       try {
@@ -35,8 +68,6 @@ function checkPermission(requiredPermissions, requireAll = false) {
         logger.warn('Error checking superuser status', { error: error.message });
       }
 
-      const permissions = Array.isArray(requiredPermissions) ? requiredPermissions : [requiredPermissions];
-      
       if (requireAll) {
         // User must have ALL permissions
         for (const permission of permissions) {
@@ -77,6 +108,35 @@ function checkPermission(requiredPermissions, requireAll = false) {
   };
 }
 
+/**
+ * Check one permission of the request's caller without answering the request
+ * Applies the same rules as checkPermission (client grants, API key scopes, super admin bypass),
+ * for permissions that change what a route returns rather than whether it may be called
+ * @param {object} req - Express request
+ * @param {string} permission - Permission codename
+ * @returns {Promise<boolean>} True if the caller has the permission
+ */
+async function requestHasPermission(req, permission) {
+  if (req.user?.auth_method === 'client') {
+    return (req.user.client_permissions || []).includes(permission);
+  }
+
+  const userId = req.user?.uid || req.user?.user_id;
+  if (!userId) {
+    return false;
+  }
+  if (Array.isArray(req.user.api_key_scopes) && !req.user.api_key_scopes.includes(permission)) {
+    return false;
+  }
+
+  const { getUserGroups } = require('../permissions/permissions');
+  const userGroups = await getUserGroups(userId);
+  if (userGroups.some(g => g.codename === 'super_admin')) {
+    return true;
+  }
+  return userHasPermission(userId, permission);
+}
+
 /**
  * Check if user has any of the specified groups
  * @param {string|Array<string>} requiredGroups - Group codename(s) required
@@ -129,6 +189,7 @@ function checkGroup(requiredGroups) {
 
 module.exports = {
   checkPermission,
-  checkGroup
+  checkGroup,
+  requestHasPermission
 };
 
@@ -570,6 +570,30 @@ async function userHasPermission(userId, permissionCodename) {
   }
 }
 
+/**
+ * Check whether one user's privileges cover another user's
+ * Super admins cover everyone; anyone else covers a user who is not a super admin
+ * and holds no permission they lack themselves
+ * @param {string} actorId - Acting user ID
+ * @param {string} targetId - Target user ID
+ * @returns {Promise<boolean>} True if the target has no privileges beyond the actor's
+ */
+async function userPrivilegesCover(actorId, targetId) {
+  const actorGroups = (await getUserGroups(actorId)).map(g => g.codename);
+  if (actorGroups.includes('super_admin')) {
+    return true;
+  }
+
+  const targetGroups = (await getUserGroups(targetId)).map(g => g.codename);
+  if (targetGroups.includes('super_admin')) {
+    return false;
+  }
+
+  const actorPermissions = new Set((await getUserPermissions(actorId)).map(p => p.codename));
+  const targetPermissions = await getUserPermissions(targetId);
+  return targetPermissions.every(p => actorPermissions.has(p.codename));
+}
+
 /**
  * Assign groups to user
  * @param {string} userId - User ID
@@ -684,6 +708,7 @@ module.exports = {
   getUserGroups,
   getUserPermissions,
   userHasPermission,
+  userPrivilegesCover,
   assignGroupsToUser,
   removeGroupsFromUser
 };
@@ -263,6 +263,513 @@ const ERRORS = {
     http_status: 403,
     hint: "This token was issued for a different domain. Please log in again to get a token for this domain."
   },
+  AUTH_OAUTH_PROVIDER_UNSUPPORTED: {
+    code: 1216,
+    message: "OAuth provider not supported",
+    reason: "The provider is unknown or not configured on this server",
+    http_status: 400,
+    hint: "Use one of the supported sign-in providers (google, apple). If the provider should be available, check its OAuth settings in .env."
+  },
+  AUTH_OAUTH_STATE_INVALID: {
+    code: 1217,
+    message: "Invalid or expired OAuth state",
+    reason: "The state parameter is unknown, expired, or has already been used",
+    http_status: 400,
+    hint: "The sign-in attempt has expired or was already completed. Start the sign-in flow again."
+  },
+  AUTH_OAUTH_EXCHANGE_FAILED: {
+    code: 1218,
+    message: "Failed to exchange authorization code",
+    reason: "The provider rejected the authorization code or was unreachable",
+    http_status: 502,
+    hint: "The sign-in provider did not accept the authorization code. Start the sign-in flow again."
+  },
+  AUTH_OAUTH_ID_TOKEN_INVALID: {
+    code: 1219,
+    message: "Invalid ID token",
+    reason: "ID token signature, issuer, audience, expiry or nonce check failed",
+    http_status: 401,
+    hint: "The identity returned by the provider could not be verified. Start the sign-in flow again."
+  },
+  AUTH_OAUTH_EMAIL_UNVERIFIED: {
+    code: 1220,
+    message: "Provider email is not verified",
+    reason: "The provider did not return a verified email address",
+    http_status: 403,
+    hint: "Verify your email address with the sign-in provider, or sign up with email/phone instead."
+  },
+  AUTH_MFA_INVALID_CODE: {
+    code: 1221,
+    message: "Invalid two-factor authentication code",
+    reason: "The TOTP or recovery code is incorrect, expired, or already used",
+    http_status: 401,
+    hint: "Enter the current 6-digit code from your authenticator app, or one of your unused recovery codes."
+  },
+  AUTH_MFA_TOKEN_INVALID: {
+    code: 1222,
+    message: "Invalid or expired MFA token",
+    reason: "The mfa_token is malformed, expired, or has already been used",
+    http_status: 401,
+    hint: "Your two-factor sign-in window has expired. Log in again with your password to get a new mfa_token."
+  },
+  AUTH_MFA_TOO_MANY_ATTEMPTS: {
+    code: 1223,
+    message: "Too many two-factor attempts",
+    reason: "Maximum verification attempts exceeded for this mfa_token",
+    http_status: 429,
+    hint: "Too many incorrect codes were entered. Log in again with your password to start a new attempt."
+  },
+  AUTH_MFA_ALREADY_ENABLED: {
+    code: 1224,
+    message: "Two-factor authentication is already enabled",
+    http_status: 409,
+    hint: "Disable two-factor authentication first if you want to enroll a new authenticator app."
+  },
+  AUTH_MFA_NOT_ENABLED: {
+    code: 1225,
+    message: "Two-factor authentication is not enabled",
+    http_status: 400,
+    hint: "Enable two-factor authentication from settings before using this endpoint."
+  },
+  AUTH_MFA_NOT_ENROLLED: {
+    code: 1226,
+    message: "No pending two-factor enrollment",
+    reason: "Enrollment must be started before it can be confirmed",
+    http_status: 400,
+    hint: "Call the TOTP enroll endpoint first, add the secret to your authenticator app, then confirm with a code."
+  },
+  AUTH_PASSKEY_CHALLENGE_INVALID: {
+    code: 1227,
+    message: "Invalid or expired passkey challenge",
+    reason: "The WebAuthn challenge is unknown, expired, or has already been used",
+    http_status: 400,
+    hint: "Request new passkey options and try again. Challenges expire after a few minutes."
+  },
+  AUTH_PASSKEY_VERIFICATION_FAILED: {
+    code: 1228,
+    message: "Passkey verification failed",
+    reason: "Origin, RP ID, flags, or signature did not match",
+    http_status: 401,
+    hint: "The passkey response could not be verified. Make sure you are using this site's passkey and try again."
+  },
+  AUTH_PASSKEY_NOT_FOUND: {
+    code: 1229,
+    message: "Passkey not found",
+    http_status: 404,
+    hint: "This passkey is not registered. Sign in another way and register it from settings."
+  },
+  AUTH_PASSKEY_ALREADY_REGISTERED: {
+    code: 1230,
+    message: "Passkey already registered",
+    http_status: 409,
+    hint: "This authenticator is already registered. Use it to sign in, or remove it from settings first."
+  },
+  AUTH_PASSKEY_ATTESTATION_UNSUPPORTED: {
+    code: 1231,
+    message: "Unsupported passkey attestation",
+    reason: "Only 'none' and 'packed' attestation with ES256, EdDSA or RS256 keys are supported",
+    http_status: 400,
+    hint: "Your authenticator uses an unsupported attestation format or key type. Try a different authenticator."
+  },
+  AUTH_PASSKEY_COUNTER_INVALID: {
+    code: 1232,
+    message: "Passkey sign counter check failed",
+    reason: "The authenticator's signature counter did not increase",
+    http_status: 401,
+    hint: "This passkey may have been cloned. Sign in another way and review your registered passkeys."
+  },
+  AUTH_SESSION_NOT_FOUND: {
+    code: 1233,
+    message: "Session not found",
+    reason: "The session does not exist, has expired, or was already signed out",
+    http_status: 404,
+    hint: "Refresh your list of active sessions and try again."
+  },
+  AUTH_SESSION_REVOKED: {
+    code: 1234,
+    message: "Session has been revoked",
+    reason: "This session was signed out from another device",
+    http_status: 401,
+    hint: "Log in again to start a new session."
+  },
+  AUTH_REFRESH_FAILED: {
+    code: 1235,
+    message: "Failed to refresh tokens",
+    http_status: 500,
+    hint: "Try again in a moment. If the problem persists, log in again."
+  },
+  AUTH_INVALID_REFRESH_TOKEN: {
+    code: 1236,
+    message: "Invalid or expired refresh token",
+    reason: "The refresh token is malformed, expired, or has been revoked",
+    http_status: 401,
+    hint: "Log in again to get a new refresh token."
+  },
+  AUTH_INVALID_TOKEN_TYPE: {
+    code: 1237,
+    message: "Invalid token type",
+    reason: "The token provided cannot be used for this operation",
+    http_status: 401,
+    hint: "Send the refresh_token returned at login, not the access or session token."
+  },
+  AUTH_USER_NOT_FOUND: {
+    code: 1238,
+    message: "User not found for token",
+    reason: "The token does not identify a user",
+    http_status: 401,
+    hint: "Log in again to get valid tokens."
+  },
+  AUTH_REFRESH_TOKEN_REUSED: {
+    code: 1239,
+    message: "Refresh token has already been used",
+    reason: "A rotated refresh token was presented again, so every token in its family has been revoked",
+    http_status: 401,
+    hint: "For your security this sign-in was ended on all affected devices. Log in again."
+  },
+  AUTH_API_KEY_INVALID: {
+    code: 1240,
+    message: "Invalid API key",
+    reason: "The API key is malformed, unknown, revoked, or its owner is inactive",
+    http_status: 401,
+    hint: "Check the X-API-Key header or create a new key."
+  },
+  AUTH_API_KEY_EXPIRED: {
+    code: 1241,
+    message: "API key has expired",
+    reason: "The API key is past its expiry date",
+    http_status: 401,
+    hint: "Create a new API key."
+  },
+  AUTH_API_KEY_NOT_FOUND: {
+    code: 1242,
+    message: "API key not found",
+    reason: "No active API key with this ID belongs to the current user",
+    http_status: 404,
+    hint: "List your API keys to find the correct ID."
+  },
+  AUTH_API_KEY_SCOPE_INVALID: {
+    code: 1243,
+    message: "Invalid API key scopes",
+    reason: "A key can only be scoped to permissions the user currently has",
+    http_status: 400,
+    hint: "Choose scopes from your own permissions."
+  },
+  AUTH_API_KEY_SCOPE_DENIED: {
+    code: 1244,
+    message: "API key scope does not allow this action",
+    reason: "The permission required by this endpoint is not among the API key's scopes",
+    http_status: 403,
+    hint: "Use a key created with the required scope."
+  },
+  AUTH_API_KEY_LIMIT_REACHED: {
+    code: 1245,
+    message: "Too many API keys",
+    reason: "The user already has the maximum number of active API keys",
+    http_status: 409,
+    hint: "Revoke an unused key before creating a new one."
+  },
+  AUTH_API_KEY_NOT_ALLOWED: {
+    code: 1246,
+    message: "Not allowed with an API key",
+    reason: "API keys cannot be used to manage API keys",
+    http_status: 403,
+    hint: "Sign in with your account to manage API keys."
+  },
+  AUTH_CLIENT_INVALID: {
+    code: 1247,
+    message: "OAuth client is unknown or disabled",
+    reason: "The client that obtained this token no longer exists or has been disabled",
+    http_status: 401,
+    hint: "Request a new token, or contact an administrator if the client was disabled."
+  },
+  AUTH_IMPERSONATION_FORBIDDEN: {
+    code: 1248,
+    message: "Not allowed while impersonating",
+    reason: "Impersonation sessions cannot change credentials, contact details, or the user's sessions",
+    http_status: 403,
+    hint: "Ask the user to make this change themselves."
+  },
+  AUTH_IMPERSONATION_PROTECTED_USER: {
+    code: 1249,
+    message: "User cannot be impersonated",
+    reason: "The target user is protected",
+    http_status: 403,
+    hint: "Protected accounts are excluded from impersonation."
+  },
+  AUTH_IMPERSONATION_NOT_ALLOWED: {
+    code: 1250,
+    message: "Impersonation not allowed",
+    reason: "Impersonation must be started by a signed-in staff member, for another user, outside an impersonation session",
+    http_status: 400,
+    hint: "Sign in with your own account and choose a different user."
+  },
+  // 1251-1259 are taken by the media block below
+  AUTH_NOT_IMPERSONATING: {
+    code: 1260,
+    message: "Not an impersonation session",
+    reason: "The request was not made with impersonation tokens",
+    http_status: 400,
+    hint: "Only impersonation sessions can be stopped with this endpoint."
+  },
+  INVITATION_NOT_FOUND: {
+    code: 1261,
+    message: "Invitation not found",
+    reason: "No invitation with this ID is visible to the user",
+    http_status: 404,
+    hint: "Check the invitation ID."
+  },
+  INVITATION_ALREADY_PENDING: {
+    code: 1262,
+    message: "Invitation already pending",
+    reason: "A pending invitation already exists for this email or phone number",
+    http_status: 409,
+    hint: "Resend or revoke the existing invitation instead."
+  },
+  INVITATION_INVALID: {
+    code: 1263,
+    message: "Invalid invitation",
+    reason: "The invitation link or code is wrong, was replaced by a newer one, or the invitation is no longer pending",
+    http_status: 400,
+    hint: "Use the most recent invitation you received or ask for a new one."
+  },
+  INVITATION_EXPIRED: {
+    code: 1264,
+    message: "Invitation expired",
+    reason: "The invitation is past its expiry",
+    http_status: 410,
+    hint: "Ask the person who invited you to resend the invitation."
+  },
+  INVITATION_GROUP_NOT_ALLOWED: {
+    code: 1265,
+    message: "Group cannot be assigned",
+    reason: "The inviter is not allowed to assign one or more of the requested groups",
+    http_status: 403,
+    hint: "Invite into groups you belong to, or ask an administrator."
+  },
+  INVITATION_GROUP_NOT_FOUND: {
+    code: 1266,
+    message: "Group not found",
+    reason: "One or more requested groups do not exist or are inactive",
+    http_status: 400,
+    hint: "Check the group codenames."
+  },
+  INVITATION_OTP_ATTEMPTS_EXCEEDED: {
+    code: 1267,
+    message: "Too many invalid invitation codes",
+    reason: "The invitation code was entered incorrectly too many times",
+    http_status: 429,
+    hint: "Ask the person who invited you to resend the invitation."
+  },
+  BREAK_GLASS_CODE_NOT_FOUND: {
+    code: 1268,
+    message: "Break-glass code not found",
+    reason: "No unused break-glass code with this ID",
+    http_status: 404,
+    hint: "The code may already have been used, revoked or replaced by a newer one."
+  },
+  AUTH_OTP_LOCKED: {
+    code: 1269,
+    message: "Too many one-time password attempts",
+    reason: "This email, phone number or IP address is temporarily locked out after too many wrong codes or code requests",
+    http_status: 429,
+    hint: "Wait retry_after seconds, then request a new code."
+  },
+  AUTH_OTP_RESEND_COOLDOWN: {
+    code: 1270,
+    message: "One-time password requested too recently",
+    reason: "A code was sent to this email or phone number moments ago",
+    http_status: 429,
+    hint: "Wait retry_after seconds before requesting another code."
+  },
+  AUTH_ACCOUNT_LOCKED: {
+    code: 1271,
+    message: "Account temporarily locked",
+    reason: "Too many failed password logins for this account",
+    http_status: 423,
+    hint: "Wait retry_after seconds, sign in with a one-time password, or ask an administrator to unlock the account."
+  },
+  AUTH_LOGIN_TOO_MANY_ATTEMPTS: {
+    code: 1272,
+    message: "Too many login attempts",
+    reason: "Failed password logins require a delay before the next attempt",
+    http_status: 429,
+    hint: "Wait retry_after seconds before trying again."
+  },
+  PASSWORD_POLICY_VIOLATION: {
+    code: 1273,
+    message: "Password does not meet the password policy",
+    reason: "One or more password rules failed; see details.violations",
+    http_status: 400,
+    hint: "Fix every listed rule and try again."
+  },
+  PASSWORD_TOO_SHORT: {
+    code: 1274,
+    message: "Password is too short",
+    reason: "The password is shorter than PASSWORD_MIN_LENGTH",
+    http_status: 400
+  },
+  PASSWORD_TOO_LONG: {
+    code: 1275,
+    message: "Password is too long",
+    reason: "The password is longer than PASSWORD_MAX_LENGTH",
+    http_status: 400
+  },
+  PASSWORD_MISSING_UPPERCASE: {
+    code: 1276,
+    message: "Password must contain an uppercase letter",
+    reason: "No uppercase letter found",
+    http_status: 400
+  },
+  PASSWORD_MISSING_LOWERCASE: {
+    code: 1277,
+    message: "Password must contain a lowercase letter",
+    reason: "No lowercase letter found",
+    http_status: 400
+  },
+  PASSWORD_MISSING_DIGIT: {
+    code: 1278,
+    message: "Password must contain a digit",
+    reason: "No digit found",
+    http_status: 400
+  },
+  PASSWORD_MISSING_SPECIAL: {
+    code: 1279,
+    message: "Password must contain a special character",
+    reason: "No character other than a letter or digit found",
+    http_status: 400
+  },
+  PASSWORD_CONTAINS_PERSONAL_INFO: {
+    code: 1280,
+    message: "Password must not contain your email, username or name",
+    reason: "The password contains part of the account's email, username, first name or last name",
+    http_status: 400
+  },
+  PASSWORD_REUSED: {
+    code: 1281,
+    message: "Password was used recently",
+    reason: "The password matches the current password or one of the last PASSWORD_HISTORY_SIZE passwords",
+    http_status: 400,
+    hint: "Choose a password you have not used before."
+  },
+  PASSWORD_BREACHED: {
+    code: 1282,
+    message: "Password has appeared in a data breach",
+    reason: "The password is on the list of known breached passwords",
+    http_status: 400,
+    hint: "Choose a different, less common password."
+  },
+  AUTH_REAUTHENTICATION_REQUIRED: {
+    code: 1283,
+    message: "Recent authentication required",
+    reason: "This action needs an access token from a sign-in or re-authentication within the last few minutes",
+    http_status: 401,
+    hint: "Confirm your identity with /auth/reauthenticate and retry with the access token it returns."
+  },
+  AUTH_ANONYMOUS_DISABLED: {
+    code: 1284,
+    message: "Guest sign-in is disabled",
+    reason: "Anonymous guest accounts are turned off on this server",
+    http_status: 403,
+    hint: "Sign up or log in with an email address or phone number."
+  },
+  AUTH_ANONYMOUS_RATE_LIMITED: {
+    code: 1285,
+    message: "Too many guest accounts",
+    reason: "Too many guest accounts were created from this IP address",
+    http_status: 429,
+    hint: "Wait for the time given in retry_after, or sign up with an email address or phone number."
+  },
+  AUTH_NOT_ANONYMOUS: {
+    code: 1286,
+    message: "Not a guest account",
+    reason: "Only anonymous guest accounts can be upgraded",
+    http_status: 409,
+    hint: "This account already has an email, phone number or sign-in provider. Use the profile settings to change them."
+  },
+  MAGIC_LINK_INVALID: {
+    code: 1287,
+    message: "Invalid sign-in link",
+    reason: "The sign-in link is malformed, has already been used or was replaced",
+    http_status: 400,
+    hint: "Each sign-in link works once. Request a new link and open the latest email."
+  },
+  MAGIC_LINK_EXPIRED: {
+    code: 1288,
+    message: "Sign-in link has expired",
+    reason: "The sign-in link is older than its validity period",
+    http_status: 400,
+    hint: "Request a new sign-in link and open it within a few minutes."
+  },
+  LOGIN_HOLD_INVALID: {
+    code: 1289,
+    message: "Sign-in confirmation expired",
+    reason: "The held sign-in does not exist, has expired or was already confirmed",
+    http_status: 400,
+    hint: "Sign in again to receive a new confirmation code."
+  },
+  LOGIN_ALERT_LINK_INVALID: {
+    code: 1290,
+    message: "Invalid login alert link",
+    reason: "The link from the new sign-in alert is malformed or has expired",
+    http_status: 400,
+    hint: "Sign in and end unknown sessions from your session list, then change your password."
+  },
+  DATA_EXPORT_RATE_LIMITED: {
+    code: 1291,
+    message: "Data export requested too recently",
+    reason: "A data export was already requested for this account within the cooldown period",
+    http_status: 429,
+    hint: "Download the latest export, or wait retry_after seconds before requesting a new one."
+  },
+  DATA_EXPORT_NOT_FOUND: {
+    code: 1292,
+    message: "No data export found",
+    reason: "No data export has been requested for this account yet",
+    http_status: 404,
+    hint: "Request an export with POST /settings/export-my-data first."
+  },
+  DATA_EXPORT_UNAVAILABLE: {
+    code: 1293,
+    message: "Data exports are unavailable",
+    reason: "No storage bucket is configured to hold export files",
+    http_status: 503,
+    hint: "Set GOOGLE_STORAGE_BUCKET_NAME and storage credentials on the server."
+  },
+  ACCOUNT_DELETION_PROTECTED: {
+    code: 1294,
+    message: "Account cannot be deleted",
+    reason: "The account is protected and can never be deleted",
+    http_status: 403,
+    hint: "Ask an administrator to remove the protection first."
+  },
+  ACCOUNT_DELETION_LINK_INVALID: {
+    code: 1295,
+    message: "Invalid cancel link",
+    reason: "The account deletion cancel link is malformed or has expired",
+    http_status: 400,
+    hint: "Open the link from the latest deletion email. Once the deletion date has passed it can no longer be cancelled."
+  },
+  ACCOUNT_DELETION_NOT_PENDING: {
+    code: 1296,
+    message: "No pending account deletion",
+    reason: "The deletion was already cancelled, replaced by a newer request or carried out",
+    http_status: 409,
+    hint: "If the account is active again, simply sign in."
+  },
+  AUTH_IMPERSONATION_PRIVILEGED_USER: {
+    code: 1297,
+    message: "User cannot be impersonated",
+    reason: "The target user is a super admin or holds permissions you do not have",
+    http_status: 403,
+    hint: "Only users whose permissions you hold yourself can be impersonated. Ask a super admin for help with this account."
+  },
+  AUTH_OAUTH_ACCOUNT_UNVERIFIED: {
+    code: 1298,
+    message: "Existing account email is not verified",
+    reason: "An account with this email exists but has never verified it, so the provider identity cannot be linked to it",
+    http_status: 403,
+    hint: "Sign in to the existing account and verify its email first, then sign in with the provider again."
+  },
 
   // 💼 User Profile (140x)
   PROFILE_NOT_FOUND: { 
@@ -869,6 +1376,111 @@ const ERRORS = {
     http_status: 400,
     hint: "Dashboard query failed. Check your query parameters and try again."
   },
+
+  // 👥 User Management (1600-1699)
+  USER_PROTECTED: {
+    code: 1601,
+    message: "User is protected",
+    reason: "Protected users cannot be edited, suspended or merged into another account through user management",
+    http_status: 403,
+    hint: "Remove the protection in the database first if the change is really intended."
+  },
+  USER_SELF_ACTION_FORBIDDEN: {
+    code: 1602,
+    message: "You cannot suspend your own account, merge it into another one or merge groups into it",
+    http_status: 403,
+    hint: "Ask another administrator to do it."
+  },
+  USER_ALREADY_SUSPENDED: {
+    code: 1603,
+    message: "User is already suspended",
+    http_status: 409,
+    hint: "Restore the user with POST /users/{user_id}/restore first if you want to suspend them again."
+  },
+  USER_PENDING_DELETION: {
+    code: 1604,
+    message: "User is pending deletion",
+    reason: "The account is in the trash and will be purged",
+    http_status: 409,
+    hint: "A trashed account is already signed out and cannot sign in. Restore it first to suspend it or merge another account into it."
+  },
+  USER_NOT_RESTORABLE: {
+    code: 1605,
+    message: "User cannot be restored",
+    reason: "The user is neither suspended nor trashed, or was merged into another account",
+    http_status: 409,
+    hint: "Only suspended users and trashed users that have not been purged yet can be restored. Merged accounts stay deactivated; use the account they were merged into."
+  },
+  USER_IDENTIFIER_TAKEN: {
+    code: 1606,
+    message: "Email, phone number or user name already in use",
+    reason: "Another account already uses this email address, phone number or user name",
+    http_status: 409,
+    hint: "Use a different value, or merge the two accounts with POST /users/{user_id}/merge."
+  },
+  USER_IMPORT_INVALID_FILE: {
+    code: 1607,
+    message: "Invalid import file",
+    reason: "The file could not be read as a user import",
+    http_status: 400,
+    hint: "Upload a CSV file with a header row or an NDJSON file with one JSON object per line, each with an email or phone column, within the row and size limits."
+  },
+  USER_IMPORT_NOT_FOUND: {
+    code: 1608,
+    message: "Import not found",
+    reason: "No user import exists with this ID",
+    http_status: 404,
+    hint: "Check the import_id returned when the file was uploaded."
+  },
+  USER_IMPORT_IN_PROGRESS: {
+    code: 1609,
+    message: "Import still running",
+    reason: "The import has not finished yet",
+    http_status: 409,
+    hint: "Poll GET /users/imports/{import_id} until its status is completed or failed."
+  },
+  USER_EXPORT_UNKNOWN_COLUMN: {
+    code: 1610,
+    message: "Unknown export column",
+    reason: "One or more requested columns cannot be exported",
+    http_status: 400,
+    hint: "Pick columns from the list in the users export documentation, separated by commas."
+  },
+  USER_EXPORT_PII_FORBIDDEN: {
+    code: 1611,
+    message: "Not allowed to export personal data",
+    reason: "The requested columns include personal data and you do not have the export_user_pii permission",
+    http_status: 403,
+    hint: "Leave out the personal data columns, or ask an administrator for export_user_pii."
+  },
+  USER_MERGE_SAME_USER: {
+    code: 1612,
+    message: "Cannot merge a user into itself",
+    reason: "merged_user_id is the same account as user_id",
+    http_status: 400,
+    hint: "Pass the duplicate account as merged_user_id and the account to keep as user_id."
+  },
+  USER_ALREADY_MERGED: {
+    code: 1613,
+    message: "User was already merged",
+    reason: "One of the accounts has already been merged into another account",
+    http_status: 409,
+    hint: "Merge into the account named in merged_into_user_id instead."
+  },
+  USER_MERGE_PREVIEW_STALE: {
+    code: 1614,
+    message: "Merge preview is out of date",
+    reason: "The preview_token does not match what the merge would do now",
+    http_status: 409,
+    hint: "Preview the merge again with POST /users/{user_id}/merge/preview, check the changes and send the new preview_token."
+  },
+  USER_PRIVILEGES_EXCEEDED: {
+    code: 1615,
+    message: "User has more privileges than you",
+    reason: "The user is a super admin or holds permissions you do not have",
+    http_status: 403,
+    hint: "Ask a super admin to make this change."
+  },
 };
 
 /**
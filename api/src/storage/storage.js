@@ -191,6 +191,144 @@ class ProfessionalMediaStorage {
     }
   }
 
+  /**
+   * Find the GCS files a user uploaded to a folder
+   * @param {string} userId - User ID
+   * @param {string} folder - Folder path
+   * @returns {Promise<Array>} GCS File objects
+   */
+  async _getUserFiles(userId, folder) {
+    if (!this._bucket) {
+      throw new Error('Google Cloud Storage not initialized');
+    }
+
+    const [uploads] = await this._bucket.getFiles({ prefix: `${folder}/${userId}-|-` });
+    const [pictures] = await this._bucket.getFiles({ matchGlob: `${folder}/*-user_id_${userId}-|-*` });
+    return [...uploads, ...pictures];
+  }
+
+  /**
+   * List every file a user uploaded to a folder
+   * Uses the same naming schemes as deleteUserFiles
+   * @param {string} userId - User ID
+   * @param {string} folder - Folder path (default: media/users)
+   * @returns {Promise<Array<object>>} [{ object_key, url, content_type, size, created_at }]
+   */
+  async listUserFiles(userId, folder = `${this.mediaPrefix}/users`) {
+    const files = await this._getUserFiles(userId, folder);
+    return files.map(file => ({
+      object_key: file.name,
+      url: `https://storage.googleapis.com/${this.bucketName}/${file.name}`,
+      content_type: file.metadata?.contentType || null,
+      size: file.metadata?.size ? Number(file.metadata.size) : null,
+      created_at: file.metadata?.timeCreated || null
+    }));
+  }
+
+  /**
+   * Upload file data without making it public
+   * Read it back through getSignedDownloadUrl
+   * @param {Buffer|string} fileData - File data
+   * @param {string} folder - Folder path in bucket
+   * @param {string} objectKey - Object key (filename)
+   * @param {string} contentType - Content type
+   * @returns {Promise<string>} Object path in the bucket
+   */
+  async uploadPrivateToGoogleStorage(fileData, folder, objectKey, contentType = 'application/octet-stream') {
+    if (!this._bucket) {
+      throw new Error('Google Cloud Storage not initialized');
+    }
+
+    const blob = this._bucket.file(`${folder}/${objectKey}`);
+    await blob.save(typeof fileData === 'string' ? Buffer.from(fileData, 'utf-8') : fileData, {
+      metadata: {
+        contentType: contentType
+      },
+      resumable: false
+    });
+    return `${folder}/${objectKey}`;
+  }
+
+  /**
+   * Create a time-limited download URL for a private object
+   * @param {string} objectPath - Object path in bucket
+   * @param {number} expiresInSeconds - URL lifetime (V4 signed URLs allow at most 7 days)
+   * @param {string} downloadName - File name offered to the browser (optional)
+   * @returns {Promise<string>} Signed URL
+   */
+  async getSignedDownloadUrl(objectPath, expiresInSeconds, downloadName = null) {
+    if (!this._bucket) {
+      throw new Error('Google Cloud Storage not initialized');
+    }
+
+    const options = {
+      version: 'v4',
+      action: 'read',
+      expires: Date.now() + Math.min(expiresInSeconds, 7 * 24 * 3600) * 1000
+    };
+    if (downloadName) {
+      options.responseDisposition = `attachment; filename="${downloadName}"`;
+    }
+    const [url] = await this._bucket.file(objectPath).getSignedUrl(options);
+    return url;
+  }
+
+  /**
+   * Delete every file a user uploaded to a folder
+   * Matches both naming schemes used for user files: "<user_id>-|-<uuid>.<ext>" (media uploads)
+   * and "<user_name>-user_id_<user_id>-|-<uuid>.<ext>" (profile pictures)
+   * @param {string} userId - User ID
+   * @param {string} folder - Folder path (default: media/users)
+   * @returns {Promise<number>} Number of files deleted
+   */
+  async deleteUserFiles(userId, folder = `${this.mediaPrefix}/users`) {
+    const files = await this._getUserFiles(userId, folder);
+
+    let deleted = 0;
+    for (const file of files) {
+      try {
+        await file.delete({ ignoreNotFound: true });
+        deleted++;
+      } catch (error) {
+        logger.error('Error deleting user file from GCS', { error: error.message, file: file.name, module: 'Storage' });
+      }
+    }
+    return deleted;
+  }
+
+  /**
+   * Give every file a user uploaded to a folder to another user
+   * Files are renamed to the other user's ID in both naming schemes and made public again, since a
+   * moved object does not keep its ACL
+   * @param {string} fromUserId - Current owner
+   * @param {string} toUserId - New owner
+   * @param {string} folder - Folder path (default: media/users)
+   * @returns {Promise<object>} { moved: [{ from_url, to_url }], failed }
+   */
+  async moveUserFiles(fromUserId, toUserId, folder = `${this.mediaPrefix}/users`) {
+    const files = await this._getUserFiles(fromUserId, folder);
+
+    const moved = [];
+    let failed = 0;
+    for (const file of files) {
+      const target = file.name
+        .replace(`${folder}/${fromUserId}-|-`, `${folder}/${toUserId}-|-`)
+        .replace(`-user_id_${fromUserId}-|-`, `-user_id_${toUserId}-|-`);
+      try {
+        const [movedFile] = await file.move(target);
+        await movedFile.makePublic();
+        moved.push({
+          from_url: `https://storage.googleapis.com/${this.bucketName}/${file.name}`,
+          to_url: `https://storage.googleapis.com/${this.bucketName}/${target}`
+        });
+      } catch (error) {
+        failed++;
+        logger.error('Error moving user file in GCS', { error: error.message, file: file.name, module: 'Storage' });
+      }
+    }
+    return { moved, failed };
+  }
+
   /**
    * Download image from URL and upload to GCS
    * @param {string} fileUrl - Image URL
@@ -294,6 +432,26 @@ function deleteFromGoogleStorage(folder, objectKey) {
   return mediaStorage.deleteFromGoogleStorage(folder, objectKey);
 }
 
+function deleteUserFiles(userId, folder) {
+  return mediaStorage.deleteUserFiles(userId, folder);
+}
+
+function listUserFiles(userId, folder) {
+  return mediaStorage.listUserFiles(userId, folder);
+}
+
+function moveUserFiles(fromUserId, toUserId, folder) {
+  return mediaStorage.moveUserFiles(fromUserId, toUserId, folder);
+}
+
+function uploadPrivateToGoogleStorage(fileData, folder, objectKey, contentType) {
+  return mediaStorage.uploadPrivateToGoogleStorage(fileData, folder, objectKey, contentType);
+}
+
+function getSignedDownloadUrl(objectPath, expiresInSeconds, downloadName) {
+  return mediaStorage.getSignedDownloadUrl(objectPath, expiresInSeconds, downloadName);
+}
+
 function uploadImageFromUrlToGcs(fileUrl, folder, userId) {
   return mediaStorage.uploadImageFromUrlToGcs(fileUrl, folder, userId);
 }
@@ -317,6 +475,11 @@ module.exports = {
   uploadPathToGoogleStorage,
   uploadToGoogleStorageFromString,
   deleteFromGoogleStorage,
+  deleteUserFiles,
+  listUserFiles,
+  moveUserFiles,
+  uploadPrivateToGoogleStorage,
+  getSignedDownloadUrl,
   uploadImageFromUrlToGcs,
   uploadVideoFromUrlToGcs,
   uploadAudioFromUrlToGcs,
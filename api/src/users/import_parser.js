@@ -0,0 +1,176 @@
+/**
+ * User Import Parser
+ * Turns an uploaded CSV or NDJSON file into validated rows. It has no database access, so
+ * large files can be parsed in the worker pool (task parseUserImport in cpuTaskWorker.js)
+ */
+
+const { userImportRowSchema, validate } = require('../../router/users/models');
+
+// Columns read from the file; anything else is ignored
+const IMPORT_COLUMNS = ['email', 'phone', 'first_name', 'last_name', 'user_name', 'country', 'language', 'user_type', 'groups'];
+
+const COLUMN_ALIASES = {
+  phone_number: 'phone',
+  mobile: 'phone',
+  group: 'groups'
+};
+
+/**
+ * Split CSV text into records (RFC 4180: quoted fields, doubled quotes, CRLF)
+ * The delimiter is a comma, or a semicolon when the header only uses semicolons (Excel in some locales)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Records, header first
+ */
+function parseCsv(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const delimiter = !firstLine.includes(',') && firstLine.includes(';') ? ';' : ',';
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  return records.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Map a header cell to an import column
+ * @param {string} header - Header cell
+ * @returns {string} Column name
+ */
+function normalizeColumn(header) {
+  const name = String(header).trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return COLUMN_ALIASES[name] || name;
+}
+
+/**
+ * Normalize a phone number to E.164 with a leading +
+ * Spaces, dashes, dots and parentheses are dropped and a leading 00 becomes +
+ * @param {string} phone - Phone number as written in the file
+ * @returns {string} Normalized phone number
+ */
+function normalizePhone(phone) {
+  let value = String(phone).trim().replace(/[\s\-.()]/g, '');
+  if (value.startsWith('00')) {
+    value = `+${value.slice(2)}`;
+  }
+  return value.startsWith('+') ? value : `+${value}`;
+}
+
+/**
+ * Build the record to validate from one line of the file
+ * Empty cells count as missing; groups may be a list or a string separated by ; | or ,
+ * @param {object} raw - Column name to value
+ * @returns {object} Record with known columns only
+ */
+function toImportRecord(raw) {
+  const record = {};
+  for (const [key, value] of Object.entries(raw)) {
+    const column = normalizeColumn(key);
+    if (!IMPORT_COLUMNS.includes(column) || value === null || value === undefined) continue;
+    if (typeof value === 'string' && value.trim() === '') continue;
+    record[column] = value;
+  }
+  if (typeof record.groups === 'string') {
+    record.groups = record.groups.split(/[;|,]/).map(g => g.trim()).filter(Boolean);
+  }
+  if (typeof record.phone === 'string' || typeof record.phone === 'number') {
+    record.phone = normalizePhone(record.phone);
+  }
+  return record;
+}
+
+/**
+ * Parse and validate an import file
+ * Rows are numbered as in the file: for CSV the header is line 1, so the first user is row 2
+ * @param {string} content - File content
+ * @param {string} format - csv or ndjson
+ * @param {number} maxRows - Most rows accepted
+ * @returns {object} { rows: [{ row, data, error }] } or { error } when the file itself is unusable
+ */
+function parseUserImportFile(content, format, maxRows) {
+  const text = String(content).replace(/^\uFEFF/, '');
+  const entries = [];
+
+  if (format === 'csv') {
+    const [header, ...records] = parseCsv(text);
+    if (!header) {
+      return { error: 'The file is empty' };
+    }
+    const columns = header.map(normalizeColumn);
+    if (!columns.includes('email') && !columns.includes('phone')) {
+      return { error: 'The header needs an email or phone column' };
+    }
+    records.forEach((values, index) => {
+      entries.push({ row: index + 2, raw: Object.fromEntries(columns.map((column, i) => [column, values[i]])) });
+    });
+  } else {
+    text.split(/\r?\n/).forEach((line, index) => {
+      if (line.trim() === '') return;
+      try {
+        const raw = JSON.parse(line);
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+          throw new Error('Line is not a JSON object');
+        }
+        entries.push({ row: index + 1, raw });
+      } catch (error) {
+        entries.push({ row: index + 1, raw: null, parseError: `Invalid JSON: ${error.message}` });
+      }
+    });
+  }
+
+  if (entries.length === 0) {
+    return { error: 'The file has no rows' };
+  }
+  if (entries.length > maxRows) {
+    return { error: `The file has ${entries.length} rows; at most ${maxRows} can be imported at once` };
+  }
+
+  const rows = entries.map(({ row, raw, parseError }) => {
+    if (parseError) {
+      return { row, data: null, error: parseError };
+    }
+    const record = toImportRecord(raw);
+    const { error, value } = validate(record, userImportRowSchema);
+    return error
+      ? { row, data: record, error }
+      : { row, data: value, error: null };
+  });
+
+  return { rows };
+}
+
+module.exports = {
+  IMPORT_COLUMNS,
+  normalizePhone,
+  parseUserImportFile
+};
@@ -0,0 +1,234 @@
+/**
+ * User Export
+ * Streams the users matching the admin search filters as CSV, NDJSON or XLSX, with the columns
+ * the admin picks. Rows are read through a Prisma cursor in batches and written as they arrive,
+ * so memory use does not grow with the number of users
+ */
+
+const { prisma } = require('../db/prisma');
+const { createActivityLog } = require('../activity/activityLog');
+const { requestContext } = require('../authenticate/login_lockout');
+const { csvLine } = require('../utils/csv');
+const { writeChunk } = require('../utils/stream');
+const { createXlsxStream } = require('../utils/xlsx');
+const { buildUserWhere } = require('./users');
+
+const EXPORT_BATCH_SIZE = 500;
+
+// Every column that can be exported, in file order. The password hash is never exportable
+const EXPORT_COLUMNS = [
+  'user_id', 'email', 'phone', 'first_name', 'last_name', 'user_name', 'gender', 'dob', 'bio',
+  'profile_picture_url', 'country', 'timezone', 'language', 'theme', 'profile_accessibility',
+  'user_type', 'auth_type', 'status', 'is_active', 'is_verified', 'is_email_verified',
+  'is_phone_verified', 'email_verified_at', 'phone_number_verified_at', 'mfa_enabled',
+  'is_protected', 'is_trashed', 'deletion_requested_at', 'invited_by_user_id', 'last_sign_in_at',
+  'created_at', 'last_updated', 'groups'
+];
+
+// Columns that identify a person; exporting them needs export_user_pii
+const PII_COLUMNS = ['email', 'phone', 'first_name', 'last_name', 'user_name', 'gender', 'dob', 'bio', 'profile_picture_url'];
+
+// Columns exported when none are picked (PII columns only with export_user_pii)
+const DEFAULT_EXPORT_COLUMNS = [
+  'user_id', 'email', 'phone', 'first_name', 'last_name', 'user_name', 'user_type', 'status',
+  'country', 'groups', 'created_at', 'last_sign_in_at'
+];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Build an error carrying an error map key so routes can respond with ERROR.fromMap
+ * @param {string} errorKey - Error key from ERRORS map
+ * @param {string} message - Error message
+ * @returns {Error} Error with errorKey set
+ */
+function userExportError(errorKey, message) {
+  const error = new Error(message);
+  error.errorKey = errorKey;
+  return error;
+}
+
+/**
+ * Work out the columns of an export
+ * @param {string} columns - Comma-separated column names, or empty for the defaults
+ * @param {boolean} canExportPii - Whether the admin holds export_user_pii
+ * @returns {Array<string>} Column names
+ * @throws {Error} USER_EXPORT_UNKNOWN_COLUMN or USER_EXPORT_PII_FORBIDDEN
+ */
+function resolveExportColumns(columns, canExportPii) {
+  if (!columns) {
+    return DEFAULT_EXPORT_COLUMNS.filter(column => canExportPii || !PII_COLUMNS.includes(column));
+  }
+
+  const requested = [...new Set(columns.split(',').map(column => column.trim()).filter(Boolean))];
+  const unknown = requested.filter(column => !EXPORT_COLUMNS.includes(column));
+  if (requested.length === 0 || unknown.length > 0) {
+    throw userExportError('USER_EXPORT_UNKNOWN_COLUMN', `Unknown columns: ${unknown.join(', ') || '(none given)'}`);
+  }
+  const pii = requested.filter(column => PII_COLUMNS.includes(column));
+  if (pii.length > 0 && !canExportPii) {
+    throw userExportError('USER_EXPORT_PII_FORBIDDEN', `Exporting ${pii.join(', ')} needs the export_user_pii permission`);
+  }
+  return requested;
+}
+
+/**
+ * Prisma select for the chosen columns
+ * @param {Array<string>} columns - Column names
+ * @returns {object} Select object (always with user_id for the cursor)
+ */
+function buildExportSelect(columns) {
+  const select = { user_id: true };
+  for (const column of columns) {
+    if (column === 'phone') {
+      select.phone_number = true;
+    } else if (column === 'groups') {
+      select.userGroups = { select: { group: { select: { codename: true } } } };
+    } else {
+      select[column] = true;
+    }
+  }
+  return select;
+}
+
+/**
+ * Value of one column for a user
+ * @param {object} user - User row from buildExportSelect
+ * @param {string} column - Column name
+ * @returns {*} String, boolean, list of group codenames or null
+ */
+function exportValue(user, column) {
+  if (column === 'phone') {
+    const phone = user.phone_number && user.phone_number.phone;
+    return phone ? `+${String(phone).replace(/^\+/, '')}` : null;
+  }
+  if (column === 'groups') {
+    return (user.userGroups || []).map(userGroup => userGroup.group.codename);
+  }
+  const value = user[column];
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return value === undefined ? null : value;
+}
+
+/**
+ * Read users matching the filters in batches, oldest ID first
+ * @param {object} where - Prisma where clause
+ * @param {object} select - Prisma select
+ * @yields {object} User rows
+ */
+async function* iterateUsers(where, select) {
+  let cursor = null;
+  for (;;) {
+    const batch = await prisma.user.findMany({
+      where,
+      select,
+      orderBy: { user_id: 'asc' },
+      take: EXPORT_BATCH_SIZE,
+      ...(cursor ? { cursor: { user_id: cursor }, skip: 1 } : {})
+    });
+    yield* batch;
+    if (batch.length < EXPORT_BATCH_SIZE) {
+      return;
+    }
+    cursor = batch[batch.length - 1].user_id;
+  }
+}
+
+/**
+ * File name offered for an export
+ * @param {string} format - csv, ndjson or xlsx
+ * @returns {string} File name
+ */
+function exportFileName(format) {
+  return `users-${new Date().toISOString().slice(0, 10)}.${format}`;
+}
+
+/**
+ * Write the users to the stream in the chosen format
+ * @param {stream.Writable} output - Destination
+ * @param {string} format - csv, ndjson or xlsx
+ * @param {Array<string>} columns - Column names
+ * @param {AsyncIterable<object>} users - User rows
+ * @param {object} progress - { rows } counter updated as users are written
+ * @returns {Promise<void>}
+ */
+async function writeUsers(output, format, columns, users, progress) {
+  if (format === 'xlsx') {
+    const sheet = await createXlsxStream(output, 'Users');
+    await sheet.writeRow(columns);
+    for await (const user of users) {
+      await sheet.writeRow(columns.map(column => {
+        const value = exportValue(user, column);
+        return Array.isArray(value) ? value.join(';') : value;
+      }));
+      progress.rows += 1;
+    }
+    await sheet.finish();
+    return;
+  }
+
+  if (format === 'csv') {
+    // The byte order mark makes spreadsheet apps read the file as UTF-8
+    await writeChunk(output, `\uFEFF${csvLine(columns)}`);
+  }
+  for await (const user of users) {
+    const line = format === 'csv'
+      ? csvLine(columns.map(column => exportValue(user, column)))
+      : `${JSON.stringify(Object.fromEntries(columns.map(column => [column, exportValue(user, column)])))}\n`;
+    await writeChunk(output, line);
+    progress.rows += 1;
+  }
+}
+
+/**
+ * Stream an export and record it in the activity log, including exports that stop half way
+ * Headers must already be set. When this throws after data was sent the caller should destroy
+ * the response, so the client sees a broken download instead of a short file
+ * @param {stream.Writable} output - Destination, e.g. an Express response
+ * @param {object} options - { format, columns, filters }
+ * @param {object} request - Express request (for the audit entry)
+ * @returns {Promise<number>} Number of users written
+ */
+async function streamUserExport(output, { format, columns, filters }, request) {
+  const progress = { rows: 0 };
+  let completed = false;
+  try {
+    await writeUsers(output, format, columns, iterateUsers(buildUserWhere(filters), buildExportSelect(columns)), progress);
+    completed = true;
+    return progress.rows;
+  } finally {
+    await createActivityLog({
+      module: 'users',
+      ...requestContext(request),
+      user_id: request.user.uid || request.user.user_id,
+      level: 'audit',
+      message: completed ? `Exported ${progress.rows} users` : `User export stopped after ${progress.rows} users`,
+      action: 'users_exported',
+      status_code: 200,
+      session_id: request.user.session_id || null,
+      metadata: {
+        format,
+        columns,
+        filters,
+        rows: progress.rows,
+        completed,
+        includes_pii: columns.some(column => PII_COLUMNS.includes(column))
+      }
+    });
+  }
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  PII_COLUMNS,
+  CONTENT_TYPES,
+  resolveExportColumns,
+  exportFileName,
+  streamUserExport
+};
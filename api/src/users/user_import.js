@@ -0,0 +1,407 @@
+/**
+ * User Import
+ * Creates accounts - or sends invitations - for every row of an uploaded CSV or NDJSON file.
+ * Each upload is recorded in a user_import row holding the progress and a per-row report.
+ * Rows whose email or phone number already belongs to an account are reported as duplicates,
+ * so importing the same file twice never creates anything twice
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { prisma } = require('../db/prisma');
+const logger = require('../logger/logger');
+const { createActivityLog } = require('../activity/activityLog');
+const { requestContext } = require('../authenticate/login_lockout');
+const { getUserByEmailOrPhone, createUserInDb } = require('../authenticate/checkpoint');
+const { assertGroupsAllowed, createInvitation } = require('../authenticate/invitations');
+const { assignGroupsToUser } = require('../permissions/permissions');
+const { parseUserImportInWorker } = require('../utils/workerUtils');
+const { csvLine } = require('../utils/csv');
+const { parseUserImportFile } = require('./import_parser');
+const {
+  AuthTypeEnum,
+  ProfileAccessibilityEnum,
+  ThemeEnum,
+  UserTypeEnum,
+  LanguageStatusEnum,
+  UserStatusAuthEnum,
+  InvitationStatusEnum
+} = require('../enum/enum');
+
+const USER_IMPORT_MAX_ROWS = parseInt(process.env.USER_IMPORT_MAX_ROWS || '10000', 10);
+const USER_IMPORT_MAX_FILE_MB = parseInt(process.env.USER_IMPORT_MAX_FILE_MB || '10', 10);
+// Files above this size are parsed in the worker pool so large uploads do not block requests
+const USER_IMPORT_WORKER_THRESHOLD_KB = parseInt(process.env.USER_IMPORT_WORKER_THRESHOLD_KB || '256', 10);
+
+// Imports up to this many rows finish before the request returns; larger ones run in the background
+const INLINE_IMPORT_ROWS = 100;
+const PROGRESS_BATCH_SIZE = 100;
+// An import still "processing" after this long was interrupted (e.g. by a restart)
+const STALE_PROCESSING_MINUTES = 30;
+
+const ROW_RESULTS = ['created', 'invited', 'would_create', 'would_invite', 'duplicate', 'duplicate_in_file', 'invalid', 'failed'];
+const REPORT_COLUMNS = ['row', 'result', 'email', 'phone', 'user_id', 'invitation_id', 'groups', 'message'];
+
+/**
+ * Build an error carrying an error map key so routes can respond with ERROR.fromMap
+ * @param {string} errorKey - Error key from ERRORS map
+ * @param {string} message - Error message
+ * @returns {Error} Error with errorKey set
+ */
+function userImportError(errorKey, message) {
+  const error = new Error(message);
+  error.errorKey = errorKey;
+  return error;
+}
+
+/**
+ * Work out the file format from the format field, the file extension or the MIME type
+ * @param {object} file - Multer file
+ * @param {string} format - Format sent with the upload, if any
+ * @returns {string|null} csv, ndjson or null when unknown
+ */
+function detectFormat(file, format) {
+  if (format) {
+    return format;
+  }
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  if (extension === '.csv') return 'csv';
+  if (extension === '.ndjson' || extension === '.jsonl') return 'ndjson';
+  const mimeType = String(file.mimetype || '').toLowerCase();
+  if (mimeType.includes('csv')) return 'csv';
+  if (mimeType.includes('ndjson') || mimeType.includes('jsonl')) return 'ndjson';
+  return null;
+}
+
+/**
+ * Count the rows per result
+ * @param {Array<object>} report - Report entries
+ * @returns {object} Result to count
+ */
+function summarize(report) {
+  const summary = Object.fromEntries(ROW_RESULTS.map(result => [result, 0]));
+  for (const entry of report) {
+    summary[entry.result] += 1;
+  }
+  return summary;
+}
+
+/**
+ * Import one row
+ * @param {object} parsedRow - { row, data, error } from the parser
+ * @param {object} options - Import options
+ * @param {string} actorId - Admin user ID
+ * @param {Map} seen - Emails and phone numbers met in earlier rows, to the row they came from
+ * @returns {Promise<object>} Report entry
+ */
+async function importRow(parsedRow, options, actorId, seen) {
+  const data = parsedRow.data || {};
+  const groups = data.groups || options.default_groups;
+  const entry = {
+    row: parsedRow.row,
+    result: null,
+    email: typeof data.email === 'string' ? data.email : null,
+    phone: typeof data.phone === 'string' ? data.phone : null,
+    user_id: null,
+    invitation_id: null,
+    groups,
+    message: null
+  };
+
+  if (parsedRow.error) {
+    return { ...entry, result: 'invalid', message: parsedRow.error };
+  }
+
+  const identifiers = [data.email, data.phone].filter(Boolean);
+  const earlierRow = identifiers.map(identifier => seen.get(identifier)).find(Boolean);
+  if (earlierRow) {
+    return { ...entry, result: 'duplicate_in_file', message: `Same email or phone number as row ${earlierRow}` };
+  }
+  identifiers.forEach(identifier => seen.set(identifier, parsedRow.row));
+
+  for (const identifier of identifiers) {
+    const existing = await getUserByEmailOrPhone(identifier);
+    if (existing) {
+      const field = identifier === data.email ? 'Email' : 'Phone number';
+      return { ...entry, result: 'duplicate', user_id: existing.user_id, message: `${field} already belongs to an account` };
+    }
+  }
+
+  if (options.send_invites) {
+    // Email invitations are preferred; the phone number is only used for rows without an email
+    const identifier = data.email || data.phone;
+    const pending = await prisma.invitation.findFirst({
+      where: { identifier, status: InvitationStatusEnum.PENDING, expires_at: { gt: new Date() } },
+      select: { invitation_id: true }
+    });
+    if (pending) {
+      return { ...entry, result: 'duplicate', invitation_id: pending.invitation_id, message: 'An invitation is already pending' };
+    }
+    if (options.dry_run) {
+      return { ...entry, result: 'would_invite' };
+    }
+
+    const { invitation, delivered } = await createInvitation(actorId, { identifier, channel: options.channel, groups });
+    return {
+      ...entry,
+      result: 'invited',
+      invitation_id: invitation.invitation_id,
+      message: delivered ? null : 'Invitation created but could not be sent'
+    };
+  }
+
+  if (data.user_name) {
+    const taken = await prisma.user.findFirst({ where: { user_name: data.user_name }, select: { user_id: true } });
+    if (taken) {
+      return { ...entry, result: 'failed', message: `User name ${data.user_name} is taken` };
+    }
+  }
+  if (options.dry_run) {
+    return { ...entry, result: 'would_create' };
+  }
+
+  const userId = await createUserInDb({
+    // Imported users sign in with an OTP, magic link or password reset until they set a password
+    password: crypto.randomBytes(32).toString('hex'),
+    email: data.email,
+    phone_number: data.phone ? { phone: data.phone.replace('+', '') } : undefined,
+    auth_type: data.email ? AuthTypeEnum.email : AuthTypeEnum.phone,
+    user_name: data.user_name,
+    first_name: data.first_name,
+    last_name: data.last_name,
+    country: data.country,
+    language: data.language || LanguageStatusEnum.en,
+    user_type: data.user_type || UserTypeEnum.customer,
+    theme: ThemeEnum.light,
+    profile_accessibility: ProfileAccessibilityEnum.public,
+    status: UserStatusAuthEnum.ACTIVE,
+    is_email_verified: false,
+    is_phone_verified: false,
+    invited_by_user_id: actorId
+  });
+  if (!userId) {
+    return { ...entry, result: 'failed', message: 'The user could not be created' };
+  }
+
+  try {
+    await assignGroupsToUser(userId, groups, actorId);
+  } catch (groupError) {
+    return { ...entry, result: 'created', user_id: userId, message: `Groups could not be assigned: ${groupError.message}` };
+  }
+  return { ...entry, result: 'created', user_id: userId };
+}
+
+/**
+ * Import every row and record progress and the report on the user_import row
+ * @param {object} userImport - user_import row
+ * @param {Array<object>} rows - Parsed rows
+ * @param {object} options - Import options
+ * @param {object} request - Express request (for the audit entry)
+ * @returns {Promise<void>}
+ */
+async function runUserImport(userImport, rows, options, request) {
+  const actorId = userImport.requested_by_user_id;
+  const seen = new Map();
+  const report = [];
+
+  try {
+    for (const parsedRow of rows) {
+      let entry;
+      try {
+        entry = await importRow(parsedRow, options, actorId, seen);
+      } catch (error) {
+        entry = { row: parsedRow.row, result: 'failed', email: parsedRow.data?.email || null, phone: parsedRow.data?.phone || null, user_id: null, invitation_id: null, groups: null, message: error.message };
+      }
+      report.push(entry);
+
+      if (report.length % PROGRESS_BATCH_SIZE === 0 && report.length < rows.length) {
+        await prisma.userImport.update({
+          where: { import_id: userImport.import_id },
+          data: { processed_rows: report.length, summary: summarize(report) }
+        });
+      }
+    }
+
+    const summary = summarize(report);
+    await prisma.userImport.update({
+      where: { import_id: userImport.import_id },
+      data: { status: 'completed', processed_rows: report.length, summary, report, completed_at: new Date() }
+    });
+
+    await createActivityLog({
+      module: 'users',
+      ...requestContext(request),
+      user_id: actorId,
+      level: 'audit',
+      message: `User import ${userImport.import_id} completed`,
+      action: 'users_imported',
+      status_code: 200,
+      session_id: request?.user?.session_id || null,
+      metadata: {
+        import_id: userImport.import_id,
+        file_name: userImport.file_name,
+        dry_run: userImport.dry_run,
+        send_invites: userImport.send_invites,
+        summary
+      }
+    });
+  } catch (error) {
+    logger.error(`User import ${userImport.import_id} failed`, { error: error.message, module: 'Users', label: 'IMPORT' });
+    await prisma.userImport.update({
+      where: { import_id: userImport.import_id },
+      data: { status: 'failed', error: error.message, processed_rows: report.length, summary: summarize(report), report, completed_at: new Date() }
+    });
+  }
+}
+
+/**
+ * Start an import from an uploaded file
+ * Every group named in the file is checked up front with the same rules as invitations, so
+ * an admin cannot hand out groups through an import that they could not assign otherwise
+ * @param {object} actor - Acting admin (request user)
+ * @param {object} file - Multer file (memory storage)
+ * @param {object} options - { format, dry_run, send_invites, channel, default_groups }
+ * @param {object} request - Express request (for the audit entry)
+ * @returns {Promise<object>} user_import row (completed for small files, processing otherwise)
+ */
+async function startUserImport(actor, file, options, request = null) {
+  const actorId = actor.uid || actor.user_id;
+  const format = detectFormat(file, options.format);
+  if (!format) {
+    throw userImportError('USER_IMPORT_INVALID_FILE', 'Unknown file type; upload a .csv or .ndjson file or send format');
+  }
+
+  const active = await prisma.userImport.findFirst({
+    where: { requested_by_user_id: actorId, status: 'processing', updated_at: { gt: staleBefore() } },
+    select: { import_id: true }
+  });
+  if (active) {
+    throw userImportError('USER_IMPORT_IN_PROGRESS', `Import ${active.import_id} is still running`);
+  }
+
+  const content = file.buffer.toString('utf8');
+  const parsed = file.size > USER_IMPORT_WORKER_THRESHOLD_KB * 1024
+    ? await parseUserImportInWorker(content, format, USER_IMPORT_MAX_ROWS)
+    : parseUserImportFile(content, format, USER_IMPORT_MAX_ROWS);
+  if (parsed.error) {
+    throw userImportError('USER_IMPORT_INVALID_FILE', parsed.error);
+  }
+
+  const requestedGroups = new Set(options.default_groups);
+  parsed.rows.filter(row => !row.error && row.data.groups).forEach(row => row.data.groups.forEach(g => requestedGroups.add(g)));
+  await assertGroupsAllowed(actorId, [...requestedGroups]);
+
+  const userImport = await prisma.userImport.create({
+    data: {
+      requested_by_user_id: actorId,
+      file_name: (file.originalname || `users.${format}`).slice(0, 255),
+      format,
+      dry_run: options.dry_run,
+      send_invites: options.send_invites,
+      total_rows: parsed.rows.length
+    }
+  });
+
+  logger.info(`User import ${userImport.import_id} started by ${actorId} (${parsed.rows.length} rows${options.dry_run ? ', dry run' : ''})`, { module: 'Users', label: 'IMPORT' });
+
+  if (parsed.rows.length <= INLINE_IMPORT_ROWS) {
+    await runUserImport(userImport, parsed.rows, options, request);
+    return prisma.userImport.findUnique({ where: { import_id: userImport.import_id } });
+  }
+
+  setImmediate(() => {
+    runUserImport(userImport, parsed.rows, options, request).catch(error => {
+      logger.error('Error running user import', { error: error.message, module: 'Users', label: 'IMPORT' });
+    });
+  });
+  return userImport;
+}
+
+/**
+ * Oldest update time of an import that is still running
+ * @returns {Date} Cut-off date
+ */
+function staleBefore() {
+  return new Date(Date.now() - STALE_PROCESSING_MINUTES * 60 * 1000);
+}
+
+/**
+ * Get an import by ID
+ * An import left processing by a restart is marked failed; its file has to be uploaded again,
+ * which is safe because rows imported before the restart come back as duplicates
+ * @param {string} importId - Import ID
+ * @returns {Promise<object|null>} user_import row or null
+ */
+async function getUserImport(importId) {
+  const userImport = await prisma.userImport.findUnique({ where: { import_id: importId } });
+  if (userImport && userImport.status === 'processing' && userImport.updated_at <= staleBefore()) {
+    return prisma.userImport.update({
+      where: { import_id: importId },
+      data: { status: 'failed', error: 'The import was interrupted; upload the file again to import the remaining rows', completed_at: new Date() }
+    });
+  }
+  return userImport;
+}
+
+/**
+ * Response data for an import, without the report
+ * @param {object} userImport - user_import row
+ * @returns {object} Import status
+ */
+function describeUserImport(userImport) {
+  return {
+    import_id: userImport.import_id,
+    status: userImport.status,
+    file_name: userImport.file_name,
+    format: userImport.format,
+    dry_run: userImport.dry_run,
+    send_invites: userImport.send_invites,
+    requested_by_user_id: userImport.requested_by_user_id,
+    total_rows: userImport.total_rows,
+    processed_rows: userImport.processed_rows,
+    summary: userImport.summary || summarize([]),
+    error: userImport.error,
+    created_at: userImport.created_at,
+    completed_at: userImport.completed_at
+  };
+}
+
+/**
+ * Render the report of a finished import
+ * @param {object} userImport - user_import row
+ * @param {string} format - csv or json
+ * @returns {object} { content, contentType, fileName }
+ */
+function renderUserImportReport(userImport, format) {
+  if (userImport.status === 'processing') {
+    throw userImportError('USER_IMPORT_IN_PROGRESS', 'The report is available once the import has finished');
+  }
+  const report = Array.isArray(userImport.report) ? userImport.report : [];
+  const fileName = `user-import-${userImport.import_id}.${format}`;
+
+  if (format === 'json') {
+    return {
+      content: JSON.stringify({ ...describeUserImport(userImport), rows: report }, null, 2),
+      contentType: 'application/json',
+      fileName
+    };
+  }
+
+  const lines = [csvLine(REPORT_COLUMNS)];
+  for (const entry of report) {
+    lines.push(csvLine(REPORT_COLUMNS.map(column => entry[column])));
+  }
+  return {
+    content: lines.join(''),
+    contentType: 'text/csv; charset=utf-8',
+    fileName
+  };
+}
+
+module.exports = {
+  USER_IMPORT_MAX_FILE_MB,
+  startUserImport,
+  getUserImport,
+  describeUserImport,
+  renderUserImportReport
+};
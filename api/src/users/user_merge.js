@@ -0,0 +1,413 @@
+/**
+ * User Merge
+ * Folds a duplicate account (typically one signed up by phone and one by email) into the account
+ * that is kept. The duplicate's email and phone number move over when the kept account has none,
+ * group memberships are combined, and its activity log, OAuth sign-ins and uploaded files are
+ * given to the kept account. The duplicate stays behind as a deactivated row pointing at the
+ * account it was merged into.
+ *
+ * A merge is previewed first. The preview returns a token derived from the planned changes, and
+ * the merge only runs when the token still matches, so nothing happens that the admin did not see
+ */
+
+const crypto = require('crypto');
+const { prisma, Prisma } = require('../db/prisma');
+const logger = require('../logger/logger');
+const { createActivityLog } = require('../activity/activityLog');
+const { requestContext } = require('../authenticate/login_lockout');
+const { assertGroupsAllowed } = require('../authenticate/invitations');
+const { signOutUserEverywhere } = require('../authenticate/session_registry');
+const { isUserBlacklisted, isUserRefreshTokenRevoked } = require('../authenticate/session_manager');
+const { userPrivilegesCover } = require('../permissions/permissions');
+const { listUserFiles, moveUserFiles } = require('../storage/storage');
+const { UserStatusAuthEnum } = require('../enum/enum');
+const { USER_ADMIN_FIELDS, formatUser, getUserForAdmin } = require('./users');
+
+const MERGE_USER_FIELDS = {
+  ...USER_ADMIN_FIELDS,
+  purged_at: true,
+  // Inactive groups grant nothing and are left behind with the duplicate
+  userGroups: {
+    where: { group: { is_active: true } },
+    select: { group_id: true, group: { select: { codename: true, name: true } } }
+  }
+};
+
+/**
+ * Build an error carrying an error map key so routes can respond with ERROR.fromMap
+ * @param {string} errorKey - Error key from ERRORS map
+ * @param {string} message - Error message
+ * @returns {Error} Error with errorKey set
+ */
+function userMergeError(errorKey, message) {
+  const error = new Error(message);
+  error.errorKey = errorKey;
+  return error;
+}
+
+/**
+ * Load one side of a merge
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} User row with group IDs
+ * @throws {Error} USER_NOT_FOUND or USER_ALREADY_MERGED
+ */
+async function getMergeUser(userId) {
+  const user = await prisma.user.findUnique({ where: { user_id: userId }, select: MERGE_USER_FIELDS });
+  if (!user || user.purged_at) {
+    throw userMergeError('USER_NOT_FOUND', `User ${userId} not found`);
+  }
+  if (user.merged_into_user_id) {
+    throw userMergeError('USER_ALREADY_MERGED', `User ${userId} was already merged into ${user.merged_into_user_id}`);
+  }
+  return user;
+}
+
+/**
+ * Format a phone number the way admins type it
+ * @param {object} phoneNumber - Stored phone_number JSON
+ * @returns {string|null} Phone number with a leading +
+ */
+function displayPhone(phoneNumber) {
+  const phone = phoneNumber && phoneNumber.phone;
+  return phone ? `+${String(phone).replace(/^\+/, '')}` : null;
+}
+
+/**
+ * Work out which of the duplicate's identifiers the kept account takes over
+ * @param {object} survivor - Kept account
+ * @param {object} merged - Duplicate account
+ * @returns {object} { moved, dropped, data } - values shown to the admin and the Prisma update
+ */
+function planIdentifiers(survivor, merged) {
+  const moved = {};
+  const dropped = {};
+  const data = {};
+
+  if (merged.email) {
+    if (!survivor.email) {
+      moved.email = merged.email;
+      Object.assign(data, {
+        email: merged.email,
+        is_email_verified: Boolean(merged.is_email_verified),
+        email_verified_at: merged.email_verified_at
+      });
+    } else if (merged.email.toLowerCase() !== survivor.email.toLowerCase()) {
+      dropped.email = merged.email;
+    }
+  }
+
+  const mergedPhone = displayPhone(merged.phone_number);
+  const survivorPhone = displayPhone(survivor.phone_number);
+  if (mergedPhone) {
+    if (!survivorPhone) {
+      moved.phone = mergedPhone;
+      Object.assign(data, {
+        phone_number: merged.phone_number,
+        is_phone_verified: Boolean(merged.is_phone_verified),
+        phone_number_verified_at: merged.phone_number_verified_at
+      });
+    } else if (mergedPhone !== survivorPhone) {
+      dropped.phone = mergedPhone;
+    }
+  }
+
+  if (merged.profile_picture_url) {
+    if (!survivor.profile_picture_url) {
+      moved.profile_picture_url = merged.profile_picture_url;
+      data.profile_picture_url = merged.profile_picture_url;
+    } else if (merged.profile_picture_url !== survivor.profile_picture_url) {
+      dropped.profile_picture_url = merged.profile_picture_url;
+    }
+  }
+
+  return { moved, dropped, data };
+}
+
+/**
+ * Drop purged_at, which the checks need but admins are not shown
+ * @param {object} user - User row
+ * @returns {object} User row without purged_at
+ */
+function withoutPurgedAt(user) {
+  const rest = { ...user };
+  delete rest.purged_at;
+  return rest;
+}
+
+/**
+ * Token that stands for the planned changes; it changes when the outcome of the merge would
+ * @param {string} survivorId - Kept account
+ * @param {string} mergedUserId - Duplicate account
+ * @param {object} changes - Planned identifier and group changes
+ * @returns {string} Token
+ */
+function previewToken(survivorId, mergedUserId, changes) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([survivorId, mergedUserId, changes]))
+    .digest('base64url');
+}
+
+/**
+ * Check both accounts and work out everything a merge would change
+ * @param {object} actor - Authenticated admin (request.user)
+ * @param {string} survivorId - Account that is kept
+ * @param {string} mergedUserId - Duplicate that is merged into it
+ * @returns {Promise<object>} Plan with both users, the changes, counts and preview_token
+ * @throws {Error} errorKey USER_MERGE_SAME_USER, USER_NOT_FOUND, USER_ALREADY_MERGED,
+ *   USER_PROTECTED, USER_PRIVILEGES_EXCEEDED, USER_SELF_ACTION_FORBIDDEN, USER_PENDING_DELETION,
+ *   INVITATION_GROUP_NOT_ALLOWED or INVITATION_GROUP_NOT_FOUND
+ */
+async function planUserMerge(actor, survivorId, mergedUserId) {
+  if (String(survivorId) === String(mergedUserId)) {
+    throw userMergeError('USER_MERGE_SAME_USER', 'A user cannot be merged into itself');
+  }
+
+  const [survivor, merged] = await Promise.all([getMergeUser(survivorId), getMergeUser(mergedUserId)]);
+  if (merged.is_protected) {
+    throw userMergeError('USER_PROTECTED', 'Protected users cannot be merged into another account');
+  }
+  // The kept account may take over the duplicate's email or phone, which a password reset turns
+  // into control of the account - so both sides get the same checks as an admin edit
+  if (survivor.is_protected) {
+    throw userMergeError('USER_PROTECTED', 'Protected users cannot be kept in a merge');
+  }
+  for (const userId of [survivorId, mergedUserId]) {
+    if (!(await userPrivilegesCover(actor.uid || actor.user_id, userId))) {
+      throw userMergeError('USER_PRIVILEGES_EXCEEDED', `User ${userId} has privileges beyond the admin`);
+    }
+  }
+  if (String(merged.user_id) === String(actor.uid || actor.user_id)) {
+    throw userMergeError('USER_SELF_ACTION_FORBIDDEN', 'You cannot merge your own account into another one');
+  }
+  if (survivor.is_trashed) {
+    throw userMergeError('USER_PENDING_DELETION', 'The account to keep is pending deletion');
+  }
+
+  const { moved, dropped, data } = planIdentifiers(survivor, merged);
+  const survivorGroupIds = new Set(survivor.userGroups.map(link => link.group_id));
+  const groupsAdded = merged.userGroups.filter(link => !survivorGroupIds.has(link.group_id));
+
+  // Carrying groups over assigns them, so the admin must be allowed to hand them out -
+  // and may not grant them to themselves by keeping their own account
+  if (groupsAdded.length > 0) {
+    const actorId = actor.uid || actor.user_id;
+    if (String(survivor.user_id) === String(actorId)) {
+      throw userMergeError('USER_SELF_ACTION_FORBIDDEN', 'You cannot merge an account with other groups into your own');
+    }
+    await assertGroupsAllowed(actorId, groupsAdded.map(link => link.group.codename));
+  }
+
+  // Without a bucket nothing can have been uploaded
+  const [activityLogs, oauthIdentities, sessions, apiKeys, passkeys, files] = await Promise.all([
+    prisma.activityLog.count({ where: { user_id: mergedUserId } }),
+    prisma.oAuthIdentity.count({ where: { user_id: mergedUserId } }),
+    prisma.userSession.count({ where: { user_id: mergedUserId, revoked_at: null } }),
+    prisma.apiKey.count({ where: { user_id: mergedUserId, revoked_at: null } }),
+    prisma.passkeyCredential.count({ where: { user_id: mergedUserId } }),
+    process.env.GOOGLE_STORAGE_BUCKET_NAME ? listUserFiles(mergedUserId) : []
+  ]);
+
+  const changes = {
+    moved,
+    dropped,
+    groups_added: groupsAdded.map(link => link.group.codename)
+  };
+
+  return {
+    survivor,
+    merged,
+    survivorData: data,
+    groupIdsAdded: groupsAdded.map(link => link.group_id),
+    preview: {
+      user: formatUser(withoutPurgedAt(survivor)),
+      merged_user: formatUser(withoutPurgedAt(merged)),
+      changes: {
+        ...changes,
+        activity_logs: activityLogs,
+        oauth_identities: oauthIdentities,
+        files: files.length
+      },
+      merged_user_after: {
+        status: UserStatusAuthEnum.DELETED,
+        is_active: false,
+        sessions_revoked: sessions,
+        api_keys_revoked: apiKeys,
+        // Passkeys and MFA are bound to the duplicate's own credentials and are not carried over
+        passkeys_left: passkeys,
+        mfa_enabled_left: Boolean(merged.mfa_enabled)
+      },
+      preview_token: previewToken(survivor.user_id, merged.user_id, changes)
+    }
+  };
+}
+
+/**
+ * Show what merging one account into another would change, without changing anything
+ * @param {object} actor - Authenticated admin (request.user)
+ * @param {string} survivorId - Account that is kept
+ * @param {string} mergedUserId - Duplicate that is merged into it
+ * @returns {Promise<object>} { user, merged_user, changes, merged_user_after, preview_token }
+ */
+async function previewUserMerge(actor, survivorId, mergedUserId) {
+  const { preview } = await planUserMerge(actor, survivorId, mergedUserId);
+  return preview;
+}
+
+/**
+ * Give the duplicate's uploaded files to the kept account, pointing its profile picture at the
+ * moved file. Runs after the merge is committed; files that fail to move stay where they are
+ * @param {string} survivorId - Kept account
+ * @param {string} mergedUserId - Duplicate account
+ * @returns {Promise<object>} { moved, failed }
+ */
+async function moveMergedFiles(survivorId, mergedUserId) {
+  if (!process.env.GOOGLE_STORAGE_BUCKET_NAME) {
+    return { moved: 0, failed: 0 };
+  }
+
+  try {
+    const { moved, failed } = await moveUserFiles(mergedUserId, survivorId);
+    const { profile_picture_url: pictureUrl } = await prisma.user.findUnique({
+      where: { user_id: survivorId },
+      select: { profile_picture_url: true }
+    });
+    const picture = moved.find(file => file.from_url === pictureUrl);
+    if (picture) {
+      await prisma.user.update({ where: { user_id: survivorId }, data: { profile_picture_url: picture.to_url } });
+    }
+    return { moved: moved.length, failed };
+  } catch (error) {
+    logger.error('Error moving merged user files', { error: error.message, user_id: mergedUserId, module: 'Users', label: 'MERGE' });
+    return { moved: 0, failed: null };
+  }
+}
+
+/**
+ * Sign the duplicate out everywhere and make sure it stuck
+ * Tokens are checked against the Redis blacklists only, not against is_active, so a merge that
+ * could not blacklist the duplicate would leave its tokens working
+ * @param {string} mergedUserId - Duplicate account
+ * @returns {Promise<number>} Number of recorded sessions revoked
+ * @throws {Error} errorKey AUTH_PROCESSING_ERROR if the blacklists could not be written
+ */
+async function signOutMergedUser(mergedUserId) {
+  const sessionsRevoked = await signOutUserEverywhere(mergedUserId);
+  const [blacklisted, refreshRevoked] = await Promise.all([
+    isUserBlacklisted(String(mergedUserId)),
+    isUserRefreshTokenRevoked(String(mergedUserId))
+  ]);
+  if (!blacklisted || !refreshRevoked) {
+    throw userMergeError('AUTH_PROCESSING_ERROR', `Could not revoke the tokens of user ${mergedUserId}`);
+  }
+  return sessionsRevoked;
+}
+
+/**
+ * Merge a duplicate account into the account that is kept
+ * The database changes and the audit entry are written in one transaction, which only commits
+ * once the duplicate's sessions and refresh tokens are revoked. Its files are moved afterwards;
+ * that step cannot be rolled back with the transaction
+ * @param {object} actor - Authenticated admin (request.user)
+ * @param {string} survivorId - Account that is kept
+ * @param {string} mergedUserId - Duplicate that is merged into it
+ * @param {string} token - preview_token from previewUserMerge
+ * @param {object} request - Express request (for the audit entry)
+ * @returns {Promise<object>} { user, merged_user_id, changes, sessions_revoked, files }
+ * @throws {Error} errorKey USER_MERGE_PREVIEW_STALE, AUTH_PROCESSING_ERROR, or any error of previewUserMerge
+ */
+async function mergeUsers(actor, survivorId, mergedUserId, token, request = null) {
+  const plan = await planUserMerge(actor, survivorId, mergedUserId);
+  if (plan.preview.preview_token !== token) {
+    throw userMergeError('USER_MERGE_PREVIEW_STALE', 'The accounts changed since the merge was previewed');
+  }
+
+  const { changes } = plan.preview;
+  const actorId = actor.uid || actor.user_id;
+  const now = new Date();
+
+  let sessionsRevoked = 0;
+  try {
+    await prisma.$transaction(async (tx) => {
+      // The duplicate gives up its email and phone first, as the kept account may take them over.
+      // Both accounts are re-checked here so two merges of the same accounts cannot both run
+      const { count: mergedCount } = await tx.user.updateMany({
+        where: { user_id: mergedUserId, merged_into_user_id: null, purged_at: null },
+        data: {
+          email: null,
+          phone_number: Prisma.DbNull,
+          profile_picture_url: null,
+          is_email_verified: false,
+          is_phone_verified: false,
+          email_verified_at: null,
+          phone_number_verified_at: null,
+          is_active: false,
+          status: UserStatusAuthEnum.DELETED,
+          merged_into_user_id: survivorId,
+          merged_at: now
+        }
+      });
+      const { count: survivorCount } = await tx.user.updateMany({
+        where: { user_id: survivorId, merged_into_user_id: null, purged_at: null },
+        // Set explicitly so the row is updated, and re-checked, even when nothing moves over
+        data: { ...plan.survivorData, last_updated: now }
+      });
+      if (mergedCount === 0 || survivorCount === 0) {
+        throw userMergeError('USER_MERGE_PREVIEW_STALE', 'One of the accounts was merged or purged in the meantime');
+      }
+
+      await tx.userGroup.createMany({
+        data: plan.groupIdsAdded.map(groupId => ({
+          user_id: survivorId,
+          group_id: groupId,
+          assigned_by_user_id: actorId
+        })),
+        skipDuplicates: true
+      });
+      await tx.userGroup.deleteMany({ where: { user_id: mergedUserId } });
+
+      await tx.activityLog.updateMany({ where: { user_id: mergedUserId }, data: { user_id: survivorId } });
+      await tx.oAuthIdentity.updateMany({ where: { user_id: mergedUserId }, data: { user_id: survivorId } });
+      await tx.apiKey.updateMany({ where: { user_id: mergedUserId, revoked_at: null }, data: { revoked_at: now } });
+
+      // Written after the activity log is moved so it is not counted as part of the duplicate's history
+      await createActivityLog({
+        module: 'users',
+        ...requestContext(request),
+        user_id: survivorId,
+        level: 'audit',
+        message: `User ${mergedUserId} merged into ${survivorId}`,
+        action: 'users_merged',
+        status_code: 200,
+        session_id: actor.session_id || null,
+        metadata: {
+          merged_by_user_id: actorId,
+          merged_user_id: mergedUserId,
+          ...changes
+        }
+      }, tx);
+
+      // Last, so a merge that fails earlier leaves the duplicate signed in
+      sessionsRevoked = await signOutMergedUser(mergedUserId);
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      throw userMergeError('USER_MERGE_PREVIEW_STALE', 'The email or phone number was taken by another account in the meantime');
+    }
+    throw error;
+  }
+
+  const files = await moveMergedFiles(survivorId, mergedUserId);
+
+  return {
+    user: await getUserForAdmin(survivorId),
+    merged_user_id: mergedUserId,
+    changes,
+    sessions_revoked: sessionsRevoked,
+    files
+  };
+}
+
+module.exports = {
+  previewUserMerge,
+  mergeUsers
+};
@@ -0,0 +1,402 @@
+/**
+ * User Management Service
+ * Admin-side listing, editing, suspension and restoration of user accounts.
+ * Suspended users are deactivated and signed out everywhere; restoring brings back suspended
+ * users and trashed users whose deletion has not been carried out yet. Purged accounts are
+ * anonymous placeholders and are never listed or changed here
+ */
+
+const { prisma } = require('../db/prisma');
+const { createActivityLog } = require('../activity/activityLog');
+const { requestContext } = require('../authenticate/login_lockout');
+const { signOutUserEverywhere } = require('../authenticate/session_registry');
+const { getUserByEmailOrPhone } = require('../authenticate/checkpoint');
+const { userPrivilegesCover } = require('../permissions/permissions');
+const { UserStatusAuthEnum } = require('../enum/enum');
+
+// Everything admins see of a user - never the password hash
+const USER_ADMIN_FIELDS = {
+  user_id: true,
+  first_name: true,
+  last_name: true,
+  email: true,
+  phone_number: true,
+  user_name: true,
+  country: true,
+  gender: true,
+  dob: true,
+  bio: true,
+  timezone: true,
+  language: true,
+  theme: true,
+  profile_accessibility: true,
+  profile_picture_url: true,
+  user_type: true,
+  auth_type: true,
+  status: true,
+  is_active: true,
+  is_verified: true,
+  is_email_verified: true,
+  is_phone_verified: true,
+  email_verified_at: true,
+  phone_number_verified_at: true,
+  mfa_enabled: true,
+  is_protected: true,
+  is_trashed: true,
+  deletion_requested_at: true,
+  purge_scheduled_at: true,
+  merged_into_user_id: true,
+  merged_at: true,
+  invited_by_user_id: true,
+  last_sign_in_at: true,
+  created_at: true,
+  last_updated: true,
+  userGroups: {
+    select: { group: { select: { codename: true, name: true } } }
+  }
+};
+
+const SEARCH_FIELDS = ['first_name', 'last_name', 'email', 'user_name'];
+
+/**
+ * Build an error carrying an error map key so routes can respond with ERROR.fromMap
+ * @param {string} errorKey - Error key from ERRORS map
+ * @param {string} message - Error message
+ * @returns {Error} Error with errorKey set
+ */
+function userManagementError(errorKey, message) {
+  const error = new Error(message);
+  error.errorKey = errorKey;
+  return error;
+}
+
+/**
+ * Flatten group links into { codename, name } pairs
+ * @param {object} user - User record selected with USER_ADMIN_FIELDS
+ * @returns {object} User with groups instead of userGroups
+ */
+function formatUser(user) {
+  const { userGroups, ...rest } = user;
+  return {
+    ...rest,
+    groups: (userGroups || []).map(link => link.group)
+  };
+}
+
+/**
+ * Build the Prisma where clause for a search
+ * Every word of q has to match the first name, last name, email, user name or phone number
+ * @param {object} filters - Validated search filters
+ * @returns {object} Prisma where clause
+ */
+function buildUserWhere(filters) {
+  const where = { purged_at: null };
+  const and = [];
+
+  if (filters.trashed === 'exclude') {
+    // is_trashed is nullable, and { not: true } would leave out NULL rows
+    and.push({ OR: [{ is_trashed: false }, { is_trashed: null }] });
+  } else if (filters.trashed === 'only') {
+    where.is_trashed = true;
+  }
+
+  for (const term of (filters.q || '').split(/\s+/).filter(Boolean)) {
+    const or = SEARCH_FIELDS.map(field => ({ [field]: { contains: term, mode: 'insensitive' } }));
+    const digits = term.replace(/[^\d]/g, '');
+    if (digits && /^\+?[\d\s-]+$/.test(term)) {
+      or.push({ phone_number: { path: ['phone'], string_contains: digits } });
+    }
+    and.push({ OR: or });
+  }
+
+  if (filters.status) where.status = { equals: filters.status, mode: 'insensitive' };
+  if (filters.user_type) where.user_type = filters.user_type;
+  if (filters.auth_type) where.auth_type = filters.auth_type;
+  if (filters.country) where.country = { equals: filters.country, mode: 'insensitive' };
+  if (filters.is_verified !== undefined) where.is_verified = filters.is_verified;
+  if (filters.is_email_verified !== undefined) where.is_email_verified = filters.is_email_verified;
+  if (filters.is_phone_verified !== undefined) where.is_phone_verified = filters.is_phone_verified;
+  if (filters.group) where.userGroups = { some: { group: { codename: filters.group } } };
+
+  if (and.length > 0) {
+    where.AND = and;
+  }
+  return where;
+}
+
+/**
+ * Search users page by page
+ * @param {object} filters - { q, status, user_type, auth_type, country, is_verified, is_email_verified,
+ *   is_phone_verified, group, trashed, sort_by, order, page, limit }
+ * @returns {Promise<object>} { users, pagination: { page, limit, total, total_pages } }
+ */
+async function searchUsers(filters) {
+  const where = buildUserWhere(filters);
+  const [total, users] = await Promise.all([
+    prisma.user.count({ where }),
+    prisma.user.findMany({
+      where,
+      select: USER_ADMIN_FIELDS,
+      // user_id keeps the order stable between pages when sort values tie
+      orderBy: [{ [filters.sort_by]: { sort: filters.order, nulls: 'last' } }, { user_id: 'asc' }],
+      take: filters.limit,
+      skip: (filters.page - 1) * filters.limit
+    })
+  ]);
+
+  return {
+    users: users.map(formatUser),
+    pagination: {
+      page: filters.page,
+      limit: filters.limit,
+      total,
+      total_pages: Math.ceil(total / filters.limit)
+    }
+  };
+}
+
+/**
+ * Get one user as admins see it
+ * @param {string} userId - User ID
+ * @returns {Promise<object|null>} User, or null when missing or purged
+ */
+async function getUserForAdmin(userId) {
+  const user = await prisma.user.findFirst({
+    where: { user_id: userId, purged_at: null },
+    select: USER_ADMIN_FIELDS
+  });
+  return user ? formatUser(user) : null;
+}
+
+/**
+ * Load a user an admin may act on
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} User record
+ * @throws {Error} errorKey USER_NOT_FOUND when missing or purged
+ */
+async function getManagedUser(userId) {
+  const user = await prisma.user.findUnique({ where: { user_id: userId } });
+  if (!user || user.purged_at) {
+    throw userManagementError('USER_NOT_FOUND', 'User not found');
+  }
+  return user;
+}
+
+/**
+ * Throw when another account already uses the identifier
+ * @param {string} identifier - Email or phone number
+ * @param {string} userId - User being edited
+ * @throws {Error} errorKey USER_IDENTIFIER_TAKEN
+ */
+async function assertIdentifierFree(identifier, userId) {
+  const existing = await getUserByEmailOrPhone(identifier);
+  if (existing && String(existing.user_id) !== String(userId)) {
+    throw userManagementError('USER_IDENTIFIER_TAKEN', `${identifier} belongs to another account`);
+  }
+}
+
+/**
+ * Throw unless the admin may act on the user: protected users are off limits, and so are users
+ * with privileges beyond the admin's
+ * @param {object} actor - req.user of the admin
+ * @param {object} target - User record
+ * @param {string} verb - Past participle for the error message, e.g. "edited"
+ * @throws {Error} errorKey USER_PROTECTED or USER_PRIVILEGES_EXCEEDED
+ */
+async function assertCanManageUser(actor, target, verb) {
+  if (target.is_protected) {
+    throw userManagementError('USER_PROTECTED', `Protected users cannot be ${verb}`);
+  }
+  if (!(await userPrivilegesCover(actor.uid || actor.user_id, target.user_id))) {
+    throw userManagementError('USER_PRIVILEGES_EXCEEDED', 'User has privileges beyond the admin');
+  }
+}
+
+/**
+ * Edit a user's profile fields
+ * A new email or phone number is unverified unless the admin marks it verified in the same call.
+ * Users with privileges beyond the admin's are refused - a changed email or phone number followed
+ * by a password reset would otherwise hand the admin their account
+ * @param {object} actor - req.user of the admin
+ * @param {string} userId - User ID
+ * @param {object} fields - Validated fields (phone as a string)
+ * @param {object} request - Express request (for the audit entry)
+ * @returns {Promise<object>} Updated user
+ * @throws {Error} errorKey USER_NOT_FOUND, USER_PROTECTED, USER_PRIVILEGES_EXCEEDED or USER_IDENTIFIER_TAKEN
+ */
+async function updateUserByAdmin(actor, userId, fields, request = null) {
+  const target = await getManagedUser(userId);
+  await assertCanManageUser(actor, target, 'edited');
+
+  const { phone, ...data } = fields;
+
+  if (data.email) {
+    data.email = data.email.toLowerCase();
+    if (data.email !== (target.email || '').toLowerCase()) {
+      await assertIdentifierFree(data.email, userId);
+      if (data.is_email_verified === undefined) data.is_email_verified = false;
+    }
+  }
+  if (phone) {
+    const phoneClean = phone.replace('+', '');
+    if (phoneClean !== (target.phone_number && target.phone_number.phone)) {
+      await assertIdentifierFree(phoneClean, userId);
+      if (data.is_phone_verified === undefined) data.is_phone_verified = false;
+    }
+    data.phone_number = { phone: phoneClean };
+  }
+  if (data.is_email_verified !== undefined) {
+    data.email_verified_at = data.is_email_verified ? target.email_verified_at || new Date() : null;
+  }
+  if (data.is_phone_verified !== undefined) {
+    data.phone_number_verified_at = data.is_phone_verified ? target.phone_number_verified_at || new Date() : null;
+  }
+
+  let updated;
+  try {
+    updated = await prisma.user.update({
+      where: { user_id: userId },
+      data,
+      select: USER_ADMIN_FIELDS
+    });
+  } catch (error) {
+    // Unique email or user name taken by an account created in the meantime
+    if (error.code === 'P2002') {
+      throw userManagementError('USER_IDENTIFIER_TAKEN', 'Email or user name belongs to another account');
+    }
+    throw error;
+  }
+
+  await createActivityLog({
+    module: 'users',
+    ...requestContext(request),
+    user_id: userId,
+    level: 'audit',
+    message: `User ${userId} edited by an admin`,
+    action: 'user_updated',
+    status_code: 200,
+    session_id: actor.session_id || null,
+    // Only field names, so the log does not copy the user's personal data
+    metadata: { updated_by_user_id: actor.uid || actor.user_id, fields: Object.keys(fields) }
+  });
+
+  return formatUser(updated);
+}
+
+/**
+ * Suspend a user: deactivate the account and sign it out on every device
+ * Like edits, refused for protected users and users with privileges beyond the admin's
+ * @param {object} actor - req.user of the admin
+ * @param {string} userId - User ID
+ * @param {string|null} reason - Why the user was suspended (audit log only)
+ * @param {object} request - Express request (for the audit entry)
+ * @returns {Promise<object>} { user, sessions_revoked }
+ * @throws {Error} errorKey USER_NOT_FOUND, USER_PROTECTED, USER_PRIVILEGES_EXCEEDED,
+ *   USER_SELF_ACTION_FORBIDDEN, USER_PENDING_DELETION or USER_ALREADY_SUSPENDED
+ */
+async function suspendUser(actor, userId, reason = null, request = null) {
+  const target = await getManagedUser(userId);
+  await assertCanManageUser(actor, target, 'suspended');
+  if (String(target.user_id) === String(actor.uid || actor.user_id)) {
+    throw userManagementError('USER_SELF_ACTION_FORBIDDEN', 'You cannot suspend your own account');
+  }
+  if (target.is_trashed) {
+    throw userManagementError('USER_PENDING_DELETION', 'User is pending deletion');
+  }
+  if (target.status === UserStatusAuthEnum.SUSPENDED) {
+    throw userManagementError('USER_ALREADY_SUSPENDED', 'User is already suspended');
+  }
+
+  const updated = await prisma.user.update({
+    where: { user_id: userId },
+    data: { status: UserStatusAuthEnum.SUSPENDED, is_active: false },
+    select: USER_ADMIN_FIELDS
+  });
+  const sessionsRevoked = await signOutUserEverywhere(userId);
+
+  await createActivityLog({
+    module: 'users',
+    ...requestContext(request),
+    user_id: userId,
+    level: 'audit',
+    message: `User ${userId} suspended`,
+    action: 'user_suspended',
+    status_code: 200,
+    session_id: actor.session_id || null,
+    metadata: {
+      suspended_by_user_id: actor.uid || actor.user_id,
+      reason,
+      previous_status: target.status,
+      sessions_revoked: sessionsRevoked
+    }
+  });
+
+  return { user: formatUser(updated), sessions_revoked: sessionsRevoked };
+}
+
+/**
+ * Restore a suspended user, or a trashed user whose account has not been purged yet
+ * Restoring a trashed user cancels the scheduled deletion, so its cancel link stops working.
+ * Like edits, refused for protected users and users with privileges beyond the admin's
+ * @param {object} actor - req.user of the admin
+ * @param {string} userId - User ID
+ * @param {string|null} reason - Why the user was restored (audit log only)
+ * @param {object} request - Express request (for the audit entry)
+ * @returns {Promise<object>} Restored user
+ * @throws {Error} errorKey USER_NOT_FOUND, USER_PROTECTED, USER_PRIVILEGES_EXCEEDED or USER_NOT_RESTORABLE
+ */
+async function restoreUser(actor, userId, reason = null, request = null) {
+  const target = await getManagedUser(userId);
+  await assertCanManageUser(actor, target, 'restored');
+  if (target.merged_into_user_id) {
+    throw userManagementError('USER_NOT_RESTORABLE', `User was merged into ${target.merged_into_user_id}`);
+  }
+  if (!target.is_trashed && target.status !== UserStatusAuthEnum.SUSPENDED) {
+    throw userManagementError('USER_NOT_RESTORABLE', 'User is neither suspended nor trashed');
+  }
+
+  // purged_at is re-checked so a purge that ran in the meantime is never undone
+  const { count } = await prisma.user.updateMany({
+    where: { user_id: userId, purged_at: null },
+    data: {
+      is_trashed: false,
+      is_active: true,
+      status: UserStatusAuthEnum.ACTIVE,
+      deletion_requested_at: null,
+      purge_scheduled_at: null
+    }
+  });
+  if (count === 0) {
+    throw userManagementError('USER_NOT_FOUND', 'User not found');
+  }
+
+  await createActivityLog({
+    module: 'users',
+    ...requestContext(request),
+    user_id: userId,
+    level: 'audit',
+    message: `User ${userId} restored`,
+    action: 'user_restored',
+    status_code: 200,
+    session_id: actor.session_id || null,
+    metadata: {
+      restored_by_user_id: actor.uid || actor.user_id,
+      reason,
+      previous_status: target.status,
+      was_trashed: Boolean(target.is_trashed)
+    }
+  });
+
+  return getUserForAdmin(userId);
+}
+
+module.exports = {
+  USER_ADMIN_FIELDS,
+  formatUser,
+  buildUserWhere,
+  searchUsers,
+  getUserForAdmin,
+  updateUserByAdmin,
+  suspendUser,
+  restoreUser
+};
@@ -0,0 +1,36 @@
+/**
+ * CSV Utilities
+ * Cell quoting for CSV files that admins open in spreadsheets
+ */
+
+/**
+ * Quote a value as a CSV cell
+ * Lists are joined with ; and values starting with = + - or @ are prefixed with ' so
+ * spreadsheets do not run them as formulas (phone numbers like +14155550123 are left alone)
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = Array.isArray(value) ? value.join(';') : String(value);
+  if (/^[=+\-@]/.test(text) && !/^\+\d+$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render one CSV line, ending with CRLF
+ * @param {Array} values - Cell values
+ * @returns {string} CSV line
+ */
+function csvLine(values) {
+  return `${values.map(csvCell).join(',')}\r\n`;
+}
+
+module.exports = {
+  csvCell,
+  csvLine
+};
@@ -0,0 +1,29 @@
+/**
+ * Stream Utilities
+ * Helpers for writing large responses piece by piece
+ */
+
+/**
+ * Write a chunk to a stream, waiting for it to drain when its buffer is full
+ * @param {stream.Writable} output - Destination
+ * @param {Buffer|string} chunk - Data
+ * @returns {Promise<void>}
+ */
+function writeChunk(output, chunk) {
+  if (output.destroyed) {
+    return Promise.reject(new Error('Output stream closed'));
+  }
+  if (output.write(chunk)) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    const onDrain = () => { output.off('close', onClose); resolve(); };
+    const onClose = () => { output.off('drain', onDrain); reject(new Error('Output stream closed')); };
+    output.once('drain', onDrain);
+    output.once('close', onClose);
+  });
+}
+
+module.exports = {
+  writeChunk
+};
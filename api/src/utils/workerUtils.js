@@ -30,23 +30,33 @@ async function executeInWorker(task, payload) {
 /**
  * Hash password in worker thread (non-blocking)
  * @param {string} password - Password to hash
- * @param {number} rounds - Bcrypt rounds (default: 10)
- * @returns {Promise<string>} Hashed password
+ * @returns {Promise<string>} Versioned scrypt hash (see src/authenticate/password_hash.js)
  */
-async function hashPasswordInWorker(password, rounds = 10) {
-  return await executeInWorker('hashPassword', { password, rounds });
+async function hashPasswordInWorker(password) {
+  return await executeInWorker('hashPassword', { password });
 }
 
 /**
  * Compare password in worker thread (non-blocking)
  * @param {string} password - Plain password
- * @param {string} hash - Hashed password
+ * @param {string} hash - Hashed password (scrypt or legacy bcrypt)
  * @returns {Promise<boolean>} True if passwords match
  */
 async function comparePasswordInWorker(password, hash) {
   return await executeInWorker('comparePassword', { password, hash });
 }
 
+/**
+ * Parse and validate a user import file in worker thread (non-blocking)
+ * @param {string} content - File content
+ * @param {string} format - csv or ndjson
+ * @param {number} maxRows - Most rows accepted
+ * @returns {Promise<object>} Result of parseUserImportFile (see src/users/import_parser.js)
+ */
+async function parseUserImportInWorker(content, format, maxRows) {
+  return await executeInWorker('parseUserImport', { content, format, maxRows });
+}
+
 /**
  * Terminate worker pool (for graceful shutdown)
  */
@@ -61,6 +71,7 @@ module.exports = {
   executeInWorker,
   hashPasswordInWorker,
   comparePasswordInWorker,
+  parseUserImportInWorker,
   terminateWorkerPool,
   getWorkerPool
 };
@@ -0,0 +1,114 @@
+/**
+ * XLSX Utilities
+ * Streams a single-sheet spreadsheet (Office Open XML) through createZipStream, row by row.
+ * Text is written as inline strings, so there is no shared-string table to keep in memory
+ */
+
+const { createZipStream } = require('./zip');
+
+const CONTENT_TYPES = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+  + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+  + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+  + '<Default Extension="xml" ContentType="application/xml"/>'
+  + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+  + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+  + '</Types>';
+
+const ROOT_RELS = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+  + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+  + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+  + '</Relationships>';
+
+const WORKBOOK_RELS = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+  + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+  + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+  + '</Relationships>';
+
+// Longest text a spreadsheet cell can hold
+const MAX_CELL_LENGTH = 32767;
+
+/**
+ * Escape text for XML, dropping control characters XML 1.0 does not allow
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return text
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Spreadsheet column letters for a zero-based index (0 -> A, 26 -> AA)
+ * @param {number} index - Column index
+ * @returns {string} Column letters
+ */
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * Render one cell; empty values are left out
+ * @param {*} value - String, number, boolean or null
+ * @param {string} ref - Cell reference, e.g. B7
+ * @returns {string} Cell XML
+ */
+function renderCell(value, ref) {
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+  if (typeof value === 'boolean') {
+    return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"><v>${value}</v></c>`;
+  }
+  const text = escapeXml(String(value).slice(0, MAX_CELL_LENGTH));
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${text}</t></is></c>`;
+}
+
+/**
+ * Write a spreadsheet to a stream
+ * @param {stream.Writable} output - Destination, e.g. an Express response
+ * @param {string} sheetName - Name of the only sheet (at most 31 characters)
+ * @returns {Promise<object>} { writeRow(values), finish() }
+ */
+async function createXlsxStream(output, sheetName = 'Sheet1') {
+  const zip = createZipStream(output);
+  await zip.addFile('[Content_Types].xml', CONTENT_TYPES);
+  await zip.addFile('_rels/.rels', ROOT_RELS);
+  await zip.addFile('xl/_rels/workbook.xml.rels', WORKBOOK_RELS);
+  await zip.addFile('xl/workbook.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+    + `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>`
+    + '</workbook>');
+
+  const sheet = await zip.openFile('xl/worksheets/sheet1.xml');
+  await sheet.write('<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>');
+  let rowNumber = 0;
+
+  return {
+    async writeRow(values) {
+      rowNumber += 1;
+      const cells = values.map((value, index) => renderCell(value, `${columnName(index)}${rowNumber}`)).join('');
+      await sheet.write(`<row r="${rowNumber}">${cells}</row>`);
+    },
+    async finish() {
+      await sheet.write('</sheetData></worksheet>');
+      await sheet.close();
+      await zip.finish();
+    }
+  };
+}
+
+module.exports = {
+  createXlsxStream
+};
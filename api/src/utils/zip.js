@@ -0,0 +1,225 @@
+/**
+ * ZIP Utilities
+ * Builds small ZIP archives in memory with zlib, for generated files such as data exports,
+ * and writes larger ones straight to a stream (e.g. XLSX downloads) without holding them in memory
+ */
+
+const zlib = require('zlib');
+const { writeChunk } = require('./stream');
+
+// CRC-32 (IEEE) lookup table
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 checksum of a buffer
+ * @param {Buffer} buffer - Data
+ * @param {number} previous - Checksum of the data before this buffer, to checksum data piece by piece
+ * @returns {number} Unsigned checksum
+ */
+function crc32(buffer, previous = 0) {
+  let crc = (previous ^ 0xffffffff) >>> 0;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * DOS date and time fields used in ZIP headers
+ * @param {Date} date - Timestamp
+ * @returns {object} { time, date }
+ */
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Build a deflate-compressed ZIP archive
+ * No ZIP64 support - every file and the whole archive must stay below 4 GB
+ * @param {Array<object>} files - [{ name, data }] where data is a Buffer or string
+ * @param {Date} modifiedAt - Timestamp stored for every file (default: now)
+ * @returns {Buffer} ZIP archive
+ */
+function createZip(files, modifiedAt = new Date()) {
+  const { time, date } = dosDateTime(modifiedAt);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf8');
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(String(file.data), 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const checksum = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);            // version needed to extract
+    local.writeUInt16LE(0x0800, 6);        // UTF-8 file names
+    local.writeUInt16LE(8, 8);             // deflate
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(checksum, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);          // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+/**
+ * Write a deflate-compressed ZIP archive to a stream, one file after another
+ * Files are compressed as they are written, so only the central directory is kept in memory.
+ * Sizes and checksums follow each file in a data descriptor. No ZIP64 support, as for createZip
+ * @param {stream.Writable} output - Destination, e.g. an Express response
+ * @param {Date} modifiedAt - Timestamp stored for every file (default: now)
+ * @returns {object} { addFile(name, data), openFile(name), finish() }
+ */
+function createZipStream(output, modifiedAt = new Date()) {
+  const { time, date } = dosDateTime(modifiedAt);
+  const centralParts = [];
+  let offset = 0;
+  let count = 0;
+
+  const write = async (chunk) => {
+    await writeChunk(output, chunk);
+    offset += chunk.length;
+  };
+
+  /**
+   * Start a file; write its content with write() and close it with close() before the next file
+   */
+  async function openFile(fileName) {
+    const name = Buffer.from(fileName, 'utf8');
+    const headerOffset = offset;
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0808, 6);        // UTF-8 file names, sizes in the data descriptor
+    local.writeUInt16LE(8, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt16LE(name.length, 26);
+    await write(Buffer.concat([local, name]));
+
+    let checksum = 0;
+    let size = 0;
+    let compressedSize = 0;
+    const deflate = zlib.createDeflateRaw();
+    let pending = Promise.resolve();
+    deflate.on('data', (compressed) => {
+      compressedSize += compressed.length;
+      deflate.pause();
+      pending = pending.then(() => write(compressed)).finally(() => deflate.resume());
+      // Failures surface from write() or close(); this only keeps Node from reporting them as unhandled
+      pending.catch(() => {});
+    });
+    const ended = new Promise((resolve, reject) => {
+      deflate.once('end', resolve);
+      deflate.once('error', reject);
+    });
+    ended.catch(() => {});
+
+    return {
+      async write(data) {
+        const chunk = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+        checksum = crc32(chunk, checksum);
+        size += chunk.length;
+        if (!deflate.write(chunk)) {
+          await new Promise(resolve => deflate.once('drain', resolve));
+        }
+        await pending;
+      },
+      async close() {
+        deflate.end();
+        await ended;
+        await pending;
+
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(checksum, 4);
+        descriptor.writeUInt32LE(compressedSize, 8);
+        descriptor.writeUInt32LE(size, 12);
+        await write(descriptor);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0808, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(date, 14);
+        central.writeUInt32LE(checksum, 16);
+        central.writeUInt32LE(compressedSize, 20);
+        central.writeUInt32LE(size, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(headerOffset, 42);
+        centralParts.push(central, name);
+        count += 1;
+      }
+    };
+  }
+
+  return {
+    openFile,
+    async addFile(fileName, data) {
+      const file = await openFile(fileName);
+      await file.write(data);
+      await file.close();
+    },
+    async finish() {
+      const centralDirectory = Buffer.concat(centralParts);
+      const centralOffset = offset;
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(0x06054b50, 0);
+      end.writeUInt16LE(count, 8);
+      end.writeUInt16LE(count, 10);
+      end.writeUInt32LE(centralDirectory.length, 12);
+      end.writeUInt32LE(centralOffset, 16);
+      await write(Buffer.concat([centralDirectory, end]));
+    }
+  };
+}
+
+module.exports = {
+  crc32,
+  createZip,
+  createZipStream
+};
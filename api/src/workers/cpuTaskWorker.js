@@ -4,6 +4,8 @@
  */
 
 const { parentPort } = require('worker_threads');
+const { createPasswordHash, verifyPasswordHash } = require('../authenticate/password_hash');
+const { parseUserImportFile } = require('../users/import_parser');
 
 parentPort.on('message', async (data) => {
   try {
@@ -12,13 +14,16 @@ parentPort.on('message', async (data) => {
 
     switch (task) {
       case 'hashPassword':
-        const bcrypt = require('bcryptjs');
-        result = await bcrypt.hash(payload.password, payload.rounds || 10);
+        result = await createPasswordHash(payload.password);
         break;
 
       case 'comparePassword':
-        const bcryptCompare = require('bcryptjs');
-        result = await bcryptCompare.compare(payload.password, payload.hash);
+        // Accepts both scrypt and legacy bcrypt hashes
+        result = await verifyPasswordHash(payload.password, payload.hash);
+        break;
+
+      case 'parseUserImport':
+        result = parseUserImportFile(payload.content, payload.format, payload.maxRows);
         break;
 
       case 'processImage':
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+jest.mock('../../src/logger/logger', () => require('../helpers/logger'));
+
+const { GEOIP_MAGIC, GEOIP_VERSION, GEOIP_HEADER_SIZE, GEOIP_RECORD_SIZE, parseIp } = require('../../src/activity/geoip');
+
+const RANGES = [
+  ['1.0.0.0', '1.0.0.255', 'AU'],
+  ['5.255.255.0', '5.255.255.255', 'NL'],
+  ['203.0.113.0', '203.0.113.127', 'JP'],
+  ['2001:db8::', '2001:db8:ffff:ffff:ffff:ffff:ffff:ffff', 'DE'],
+  ['2a00::', '2a00:ffff:ffff:ffff:ffff:ffff:ffff:ffff', 'GB']
+];
+
+let savedEnv;
+let tempDir;
+
+/**
+ * Serialize ranges in the database file format
+ */
+function buildDatabase(ranges) {
+  const tables = { 4: [], 16: [] };
+  for (const [start, end, country] of ranges) {
+    const startBytes = parseIp(start);
+    tables[startBytes.length].push(Buffer.concat([startBytes, parseIp(end), Buffer.from(country, 'ascii')]));
+  }
+  const header = Buffer.alloc(GEOIP_HEADER_SIZE);
+  header.write(GEOIP_MAGIC, 0, 'ascii');
+  header.writeUInt8(GEOIP_VERSION, 4);
+  header.writeUInt32BE(tables[4].length, 8);
+  header.writeUInt32BE(tables[16].length, 12);
+  return Buffer.concat([header, ...tables[4], ...tables[16]]);
+}
+
+/**
+ * Load a fresh copy of the module; the database path is read at require time
+ */
+function loadGeoip(databasePath) {
+  process.env.GEOIP_DATABASE_PATH = databasePath;
+  let module;
+  jest.isolateModules(() => {
+    module = require('../../src/activity/geoip');
+  });
+  return module;
+}
+
+beforeAll(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'geoip-'));
+  fs.writeFileSync(path.join(tempDir, 'country.bin'), buildDatabase(RANGES));
+  fs.writeFileSync(path.join(tempDir, 'country.bin.gz'), zlib.gzipSync(buildDatabase(RANGES)));
+  fs.writeFileSync(path.join(tempDir, 'invalid.bin'), Buffer.from('not a database'));
+});
+
+afterAll(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  savedEnv = { ...process.env };
+  jest.clearAllMocks();
+});
+
+afterEach(() => {
+  process.env = savedEnv;
+});
+
+describe('parseIp', () => {
+  test('parses IPv4 addresses', () => {
+    expect(parseIp('203.0.113.7')).toEqual(Buffer.from([203, 0, 113, 7]));
+  });
+
+  test('parses IPv6 addresses with compressed groups, brackets and zone IDs', () => {
+    const expected = Buffer.from('20010db8000000000000000000000001', 'hex');
+
+    expect(parseIp('2001:db8::1')).toEqual(expected);
+    expect(parseIp('[2001:db8::1]')).toEqual(expected);
+    expect(parseIp('2001:db8::1%eth0')).toEqual(expected);
+    expect(parseIp('::')).toEqual(Buffer.alloc(16));
+  });
+
+  test('returns IPv4-mapped IPv6 addresses as IPv4', () => {
+    expect(parseIp('::ffff:203.0.113.7')).toEqual(Buffer.from([203, 0, 113, 7]));
+    expect(parseIp('::ffff:cb00:7107')).toEqual(Buffer.from([203, 0, 113, 7]));
+  });
+
+  test('keeps other embedded IPv4 tails in IPv6 form', () => {
+    expect(parseIp('64:ff9b::203.0.113.7')).toEqual(Buffer.from('0064ff9b0000000000000000cb007107', 'hex'));
+  });
+
+  test('returns null for anything else', () => {
+    expect(parseIp('')).toBeNull();
+    expect(parseIp(null)).toBeNull();
+    expect(parseIp('localhost')).toBeNull();
+    expect(parseIp('256.0.0.1')).toBeNull();
+  });
+
+  test('matches the record sizes of the database format', () => {
+    expect(GEOIP_RECORD_SIZE[4]).toBe(parseIp('1.2.3.4').length * 2 + 2);
+    expect(GEOIP_RECORD_SIZE[16]).toBe(parseIp('::1').length * 2 + 2);
+  });
+});
+
+describe('lookupCountry', () => {
+  test('returns null until the database is loaded', async () => {
+    const { lookupCountry, loadDatabase } = loadGeoip(path.join(tempDir, 'country.bin'));
+
+    expect(lookupCountry('203.0.113.7')).toBeNull();
+    await loadDatabase();
+    expect(lookupCountry('203.0.113.7')).toBe('JP');
+  });
+
+  test('finds IPv4, IPv6 and IPv4-mapped addresses', async () => {
+    const { lookupCountry, loadDatabase } = loadGeoip(path.join(tempDir, 'country.bin'));
+    await loadDatabase();
+
+    expect(lookupCountry('1.0.0.0')).toBe('AU');
+    expect(lookupCountry('1.0.0.255')).toBe('AU');
+    expect(lookupCountry('5.255.255.42')).toBe('NL');
+    expect(lookupCountry('::ffff:5.255.255.42')).toBe('NL');
+    expect(lookupCountry('2001:db8:1::5')).toBe('DE');
+    expect(lookupCountry('2a00:1450::1')).toBe('GB');
+  });
+
+  test('returns null for addresses outside every range', async () => {
+    const { lookupCountry, loadDatabase } = loadGeoip(path.join(tempDir, 'country.bin'));
+    await loadDatabase();
+
+    expect(lookupCountry('0.255.255.255')).toBeNull();
+    expect(lookupCountry('1.0.1.0')).toBeNull();
+    expect(lookupCountry('203.0.113.128')).toBeNull();
+    expect(lookupCountry('255.255.255.255')).toBeNull();
+    expect(lookupCountry('::1')).toBeNull();
+    expect(lookupCountry('not an ip')).toBeNull();
+  });
+
+  test('reads gzipped database files', async () => {
+    const { lookupCountry, loadDatabase } = loadGeoip(path.join(tempDir, 'country.bin.gz'));
+
+    const database = await loadDatabase();
+
+    expect(database[4].count).toBe(3);
+    expect(database[16].count).toBe(2);
+    expect(lookupCountry('2a00::1')).toBe('GB');
+  });
+
+  test('loads the file only once', async () => {
+    const { loadDatabase } = loadGeoip(path.join(tempDir, 'country.bin'));
+
+    expect(loadDatabase()).toBe(loadDatabase());
+  });
+
+  test('a missing or invalid file disables lookups', async () => {
+    const logger = require('../../src/logger/logger');
+
+    for (const file of ['missing.bin', 'invalid.bin']) {
+      const { lookupCountry, loadDatabase } = loadGeoip(path.join(tempDir, file));
+      await expect(loadDatabase()).resolves.toBeNull();
+      expect(lookupCountry('203.0.113.7')).toBeNull();
+    }
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Not a GeoIP country database'), expect.any(Object));
+  });
+});
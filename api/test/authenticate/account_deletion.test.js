@@ -0,0 +1,247 @@
+process.env.JWT_SECRET_KEY = 'test-hs256-secret';
+
+jest.mock('../../src/logger/logger', () => require('../helpers/logger'));
+jest.mock('../../src/cache/cache', () => require('../helpers/memory_cache').createMemoryCache());
+jest.mock('../../src/db/prisma', () => ({
+  Prisma: { DbNull: Symbol('DbNull') },
+  prisma: {
+    user: { update: jest.fn(), updateMany: jest.fn(), findMany: jest.fn() },
+    dataExport: { findMany: jest.fn() },
+    $transaction: jest.fn()
+  }
+}));
+jest.mock('../../src/activity/activityLog', () => ({
+  ...jest.requireActual('../../src/activity/activityLog'),
+  createActivityLog: jest.fn()
+}));
+jest.mock('../../src/authenticate/session_registry', () => ({ signOutUserEverywhere: jest.fn() }));
+jest.mock('../../src/storage/storage', () => ({ deleteUserFiles: jest.fn(), deleteFromGoogleStorage: jest.fn() }));
+jest.mock('../../src/email/email', () => ({ sendAccountDeletionEmail: jest.fn(), sendAccountLockedEmail: jest.fn() }));
+jest.mock('../../src/sms/sms', () => ({ sendSMS: jest.fn() }));
+
+const { prisma, Prisma } = require('../../src/db/prisma');
+const { createActivityLog } = require('../../src/activity/activityLog');
+const { signOutUserEverywhere } = require('../../src/authenticate/session_registry');
+const { deleteUserFiles, deleteFromGoogleStorage } = require('../../src/storage/storage');
+const { sendAccountDeletionEmail } = require('../../src/email/email');
+const { sendSMS } = require('../../src/sms/sms');
+const { signToken } = require('../../src/authenticate/keystore');
+const { UserStatusAuthEnum } = require('../../src/enum/enum');
+const {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  purgeAccount,
+  purgeDeletedAccounts
+} = require('../../src/authenticate/account_deletion');
+
+const TX_MODELS = [
+  'userGroup', 'oAuthIdentity', 'userMfa', 'mfaRecoveryCode', 'passkeyCredential', 'userSession',
+  'apiKey', 'passwordHistory', 'loginSource', 'dataExport'
+];
+
+let savedEnv;
+let tx;
+
+function buildTx(purgeCount) {
+  const client = {
+    user: { updateMany: jest.fn(async () => ({ count: purgeCount })) },
+    invitation: { updateMany: jest.fn(async () => ({ count: 0 })) },
+    activityLog: { updateMany: jest.fn(async () => ({ count: 3 })) }
+  };
+  for (const model of TX_MODELS) {
+    client[model] = { deleteMany: jest.fn(async () => ({ count: 0 })) };
+  }
+  return client;
+}
+
+function linkToken(link) {
+  return new URL(link).searchParams.get('token');
+}
+
+async function scheduleDeletion(user) {
+  prisma.user.update.mockImplementation(async ({ data }) => ({ ...user, ...data }));
+  const result = await requestAccountDeletion(user, null);
+  return { result, token: linkToken(sendAccountDeletionEmail.mock.calls[0][2]) };
+}
+
+beforeEach(() => {
+  savedEnv = { ...process.env };
+  delete process.env.GOOGLE_STORAGE_BUCKET_NAME;
+  jest.clearAllMocks();
+  tx = buildTx(1);
+  prisma.$transaction.mockImplementation(async callback => callback(tx));
+  signOutUserEverywhere.mockResolvedValue(2);
+  sendAccountDeletionEmail.mockResolvedValue(true);
+});
+
+afterEach(() => {
+  process.env = savedEnv;
+});
+
+describe('requestAccountDeletion', () => {
+  test('deactivates the account, signs it out and schedules the purge', async () => {
+    const before = Date.now();
+    const { result } = await scheduleDeletion({ user_id: 'u1', email: 'user@example.com' });
+
+    const { data } = prisma.user.update.mock.calls[0][0];
+    expect(data).toMatchObject({ is_trashed: true, is_active: false, status: UserStatusAuthEnum.DELETED });
+    expect(data.purge_scheduled_at.getTime() - data.deletion_requested_at.getTime()).toBe(ACCOUNT_DELETION_GRACE_DAYS * 86400000);
+    expect(data.deletion_requested_at.getTime()).toBeGreaterThanOrEqual(before);
+    expect(signOutUserEverywhere).toHaveBeenCalledWith('u1');
+    expect(result).toEqual({ purge_scheduled_at: data.purge_scheduled_at, notified: true });
+    expect(sendAccountDeletionEmail).toHaveBeenCalledWith('user@example.com', data.purge_scheduled_at.toUTCString(), expect.stringContaining('?token='));
+    expect(createActivityLog).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'account_deletion_requested',
+      metadata: expect.objectContaining({ sessions_revoked: 2, notified: true })
+    }));
+  });
+
+  test('texts the cancel link to phone-only accounts', async () => {
+    sendSMS.mockResolvedValue({ success: true });
+    prisma.user.update.mockImplementation(async ({ data }) => ({ user_id: 'u1', email: null, phone_number: { phone: '+31612345678' }, ...data }));
+
+    const { notified } = await requestAccountDeletion({ user_id: 'u1' });
+
+    expect(notified).toBe(true);
+    expect(sendSMS).toHaveBeenCalledWith('+31612345678', expect.stringContaining('Changed your mind?'));
+  });
+
+  test('a failing notice does not stop the deletion', async () => {
+    sendAccountDeletionEmail.mockRejectedValue(new Error('SMTP down'));
+
+    const { result } = await scheduleDeletion({ user_id: 'u1', email: 'user@example.com' });
+
+    expect(result.notified).toBe(false);
+    expect(createActivityLog).toHaveBeenCalled();
+  });
+
+  test('protected accounts cannot be deleted', async () => {
+    await expect(requestAccountDeletion({ user_id: 'u1', is_protected: true }))
+      .rejects.toMatchObject({ errorKey: 'ACCOUNT_DELETION_PROTECTED' });
+    expect(prisma.user.update).not.toHaveBeenCalled();
+    expect(signOutUserEverywhere).not.toHaveBeenCalled();
+  });
+});
+
+describe('cancelAccountDeletion', () => {
+  test('restores the account named in the link for that deletion request only', async () => {
+    const { token } = await scheduleDeletion({ user_id: 'u1', email: 'user@example.com' });
+    const { data } = prisma.user.update.mock.calls[0][0];
+    prisma.user.updateMany.mockResolvedValue({ count: 1 });
+
+    await expect(cancelAccountDeletion(token, null)).resolves.toEqual({ user_id: 'u1' });
+
+    const { where, data: restored } = prisma.user.updateMany.mock.calls[0][0];
+    expect(where).toMatchObject({
+      user_id: 'u1',
+      is_trashed: true,
+      purged_at: null,
+      merged_into_user_id: null,
+      deletion_requested_at: data.deletion_requested_at
+    });
+    expect(restored).toMatchObject({ is_trashed: false, is_active: true, status: UserStatusAuthEnum.ACTIVE, purge_scheduled_at: null });
+    expect(createActivityLog).toHaveBeenCalledWith(expect.objectContaining({ action: 'account_deletion_cancelled' }));
+  });
+
+  test('a used, replaced or purged deletion cannot be cancelled', async () => {
+    const { token } = await scheduleDeletion({ user_id: 'u1', email: 'user@example.com' });
+    prisma.user.updateMany.mockResolvedValue({ count: 0 });
+
+    await expect(cancelAccountDeletion(token, null)).rejects.toMatchObject({ errorKey: 'ACCOUNT_DELETION_NOT_PENDING' });
+  });
+
+  test('rejects links that are not deletion cancel links', async () => {
+    const otherAudience = signToken({ sub: 'u1', req: Date.now(), type: 'account_deletion', aud: 'login_alert' }, { expiresIn: 60 });
+    const noRequest = signToken({ sub: 'u1', type: 'account_deletion', aud: 'account_deletion' }, { expiresIn: 60 });
+
+    for (const token of ['garbage', otherAudience, noRequest]) {
+      await expect(cancelAccountDeletion(token, null)).rejects.toMatchObject({ errorKey: 'ACCOUNT_DELETION_LINK_INVALID' });
+    }
+    expect(prisma.user.updateMany).not.toHaveBeenCalled();
+  });
+});
+
+describe('purgeAccount', () => {
+  test('anonymizes the user and removes everything linked to it', async () => {
+    await expect(purgeAccount('u1')).resolves.toBe(true);
+
+    const { where, data } = tx.user.updateMany.mock.calls[0][0];
+    expect(where).toMatchObject({ user_id: 'u1', is_trashed: true, purged_at: null, is_protected: { not: true } });
+    expect(data).toMatchObject({ email: null, user_name: null, first_name: null, phone_number: Prisma.DbNull, mfa_enabled: false });
+    expect(data.purged_at).toBeInstanceOf(Date);
+    for (const model of TX_MODELS) {
+      expect(tx[model].deleteMany).toHaveBeenCalledWith({ where: { user_id: 'u1' } });
+    }
+    expect(tx.invitation.updateMany).toHaveBeenCalledWith(expect.objectContaining({ where: expect.objectContaining({ invited_by_user_id: 'u1' }) }));
+    expect(createActivityLog).toHaveBeenCalledWith(expect.objectContaining({ action: 'account_purged', user_id: 'u1' }));
+  });
+
+  test('scrubs messages, endpoints and request details from the activity log', async () => {
+    await purgeAccount('u1');
+
+    expect(tx.activityLog.updateMany).toHaveBeenCalledWith({
+      where: { user_id: 'u1' },
+      data: {
+        message: 'Redacted: account purged',
+        endpoint: null,
+        ip_address: null,
+        user_agent: null,
+        metadata: Prisma.DbNull,
+        error_details: Prisma.DbNull
+      }
+    });
+  });
+
+  test('leaves cancelled or protected accounts untouched', async () => {
+    tx = buildTx(0);
+
+    await expect(purgeAccount('u1')).resolves.toBe(false);
+
+    expect(tx.userGroup.deleteMany).not.toHaveBeenCalled();
+    expect(tx.activityLog.updateMany).not.toHaveBeenCalled();
+    expect(createActivityLog).not.toHaveBeenCalled();
+  });
+
+  test('deletes uploaded files and export files before touching the database', async () => {
+    process.env.GOOGLE_STORAGE_BUCKET_NAME = 'bucket';
+    prisma.dataExport.findMany.mockResolvedValue([{ object_path: 'exports/u1/export.zip' }]);
+    deleteFromGoogleStorage.mockResolvedValue(true);
+
+    await purgeAccount('u1');
+
+    expect(deleteUserFiles).toHaveBeenCalledWith('u1');
+    expect(deleteFromGoogleStorage).toHaveBeenCalledWith('exports/u1', 'export.zip');
+    expect(prisma.$transaction).toHaveBeenCalled();
+  });
+
+  test('keeps the account when a file cannot be deleted', async () => {
+    process.env.GOOGLE_STORAGE_BUCKET_NAME = 'bucket';
+    prisma.dataExport.findMany.mockResolvedValue([{ object_path: 'exports/u1/export.zip' }]);
+    deleteFromGoogleStorage.mockResolvedValue(false);
+
+    await expect(purgeAccount('u1')).rejects.toThrow('could not be deleted');
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+});
+
+test('purgeDeletedAccounts purges due accounts and skips failures until the next run', async () => {
+  const due = ['u1', 'u2', 'u3'];
+  prisma.user.findMany.mockImplementation(async ({ where }) => due
+    .filter(userId => !where.user_id.notIn.includes(userId))
+    .map(userId => ({ user_id: userId })));
+  prisma.$transaction.mockImplementation(async callback => {
+    await callback(tx);
+    const { where: { user_id: userId } } = tx.user.updateMany.mock.lastCall[0];
+    if (userId === 'u2') {
+      throw new Error('deadlock');
+    }
+    due.splice(due.indexOf(userId), 1);
+    return true;
+  });
+
+  await expect(purgeDeletedAccounts()).resolves.toEqual({ purged: 2, skipped: 1 });
+  expect(prisma.user.findMany).toHaveBeenLastCalledWith(expect.objectContaining({
+    where: expect.objectContaining({ user_id: { notIn: ['u2'] } })
+  }));
+});
@@ -0,0 +1,101 @@
+jest.mock('../../src/logger/logger', () => require('../helpers/logger'));
+jest.mock('../../src/cache/cache', () => require('../helpers/memory_cache').createMemoryCache());
+jest.mock('../../src/db/prisma', () => ({
+  prisma: {
+    breakGlassCode: { updateMany: jest.fn(), update: jest.fn(), create: jest.fn(), findMany: jest.fn() }
+  }
+}));
+jest.mock('../../src/activity/activityLog', () => ({
+  ...jest.requireActual('../../src/activity/activityLog'),
+  createActivityLog: jest.fn()
+}));
+jest.mock('../../src/authenticate/checkpoint', () => ({
+  getUserByEmailOrPhone: jest.fn()
+}));
+
+const { prisma } = require('../../src/db/prisma');
+const { createActivityLog } = require('../../src/activity/activityLog');
+const { getUserByEmailOrPhone } = require('../../src/authenticate/checkpoint');
+const { mintBreakGlassCode, consumeBreakGlassCode, isBreakGlassCode } = require('../../src/authenticate/break_glass');
+
+let rows;
+
+function matches(row, where) {
+  return Object.entries(where).every(([field, condition]) => {
+    if (condition && condition.gt) {
+      return row[field] > condition.gt;
+    }
+    return row[field] === condition;
+  });
+}
+
+beforeEach(() => {
+  rows = [];
+  jest.clearAllMocks();
+  getUserByEmailOrPhone.mockResolvedValue({ user_id: 5 });
+  createActivityLog.mockResolvedValue({});
+
+  prisma.breakGlassCode.create.mockImplementation(async ({ data }) => {
+    const row = { used_at: null, revoked_at: null, ...data };
+    rows.push(row);
+    return row;
+  });
+  prisma.breakGlassCode.findMany.mockImplementation(async ({ where }) => rows.filter(row => matches(row, where)));
+  prisma.breakGlassCode.updateMany.mockImplementation(async ({ where, data }) => {
+    const hit = rows.filter(row => matches(row, where));
+    hit.forEach(row => Object.assign(row, data));
+    return { count: hit.length };
+  });
+  prisma.breakGlassCode.update.mockImplementation(async ({ where, data }) => {
+    const row = rows.find(candidate => candidate.code_id === where.code_id);
+    return Object.assign(row, data);
+  });
+});
+
+test('mints a prefixed code stored only as a hash and audits it', async () => {
+  const { code } = await mintBreakGlassCode({ identifier: ' Ops@Example.com ', reason: 'SMTP outage', created_by_user_id: 1 });
+
+  expect(isBreakGlassCode(code)).toBe(true);
+  expect(rows[0].identifier).toBe('ops@example.com');
+  expect(JSON.stringify(rows[0])).not.toContain(code);
+  expect(createActivityLog).toHaveBeenCalledWith(expect.objectContaining({ action: 'break_glass_code_mint', level: 'audit', platform: 'cli' }));
+});
+
+test('rejects a ttl outside the allowed range', async () => {
+  await expect(mintBreakGlassCode({ identifier: 'ops@example.com', ttl_minutes: 61 })).rejects.toMatchObject({ errorKey: 'AUTH_INVALID_PAYLOAD' });
+  await expect(mintBreakGlassCode({ identifier: '' })).rejects.toMatchObject({ errorKey: 'AUTH_INVALID_PAYLOAD' });
+});
+
+test('a code works once, only for its identifier', async () => {
+  const { code } = await mintBreakGlassCode({ identifier: '+1 555-0100', reason: 'SMS outage' });
+
+  expect(await consumeBreakGlassCode('+15550199', code)).toBe(false);
+  expect(await consumeBreakGlassCode('15550100', code, { ip: '203.0.113.9', originalUrl: '/api/auth/verify-otp' })).toBe(true);
+  expect(rows[0]).toMatchObject({ used_ip: '203.0.113.9', used_endpoint: '/api/auth/verify-otp' });
+  expect(await consumeBreakGlassCode('15550100', code)).toBe(false);
+  expect(createActivityLog).toHaveBeenCalledWith(expect.objectContaining({ action: 'break_glass_code_use', user_id: 5 }));
+});
+
+test('minting again revokes the previous code', async () => {
+  const first = await mintBreakGlassCode({ identifier: 'ops@example.com', reason: 'first' });
+  const second = await mintBreakGlassCode({ identifier: 'ops@example.com', reason: 'second' });
+
+  expect(await consumeBreakGlassCode('ops@example.com', first.code)).toBe(false);
+  expect(await consumeBreakGlassCode('ops@example.com', second.code)).toBe(true);
+});
+
+test('refuses an expired code', async () => {
+  const { code } = await mintBreakGlassCode({ identifier: 'ops@example.com', reason: 'test' });
+  rows[0].expires_at = new Date(Date.now() - 1000);
+
+  expect(await consumeBreakGlassCode('ops@example.com', code)).toBe(false);
+});
+
+test('releases the code when the audit entry cannot be written', async () => {
+  const { code } = await mintBreakGlassCode({ identifier: 'ops@example.com', reason: 'test' });
+  createActivityLog.mockRejectedValueOnce(new Error('database down'));
+
+  expect(await consumeBreakGlassCode('ops@example.com', code)).toBe(false);
+  expect(rows[0].used_at).toBeNull();
+  expect(await consumeBreakGlassCode('ops@example.com', code)).toBe(true);
+});
@@ -0,0 +1,73 @@
+jest.mock('../../src/logger/logger', () => require('../helpers/logger'));
+jest.mock('../../src/cache/cache', () => require('../helpers/memory_cache').createMemoryCache());
+jest.mock('../../src/db/prisma', () => ({
+  prisma: { userGroup: { findMany: jest.fn() } }
+}));
+
+const { prisma } = require('../../src/db/prisma');
+const { userPrivilegesCover } = require('../../src/permissions/permissions');
+const { assertCanImpersonate } = require('../../src/authenticate/impersonation');
+
+// user_id -> { group codename: [permission codenames] }
+const MEMBERSHIPS = {
+  1: { super_admin: ['view_users', 'edit_users', 'impersonate_user', 'assign_groups'] },
+  2: { support: ['view_users', 'impersonate_user'] },
+  3: { user: ['view_profile'] },
+  4: { support: ['view_users', 'impersonate_user'] },
+  5: { billing: ['view_invoices'] },
+  6: { super_admin: ['view_users'] }
+};
+
+beforeEach(() => {
+  prisma.userGroup.findMany.mockImplementation(async ({ where }) =>
+    Object.entries(MEMBERSHIPS[where.user_id] || {}).map(([codename, permissions]) => ({
+      group: {
+        group_id: codename,
+        name: codename,
+        codename,
+        is_active: true,
+        groupPermissions: permissions.map(permission => ({
+          permission: { permission_id: permission, name: permission, codename: permission }
+        }))
+      }
+    }))
+  );
+});
+
+describe('userPrivilegesCover', () => {
+  test('super admins cover everyone', async () => {
+    expect(await userPrivilegesCover(1, 6)).toBe(true);
+    expect(await userPrivilegesCover(1, 5)).toBe(true);
+  });
+
+  test('nobody else covers a super admin', async () => {
+    expect(await userPrivilegesCover(2, 6)).toBe(false);
+  });
+
+  test('covers users whose permissions are a subset', async () => {
+    expect(await userPrivilegesCover(2, 4)).toBe(true);
+    expect(await userPrivilegesCover(2, 3)).toBe(false);
+    expect(await userPrivilegesCover(2, 5)).toBe(false);
+  });
+});
+
+describe('assertCanImpersonate', () => {
+  const support = { uid: 2, auth_method: 'password' };
+
+  test('allows a target with no extra permissions', async () => {
+    await expect(assertCanImpersonate(support, { user_id: 4 })).resolves.toBeUndefined();
+  });
+
+  test('refuses API keys, client tokens and nested impersonation', async () => {
+    await expect(assertCanImpersonate({ uid: 2, auth_method: 'api_key' }, { user_id: 4 })).rejects.toMatchObject({ errorKey: 'AUTH_IMPERSONATION_NOT_ALLOWED' });
+    await expect(assertCanImpersonate({ uid: 2, auth_method: 'client' }, { user_id: 4 })).rejects.toMatchObject({ errorKey: 'AUTH_IMPERSONATION_NOT_ALLOWED' });
+    await expect(assertCanImpersonate({ ...support, act: { sub: '1' } }, { user_id: 4 })).rejects.toMatchObject({ errorKey: 'AUTH_IMPERSONATION_NOT_ALLOWED' });
+    await expect(assertCanImpersonate(support, { user_id: 2 })).rejects.toMatchObject({ errorKey: 'AUTH_IMPERSONATION_NOT_ALLOWED' });
+  });
+
+  test('refuses protected users, super admins and users holding other permissions', async () => {
+    await expect(assertCanImpersonate(support, { user_id: 4, is_protected: true })).rejects.toMatchObject({ errorKey: 'AUTH_IMPERSONATION_PROTECTED_USER' });
+    await expect(assertCanImpersonate({ uid: 1 }, { user_id: 6 })).rejects.toMatchObject({ errorKey: 'AUTH_IMPERSONATION_PRIVILEGED_USER' });
+    await expect(assertCanImpersonate(support, { user_id: 5 })).rejects.toMatchObject({ errorKey: 'AUTH_IMPERSONATION_PRIVILEGED_USER' });
+  });
+});
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+jest.mock('../../src/logger/logger', () => require('../helpers/logger'));
+jest.mock('../../src/cache/cache', () => require('../helpers/memory_cache').createMemoryCache());
+
+const SECRET = 'test-hs256-secret';
+const ENV_KEYS = ['JWT_SECRET_KEY', 'JWT_SECRET', 'JWT_ALGORITHM', 'JWT_KEYSTORE_PATH', 'JWT_ACCEPT_HS256', 'JWT_HS256_CUTOVER_AT'];
+const REFRESH_LIFETIME_MS = 43200 * 60 * 1000;
+
+let tmpDir;
+let savedEnv;
+
+/**
+ * Load a fresh copy of the keystore module; it reads its configuration at require time
+ */
+function loadKeystore(env) {
+  for (const key of ENV_KEYS) {
+    delete process.env[key];
+  }
+  Object.assign(process.env, { JWT_KEYSTORE_PATH: path.join(tmpDir, 'jwt-keystore.json') }, env);
+  let keystore;
+  jest.isolateModules(() => {
+    keystore = require('../../src/authenticate/keystore');
+  });
+  return keystore;
+}
+
+function legacyToken(iatMs) {
+  return jwt.sign({ sub: 'user-1', iat: Math.floor(iatMs / 1000) }, SECRET, { algorithm: 'HS256' });
+}
+
+beforeEach(() => {
+  savedEnv = { ...process.env };
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'keystore-test-'));
+});
+
+afterEach(() => {
+  process.env = savedEnv;
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('HS256 mode', () => {
+  test('signs and verifies with JWT_SECRET_KEY', () => {
+    const keystore = loadKeystore({ JWT_SECRET_KEY: SECRET });
+    const token = keystore.signToken({ sub: 'user-1' }, { expiresIn: '5m' });
+
+    expect(jwt.decode(token, { complete: true }).header).toEqual({ alg: 'HS256', typ: 'JWT' });
+    expect(keystore.verifyToken(token).sub).toBe('user-1');
+  });
+
+  test('assertKeystoreConfigured requires the secret', () => {
+    expect(() => loadKeystore({}).assertKeystoreConfigured()).toThrow('JWT_SECRET_KEY');
+    expect(() => loadKeystore({ JWT_SECRET_KEY: SECRET }).assertKeystoreConfigured()).not.toThrow();
+  });
+
+  test('rejects a token signed with another secret', () => {
+    const keystore = loadKeystore({ JWT_SECRET_KEY: SECRET });
+    const token = jwt.sign({ sub: 'user-1' }, 'another-secret', { algorithm: 'HS256' });
+
+    expect(() => keystore.verifyToken(token)).toThrow('invalid signature');
+  });
+});
+
+describe('ES256 mode', () => {
+  test('never generates a keystore on demand', () => {
+    const keystore = loadKeystore({ JWT_ALGORITHM: 'ES256' });
+
+    expect(() => keystore.assertKeystoreConfigured()).toThrow('No JWT keystore');
+    expect(() => keystore.signToken({ sub: 'user-1' })).toThrow('No JWT keystore');
+    expect(fs.existsSync(keystore.JWT_KEYSTORE_PATH)).toBe(false);
+  });
+
+  test('signs with the active key and keeps verifying after rotation', () => {
+    const keystore = loadKeystore({ JWT_ALGORITHM: 'ES256' });
+    keystore.initKeystore();
+    expect(() => keystore.assertKeystoreConfigured()).not.toThrow();
+
+    const before = keystore.signToken({ sub: 'user-1' });
+    const { kid } = jwt.decode(before, { complete: true }).header;
+    expect(kid).toBeTruthy();
+
+    const rotated = keystore.rotateKeys();
+    expect(rotated.retired_kids).toContain(kid);
+
+    const after = keystore.signToken({ sub: 'user-1' });
+    expect(jwt.decode(after, { complete: true }).header.kid).toBe(rotated.active_kid);
+    expect(keystore.verifyToken(before).sub).toBe('user-1');
+    expect(keystore.verifyToken(after).sub).toBe('user-1');
+  });
+
+  test('publishes every key in the JWKS without private parts', () => {
+    const keystore = loadKeystore({ JWT_ALGORITHM: 'ES256' });
+    keystore.initKeystore();
+
+    const { keys } = keystore.getPublicJwks();
+    expect(keys).toHaveLength(2);
+    for (const key of keys) {
+      expect(key).toMatchObject({ kty: 'EC', crv: 'P-256', alg: 'ES256', use: 'sig' });
+      expect(key.d).toBeUndefined();
+    }
+  });
+
+  test('rejects a token with an unknown kid', () => {
+    const keystore = loadKeystore({ JWT_ALGORITHM: 'ES256' });
+    keystore.initKeystore();
+    const token = jwt.sign({ sub: 'user-1' }, SECRET, { algorithm: 'HS256', keyid: 'unknown' });
+
+    expect(() => keystore.verifyToken(token)).toThrow('unknown signing key');
+  });
+});
+
+describe('legacy HS256 tokens after switching to ES256', () => {
+  function loadAsymmetric(env) {
+    const keystore = loadKeystore({ JWT_ALGORITHM: 'ES256', JWT_SECRET_KEY: SECRET, ...env });
+    keystore.initKeystore();
+    return keystore;
+  }
+
+  test('are rejected unless JWT_ACCEPT_HS256 is enabled', () => {
+    const keystore = loadAsymmetric({ JWT_HS256_CUTOVER_AT: new Date().toISOString() });
+
+    expect(() => keystore.verifyToken(legacyToken(Date.now() - 60000))).toThrow('token has no kid');
+  });
+
+  test('are accepted only when issued before the cutover', () => {
+    const cutover = Date.now();
+    const keystore = loadAsymmetric({ JWT_ACCEPT_HS256: 'true', JWT_HS256_CUTOVER_AT: new Date(cutover).toISOString() });
+
+    expect(keystore.verifyToken(legacyToken(cutover - 60000)).sub).toBe('user-1');
+    expect(() => keystore.verifyToken(legacyToken(cutover + 60000))).toThrow('token has no kid');
+  });
+
+  test('are rejected once the longest token lifetime has passed since the cutover', () => {
+    const cutover = Date.now() - REFRESH_LIFETIME_MS - 60000;
+    const keystore = loadAsymmetric({ JWT_ACCEPT_HS256: 'true', JWT_HS256_CUTOVER_AT: new Date(cutover).toISOString() });
+
+    expect(() => keystore.verifyToken(legacyToken(cutover - 60000))).toThrow('token has no kid');
+  });
+
+  test('need a valid cutover time to start', () => {
+    expect(() => loadAsymmetric({ JWT_ACCEPT_HS256: 'true' }).assertKeystoreConfigured()).toThrow('JWT_HS256_CUTOVER_AT');
+    expect(() => loadAsymmetric({ JWT_ACCEPT_HS256: 'true', JWT_HS256_CUTOVER_AT: 'not-a-date' }).assertKeystoreConfigured()).toThrow('JWT_HS256_CUTOVER_AT');
+  });
+});
@@ -0,0 +1,338 @@
+process.env.JWT_SECRET_KEY = 'test-hs256-secret';
+process.env.LOGIN_HOLD_ENABLED = 'true';
+
+jest.mock('../../src/logger/logger', () => require('../helpers/logger'));
+jest.mock('../../src/cache/cache', () => require('../helpers/memory_cache').createMemoryCache());
+jest.mock('../../src/db/prisma', () => ({
+  prisma: {
+    loginSource: { findMany: jest.fn(), upsert: jest.fn(), deleteMany: jest.fn() },
+    user: { findUnique: jest.fn() }
+  }
+}));
+jest.mock('../../src/activity/activityLog', () => ({
+  ...jest.requireActual('../../src/activity/activityLog'),
+  createActivityLog: jest.fn()
+}));
+jest.mock('../../src/activity/geoip', () => ({
+  ...jest.requireActual('../../src/activity/geoip'),
+  lookupCountry: jest.fn(() => 'NL')
+}));
+jest.mock('../../src/email/email', () => ({
+  sendLoginAlertEmail: jest.fn(async () => true),
+  sendOtpEmail: jest.fn(async () => true),
+  sendAccountLockedEmail: jest.fn()
+}));
+jest.mock('../../src/authenticate/otp_cache', () => {
+  const actual = jest.requireActual('../../src/authenticate/otp_cache');
+  return { ...actual, generateOtp: jest.fn(actual.generateOtp) };
+});
+jest.mock('../../src/sms/sms', () => ({ sendSMS: jest.fn(async () => ({ success: true })) }));
+jest.mock('../../src/authenticate/session_registry', () => ({ revokeUserSession: jest.fn() }));
+jest.mock('../../src/authenticate/session_manager', () => ({ revokeRefreshFamily: jest.fn() }));
+
+const cache = require('../../src/cache/cache');
+const { prisma } = require('../../src/db/prisma');
+const { createActivityLog } = require('../../src/activity/activityLog');
+const { sendLoginAlertEmail, sendOtpEmail } = require('../../src/email/email');
+const { sendSMS } = require('../../src/sms/sms');
+const { revokeUserSession } = require('../../src/authenticate/session_registry');
+const { revokeRefreshFamily } = require('../../src/authenticate/session_manager');
+const { signToken } = require('../../src/authenticate/keystore');
+const { generateOtp } = require('../../src/authenticate/otp_cache');
+const {
+  getNetworkRange,
+  describeLoginSource,
+  checkNewSignIn,
+  holdSuspiciousLogin,
+  confirmHeldLogin,
+  denyLogin
+} = require('../../src/authenticate/login_alerts');
+
+const ORIGIN = 'https://app.example.com';
+const CHROME_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const FIREFOX_LINUX = 'Mozilla/5.0 (X11; Linux x86_64; rv:121.0) Gecko/20100101 Firefox/121.0';
+
+const user = { user_id: 42, email: 'user@example.com', is_active: true };
+
+let sources;
+
+function request(ip, userAgent = CHROME_WINDOWS) {
+  return { ip, get: header => (header.toLowerCase() === 'user-agent' ? userAgent : undefined) };
+}
+
+/**
+ * Sign in once from a source so it becomes known
+ */
+async function learn(req) {
+  await checkNewSignIn(user, 'sid-known', 'fid-known', req);
+  jest.clearAllMocks();
+}
+
+function linkToken(link) {
+  return new URL(link).searchParams.get('token');
+}
+
+async function holdAndCaptureOtp(req) {
+  const hold = await holdSuspiciousLogin(user, ORIGIN, req, ['pwd']);
+  const otp = sendOtpEmail.mock.calls[sendOtpEmail.mock.calls.length - 1][1];
+  return { hold, otp };
+}
+
+function wrong(otp) {
+  return otp === '000000' ? '111111' : '000000';
+}
+
+beforeEach(() => {
+  cache.clear();
+  jest.clearAllMocks();
+  sources = [];
+
+  prisma.loginSource.findMany.mockImplementation(async ({ where }) => sources.filter(row => row.user_id === where.user_id));
+  prisma.loginSource.upsert.mockImplementation(async ({ where, create, update }) => {
+    const key = where.user_id_kind_value;
+    const existing = sources.find(row => row.user_id === key.user_id && row.kind === key.kind && row.value === key.value);
+    if (existing) {
+      return Object.assign(existing, update);
+    }
+    sources.push({ ...create });
+    return create;
+  });
+  prisma.loginSource.deleteMany.mockImplementation(async ({ where }) => {
+    const before = sources.length;
+    sources = sources.filter(row => row.user_id !== where.user_id
+      || !where.OR.some(match => match.kind === row.kind && match.value === row.value));
+    return { count: before - sources.length };
+  });
+  prisma.user.findUnique.mockResolvedValue(user);
+  revokeRefreshFamily.mockResolvedValue(null);
+  revokeUserSession.mockResolvedValue(undefined);
+});
+
+describe('getNetworkRange', () => {
+  test('masks IPv4 addresses to the configured /24', () => {
+    expect(getNetworkRange('203.0.113.77')).toBe('203.0.113.0/24');
+    expect(getNetworkRange('::ffff:203.0.113.77')).toBe('203.0.113.0/24');
+  });
+
+  test('masks IPv6 addresses to the configured /48', () => {
+    expect(getNetworkRange('2001:db8:1:2::7')).toBe('2001:db8:1::/48');
+  });
+
+  test('returns null for unparseable addresses', () => {
+    expect(getNetworkRange(null)).toBeNull();
+    expect(getNetworkRange('unknown')).toBeNull();
+  });
+});
+
+test('describeLoginSource combines the device fingerprint, network and country', () => {
+  const source = describeLoginSource(request('203.0.113.77'));
+
+  expect(source.device).toMatch(/^[^/]+\/Chrome\/Windows/);
+  expect(source.network).toBe('203.0.113.0/24');
+  expect(source.country).toBe('NL');
+  expect(source.ip_address).toBe('203.0.113.77');
+});
+
+describe('checkNewSignIn', () => {
+  test('learns the first device and network without an alert', async () => {
+    await checkNewSignIn(user, 'sid-1', 'fid-1', request('203.0.113.77'));
+
+    expect(sendLoginAlertEmail).not.toHaveBeenCalled();
+    expect(createActivityLog).not.toHaveBeenCalled();
+    expect(sources.map(row => row.kind).sort()).toEqual(['device', 'network']);
+  });
+
+  test('does not alert for a known device and network', async () => {
+    await learn(request('203.0.113.77'));
+
+    await checkNewSignIn(user, 'sid-2', 'fid-2', request('203.0.113.9'));
+
+    expect(sendLoginAlertEmail).not.toHaveBeenCalled();
+    expect(createActivityLog).not.toHaveBeenCalled();
+  });
+
+  test('alerts and audits a sign-in from a new device', async () => {
+    await learn(request('203.0.113.77'));
+
+    await checkNewSignIn(user, 'sid-2', 'fid-2', request('203.0.113.77', FIREFOX_LINUX), ['pwd']);
+
+    expect(sendLoginAlertEmail).toHaveBeenCalledWith(user.email, expect.objectContaining({
+      location: 'IP address 203.0.113.77 (NL)',
+      attribution: expect.objectContaining({ url: 'https://db-ip.com' })
+    }), expect.stringContaining('?token='));
+    expect(createActivityLog).toHaveBeenCalledWith(expect.objectContaining({
+      user_id: '42',
+      action: 'suspicious_login',
+      session_id: 'sid-2',
+      metadata: expect.objectContaining({ new_device: true, new_network: false, amr: ['pwd'], alert_sent: true })
+    }));
+  });
+
+  test('alerts a sign-in from a new network by SMS when the user has no email', async () => {
+    const phoneUser = { user_id: 43, email: null, phone_number: { phone: '+31612345678' } };
+    await checkNewSignIn(phoneUser, 'sid-1', 'fid-1', request('203.0.113.77'));
+
+    await checkNewSignIn(phoneUser, 'sid-2', 'fid-2', request('198.51.100.4'));
+
+    expect(sendSMS).toHaveBeenCalledWith('+31612345678', expect.stringContaining('Not you?'));
+    expect(createActivityLog).toHaveBeenCalledWith(expect.objectContaining({
+      metadata: expect.objectContaining({ new_device: false, new_network: true, alert_sent: true })
+    }));
+  });
+
+  test('logs failures instead of throwing', async () => {
+    const logger = require('../../src/logger/logger');
+    prisma.loginSource.findMany.mockRejectedValue(new Error('database down'));
+
+    await expect(checkNewSignIn(user, 'sid-1', 'fid-1', request('203.0.113.77'))).resolves.toBeUndefined();
+    expect(logger.error).toHaveBeenCalledWith('Error checking sign-in source', expect.objectContaining({ error: 'database down' }));
+  });
+});
+
+describe('holdSuspiciousLogin and confirmHeldLogin', () => {
+  test('lets sign-ins from known sources through', async () => {
+    await learn(request('203.0.113.77'));
+
+    await expect(holdSuspiciousLogin(user, ORIGIN, request('203.0.113.77'))).resolves.toBeNull();
+    expect(sendOtpEmail).not.toHaveBeenCalled();
+  });
+
+  test('holds a sign-in from a new source until the OTP is confirmed', async () => {
+    await learn(request('203.0.113.77'));
+    const req = request('198.51.100.4', FIREFOX_LINUX);
+
+    const { hold, otp } = await holdAndCaptureOtp(req);
+
+    expect(hold).toEqual({ confirmation_required: true, hold_token: expect.any(String), channel: 'email', expires_in: 600 });
+    expect(otp).toMatch(/^\d{6}$/);
+    // The code is not stored as a login OTP for the email
+    expect(await cache.get(`otp:${user.email}`)).toBeNull();
+
+    const result = await confirmHeldLogin(hold.hold_token, otp, ORIGIN, req);
+
+    expect(result).toEqual({ user, origin: ORIGIN, amr: ['pwd', 'otp'] });
+    expect(await cache.get(`login_hold:${hold.hold_token}`)).toBeNull();
+    // The confirmed source is known now, so the next sign-in from it is not held
+    await expect(holdSuspiciousLogin(user, ORIGIN, req)).resolves.toBeNull();
+  });
+
+  test('a hold can only be confirmed once', async () => {
+    await learn(request('203.0.113.77'));
+    const req = request('198.51.100.4');
+    const { hold, otp } = await holdAndCaptureOtp(req);
+    await confirmHeldLogin(hold.hold_token, otp, ORIGIN, req);
+
+    await expect(confirmHeldLogin(hold.hold_token, otp, ORIGIN, req)).rejects.toMatchObject({ errorKey: 'LOGIN_HOLD_INVALID' });
+  });
+
+  test('rejects confirmation from another origin', async () => {
+    await learn(request('203.0.113.77'));
+    const req = request('198.51.100.4');
+    const { hold, otp } = await holdAndCaptureOtp(req);
+
+    await expect(confirmHeldLogin(hold.hold_token, otp, 'https://evil.example.com', req))
+      .rejects.toMatchObject({ errorKey: 'TOKEN_DOMAIN_MISMATCH' });
+  });
+
+  test('binds the OTP to its hold', async () => {
+    await learn(request('203.0.113.77'));
+    generateOtp.mockReturnValueOnce('123456').mockReturnValueOnce('654321');
+    const first = await holdAndCaptureOtp(request('198.51.100.4'));
+    await cache.del(`otp_cooldown:${user.email}`);
+    const second = await holdAndCaptureOtp(request('198.51.100.5'));
+
+    await expect(confirmHeldLogin(second.hold.hold_token, first.otp, ORIGIN, request('198.51.100.5')))
+      .rejects.toMatchObject({ errorKey: 'AUTH_OTP_INVALID' });
+    await expect(confirmHeldLogin(first.hold.hold_token, first.otp, ORIGIN, request('198.51.100.4')))
+      .resolves.toMatchObject({ user });
+  });
+
+  test('locks out after repeated wrong codes and discards the hold', async () => {
+    await learn(request('203.0.113.77'));
+    const req = request('198.51.100.4');
+    const { hold, otp } = await holdAndCaptureOtp(req);
+
+    for (let i = 0; i < 4; i++) {
+      await expect(confirmHeldLogin(hold.hold_token, wrong(otp), ORIGIN, req)).rejects.toMatchObject({ errorKey: 'AUTH_OTP_INVALID' });
+    }
+    await expect(confirmHeldLogin(hold.hold_token, wrong(otp), ORIGIN, req))
+      .resolves.toEqual({ errorKey: 'AUTH_OTP_LOCKED', retry_after: 300 });
+
+    expect(await cache.get(`login_hold:${hold.hold_token}`)).toBeNull();
+    await expect(confirmHeldLogin(hold.hold_token, otp, ORIGIN, req)).rejects.toMatchObject({ errorKey: 'LOGIN_HOLD_INVALID' });
+  });
+
+  test('refuses confirmation while the identifier is locked out', async () => {
+    await learn(request('203.0.113.77'));
+    const req = request('198.51.100.4');
+    const { hold, otp } = await holdAndCaptureOtp(req);
+    await cache.set(`otp_lock:id:${user.email}`, { until: Date.now() + 60000 }, 60);
+
+    await expect(confirmHeldLogin(hold.hold_token, otp, ORIGIN, req))
+      .resolves.toEqual({ errorKey: 'AUTH_OTP_LOCKED', retry_after: 60 });
+  });
+
+  test('throttles hold codes like login OTPs', async () => {
+    await learn(request('203.0.113.77'));
+    await holdAndCaptureOtp(request('198.51.100.4'));
+
+    await expect(holdSuspiciousLogin(user, ORIGIN, request('198.51.100.4')))
+      .rejects.toMatchObject({ errorKey: 'AUTH_OTP_RESEND_COOLDOWN', retry_after: 60 });
+  });
+
+  test('lets the sign-in through when the hold cannot be stored', async () => {
+    await learn(request('203.0.113.77'));
+    jest.spyOn(cache, 'set').mockImplementation(async key => !key.startsWith('login_hold:'));
+
+    try {
+      await expect(holdSuspiciousLogin(user, ORIGIN, request('198.51.100.4'))).resolves.toBeNull();
+      expect(sendOtpEmail).not.toHaveBeenCalled();
+    } finally {
+      cache.set.mockRestore();
+    }
+  });
+});
+
+describe('denyLogin', () => {
+  async function alertLink(req) {
+    await learn(request('203.0.113.77'));
+    await checkNewSignIn(user, 'sid-new', 'fid-new', req);
+    return linkToken(sendLoginAlertEmail.mock.calls[0][2]);
+  }
+
+  test('revokes the current session of the refresh family and forgets the new sources', async () => {
+    const token = await alertLink(request('198.51.100.4', FIREFOX_LINUX));
+    revokeRefreshFamily.mockResolvedValue('sid-rotated');
+
+    const result = await denyLogin(token, request('203.0.113.77'));
+
+    expect(result).toEqual({ user_id: '42', session_id: 'sid-rotated', session_revoked: true });
+    expect(revokeRefreshFamily).toHaveBeenCalledWith('fid-new');
+    expect(revokeUserSession).toHaveBeenCalledWith('42', 'sid-rotated');
+    expect(sources.map(row => row.value)).not.toContain('198.51.100.0/24');
+    expect(sources.filter(row => row.kind === 'device')).toHaveLength(1);
+    expect(createActivityLog).toHaveBeenCalledWith(expect.objectContaining({ action: 'login_denied', session_id: 'sid-rotated' }));
+  });
+
+  test('falls back to the session in the link and is harmless to repeat', async () => {
+    const token = await alertLink(request('198.51.100.4'));
+    revokeUserSession.mockRejectedValue(Object.assign(new Error('gone'), { errorKey: 'AUTH_SESSION_NOT_FOUND' }));
+
+    const result = await denyLogin(token, request('203.0.113.77'));
+
+    expect(result).toEqual({ user_id: '42', session_id: 'sid-new', session_revoked: false });
+    expect(createActivityLog).not.toHaveBeenCalledWith(expect.objectContaining({ action: 'login_denied' }));
+  });
+
+  test('rejects tokens that are not login alert links', async () => {
+    const otherAudience = signToken({ sub: '42', sid: 'sid-new', type: 'login_alert', aud: 'mfa' }, { expiresIn: 60 });
+    const otherType = signToken({ sub: '42', sid: 'sid-new', type: 'access', aud: 'login_alert' }, { expiresIn: 60 });
+    const expired = signToken({ sub: '42', sid: 'sid-new', type: 'login_alert', aud: 'login_alert', exp: Math.floor(Date.now() / 1000) - 10 });
+
+    await expect(denyLogin('garbage', null)).rejects.toMatchObject({ errorKey: 'LOGIN_ALERT_LINK_INVALID' });
+    await expect(denyLogin(otherAudience, null)).rejects.toMatchObject({ errorKey: 'LOGIN_ALERT_LINK_INVALID' });
+    await expect(denyLogin(otherType, null)).rejects.toMatchObject({ errorKey: 'LOGIN_ALERT_LINK_INVALID' });
+    await expect(denyLogin(expired, null)).rejects.toMatchObject({ message: 'Login alert link has expired' });
+    expect(revokeUserSession).not.toHaveBeenCalled();
+  });
+});
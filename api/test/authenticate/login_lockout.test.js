@@ -0,0 +1,132 @@
+jest.mock('../../src/logger/logger', () => require('../helpers/logger'));
+jest.mock('../../src/cache/cache', () => require('../helpers/memory_cache').createMemoryCache());
+jest.mock('../../src/activity/activityLog', () => ({
+  ...jest.requireActual('../../src/activity/activityLog'),
+  createActivityLog: jest.fn()
+}));
+jest.mock('../../src/email/email', () => ({ sendAccountLockedEmail: jest.fn() }));
+
+const cache = require('../../src/cache/cache');
+const { createActivityLog } = require('../../src/activity/activityLog');
+const { sendAccountLockedEmail } = require('../../src/email/email');
+const {
+  assertLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures,
+  getLoginLockStatus,
+  unlockLogin
+} = require('../../src/authenticate/login_lockout');
+
+const IP = '203.0.113.9';
+const user = { user_id: 'u1', email: 'user@example.com' };
+const request = { ip: IP, get: () => 'Mozilla/5.0 (X11; Linux x86_64; rv:121.0) Gecko/20100101 Firefox/121.0' };
+
+/**
+ * Let a cached { until } entry run out without waiting
+ */
+async function expire(key) {
+  const entry = await cache.get(key);
+  if (entry) {
+    await cache.set(key, { ...entry, until: Date.now() - 1 });
+  }
+}
+
+async function fail(times, account = user, identifier = 'user@example.com', req = request) {
+  for (let i = 0; i < times; i++) {
+    await expire(`login_backoff:id:${account ? account.user_id : identifier.toLowerCase()}`);
+    await recordLoginFailure(account, identifier, req);
+  }
+}
+
+beforeEach(() => {
+  cache.clear();
+  jest.clearAllMocks();
+});
+
+test('allows the first failures without delay', async () => {
+  await fail(2);
+
+  await expect(assertLoginAllowed(user, 'user@example.com', IP)).resolves.toBeUndefined();
+  expect(createActivityLog).toHaveBeenCalledWith(expect.objectContaining({
+    action: 'login_failed',
+    user_id: 'u1',
+    ip_address: IP,
+    metadata: expect.objectContaining({ failed_attempts: 2, ip_failed_attempts: 2 })
+  }));
+});
+
+test('applies an exponentially growing backoff after LOGIN_BACKOFF_AFTER failures', async () => {
+  await fail(3);
+  await expect(assertLoginAllowed(user, 'user@example.com', IP))
+    .rejects.toMatchObject({ errorKey: 'AUTH_LOGIN_TOO_MANY_ATTEMPTS', retry_after: 2 });
+
+  await fail(1);
+  await expect(assertLoginAllowed(user, 'user@example.com', IP)).rejects.toMatchObject({ retry_after: 4 });
+
+  await fail(5);
+  await expect(assertLoginAllowed(user, 'user@example.com', IP)).rejects.toMatchObject({ retry_after: 60 });
+});
+
+test('locks the account and emails the user after LOGIN_MAX_FAILED_ATTEMPTS failures', async () => {
+  await fail(10);
+
+  await expect(assertLoginAllowed(user, 'user@example.com', IP))
+    .rejects.toMatchObject({ errorKey: 'AUTH_ACCOUNT_LOCKED', retry_after: 900 });
+  expect(sendAccountLockedEmail).toHaveBeenCalledWith('user@example.com', 15);
+  expect(createActivityLog).toHaveBeenCalledWith(expect.objectContaining({ action: 'login_account_locked', status_code: 423 }));
+  await expect(getLoginLockStatus('u1')).resolves.toEqual({ locked: true, retry_after: 900, failed_attempts: 0 });
+});
+
+test('counts email and phone logins of one account together', async () => {
+  await fail(2, user, 'user@example.com');
+  await fail(1, user, '+31612345678');
+
+  await expect(assertLoginAllowed(user, 'user@example.com', IP)).rejects.toMatchObject({ retry_after: 2 });
+});
+
+test('throttles unknown identifiers case-insensitively', async () => {
+  await fail(3, null, 'Nobody@Example.com');
+
+  await expect(assertLoginAllowed(null, 'nobody@example.com', IP))
+    .rejects.toMatchObject({ errorKey: 'AUTH_LOGIN_TOO_MANY_ATTEMPTS' });
+  expect(sendAccountLockedEmail).not.toHaveBeenCalled();
+});
+
+test('locks an IP after failures across many accounts', async () => {
+  for (let i = 0; i < 50; i++) {
+    await recordLoginFailure(null, `user${i}@example.com`, request);
+  }
+
+  await expect(assertLoginAllowed(user, 'user@example.com', IP))
+    .rejects.toMatchObject({ errorKey: 'AUTH_LOGIN_TOO_MANY_ATTEMPTS', retry_after: 900 });
+  await expect(assertLoginAllowed(user, 'user@example.com', '198.51.100.4')).resolves.toBeUndefined();
+  expect(createActivityLog).toHaveBeenCalledWith(expect.objectContaining({ action: 'login_ip_locked', status_code: 429 }));
+});
+
+test('a correct password resets the account counter but not the IP counter', async () => {
+  await fail(4);
+
+  await clearLoginFailures(user);
+
+  await expect(assertLoginAllowed(user, 'user@example.com', IP)).resolves.toBeUndefined();
+  await expect(getLoginLockStatus('u1')).resolves.toMatchObject({ failed_attempts: 0 });
+  expect(await cache.get(`login_fail:ip:${IP}`)).toBe(4);
+});
+
+test('a failing activity log write does not change the outcome', async () => {
+  const logger = require('../../src/logger/logger');
+  createActivityLog.mockRejectedValue(new Error('database down'));
+
+  await expect(recordLoginFailure(user, 'user@example.com', request)).resolves.toBeUndefined();
+  expect(logger.error).toHaveBeenCalledWith('Failed to write login lockout activity log', expect.any(Object));
+  createActivityLog.mockReset();
+});
+
+test('unlockLogin lifts account and IP locks', async () => {
+  await fail(10);
+  await cache.set(`login_lock:ip:${IP}`, { until: Date.now() + 60000 }, 60);
+
+  await expect(unlockLogin('u1', IP)).resolves.toEqual({ was_locked: true, ip_was_locked: true });
+  await expect(assertLoginAllowed(user, 'user@example.com', IP)).resolves.toBeUndefined();
+  await expect(unlockLogin('u1')).resolves.toEqual({ was_locked: false, ip_was_locked: false });
+});
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+
+process.env.JWT_SECRET_KEY = 'test-hs256-secret';
+
+jest.mock('../../src/logger/logger', () => require('../helpers/logger'));
+jest.mock('../../src/cache/cache', () => require('../helpers/memory_cache').createMemoryCache());
+jest.mock('../../src/db/prisma', () => ({
+  prisma: {
+    userMfa: { findUnique: jest.fn(), upsert: jest.fn(), updateMany: jest.fn() },
+    mfaRecoveryCode: { updateMany: jest.fn(), deleteMany: jest.fn(), createMany: jest.fn() }
+  }
+}));
+
+const cache = require('../../src/cache/cache');
+const { prisma } = require('../../src/db/prisma');
+const { signToken } = require('../../src/authenticate/keystore');
+const mfa = require('../../src/authenticate/mfa');
+
+const USER_ID = 7;
+const IP = '203.0.113.9';
+
+let record;
+let recoveryHashes;
+
+function currentCode(secret) {
+  return mfa.generateTotpCode(secret, Math.floor(Date.now() / 1000 / 30));
+}
+
+function wrongCode(secret) {
+  return String((Number(currentCode(secret)) + 500000) % 1000000).padStart(6, '0');
+}
+
+async function enroll() {
+  const { secret } = await mfa.startTotpEnrollment({ user_id: USER_ID, email: 'user@example.com' });
+  record.enabled_at = new Date();
+  return secret;
+}
+
+beforeEach(() => {
+  cache.clear();
+  record = null;
+  recoveryHashes = [];
+
+  prisma.userMfa.findUnique.mockImplementation(async () => record);
+  prisma.userMfa.upsert.mockImplementation(async ({ create, update }) => {
+    record = record ? { ...record, ...update } : { last_used_step: null, enabled_at: null, ...create };
+    return record;
+  });
+  prisma.userMfa.updateMany.mockImplementation(async ({ data }) => {
+    if (record.last_used_step !== null && record.last_used_step >= data.last_used_step) {
+      return { count: 0 };
+    }
+    record.last_used_step = data.last_used_step;
+    return { count: 1 };
+  });
+  prisma.mfaRecoveryCode.createMany.mockImplementation(async ({ data }) => {
+    recoveryHashes = data.map(row => row.code_hash);
+    return { count: data.length };
+  });
+  prisma.mfaRecoveryCode.updateMany.mockImplementation(async ({ where }) => {
+    const index = recoveryHashes.indexOf(where.code_hash);
+    if (index === -1) {
+      return { count: 0 };
+    }
+    recoveryHashes.splice(index, 1);
+    return { count: 1 };
+  });
+});
+
+describe('TOTP', () => {
+  test('enrollment returns a base32 secret and an otpauth URI', async () => {
+    const result = await mfa.startTotpEnrollment({ user_id: USER_ID, email: 'user@example.com' });
+
+    expect(result.secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(result.otpauth_uri).toContain(`secret=${result.secret}`);
+    expect(result.otpauth_uri).toContain('user%40example.com');
+    expect(record.totp_secret).not.toContain(result.secret);
+  });
+
+  test('matches the RFC 6238 SHA1 test vector', () => {
+    const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ'; // base32 of "12345678901234567890"
+    expect(mfa.generateTotpCode(secret, 1)).toBe('287082');
+    expect(mfa.generateTotpCode(secret, 37037036)).toBe('081804');
+  });
+
+  test('accepts the current code once and rejects a replay', async () => {
+    const secret = await enroll();
+    const code = currentCode(secret);
+
+    expect(await mfa.verifyTotp(USER_ID, code)).toBe(true);
+    expect(await mfa.verifyTotp(USER_ID, code)).toBe(false);
+  });
+
+  test('rejects wrong and malformed codes', async () => {
+    const secret = await enroll();
+
+    expect(await mfa.verifyTotp(USER_ID, wrongCode(secret))).toBe(false);
+    expect(await mfa.verifyTotp(USER_ID, 'abcdef')).toBe(false);
+    expect(await mfa.verifyTotp(USER_ID, '12345')).toBe(false);
+  });
+
+  test('ignores a pending secret unless enrollment is being confirmed', async () => {
+    const { secret } = await mfa.startTotpEnrollment({ user_id: USER_ID });
+
+    expect(await mfa.verifyTotp(USER_ID, currentCode(secret))).toBe(false);
+    expect(await mfa.verifyTotp(USER_ID, currentCode(secret), true)).toBe(true);
+  });
+});
+
+describe('recovery codes', () => {
+  test('each code works once', async () => {
+    await enroll();
+    const codes = await mfa.regenerateRecoveryCodes(USER_ID);
+
+    expect(codes).toHaveLength(10);
+    expect(await mfa.verifySecondFactor(USER_ID, codes[0].toUpperCase())).toBe('recovery_code');
+    expect(await mfa.verifySecondFactor(USER_ID, codes[0])).toBeNull();
+    expect(await mfa.verifySecondFactor(USER_ID, codes[1].replace('-', ''))).toBe('recovery_code');
+  });
+});
+
+describe('verifySecondFactorThrottled', () => {
+  test('locks the user out after five wrong codes, even for the right code', async () => {
+    const secret = await enroll();
+
+    for (let attempt = 1; attempt < 5; attempt++) {
+      expect(await mfa.verifySecondFactorThrottled(USER_ID, wrongCode(secret), IP)).toEqual({ errorKey: 'AUTH_MFA_INVALID_CODE' });
+    }
+    const locked = await mfa.verifySecondFactorThrottled(USER_ID, wrongCode(secret), IP);
+    expect(locked).toEqual({ errorKey: 'AUTH_OTP_LOCKED', retry_after: 300 });
+
+    const retry = await mfa.verifySecondFactorThrottled(USER_ID, currentCode(secret), '198.51.100.1');
+    expect(retry.errorKey).toBe('AUTH_OTP_LOCKED');
+    expect(record.last_used_step).toBeNull();
+  });
+
+  test('a correct code resets the per-user failure count', async () => {
+    const secret = await enroll();
+
+    for (let attempt = 0; attempt < 4; attempt++) {
+      await mfa.verifySecondFactorThrottled(USER_ID, wrongCode(secret), IP);
+    }
+    expect(await mfa.verifySecondFactorThrottled(USER_ID, currentCode(secret), IP)).toEqual({ method: 'totp' });
+    expect(await mfa.verifySecondFactorThrottled(USER_ID, wrongCode(secret), IP)).toEqual({ errorKey: 'AUTH_MFA_INVALID_CODE' });
+  });
+
+  test('locks out an IP guessing across many accounts', async () => {
+    const secret = await enroll();
+
+    let result;
+    for (let userId = 100; userId < 120; userId++) {
+      result = await mfa.verifySecondFactorThrottled(userId, wrongCode(secret), IP);
+    }
+    expect(result.errorKey).toBe('AUTH_OTP_LOCKED');
+    expect((await mfa.verifySecondFactorThrottled(USER_ID, currentCode(secret), IP)).errorKey).toBe('AUTH_OTP_LOCKED');
+  });
+});
+
+describe('mfa_pending tokens', () => {
+  function pendingToken(claims = {}, options = {}) {
+    return signToken({ sub: String(USER_ID), type: 'mfa_pending', jti: crypto.randomUUID(), ...claims }, { audience: 'mfa', expiresIn: '5m', ...options });
+  }
+
+  test('accepts a valid token and counts attempts against it', async () => {
+    const token = pendingToken();
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      expect((await mfa.checkMfaPendingToken(token)).payload.sub).toBe(String(USER_ID));
+    }
+    expect(await mfa.checkMfaPendingToken(token)).toEqual({ errorKey: 'AUTH_MFA_TOO_MANY_ATTEMPTS' });
+  });
+
+  test('rejects other token types, audiences and used tokens', async () => {
+    expect(await mfa.checkMfaPendingToken(pendingToken({ type: 'access' }))).toEqual({ errorKey: 'AUTH_MFA_TOKEN_INVALID' });
+    expect(await mfa.checkMfaPendingToken(pendingToken({}, { audience: 'authenticated' }))).toEqual({ errorKey: 'AUTH_MFA_TOKEN_INVALID' });
+
+    const token = pendingToken();
+    const { payload } = await mfa.checkMfaPendingToken(token);
+    await mfa.consumeMfaPendingToken(payload);
+    expect(await mfa.checkMfaPendingToken(token)).toEqual({ errorKey: 'AUTH_MFA_TOKEN_INVALID' });
+  });
+});
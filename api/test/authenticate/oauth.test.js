@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+process.env.GOOGLE_OAUTH_CLIENT_ID = 'google-client-id';
+process.env.GOOGLE_OAUTH_CLIENT_SECRET = 'google-client-secret';
+process.env.GOOGLE_OAUTH_REDIRECT_URI = 'https://api.example.com/api/oauth/google/callback';
+delete process.env.APPLE_OAUTH_CLIENT_ID;
+
+jest.mock('axios', () => ({ get: jest.fn(), post: jest.fn() }));
+jest.mock('../../src/logger/logger', () => require('../helpers/logger'));
+jest.mock('../../src/cache/cache', () => require('../helpers/memory_cache').createMemoryCache());
+jest.mock('../../src/db/prisma', () => ({
+  prisma: { oAuthIdentity: { findUnique: jest.fn(), update: jest.fn(), create: jest.fn() } }
+}));
+jest.mock('../../src/authenticate/checkpoint', () => ({
+  getUserByEmailOrPhone: jest.fn(),
+  createUserInDb: jest.fn(),
+  getUserById: jest.fn()
+}));
+jest.mock('../../src/permissions/permissions', () => ({ assignGroupsToUser: jest.fn() }));
+
+const axios = require('axios');
+const cache = require('../../src/cache/cache');
+const { prisma } = require('../../src/db/prisma');
+const { getUserByEmailOrPhone, createUserInDb, getUserById } = require('../../src/authenticate/checkpoint');
+const { assignGroupsToUser } = require('../../src/permissions/permissions');
+const {
+  getProviderConfig,
+  createAuthorizationRequest,
+  consumeAuthorizationState,
+  exchangeAuthorizationCode,
+  verifyIdToken,
+  isEmailVerified,
+  findOrCreateOAuthUser
+} = require('../../src/authenticate/oauth');
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const JWK = { ...publicKey.export({ format: 'jwk' }), kid: 'key-1', alg: 'RS256', use: 'sig' };
+
+function idToken(claims = {}, options = {}) {
+  return jwt.sign({ sub: 'google-sub-1', email: 'user@example.com', email_verified: true, nonce: 'nonce-1', ...claims }, privateKey, {
+    algorithm: 'RS256',
+    keyid: 'key-1',
+    audience: 'google-client-id',
+    issuer: 'https://accounts.google.com',
+    expiresIn: 300,
+    ...options
+  });
+}
+
+beforeEach(() => {
+  cache.clear();
+  jest.clearAllMocks();
+  axios.get.mockResolvedValue({ data: { keys: [JWK] } });
+  prisma.oAuthIdentity.findUnique.mockResolvedValue(null);
+});
+
+describe('authorization request', () => {
+  test('only configured providers are available', async () => {
+    expect(getProviderConfig('google')).not.toBeNull();
+    expect(getProviderConfig('apple')).toBeNull();
+    await expect(createAuthorizationRequest('apple')).rejects.toMatchObject({ errorKey: 'AUTH_OAUTH_PROVIDER_UNSUPPORTED' });
+  });
+
+  test('builds a PKCE authorization URL and stores single-use state', async () => {
+    const { authorization_url: url, state } = await createAuthorizationRequest('google', 'https://app.example.com', 'guest-1');
+    const params = new URL(url).searchParams;
+
+    expect(url.startsWith('https://accounts.google.com/o/oauth2/v2/auth?')).toBe(true);
+    expect(params.get('state')).toBe(state);
+    expect(params.get('client_id')).toBe('google-client-id');
+    expect(params.get('code_challenge_method')).toBe('S256');
+
+    const stored = await consumeAuthorizationState('google', state);
+    expect(stored).toMatchObject({ provider: 'google', origin: 'https://app.example.com', upgrade_user_id: 'guest-1' });
+    expect(params.get('nonce')).toBe(stored.nonce);
+    const challenge = crypto.createHash('sha256').update(stored.code_verifier).digest('base64url');
+    expect(params.get('code_challenge')).toBe(challenge);
+
+    await expect(consumeAuthorizationState('google', state)).resolves.toBeNull();
+  });
+
+  test('state is discarded when returned for another provider', async () => {
+    const { state } = await createAuthorizationRequest('google');
+
+    await expect(consumeAuthorizationState('apple', state)).resolves.toBeNull();
+    await expect(consumeAuthorizationState('google', state)).resolves.toBeNull();
+  });
+
+  test('fails when the state cannot be stored', async () => {
+    jest.spyOn(cache, 'set').mockResolvedValueOnce(false);
+
+    await expect(createAuthorizationRequest('google')).rejects.toMatchObject({ errorKey: 'SERVICE_UNAVAILABLE' });
+  });
+});
+
+describe('exchangeAuthorizationCode', () => {
+  test('posts the code with the PKCE verifier and client secret', async () => {
+    axios.post.mockResolvedValue({ data: { id_token: 'id-token' } });
+
+    await expect(exchangeAuthorizationCode('google', 'code-1', 'verifier-1')).resolves.toEqual({ id_token: 'id-token' });
+
+    const body = new URLSearchParams(axios.post.mock.calls[0][1]);
+    expect(body.get('grant_type')).toBe('authorization_code');
+    expect(body.get('code')).toBe('code-1');
+    expect(body.get('code_verifier')).toBe('verifier-1');
+    expect(body.get('client_secret')).toBe('google-client-secret');
+  });
+
+  test('fails without an id_token or when the provider refuses', async () => {
+    axios.post.mockResolvedValueOnce({ data: { access_token: 'only' } });
+    axios.post.mockRejectedValueOnce(Object.assign(new Error('Request failed'), { response: { data: { error: 'invalid_grant' } } }));
+
+    await expect(exchangeAuthorizationCode('google', 'code-1', 'verifier-1')).rejects.toMatchObject({ errorKey: 'AUTH_OAUTH_EXCHANGE_FAILED' });
+    await expect(exchangeAuthorizationCode('google', 'code-1', 'verifier-1')).rejects.toMatchObject({ errorKey: 'AUTH_OAUTH_EXCHANGE_FAILED' });
+  });
+});
+
+describe('verifyIdToken', () => {
+  test('accepts a token signed with a key from the provider JWKS', async () => {
+    const claims = await verifyIdToken('google', idToken(), 'nonce-1');
+
+    expect(claims).toMatchObject({ sub: 'google-sub-1', email: 'user@example.com' });
+  });
+
+  test('re-fetches the JWKS once for an unknown kid', async () => {
+    // The earlier test cached key-1; a rotated key is only in the fresh document
+    axios.get.mockResolvedValueOnce({ data: { keys: [JWK, { ...JWK, kid: 'key-2' }] } });
+
+    await expect(verifyIdToken('google', idToken({}, { keyid: 'key-2' }), 'nonce-1')).resolves.toMatchObject({ sub: 'google-sub-1' });
+    expect(axios.get).toHaveBeenCalledTimes(1);
+
+    await expect(verifyIdToken('google', idToken({}, { keyid: 'key-3' }), 'nonce-1'))
+      .rejects.toMatchObject({ errorKey: 'AUTH_OAUTH_ID_TOKEN_INVALID', message: 'No signing key found for kid key-3' });
+  });
+
+  test('rejects wrong audience, issuer, nonce, signature and expired tokens', async () => {
+    const otherKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+    const tokens = [
+      idToken({}, { audience: 'someone-else' }),
+      idToken({}, { issuer: 'https://evil.example.com' }),
+      idToken({ nonce: 'other-nonce' }),
+      jwt.sign({ sub: 'google-sub-1', nonce: 'nonce-1' }, otherKey, { algorithm: 'RS256', keyid: 'key-1', audience: 'google-client-id', issuer: 'https://accounts.google.com' }),
+      idToken({ iat: Math.floor(Date.now() / 1000) - 600 }),
+      'not-a-jwt'
+    ];
+
+    for (const token of tokens) {
+      await expect(verifyIdToken('google', token, 'nonce-1')).rejects.toMatchObject({ errorKey: 'AUTH_OAUTH_ID_TOKEN_INVALID' });
+    }
+  });
+});
+
+test('isEmailVerified accepts boolean and Apple string claims', () => {
+  expect(isEmailVerified({ email_verified: true })).toBe(true);
+  expect(isEmailVerified({ email_verified: 'true' })).toBe(true);
+  expect(isEmailVerified({ email_verified: false })).toBe(false);
+  expect(isEmailVerified({})).toBe(false);
+});
+
+describe('findOrCreateOAuthUser', () => {
+  const claims = { sub: 'google-sub-1', email: 'User@Example.com', email_verified: true, given_name: 'Ada' };
+
+  test('signs in a known identity', async () => {
+    const user = { user_id: 'u1' };
+    prisma.oAuthIdentity.findUnique.mockResolvedValue({ identity_id: 'i1', user_id: 'u1', email: 'user@example.com' });
+    getUserById.mockResolvedValue(user);
+
+    await expect(findOrCreateOAuthUser('google', claims)).resolves.toEqual({ user, created: false, linked: false });
+    expect(prisma.oAuthIdentity.create).not.toHaveBeenCalled();
+  });
+
+  test('links to an existing account with the same verified email', async () => {
+    const user = { user_id: 'u1', is_email_verified: true };
+    getUserByEmailOrPhone.mockResolvedValue(user);
+
+    await expect(findOrCreateOAuthUser('google', claims)).resolves.toEqual({ user, created: false, linked: true });
+    expect(getUserByEmailOrPhone).toHaveBeenCalledWith('user@example.com');
+    expect(prisma.oAuthIdentity.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ user_id: 'u1', provider: 'google', provider_user_id: 'google-sub-1', email: 'user@example.com' })
+    });
+  });
+
+  test('refuses to link to an account that never verified the email', async () => {
+    getUserByEmailOrPhone.mockResolvedValue({ user_id: 'u1', is_email_verified: false });
+
+    await expect(findOrCreateOAuthUser('google', claims)).rejects.toMatchObject({ errorKey: 'AUTH_OAUTH_ACCOUNT_UNVERIFIED' });
+    expect(prisma.oAuthIdentity.create).not.toHaveBeenCalled();
+  });
+
+  test('refuses to link or create when the provider did not verify the email', async () => {
+    await expect(findOrCreateOAuthUser('google', { ...claims, email_verified: false }))
+      .rejects.toMatchObject({ errorKey: 'AUTH_OAUTH_EMAIL_UNVERIFIED' });
+    await expect(findOrCreateOAuthUser('google', { sub: 'google-sub-1' }))
+      .rejects.toMatchObject({ errorKey: 'AUTH_OAUTH_EMAIL_UNVERIFIED' });
+    expect(getUserByEmailOrPhone).not.toHaveBeenCalled();
+    expect(createUserInDb).not.toHaveBeenCalled();
+  });
+
+  test('creates a verified user in the user group for a new email', async () => {
+    const user = { user_id: 'u2', is_email_verified: true };
+    getUserByEmailOrPhone.mockResolvedValue(null);
+    createUserInDb.mockResolvedValue('u2');
+    getUserById.mockResolvedValue(user);
+
+    await expect(findOrCreateOAuthUser('google', claims, { last_name: 'Lovelace' })).resolves.toEqual({ user, created: true, linked: true });
+    expect(createUserInDb).toHaveBeenCalledWith(expect.objectContaining({
+      email: 'user@example.com',
+      auth_type: 'google',
+      first_name: 'Ada',
+      last_name: 'Lovelace',
+      is_email_verified: true
+    }));
+    expect(assignGroupsToUser).toHaveBeenCalledWith('u2', ['user'], null);
+  });
+
+  test('fails when the user cannot be created', async () => {
+    getUserByEmailOrPhone.mockResolvedValue(null);
+    createUserInDb.mockResolvedValue(null);
+
+    await expect(findOrCreateOAuthUser('google', claims)).rejects.toMatchObject({ errorKey: 'AUTH_SIGNUP_FAILED' });
+    expect(prisma.oAuthIdentity.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,113 @@
+jest.mock('../../src/logger/logger', () => require('../helpers/logger'));
+jest.mock('../../src/cache/cache', () => require('../helpers/memory_cache').createMemoryCache());
+jest.mock('../../src/db/prisma', () => ({ prisma: {} }));
+jest.mock('../../src/authenticate/break_glass', () => ({
+  isBreakGlassCode: otp => String(otp).startsWith('bg_'),
+  consumeBreakGlassCode: jest.fn()
+}));
+
+const cache = require('../../src/cache/cache');
+const { consumeBreakGlassCode } = require('../../src/authenticate/break_glass');
+const { setOtp } = require('../../src/authenticate/otp_cache');
+const { registerOtpSend, verifyOtpThrottled, getOtpLockout } = require('../../src/authenticate/otp_throttle');
+
+const EMAIL = 'User@Example.com';
+const IP = '203.0.113.9';
+const request = { ip: IP };
+
+function wrong(otp) {
+  return otp === '000000' ? '111111' : '000000';
+}
+
+/**
+ * Let a cached { until } entry run out without waiting
+ */
+async function expire(key) {
+  const entry = await cache.get(key);
+  await cache.set(key, { ...entry, until: Date.now() - 1 });
+}
+
+beforeEach(() => {
+  cache.clear();
+  jest.clearAllMocks();
+});
+
+describe('registerOtpSend', () => {
+  test('enforces the resend cooldown per identifier', async () => {
+    expect(await registerOtpSend(EMAIL, IP)).toBeNull();
+
+    const refused = await registerOtpSend(EMAIL.toLowerCase(), IP);
+    expect(refused.errorKey).toBe('AUTH_OTP_RESEND_COOLDOWN');
+    expect(refused.retry_after).toBeGreaterThan(55);
+
+    expect(await registerOtpSend('other@example.com', IP)).toBeNull();
+  });
+
+  test('locks an identifier out after too many sends in the window', async () => {
+    for (let send = 0; send < 5; send++) {
+      expect(await registerOtpSend(EMAIL, IP)).toBeNull();
+      await expire('otp_cooldown:user@example.com');
+    }
+
+    expect(await registerOtpSend(EMAIL, IP)).toEqual({ errorKey: 'AUTH_OTP_LOCKED', retry_after: 300 });
+    expect((await getOtpLockout(EMAIL, null)).errorKey).toBe('AUTH_OTP_LOCKED');
+  });
+});
+
+describe('verifyOtpThrottled', () => {
+  test('accepts the right code and clears the failure count', async () => {
+    const otp = await setOtp(EMAIL);
+    for (let attempt = 0; attempt < 4; attempt++) {
+      expect(await verifyOtpThrottled(EMAIL, wrong(otp), false, request)).toEqual({ valid: false });
+    }
+
+    expect(await verifyOtpThrottled(EMAIL, otp, true, request)).toEqual({ valid: true });
+    expect(await cache.get('otp_fail:id:user@example.com')).toBeNull();
+    expect(await cache.get('otp:user@example.com')).toBeNull();
+  });
+
+  test('locks out on the fifth wrong code and discards the pending OTP', async () => {
+    const otp = await setOtp(EMAIL);
+    for (let attempt = 0; attempt < 4; attempt++) {
+      await verifyOtpThrottled(EMAIL, wrong(otp), false, request);
+    }
+
+    expect(await verifyOtpThrottled(EMAIL, wrong(otp), false, request)).toEqual({ valid: false, errorKey: 'AUTH_OTP_LOCKED', retry_after: 300 });
+    expect(await cache.get('otp:user@example.com')).toBeNull();
+    expect((await verifyOtpThrottled(EMAIL, otp, false, { ip: '198.51.100.1' })).errorKey).toBe('AUTH_OTP_LOCKED');
+  });
+
+  test('doubles the lockout for repeat offenders', async () => {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await verifyOtpThrottled(EMAIL, '000000', false, null);
+    }
+    await expire('otp_lock:id:user@example.com');
+
+    let result;
+    for (let attempt = 0; attempt < 5; attempt++) {
+      result = await verifyOtpThrottled(EMAIL, '000000', false, null);
+    }
+    expect(result).toEqual({ valid: false, errorKey: 'AUTH_OTP_LOCKED', retry_after: 600 });
+  });
+
+  test('locks out an IP guessing across many identifiers', async () => {
+    let result;
+    for (let index = 0; index < 20; index++) {
+      result = await verifyOtpThrottled(`user${index}@example.com`, '000000', false, request);
+    }
+
+    expect(result.errorKey).toBe('AUTH_OTP_LOCKED');
+    expect((await getOtpLockout('fresh@example.com', IP)).errorKey).toBe('AUTH_OTP_LOCKED');
+    expect(await getOtpLockout('fresh@example.com', '198.51.100.1')).toBeNull();
+  });
+
+  test('lets break-glass codes through a lockout', async () => {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await verifyOtpThrottled(EMAIL, '000000', false, request);
+    }
+    consumeBreakGlassCode.mockResolvedValue(true);
+
+    expect(await verifyOtpThrottled(EMAIL, 'bg_emergency', true, request)).toEqual({ valid: true });
+    expect(consumeBreakGlassCode).toHaveBeenCalledWith('user@example.com', 'bg_emergency', request);
+  });
+});
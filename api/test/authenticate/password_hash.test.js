@@ -0,0 +1,79 @@
+const bcrypt = require('bcryptjs');
+
+const ENV_KEYS = ['PASSWORD_SCRYPT_LOG_N', 'PASSWORD_SCRYPT_BLOCK_SIZE', 'PASSWORD_SCRYPT_PARALLELIZATION'];
+
+let savedEnv;
+
+/**
+ * Load a fresh copy of the module; the scrypt cost is read at require time
+ */
+function loadPasswordHash(logN) {
+  for (const key of ENV_KEYS) {
+    delete process.env[key];
+  }
+  process.env.PASSWORD_SCRYPT_LOG_N = String(logN);
+  let module;
+  jest.isolateModules(() => {
+    module = require('../../src/authenticate/password_hash');
+  });
+  return module;
+}
+
+beforeEach(() => {
+  savedEnv = { ...process.env };
+});
+
+afterEach(() => {
+  process.env = savedEnv;
+});
+
+test('creates versioned scrypt hashes with a random salt', async () => {
+  const { createPasswordHash } = loadPasswordHash(10);
+
+  const first = await createPasswordHash('correct horse battery staple');
+  const second = await createPasswordHash('correct horse battery staple');
+
+  expect(first).toMatch(/^\$scrypt\$v=1\$ln=10,r=8,p=1\$[A-Za-z0-9+/]{22}\$[A-Za-z0-9+/]{86}$/);
+  expect(first).not.toBe(second);
+});
+
+test('verifies scrypt hashes', async () => {
+  const { createPasswordHash, verifyPasswordHash } = loadPasswordHash(10);
+  const hash = await createPasswordHash('correct horse battery staple');
+
+  expect(await verifyPasswordHash('correct horse battery staple', hash)).toBe(true);
+  expect(await verifyPasswordHash('Correct horse battery staple', hash)).toBe(false);
+  expect(await verifyPasswordHash('', hash)).toBe(false);
+});
+
+test('verifies hashes made with a different cost using their own parameters', async () => {
+  const hash = await loadPasswordHash(11).createPasswordHash('secret');
+
+  expect(await loadPasswordHash(10).verifyPasswordHash('secret', hash)).toBe(true);
+});
+
+test('verifies legacy bcrypt hashes', async () => {
+  const { verifyPasswordHash } = loadPasswordHash(10);
+  const hash = bcrypt.hashSync('secret', 4);
+
+  expect(await verifyPasswordHash('secret', hash)).toBe(true);
+  expect(await verifyPasswordHash('other', hash)).toBe(false);
+});
+
+test('rejects malformed hashes', async () => {
+  const { verifyPasswordHash } = loadPasswordHash(10);
+
+  expect(await verifyPasswordHash('secret', '$scrypt$v=2$ln=10,r=8,p=1$c2FsdA$a2V5')).toBe(false);
+  expect(await verifyPasswordHash('secret', '$scrypt$v=1$ln=10,r=8,p=1$c2FsdA$')).toBe(false);
+  expect(await verifyPasswordHash('secret', 'plaintext')).toBe(false);
+});
+
+test('asks for a rehash of bcrypt and lower-cost scrypt hashes only', async () => {
+  const weak = await loadPasswordHash(10).createPasswordHash('secret');
+  const { createPasswordHash, needsRehash } = loadPasswordHash(11);
+
+  expect(needsRehash(bcrypt.hashSync('secret', 4))).toBe(true);
+  expect(needsRehash(weak)).toBe(true);
+  expect(needsRehash(await createPasswordHash('secret'))).toBe(false);
+  expect(needsRehash(null)).toBe(false);
+});
@@ -0,0 +1,241 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+jest.mock('../../src/logger/logger', () => require('../helpers/logger'));
+jest.mock('../../src/db/prisma', () => ({
+  prisma: { passwordHistory: { findMany: jest.fn() } }
+}));
+jest.mock('../../src/utils/workerUtils', () => ({
+  comparePasswordInWorker: jest.fn()
+}));
+
+const { ERRORS } = require('../../src/response/map');
+
+const ENV_KEYS = [
+  'PASSWORD_MIN_LENGTH', 'PASSWORD_MAX_LENGTH', 'PASSWORD_REQUIRE_UPPERCASE', 'PASSWORD_REQUIRE_LOWERCASE',
+  'PASSWORD_REQUIRE_DIGIT', 'PASSWORD_REQUIRE_SPECIAL', 'PASSWORD_HISTORY_SIZE', 'PASSWORD_BREACH_CHECK',
+  'PASSWORD_BREACH_FILTER_PATH'
+];
+const BREACHED = ['Summer2024!', 'P@ssw0rd123'];
+
+let savedEnv;
+let tempDir;
+let filterPath;
+
+/**
+ * Write a small bloom filter in the bundled file format
+ */
+function writeFilter(file, passwords, { breachFilterIndexes, BREACH_FILTER_MAGIC, BREACH_FILTER_VERSION, BREACH_FILTER_HEADER_SIZE }) {
+  const bitCount = 4096;
+  const hashCount = 7;
+  const buffer = Buffer.alloc(BREACH_FILTER_HEADER_SIZE + bitCount / 8);
+  buffer.write(BREACH_FILTER_MAGIC, 0, 'ascii');
+  buffer.writeUInt8(BREACH_FILTER_VERSION, 4);
+  buffer.writeUInt8(hashCount, 5);
+  buffer.writeUInt32BE(bitCount, 8);
+  buffer.writeUInt32BE(passwords.length, 12);
+  for (const password of passwords) {
+    const digest = crypto.createHash('sha1').update(password, 'utf8').digest();
+    for (const index of breachFilterIndexes(digest, bitCount, hashCount)) {
+      buffer[BREACH_FILTER_HEADER_SIZE + (index >> 3)] |= 1 << (index & 7);
+    }
+  }
+  fs.writeFileSync(file, buffer);
+}
+
+/**
+ * Load a fresh copy of the module; the policy is read at require time
+ */
+function loadPolicy(env = {}) {
+  for (const key of ENV_KEYS) {
+    delete process.env[key];
+  }
+  Object.assign(process.env, { PASSWORD_BREACH_FILTER_PATH: filterPath }, env);
+  let module;
+  jest.isolateModules(() => {
+    module = require('../../src/authenticate/password_policy');
+  });
+  return module;
+}
+
+function rules(result) {
+  return result.violations.map(entry => entry.rule);
+}
+
+beforeAll(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'password-policy-'));
+  filterPath = path.join(tempDir, 'breached.bloom');
+  writeFilter(filterPath, BREACHED, jest.requireActual('../../src/authenticate/password_policy'));
+});
+
+afterAll(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  savedEnv = { ...process.env };
+  const { prisma } = require('../../src/db/prisma');
+  const { comparePasswordInWorker } = require('../../src/utils/workerUtils');
+  prisma.passwordHistory.findMany.mockReset().mockResolvedValue([]);
+  comparePasswordInWorker.mockReset().mockResolvedValue(false);
+});
+
+afterEach(() => {
+  process.env = savedEnv;
+});
+
+test('accepts a password that meets every rule', async () => {
+  const { checkPasswordPolicy } = loadPolicy();
+
+  await expect(checkPasswordPolicy('Tangerine-Harbor-42')).resolves.toEqual({ valid: true, violations: [] });
+});
+
+test('reports every length and character class violation at once', async () => {
+  const { checkPasswordPolicy } = loadPolicy();
+
+  const result = await checkPasswordPolicy('abc');
+
+  expect(result.valid).toBe(false);
+  expect(rules(result)).toEqual([
+    'PASSWORD_TOO_SHORT', 'PASSWORD_MISSING_UPPERCASE', 'PASSWORD_MISSING_DIGIT', 'PASSWORD_MISSING_SPECIAL'
+  ]);
+  expect(result.violations[0]).toEqual({
+    rule: 'PASSWORD_TOO_SHORT',
+    code: ERRORS.PASSWORD_TOO_SHORT.code,
+    message: ERRORS.PASSWORD_TOO_SHORT.message
+  });
+});
+
+test('enforces the configured maximum length', async () => {
+  const { checkPasswordPolicy } = loadPolicy({ PASSWORD_MAX_LENGTH: '16' });
+
+  const result = await checkPasswordPolicy('Tangerine-Harbor-42');
+
+  expect(rules(result)).toEqual(['PASSWORD_TOO_LONG']);
+});
+
+test('character classes can be switched off', async () => {
+  const { checkPasswordPolicy } = loadPolicy({
+    PASSWORD_REQUIRE_UPPERCASE: 'false',
+    PASSWORD_REQUIRE_DIGIT: 'false',
+    PASSWORD_REQUIRE_SPECIAL: 'false'
+  });
+
+  await expect(checkPasswordPolicy('tangerineharbor')).resolves.toEqual({ valid: true, violations: [] });
+});
+
+test('rejects passwords containing the user\'s personal details', async () => {
+  const { checkPasswordPolicy } = loadPolicy();
+  const user = { email: 'marguerite.ortiz@example.com', user_name: 'mortiz', first_name: 'Marguerite', last_name: 'Ortiz' };
+
+  expect(rules(await checkPasswordPolicy('Mortiz#2024!x', user))).toEqual(['PASSWORD_CONTAINS_PERSONAL_INFO']);
+  expect(rules(await checkPasswordPolicy('Ortiz#2024!xy', user))).toEqual(['PASSWORD_CONTAINS_PERSONAL_INFO']);
+  expect(rules(await checkPasswordPolicy('Tangerine-Harbor-42', user))).toEqual([]);
+});
+
+test('ignores personal details too short to be meaningful', async () => {
+  const { checkPasswordPolicy } = loadPolicy();
+
+  const result = await checkPasswordPolicy('Tangerine-Harbor-42', { first_name: 'Al', last_name: 'Ng' });
+
+  expect(result.valid).toBe(true);
+});
+
+test('rejects passwords found in the breach filter', async () => {
+  const { checkPasswordPolicy, isBreachedPassword } = loadPolicy();
+
+  expect(isBreachedPassword('Summer2024!')).toBe(true);
+  expect(isBreachedPassword('P@ssw0rd123')).toBe(true);
+  expect(isBreachedPassword('Tangerine-Harbor-42')).toBe(false);
+  expect(rules(await checkPasswordPolicy('Summer2024!'))).toEqual(['PASSWORD_BREACHED']);
+});
+
+test('the breach check can be switched off', async () => {
+  const { checkPasswordPolicy } = loadPolicy({ PASSWORD_BREACH_CHECK: 'false' });
+
+  await expect(checkPasswordPolicy('Summer2024!')).resolves.toEqual({ valid: true, violations: [] });
+});
+
+test('a missing or invalid filter file disables the breach check', async () => {
+  const logger = require('../../src/logger/logger');
+  const invalidPath = path.join(tempDir, 'invalid.bloom');
+  fs.writeFileSync(invalidPath, Buffer.from('not a filter at all'));
+
+  expect(loadPolicy({ PASSWORD_BREACH_FILTER_PATH: path.join(tempDir, 'missing.bloom') }).isBreachedPassword('Summer2024!')).toBe(false);
+  expect(loadPolicy({ PASSWORD_BREACH_FILTER_PATH: invalidPath }).isBreachedPassword('Summer2024!')).toBe(false);
+  expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Not a breached-password filter file'), expect.any(Object));
+});
+
+test('the bundled filter flags common breached passwords', () => {
+  const { isBreachedPassword } = loadPolicy({
+    PASSWORD_BREACH_FILTER_PATH: path.join(__dirname, '../../src/authenticate/data/breached-passwords.bloom')
+  });
+
+  expect(isBreachedPassword('iloveyou')).toBe(true);
+  expect(isBreachedPassword('P@ssw0rd')).toBe(true);
+  expect(isBreachedPassword('qwerty123')).toBe(true);
+});
+
+test('rejects the current password and recent history', async () => {
+  const { prisma } = require('../../src/db/prisma');
+  const { comparePasswordInWorker } = require('../../src/utils/workerUtils');
+  const { checkPasswordPolicy } = loadPolicy({ PASSWORD_HISTORY_SIZE: '3' });
+  prisma.passwordHistory.findMany.mockResolvedValue([{ password_hash: 'old-1' }, { password_hash: 'old-2' }]);
+  comparePasswordInWorker.mockImplementation(async (password, hash) => hash === 'old-2');
+
+  const result = await checkPasswordPolicy('Tangerine-Harbor-42', { user_id: 'u1', password: 'current' });
+
+  expect(rules(result)).toEqual(['PASSWORD_REUSED']);
+  expect(prisma.passwordHistory.findMany).toHaveBeenCalledWith(expect.objectContaining({
+    where: { user_id: 'u1' },
+    take: 3
+  }));
+  expect(comparePasswordInWorker.mock.calls.map(call => call[1])).toEqual(['current', 'old-1', 'old-2']);
+});
+
+test('skips the history comparison when other rules already failed', async () => {
+  const { comparePasswordInWorker } = require('../../src/utils/workerUtils');
+  const { checkPasswordPolicy } = loadPolicy();
+
+  await checkPasswordPolicy('short', { user_id: 'u1', password: 'current' });
+
+  expect(comparePasswordInWorker).not.toHaveBeenCalled();
+});
+
+test('a failing hash comparison does not count as reuse', async () => {
+  const { comparePasswordInWorker } = require('../../src/utils/workerUtils');
+  const { checkPasswordPolicy } = loadPolicy();
+  comparePasswordInWorker.mockRejectedValue(new Error('worker crashed'));
+
+  const result = await checkPasswordPolicy('Tangerine-Harbor-42', { user_id: 'u1', password: 'current' });
+
+  expect(result.valid).toBe(true);
+});
+
+test('records replaced hashes and trims history beyond the configured size', async () => {
+  const { recordPasswordHistory } = loadPolicy({ PASSWORD_HISTORY_SIZE: '2' });
+  const tx = {
+    passwordHistory: {
+      create: jest.fn().mockResolvedValue({}),
+      findMany: jest.fn().mockResolvedValue([{ history_id: 'h3' }, { history_id: 'h4' }]),
+      deleteMany: jest.fn().mockResolvedValue({ count: 2 })
+    }
+  };
+
+  await recordPasswordHistory(tx, 'u1', 'replaced-hash');
+
+  expect(tx.passwordHistory.create).toHaveBeenCalledWith({ data: { user_id: 'u1', password_hash: 'replaced-hash' } });
+  expect(tx.passwordHistory.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: { user_id: 'u1' }, skip: 2 }));
+  expect(tx.passwordHistory.deleteMany).toHaveBeenCalledWith({ where: { history_id: { in: ['h3', 'h4'] } } });
+});
+
+test('history is not recorded when disabled or without a previous hash', async () => {
+  const tx = { passwordHistory: { create: jest.fn() } };
+
+  await loadPolicy({ PASSWORD_HISTORY_SIZE: '0' }).recordPasswordHistory(tx, 'u1', 'replaced-hash');
+  await loadPolicy().recordPasswordHistory(tx, 'u1', null);
+
+  expect(tx.passwordHistory.create).not.toHaveBeenCalled();
+});
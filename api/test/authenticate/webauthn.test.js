@@ -0,0 +1,269 @@
+const crypto = require('crypto');
+
+jest.mock('../../src/logger/logger', () => require('../helpers/logger'));
+jest.mock('../../src/cache/cache', () => require('../helpers/memory_cache').createMemoryCache());
+jest.mock('../../src/db/prisma', () => ({
+  prisma: {
+    passkeyCredential: { findMany: jest.fn(), findUnique: jest.fn(), create: jest.fn(), updateMany: jest.fn() }
+  }
+}));
+
+const { prisma } = require('../../src/db/prisma');
+const webauthn = require('../../src/authenticate/webauthn');
+
+const ORIGIN = 'https://app.example.com';
+const USER = { user_id: 42, email: 'user@example.com' };
+
+/**
+ * Minimal CBOR encoder for the structures an authenticator produces
+ */
+function cborEncode(value) {
+  const head = (major, length) => {
+    if (length < 24) return Buffer.from([(major << 5) | length]);
+    if (length < 256) return Buffer.from([(major << 5) | 24, length]);
+    const buffer = Buffer.alloc(3);
+    buffer[0] = (major << 5) | 25;
+    buffer.writeUInt16BE(length, 1);
+    return buffer;
+  };
+  if (Number.isInteger(value)) {
+    return value >= 0 ? head(0, value) : head(1, -1 - value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([head(2, value.length), value]);
+  }
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    return Buffer.concat([head(3, bytes.length), bytes]);
+  }
+  if (value instanceof Map) {
+    const parts = [head(5, value.size)];
+    for (const [key, item] of value) {
+      parts.push(cborEncode(key), cborEncode(item));
+    }
+    return Buffer.concat(parts);
+  }
+  throw new Error(`Cannot encode ${value}`);
+}
+
+/**
+ * Software authenticator holding one ES256 credential
+ */
+function createAuthenticator(rpId = 'app.example.com') {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const jwk = publicKey.export({ format: 'jwk' });
+  const credentialId = crypto.randomBytes(16);
+  const coseKey = new Map([[1, 2], [3, -7], [-1, 1], [-2, Buffer.from(jwk.x, 'base64url')], [-3, Buffer.from(jwk.y, 'base64url')]]);
+  const rpIdHash = crypto.createHash('sha256').update(rpId).digest();
+  let signCount = 0;
+
+  function authenticatorData(flags, attested) {
+    const counter = Buffer.alloc(4);
+    counter.writeUInt32BE(signCount);
+    const parts = [rpIdHash, Buffer.from([flags]), counter];
+    if (attested) {
+      const idLength = Buffer.alloc(2);
+      idLength.writeUInt16BE(credentialId.length);
+      parts.push(Buffer.alloc(16), idLength, credentialId, cborEncode(coseKey));
+    }
+    return Buffer.concat(parts);
+  }
+
+  function clientData(type, challenge, origin) {
+    return Buffer.from(JSON.stringify({ type, challenge, origin })).toString('base64url');
+  }
+
+  return {
+    id: credentialId.toString('base64url'),
+    register(challenge, origin = ORIGIN) {
+      const attestationObject = cborEncode(new Map([['fmt', 'none'], ['attStmt', new Map()], ['authData', authenticatorData(0x45, true)]]));
+      return {
+        id: credentialId.toString('base64url'),
+        response: {
+          clientDataJSON: clientData('webauthn.create', challenge, origin),
+          attestationObject: attestationObject.toString('base64url')
+        }
+      };
+    },
+    assert(challenge, origin = ORIGIN) {
+      signCount += 1;
+      const authData = authenticatorData(0x05, false);
+      const clientDataJSON = clientData('webauthn.get', challenge, origin);
+      const clientDataHash = crypto.createHash('sha256').update(Buffer.from(clientDataJSON, 'base64url')).digest();
+      const signature = crypto.sign('sha256', Buffer.concat([authData, clientDataHash]), { key: privateKey, dsaEncoding: 'der' });
+      return {
+        id: credentialId.toString('base64url'),
+        response: {
+          clientDataJSON,
+          authenticatorData: authData.toString('base64url'),
+          signature: signature.toString('base64url'),
+          userHandle: Buffer.from(String(USER.user_id)).toString('base64url')
+        }
+      };
+    }
+  };
+}
+
+let passkeys;
+
+beforeEach(() => {
+  require('../../src/cache/cache').clear();
+  passkeys = [];
+  prisma.passkeyCredential.findMany.mockResolvedValue([]);
+  prisma.passkeyCredential.findUnique.mockImplementation(async ({ where }) =>
+    passkeys.find(passkey => passkey.credential_id === where.credential_id) || null
+  );
+  prisma.passkeyCredential.create.mockImplementation(async ({ data }) => {
+    const passkey = { passkey_id: passkeys.length + 1, ...data };
+    passkeys.push(passkey);
+    return passkey;
+  });
+  prisma.passkeyCredential.updateMany.mockImplementation(async ({ where, data }) => {
+    const passkey = passkeys.find(candidate => candidate.passkey_id === where.passkey_id && candidate.sign_count === where.sign_count);
+    if (!passkey) {
+      return { count: 0 };
+    }
+    Object.assign(passkey, data);
+    return { count: 1 };
+  });
+});
+
+describe('cborDecode', () => {
+  test('decodes maps with integer keys, byte strings and negative numbers', () => {
+    const encoded = cborEncode(new Map([[1, 2], [-1, Buffer.from('ab')], ['fmt', 'none']]));
+    const { value, offset } = webauthn.cborDecode(encoded);
+
+    expect(offset).toBe(encoded.length);
+    expect(value.get(1)).toBe(2);
+    expect(value.get(-1).toString()).toBe('ab');
+    expect(value.get('fmt')).toBe('none');
+  });
+
+  test('rejects truncated input and indefinite lengths', () => {
+    expect(() => webauthn.cborDecode(Buffer.from([0xa1, 0x01]))).toThrow('unexpected end of input');
+    expect(() => webauthn.cborDecode(Buffer.from([0x5f]))).toThrow('indefinite lengths');
+  });
+});
+
+describe('parseAuthenticatorData', () => {
+  test('rejects short data and trailing bytes', () => {
+    expect(() => webauthn.parseAuthenticatorData(Buffer.alloc(36))).toThrow('too short');
+    expect(() => webauthn.parseAuthenticatorData(Buffer.alloc(38))).toThrow('trailing bytes');
+  });
+
+  test('reads the flags and sign counter', () => {
+    const authData = Buffer.alloc(37);
+    authData[32] = 0x05;
+    authData.writeUInt32BE(7, 33);
+
+    expect(webauthn.parseAuthenticatorData(authData)).toMatchObject({ flags: 0x05, signCount: 7 });
+  });
+});
+
+describe('registration and authentication', () => {
+  test('registers a passkey and signs in with it', async () => {
+    const authenticator = createAuthenticator();
+
+    const registration = await webauthn.generateRegistrationOptions(USER, ORIGIN);
+    expect(registration.rp.id).toBe('app.example.com');
+    const passkey = await webauthn.verifyRegistration(USER, authenticator.register(registration.challenge), 'Laptop');
+    expect(passkey).toMatchObject({ credential_id: authenticator.id, algorithm: -7, attestation_format: 'none', name: 'Laptop' });
+
+    const options = await webauthn.generateAuthenticationOptions(null, ORIGIN);
+    const result = await webauthn.verifyAuthentication(authenticator.assert(options.challenge));
+    expect(result.passkey.user_id).toBe(USER.user_id);
+    expect(result.userVerified).toBe(true);
+    expect(passkeys[0].sign_count).toBe(1);
+  });
+
+  test('a challenge can only be used once', async () => {
+    const authenticator = createAuthenticator();
+    const registration = await webauthn.generateRegistrationOptions(USER, ORIGIN);
+    await webauthn.verifyRegistration(USER, authenticator.register(registration.challenge));
+
+    const options = await webauthn.generateAuthenticationOptions(USER, ORIGIN);
+    await webauthn.verifyAuthentication(authenticator.assert(options.challenge));
+
+    await expect(webauthn.verifyAuthentication(authenticator.assert(options.challenge))).rejects.toMatchObject({ errorKey: 'AUTH_PASSKEY_CHALLENGE_INVALID' });
+  });
+
+  test('rejects a response from another origin', async () => {
+    const authenticator = createAuthenticator();
+    const registration = await webauthn.generateRegistrationOptions(USER, ORIGIN);
+
+    await expect(webauthn.verifyRegistration(USER, authenticator.register(registration.challenge, 'https://evil.example.net')))
+      .rejects.toMatchObject({ errorKey: 'AUTH_PASSKEY_VERIFICATION_FAILED' });
+  });
+
+  test('rejects a credential created for another relying party', async () => {
+    const authenticator = createAuthenticator('evil.example.net');
+    const registration = await webauthn.generateRegistrationOptions(USER, ORIGIN);
+
+    await expect(webauthn.verifyRegistration(USER, authenticator.register(registration.challenge)))
+      .rejects.toThrow('RP ID hash mismatch');
+  });
+
+  test('rejects a tampered assertion signature', async () => {
+    const authenticator = createAuthenticator();
+    const registration = await webauthn.generateRegistrationOptions(USER, ORIGIN);
+    await webauthn.verifyRegistration(USER, authenticator.register(registration.challenge));
+
+    const options = await webauthn.generateAuthenticationOptions(USER, ORIGIN);
+    const assertion = authenticator.assert(options.challenge);
+    const signature = Buffer.from(assertion.response.signature, 'base64url');
+    signature[signature.length - 1] ^= 0xff;
+    assertion.response.signature = signature.toString('base64url');
+
+    await expect(webauthn.verifyAuthentication(assertion)).rejects.toThrow();
+    expect(passkeys[0].sign_count).toBe(0);
+  });
+
+  test('rejects a sign counter that did not increase', async () => {
+    const authenticator = createAuthenticator();
+    const registration = await webauthn.generateRegistrationOptions(USER, ORIGIN);
+    await webauthn.verifyRegistration(USER, authenticator.register(registration.challenge));
+    passkeys[0].sign_count = 5;
+
+    const options = await webauthn.generateAuthenticationOptions(USER, ORIGIN);
+    await expect(webauthn.verifyAuthentication(authenticator.assert(options.challenge))).rejects.toMatchObject({ errorKey: 'AUTH_PASSKEY_COUNTER_INVALID' });
+  });
+});
+
+describe('assertRelyingPartyConfigured', () => {
+  const ENV_KEYS = ['API_MODE', 'WEBAUTHN_RP_ID', 'WEBAUTHN_ORIGINS'];
+  let savedEnv;
+
+  function loadWebauthn(env) {
+    for (const key of ENV_KEYS) {
+      delete process.env[key];
+    }
+    Object.assign(process.env, env);
+    let module;
+    jest.isolateModules(() => {
+      module = require('../../src/authenticate/webauthn');
+    });
+    return module;
+  }
+
+  beforeEach(() => {
+    savedEnv = { ...process.env };
+  });
+
+  afterEach(() => {
+    process.env = savedEnv;
+  });
+
+  test('trusts the request origin in development only', () => {
+    expect(() => loadWebauthn({}).assertRelyingPartyConfigured()).not.toThrow();
+    expect(() => loadWebauthn({ API_MODE: 'production' }).assertRelyingPartyConfigured()).toThrow('WEBAUTHN_RP_ID and WEBAUTHN_ORIGINS must be set');
+    expect(() => loadWebauthn({ API_MODE: 'production', WEBAUTHN_RP_ID: 'example.com' }).assertRelyingPartyConfigured()).toThrow('WEBAUTHN_ORIGINS must be set');
+  });
+
+  test('uses the configured relying party outside development', async () => {
+    const configured = loadWebauthn({ API_MODE: 'production', WEBAUTHN_RP_ID: 'example.com', WEBAUTHN_ORIGINS: 'https://example.com/' });
+
+    expect(() => configured.assertRelyingPartyConfigured()).not.toThrow();
+    const options = await configured.generateRegistrationOptions(USER, 'https://evil.example.net');
+    expect(options.rp.id).toBe('example.com');
+  });
+});
@@ -0,0 +1,11 @@
+/**
+ * Silent stand-in for src/logger/logger.js (the real logger writes to logs/)
+ */
+
+module.exports = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  http: jest.fn()
+};
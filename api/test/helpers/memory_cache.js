@@ -0,0 +1,54 @@
+/**
+ * In-memory stand-in for src/cache/cache.js
+ * Same contract as the Redis wrapper: strings are stored as-is, other values as JSON,
+ * and get() parses JSON back. TTLs are recorded but never expire on their own
+ */
+
+function createMemoryCache() {
+  const store = new Map();
+  const ttls = new Map();
+
+  return {
+    store,
+    ttls,
+    client: null,
+    async get(key) {
+      if (!store.has(key)) {
+        return null;
+      }
+      const value = store.get(key);
+      try {
+        return JSON.parse(value);
+      } catch (parseError) {
+        return value;
+      }
+    },
+    async set(key, value, ttl = 3600) {
+      store.set(key, typeof value === 'string' ? value : JSON.stringify(value));
+      ttls.set(key, ttl);
+      return true;
+    },
+    async del(key) {
+      store.delete(key);
+      ttls.delete(key);
+      return true;
+    },
+    async exists(key) {
+      return store.has(key);
+    },
+    async incr(key, ttl = 3600) {
+      const value = parseInt(store.get(key) || '0', 10) + 1;
+      store.set(key, String(value));
+      if (value === 1) {
+        ttls.set(key, ttl);
+      }
+      return value;
+    },
+    clear() {
+      store.clear();
+      ttls.clear();
+    }
+  };
+}
+
+module.exports = { createMemoryCache };
@@ -0,0 +1,55 @@
+/**
+ * Minimal ZIP reader for checking generated archives
+ * Walks the central directory, inflates every entry and checks its size and CRC-32
+ */
+
+const zlib = require('zlib');
+
+/**
+ * Read every file of a ZIP archive
+ * @param {Buffer} archive - ZIP archive
+ * @returns {object} { names, files: { name: Buffer } }
+ */
+function readZip(archive) {
+  const endOffset = archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (endOffset === -1) {
+    throw new Error('End of central directory not found');
+  }
+  const count = archive.readUInt16LE(endOffset + 10);
+  let offset = archive.readUInt32LE(endOffset + 16);
+
+  const names = [];
+  const files = {};
+  for (let i = 0; i < count; i++) {
+    if (archive.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error(`Bad central directory entry ${i}`);
+    }
+    const crc = archive.readUInt32LE(offset + 16);
+    const compressedSize = archive.readUInt32LE(offset + 20);
+    const size = archive.readUInt32LE(offset + 24);
+    const nameLength = archive.readUInt16LE(offset + 28);
+    const extraLength = archive.readUInt16LE(offset + 30);
+    const commentLength = archive.readUInt16LE(offset + 32);
+    const localOffset = archive.readUInt32LE(offset + 42);
+    const name = archive.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    if (archive.readUInt32LE(localOffset) !== 0x04034b50) {
+      throw new Error(`Bad local header for ${name}`);
+    }
+    const dataStart = localOffset + 30 + archive.readUInt16LE(localOffset + 26) + archive.readUInt16LE(localOffset + 28);
+    const data = zlib.inflateRawSync(archive.subarray(dataStart, dataStart + compressedSize));
+    if (data.length !== size) {
+      throw new Error(`Size mismatch for ${name}`);
+    }
+    if (zlib.crc32 && zlib.crc32(data) !== crc) {
+      throw new Error(`CRC mismatch for ${name}`);
+    }
+
+    names.push(name);
+    files[name] = data;
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return { names, files };
+}
+
+module.exports = { readZip };
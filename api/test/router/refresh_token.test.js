@@ -0,0 +1,93 @@
+const express = require('express');
+const request = require('supertest');
+
+process.env.JWT_SECRET_KEY = 'test-hs256-secret';
+
+jest.mock('../../src/logger/logger', () => require('../helpers/logger'));
+jest.mock('../../src/cache/cache', () => require('../helpers/memory_cache').createMemoryCache());
+jest.mock('../../src/db/prisma', () => ({ prisma: {} }));
+jest.mock('../../src/sms/sms', () => ({}));
+jest.mock('../../src/email/email', () => ({}));
+jest.mock('../../src/activity/activityLog', () => ({
+  ...jest.requireActual('../../src/activity/activityLog'),
+  createActivityLog: jest.fn()
+}));
+jest.mock('../../src/authenticate/session_registry', () => ({
+  recordSession: jest.fn(),
+  markSessionRevoked: jest.fn()
+}));
+jest.mock('../../src/authenticate/checkpoint', () => ({
+  ...jest.requireActual('../../src/authenticate/checkpoint'),
+  getUserById: jest.fn()
+}));
+
+const { ERRORS } = require('../../src/response/map');
+const cache = require('../../src/cache/cache');
+const { createActivityLog } = require('../../src/activity/activityLog');
+const { markSessionRevoked } = require('../../src/authenticate/session_registry');
+const { generateAllTokens, getUserById } = require('../../src/authenticate/checkpoint');
+const { isSessionBlacklisted } = require('../../src/authenticate/session_manager');
+const authenticateRouter = require('../../router/authenticate/authenticate');
+
+const USER = { user_id: 42, email: 'user@example.com', is_active: true };
+
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', authenticateRouter);
+  return app;
+}
+
+function refresh(app, refreshToken) {
+  return request(app).post('/api/auth/refresh-token').send({ refresh_token: refreshToken });
+}
+
+beforeEach(() => {
+  cache.clear();
+  jest.clearAllMocks();
+  getUserById.mockResolvedValue(USER);
+});
+
+test('rotates the refresh token and keeps the family', async () => {
+  const app = buildApp();
+  const login = generateAllTokens(USER, null, null, { authTime: null });
+
+  const res = await refresh(app, login.refresh_token);
+
+  expect(res.status).toBe(200);
+  expect(res.body.data.refresh_token).not.toBe(login.refresh_token);
+  expect(res.body.data.session_id).not.toBe(login.session_id);
+  expect(await isSessionBlacklisted(login.session_id)).toBe(true);
+
+  const second = await refresh(app, res.body.data.refresh_token);
+  expect(second.status).toBe(200);
+});
+
+test('revokes the whole family when a rotated refresh token is replayed', async () => {
+  const app = buildApp();
+  const login = generateAllTokens(USER, null, null, { authTime: null });
+
+  const rotated = await refresh(app, login.refresh_token);
+  expect(rotated.status).toBe(200);
+
+  const replay = await refresh(app, login.refresh_token);
+  expect(replay.status).toBe(401);
+  expect(replay.body.error.code).toBe(ERRORS.AUTH_REFRESH_TOKEN_REUSED.code);
+
+  // The legitimate client's newest token dies with the family
+  expect(await isSessionBlacklisted(rotated.body.data.session_id)).toBe(true);
+  expect(markSessionRevoked).toHaveBeenCalledWith(rotated.body.data.session_id);
+  expect(createActivityLog).toHaveBeenCalledWith(expect.objectContaining({ action: 'refresh_token_reuse' }));
+
+  const next = await refresh(app, rotated.body.data.refresh_token);
+  expect(next.body.error.code).toBe(ERRORS.AUTH_REFRESH_TOKEN_REUSED.code);
+});
+
+test('rejects an access token on the refresh endpoint', async () => {
+  const app = buildApp();
+  const login = generateAllTokens(USER, null, null, { authTime: null });
+
+  const res = await refresh(app, login.access_token);
+
+  expect(res.body.error.code).toBe(ERRORS.AUTH_INVALID_TOKEN_TYPE.code);
+});
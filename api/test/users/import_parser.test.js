@@ -0,0 +1,76 @@
+const { normalizePhone, parseUserImportFile } = require('../../src/users/import_parser');
+
+describe('normalizePhone', () => {
+  test.each([
+    ['+1 (555) 010-0100', '+15550100100'],
+    ['0049 30 1234567', '+49301234567'],
+    ['44.20.7946.0958', '+442079460958']
+  ])('%s -> %s', (input, expected) => {
+    expect(normalizePhone(input)).toBe(expected);
+  });
+});
+
+describe('CSV', () => {
+  test('parses quoted fields, aliases and groups, numbering rows from the header', () => {
+    const csv = '\uFEFFEmail,First Name,Mobile,Group\r\n'
+      + 'ANA@example.com,"Ana, ""Annie""",0049 30 1234567,editor;support\r\n'
+      + '\r\n'
+      + 'bo@example.com,Bo,,\r\n';
+
+    const { rows } = parseUserImportFile(csv, 'csv', 10);
+
+    expect(rows).toEqual([
+      { row: 2, data: { email: 'ana@example.com', first_name: 'Ana, "Annie"', phone: '+49301234567', groups: ['editor', 'support'] }, error: null },
+      { row: 3, data: { email: 'bo@example.com', first_name: 'Bo' }, error: null }
+    ]);
+  });
+
+  test('accepts semicolon-separated files', () => {
+    const { rows } = parseUserImportFile('email;last_name\nana@example.com;Silva\n', 'csv', 10);
+
+    expect(rows[0].data).toEqual({ email: 'ana@example.com', last_name: 'Silva' });
+  });
+
+  test('keeps line breaks inside quoted fields', () => {
+    const { rows } = parseUserImportFile('email,last_name\nana@example.com,"Da\nSilva"\n', 'csv', 10);
+
+    expect(rows).toHaveLength(1);
+    expect(rows[0].data.last_name).toBe('Da\nSilva');
+  });
+
+  test('reports invalid rows without dropping them', () => {
+    const { rows } = parseUserImportFile('email,phone,user_type\nnot-an-email,,\n,+1555,\nana@example.com,,wizard\n', 'csv', 10);
+
+    expect(rows.map(r => r.row)).toEqual([2, 3, 4]);
+    expect(rows[0].error).toMatch(/email/);
+    expect(rows[1].error).toBeNull();
+    expect(rows[2].error).toMatch(/user_type/);
+  });
+
+  test('refuses files without an identifier column, empty files and too many rows', () => {
+    expect(parseUserImportFile('first_name\nAna\n', 'csv', 10)).toEqual({ error: 'The header needs an email or phone column' });
+    expect(parseUserImportFile('', 'csv', 10)).toEqual({ error: 'The file is empty' });
+    expect(parseUserImportFile('email\n', 'csv', 10)).toEqual({ error: 'The file has no rows' });
+    expect(parseUserImportFile('email\na@example.com\nb@example.com\n', 'csv', 1).error).toMatch(/at most 1/);
+  });
+});
+
+describe('NDJSON', () => {
+  test('parses one object per line and reports bad lines by line number', () => {
+    const ndjson = [
+      '{"email":"ana@example.com","groups":["editor"],"password":"ignored"}',
+      '',
+      '[1,2]',
+      '{"phone":15550100}',
+      '{not json'
+    ].join('\n');
+
+    const { rows } = parseUserImportFile(ndjson, 'ndjson', 10);
+
+    expect(rows[0]).toEqual({ row: 1, data: { email: 'ana@example.com', groups: ['editor'] }, error: null });
+    expect(rows[1]).toMatchObject({ row: 3, data: null, error: 'Invalid JSON: Line is not a JSON object' });
+    expect(rows[2]).toEqual({ row: 4, data: { phone: '+15550100' }, error: null });
+    expect(rows[3]).toMatchObject({ row: 5, data: null });
+    expect(rows[3].error).toMatch(/^Invalid JSON/);
+  });
+});
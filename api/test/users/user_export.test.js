@@ -0,0 +1,130 @@
+const { Writable } = require('stream');
+
+jest.mock('../../src/logger/logger', () => require('../helpers/logger'));
+jest.mock('../../src/cache/cache', () => require('../helpers/memory_cache').createMemoryCache());
+jest.mock('../../src/db/prisma', () => ({
+  prisma: { user: { findMany: jest.fn() } }
+}));
+jest.mock('../../src/email/email', () => ({}));
+jest.mock('../../src/activity/activityLog', () => ({
+  ...jest.requireActual('../../src/activity/activityLog'),
+  createActivityLog: jest.fn()
+}));
+jest.mock('../../src/authenticate/checkpoint', () => ({}));
+
+const { prisma } = require('../../src/db/prisma');
+const { createActivityLog } = require('../../src/activity/activityLog');
+const { readZip } = require('../helpers/read_zip');
+const { resolveExportColumns, streamUserExport } = require('../../src/users/user_export');
+
+const REQUEST = { user: { uid: 1, session_id: 'admin-session' } };
+
+let users;
+
+function collector() {
+  const chunks = [];
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    }
+  });
+  output.contents = () => Buffer.concat(chunks);
+  return output;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  users = [
+    {
+      user_id: 1,
+      email: 'ana@example.com',
+      phone_number: { phone: '15550100' },
+      first_name: '=cmd',
+      created_at: new Date('2024-05-17T10:00:00Z'),
+      userGroups: [{ group: { codename: 'admin' } }, { group: { codename: 'user' } }]
+    },
+    { user_id: 2, email: null, phone_number: null, first_name: 'Bo, Jr.', created_at: new Date('2024-05-18T10:00:00Z'), userGroups: [] }
+  ];
+  prisma.user.findMany.mockImplementation(async ({ take, cursor }) => {
+    const start = cursor ? users.findIndex(user => user.user_id === cursor.user_id) + 1 : 0;
+    return users.slice(start, start + take);
+  });
+});
+
+describe('resolveExportColumns', () => {
+  test('leaves PII out of the defaults without export_user_pii', () => {
+    expect(resolveExportColumns('', false)).toEqual(['user_id', 'user_type', 'status', 'country', 'groups', 'created_at', 'last_sign_in_at']);
+    expect(resolveExportColumns('', true)).toContain('email');
+  });
+
+  test('refuses unknown columns, the password and PII without permission', () => {
+    expect(() => resolveExportColumns('user_id,password', true)).toThrow(expect.objectContaining({ errorKey: 'USER_EXPORT_UNKNOWN_COLUMN' }));
+    expect(() => resolveExportColumns(' , ', true)).toThrow(expect.objectContaining({ errorKey: 'USER_EXPORT_UNKNOWN_COLUMN' }));
+    expect(() => resolveExportColumns('user_id,email', false)).toThrow(expect.objectContaining({ errorKey: 'USER_EXPORT_PII_FORBIDDEN' }));
+  });
+
+  test('keeps the requested order and drops duplicates', () => {
+    expect(resolveExportColumns('status, user_id,status', false)).toEqual(['status', 'user_id']);
+  });
+});
+
+describe('streamUserExport', () => {
+  const columns = ['user_id', 'email', 'phone', 'first_name', 'groups', 'created_at'];
+
+  test('writes CSV with a byte order mark and defused formulas', async () => {
+    const output = collector();
+
+    expect(await streamUserExport(output, { format: 'csv', columns, filters: {} }, REQUEST)).toBe(2);
+    expect(output.contents().toString()).toBe(
+      '\uFEFFuser_id,email,phone,first_name,groups,created_at\r\n'
+      + "1,ana@example.com,+15550100,'=cmd,admin;user,2024-05-17T10:00:00.000Z\r\n"
+      + '2,,,"Bo, Jr.",,2024-05-18T10:00:00.000Z\r\n'
+    );
+  });
+
+  test('writes NDJSON with typed values', async () => {
+    const output = collector();
+    await streamUserExport(output, { format: 'ndjson', columns, filters: {} }, REQUEST);
+
+    const lines = output.contents().toString().trim().split('\n').map(line => JSON.parse(line));
+    expect(lines[0]).toEqual({ user_id: 1, email: 'ana@example.com', phone: '+15550100', first_name: '=cmd', groups: ['admin', 'user'], created_at: '2024-05-17T10:00:00.000Z' });
+    expect(lines[1].groups).toEqual([]);
+  });
+
+  test('writes XLSX with a header row', async () => {
+    const output = collector();
+    await streamUserExport(output, { format: 'xlsx', columns, filters: {} }, REQUEST);
+
+    const sheet = readZip(output.contents()).files['xl/worksheets/sheet1.xml'].toString();
+    expect(sheet).toContain('<row r="1">');
+    expect(sheet).toContain('<c r="E2" t="inlineStr"><is><t xml:space="preserve">admin;user</t></is></c>');
+    expect(sheet).toContain('<row r="3">');
+  });
+
+  test('reads users in batches through the cursor', async () => {
+    users = Array.from({ length: 1001 }, (_, index) => ({ user_id: index + 1 }));
+    const output = collector();
+
+    expect(await streamUserExport(output, { format: 'ndjson', columns: ['user_id'], filters: {} }, REQUEST)).toBe(1001);
+    expect(prisma.user.findMany).toHaveBeenCalledTimes(3);
+    expect(prisma.user.findMany.mock.calls[1][0]).toMatchObject({ cursor: { user_id: 500 }, skip: 1 });
+  });
+
+  test('audits exports, including ones that stop half way', async () => {
+    await streamUserExport(collector(), { format: 'csv', columns, filters: { status: 'active' } }, REQUEST);
+    expect(createActivityLog).toHaveBeenLastCalledWith(expect.objectContaining({
+      action: 'users_exported',
+      user_id: 1,
+      metadata: expect.objectContaining({ rows: 2, completed: true, includes_pii: true, filters: { status: 'active' } })
+    }));
+
+    const output = collector();
+    output.destroy();
+    await expect(streamUserExport(output, { format: 'csv', columns: ['user_id'], filters: {} }, REQUEST)).rejects.toThrow('Output stream closed');
+    expect(createActivityLog).toHaveBeenLastCalledWith(expect.objectContaining({
+      message: 'User export stopped after 0 users',
+      metadata: expect.objectContaining({ completed: false, includes_pii: false })
+    }));
+  });
+});
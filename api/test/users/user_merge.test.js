@@ -0,0 +1,155 @@
+jest.mock('../../src/logger/logger', () => require('../helpers/logger'));
+jest.mock('../../src/cache/cache', () => require('../helpers/memory_cache').createMemoryCache());
+jest.mock('../../src/db/prisma', () => ({
+  Prisma: { DbNull: 'DbNull' },
+  prisma: {
+    $transaction: jest.fn(),
+    user: { findUnique: jest.fn(), findFirst: jest.fn() },
+    activityLog: { count: jest.fn() },
+    oAuthIdentity: { count: jest.fn() },
+    userSession: { count: jest.fn(), findMany: jest.fn(), updateMany: jest.fn() },
+    apiKey: { count: jest.fn() },
+    passkeyCredential: { count: jest.fn() }
+  }
+}));
+jest.mock('../../src/email/email', () => ({}));
+jest.mock('../../src/activity/activityLog', () => ({
+  ...jest.requireActual('../../src/activity/activityLog'),
+  createActivityLog: jest.fn()
+}));
+jest.mock('../../src/permissions/permissions', () => ({ userPrivilegesCover: jest.fn() }));
+jest.mock('../../src/authenticate/checkpoint', () => ({ getUserByEmailOrPhone: jest.fn() }));
+jest.mock('../../src/authenticate/invitations', () => ({ assertGroupsAllowed: jest.fn() }));
+jest.mock('../../src/storage/storage', () => ({ listUserFiles: jest.fn(), moveUserFiles: jest.fn() }));
+
+const cache = require('../../src/cache/cache');
+const { prisma } = require('../../src/db/prisma');
+const { userPrivilegesCover } = require('../../src/permissions/permissions');
+const { assertGroupsAllowed } = require('../../src/authenticate/invitations');
+const { isUserBlacklisted, isUserRefreshTokenRevoked, isSessionBlacklisted } = require('../../src/authenticate/session_manager');
+const { previewUserMerge, mergeUsers } = require('../../src/users/user_merge');
+
+const ADMIN = { uid: 1 };
+
+let users;
+let tx;
+
+function group(id, codename) {
+  return { group_id: id, group: { codename, name: codename } };
+}
+
+beforeEach(() => {
+  cache.clear();
+  jest.clearAllMocks();
+  users = {
+    1: { user_id: 1, email: 'admin@example.com', userGroups: [group(1, 'admin'), group(2, 'user')] },
+    10: { user_id: 10, email: 'kept@example.com', phone_number: null, userGroups: [group(2, 'user')] },
+    11: { user_id: 11, email: null, phone_number: { phone: '15550100' }, is_phone_verified: true, userGroups: [group(2, 'user')] }
+  };
+  userPrivilegesCover.mockResolvedValue(true);
+
+  prisma.user.findUnique.mockImplementation(async ({ where }) => users[where.user_id] || null);
+  prisma.user.findFirst.mockImplementation(async ({ where }) => users[where.user_id] || null);
+  for (const model of ['activityLog', 'oAuthIdentity', 'userSession', 'apiKey', 'passkeyCredential']) {
+    prisma[model].count.mockResolvedValue(0);
+  }
+  prisma.userSession.findMany.mockResolvedValue([{ session_id: 'duplicate-session' }]);
+  prisma.userSession.updateMany.mockResolvedValue({ count: 1 });
+
+  tx = {
+    user: { updateMany: jest.fn().mockResolvedValue({ count: 1 }) },
+    userGroup: { createMany: jest.fn(), deleteMany: jest.fn() },
+    activityLog: { updateMany: jest.fn() },
+    oAuthIdentity: { updateMany: jest.fn() },
+    apiKey: { updateMany: jest.fn() }
+  };
+  prisma.$transaction.mockImplementation(callback => callback(tx));
+});
+
+describe('previewUserMerge', () => {
+  test('moves identifiers the kept account lacks', async () => {
+    const preview = await previewUserMerge(ADMIN, 10, 11);
+
+    expect(preview.changes).toMatchObject({ moved: { phone: '+15550100' }, dropped: {}, groups_added: [] });
+    expect(preview.preview_token).toEqual(expect.any(String));
+  });
+
+  test('refuses merging a user into itself', async () => {
+    await expect(previewUserMerge(ADMIN, 10, '10')).rejects.toMatchObject({ errorKey: 'USER_MERGE_SAME_USER' });
+  });
+
+  test('refuses protected accounts on either side', async () => {
+    users[10].is_protected = true;
+    await expect(previewUserMerge(ADMIN, 10, 11)).rejects.toMatchObject({ errorKey: 'USER_PROTECTED' });
+
+    users[10].is_protected = false;
+    users[11].is_protected = true;
+    await expect(previewUserMerge(ADMIN, 10, 11)).rejects.toMatchObject({ errorKey: 'USER_PROTECTED' });
+  });
+
+  test.each([[10], [11]])('refuses when user %i has privileges beyond the admin', async (privilegedId) => {
+    userPrivilegesCover.mockImplementation(async (actorId, userId) => userId !== privilegedId);
+
+    await expect(previewUserMerge(ADMIN, 10, 11)).rejects.toMatchObject({ errorKey: 'USER_PRIVILEGES_EXCEEDED' });
+  });
+
+  test('refuses merging the admin away or granting them groups', async () => {
+    await expect(previewUserMerge(ADMIN, 10, 1)).rejects.toMatchObject({ errorKey: 'USER_SELF_ACTION_FORBIDDEN' });
+    await expect(previewUserMerge(ADMIN, 1, 11)).resolves.toBeDefined();
+
+    users[11].userGroups.push(group(3, 'editor'));
+    await expect(previewUserMerge(ADMIN, 1, 11)).rejects.toMatchObject({ errorKey: 'USER_SELF_ACTION_FORBIDDEN' });
+  });
+
+  test('checks the admin may assign carried-over groups', async () => {
+    users[11].userGroups.push(group(3, 'editor'));
+    assertGroupsAllowed.mockRejectedValue(Object.assign(new Error('not allowed'), { errorKey: 'INVITATION_GROUP_NOT_ALLOWED' }));
+
+    await expect(previewUserMerge(ADMIN, 10, 11)).rejects.toMatchObject({ errorKey: 'INVITATION_GROUP_NOT_ALLOWED' });
+    expect(assertGroupsAllowed).toHaveBeenCalledWith(1, ['editor']);
+  });
+
+  test('refuses accounts already merged', async () => {
+    users[11].merged_into_user_id = 10;
+
+    await expect(previewUserMerge(ADMIN, 10, 11)).rejects.toMatchObject({ errorKey: 'USER_ALREADY_MERGED' });
+  });
+});
+
+describe('mergeUsers', () => {
+  test('merges and revokes the duplicate inside the transaction', async () => {
+    const { preview_token: token } = await previewUserMerge(ADMIN, 10, 11);
+
+    const result = await mergeUsers(ADMIN, 10, 11, token);
+
+    expect(result.sessions_revoked).toBe(1);
+    expect(await isUserBlacklisted('11')).toBe(true);
+    expect(await isUserRefreshTokenRevoked('11')).toBe(true);
+    expect(await isSessionBlacklisted('duplicate-session')).toBe(true);
+    expect(tx.user.updateMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: expect.objectContaining({ user_id: 10 }),
+      data: expect.objectContaining({ phone_number: { phone: '15550100' }, is_phone_verified: true })
+    }));
+  });
+
+  test('refuses a stale preview token', async () => {
+    await expect(mergeUsers(ADMIN, 10, 11, 'stale')).rejects.toMatchObject({ errorKey: 'USER_MERGE_PREVIEW_STALE' });
+    expect(prisma.$transaction).not.toHaveBeenCalled();
+  });
+
+  test('fails the transaction when the duplicate cannot be signed out', async () => {
+    const { preview_token: token } = await previewUserMerge(ADMIN, 10, 11);
+    jest.spyOn(cache, 'set').mockResolvedValue(false);
+
+    await expect(mergeUsers(ADMIN, 10, 11, token)).rejects.toMatchObject({ errorKey: 'AUTH_PROCESSING_ERROR' });
+    cache.set.mockRestore();
+  });
+
+  test('reports a concurrent merge as stale', async () => {
+    const { preview_token: token } = await previewUserMerge(ADMIN, 10, 11);
+    tx.user.updateMany.mockResolvedValueOnce({ count: 0 });
+
+    await expect(mergeUsers(ADMIN, 10, 11, token)).rejects.toMatchObject({ errorKey: 'USER_MERGE_PREVIEW_STALE' });
+    expect(await isUserBlacklisted('11')).toBe(false);
+  });
+});
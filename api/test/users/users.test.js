@@ -0,0 +1,125 @@
+jest.mock('../../src/logger/logger', () => require('../helpers/logger'));
+jest.mock('../../src/cache/cache', () => require('../helpers/memory_cache').createMemoryCache());
+jest.mock('../../src/db/prisma', () => ({
+  prisma: {
+    user: { findUnique: jest.fn(), findFirst: jest.fn(), update: jest.fn(), updateMany: jest.fn() },
+    userSession: { findMany: jest.fn(), updateMany: jest.fn() }
+  }
+}));
+jest.mock('../../src/email/email', () => ({}));
+jest.mock('../../src/activity/activityLog', () => ({
+  ...jest.requireActual('../../src/activity/activityLog'),
+  createActivityLog: jest.fn()
+}));
+jest.mock('../../src/permissions/permissions', () => ({ userPrivilegesCover: jest.fn() }));
+jest.mock('../../src/authenticate/checkpoint', () => ({ getUserByEmailOrPhone: jest.fn() }));
+
+const cache = require('../../src/cache/cache');
+const { prisma } = require('../../src/db/prisma');
+const { createActivityLog } = require('../../src/activity/activityLog');
+const { userPrivilegesCover } = require('../../src/permissions/permissions');
+const { getUserByEmailOrPhone } = require('../../src/authenticate/checkpoint');
+const { isUserBlacklisted, isSessionBlacklisted } = require('../../src/authenticate/session_manager');
+const { UserStatusAuthEnum } = require('../../src/enum/enum');
+const { updateUserByAdmin, suspendUser, restoreUser } = require('../../src/users/users');
+
+const ADMIN = { uid: 1, session_id: 'admin-session' };
+
+let users;
+
+beforeEach(() => {
+  cache.clear();
+  jest.clearAllMocks();
+  users = {
+    1: { user_id: 1, status: UserStatusAuthEnum.ACTIVE, is_active: true },
+    2: { user_id: 2, email: 'old@example.com', status: UserStatusAuthEnum.ACTIVE, is_active: true },
+    3: { user_id: 3, status: UserStatusAuthEnum.ACTIVE, is_active: true, is_protected: true },
+    4: { user_id: 4, status: UserStatusAuthEnum.SUSPENDED, is_active: false }
+  };
+  userPrivilegesCover.mockResolvedValue(true);
+  getUserByEmailOrPhone.mockResolvedValue(null);
+
+  prisma.user.findUnique.mockImplementation(async ({ where }) => users[where.user_id] || null);
+  prisma.user.findFirst.mockImplementation(async ({ where }) => users[where.user_id] || null);
+  prisma.user.update.mockImplementation(async ({ where, data }) => Object.assign(users[where.user_id], data));
+  prisma.user.updateMany.mockImplementation(async ({ where, data }) => {
+    Object.assign(users[where.user_id], data);
+    return { count: 1 };
+  });
+  prisma.userSession.findMany.mockResolvedValue([{ session_id: 'session-a' }]);
+  prisma.userSession.updateMany.mockResolvedValue({ count: 1 });
+});
+
+describe.each([
+  ['updateUserByAdmin', () => updateUserByAdmin(ADMIN, 2, { first_name: 'New' })],
+  ['suspendUser', () => suspendUser(ADMIN, 2, 'spam')],
+  ['restoreUser', () => restoreUser(ADMIN, 4, 'appeal')]
+])('%s', (name, run) => {
+  test('is refused for users with privileges beyond the admin', async () => {
+    userPrivilegesCover.mockResolvedValue(false);
+
+    await expect(run()).rejects.toMatchObject({ errorKey: 'USER_PRIVILEGES_EXCEEDED' });
+    expect(prisma.user.update).not.toHaveBeenCalled();
+    expect(prisma.user.updateMany).not.toHaveBeenCalled();
+  });
+
+  test('is refused for protected users', async () => {
+    users[2].is_protected = true;
+    users[4].is_protected = true;
+
+    await expect(run()).rejects.toMatchObject({ errorKey: 'USER_PROTECTED' });
+  });
+});
+
+describe('updateUserByAdmin', () => {
+  test('marks a changed email unverified', async () => {
+    const user = await updateUserByAdmin(ADMIN, 2, { email: 'New@Example.com' });
+
+    expect(user).toMatchObject({ email: 'new@example.com', is_email_verified: false, email_verified_at: null });
+    expect(createActivityLog).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'user_updated',
+      metadata: { updated_by_user_id: 1, fields: ['email'] }
+    }));
+  });
+
+  test('refuses an email that belongs to another account', async () => {
+    getUserByEmailOrPhone.mockResolvedValue({ user_id: 9 });
+
+    await expect(updateUserByAdmin(ADMIN, 2, { email: 'taken@example.com' })).rejects.toMatchObject({ errorKey: 'USER_IDENTIFIER_TAKEN' });
+  });
+
+  test('reports a missing user', async () => {
+    await expect(updateUserByAdmin(ADMIN, 99, { first_name: 'New' })).rejects.toMatchObject({ errorKey: 'USER_NOT_FOUND' });
+  });
+});
+
+describe('suspendUser', () => {
+  test('deactivates the user and signs them out everywhere', async () => {
+    const result = await suspendUser(ADMIN, 2, 'spam');
+
+    expect(result.user).toMatchObject({ status: UserStatusAuthEnum.SUSPENDED, is_active: false });
+    expect(result.sessions_revoked).toBe(1);
+    expect(await isUserBlacklisted('2')).toBe(true);
+    expect(await isSessionBlacklisted('session-a')).toBe(true);
+  });
+
+  test('refuses the admin themselves and users already suspended', async () => {
+    await expect(suspendUser(ADMIN, 1)).rejects.toMatchObject({ errorKey: 'USER_SELF_ACTION_FORBIDDEN' });
+    await expect(suspendUser(ADMIN, 4)).rejects.toMatchObject({ errorKey: 'USER_ALREADY_SUSPENDED' });
+  });
+});
+
+describe('restoreUser', () => {
+  test('reactivates a suspended user', async () => {
+    const user = await restoreUser(ADMIN, 4, 'appeal');
+
+    expect(user).toMatchObject({ status: UserStatusAuthEnum.ACTIVE, is_active: true });
+  });
+
+  test('refuses active and merged users', async () => {
+    await expect(restoreUser(ADMIN, 2)).rejects.toMatchObject({ errorKey: 'USER_NOT_RESTORABLE' });
+
+    users[4].merged_into_user_id = 2;
+    await expect(restoreUser(ADMIN, 4)).rejects.toMatchObject({ errorKey: 'USER_NOT_RESTORABLE' });
+  });
+});
@@ -0,0 +1,29 @@
+const { csvCell, csvLine } = require('../../src/utils/csv');
+
+describe('csvCell', () => {
+  test('quotes delimiters, quotes and line breaks', () => {
+    expect(csvCell('plain')).toBe('plain');
+    expect(csvCell('a,b')).toBe('"a,b"');
+    expect(csvCell('say "hi"')).toBe('"say ""hi"""');
+    expect(csvCell('two\nlines')).toBe('"two\nlines"');
+  });
+
+  test('writes empty cells for missing values and joins lists', () => {
+    expect(csvCell(null)).toBe('');
+    expect(csvCell(undefined)).toBe('');
+    expect(csvCell(['admin', 'user'])).toBe('admin;user');
+    expect(csvCell(false)).toBe('false');
+  });
+
+  test('defuses formulas but leaves phone numbers alone', () => {
+    expect(csvCell('=HYPERLINK("http://evil")')).toBe('"\'=HYPERLINK(""http://evil"")"');
+    expect(csvCell('@SUM(A1)')).toBe("'@SUM(A1)");
+    expect(csvCell('-2+3')).toBe("'-2+3");
+    expect(csvCell('+cmd')).toBe("'+cmd");
+    expect(csvCell('+14155550123')).toBe('+14155550123');
+  });
+});
+
+test('csvLine ends with CRLF', () => {
+  expect(csvLine(['a', 1, null, 'b,c'])).toBe('a,1,,"b,c"\r\n');
+});
@@ -0,0 +1,55 @@
+const { Writable } = require('stream');
+const { createXlsxStream } = require('../../src/utils/xlsx');
+const { readZip } = require('../helpers/read_zip');
+
+async function buildSheet(rows, sheetName) {
+  const chunks = [];
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    }
+  });
+  const sheet = await createXlsxStream(output, sheetName);
+  for (const row of rows) {
+    await sheet.writeRow(row);
+  }
+  await sheet.finish();
+  return readZip(Buffer.concat(chunks)).files;
+}
+
+test('writes the package parts a spreadsheet app needs', async () => {
+  const files = await buildSheet([['a']]);
+
+  expect(Object.keys(files).sort()).toEqual([
+    '[Content_Types].xml',
+    '_rels/.rels',
+    'xl/_rels/workbook.xml.rels',
+    'xl/workbook.xml',
+    'xl/worksheets/sheet1.xml'
+  ]);
+});
+
+test('writes typed cells with references', async () => {
+  const files = await buildSheet([['id', 'name', 'active'], [7, 'Ana', true], [8, null, false]], 'Users');
+  const sheet = files['xl/worksheets/sheet1.xml'].toString();
+
+  expect(files['xl/workbook.xml'].toString()).toContain('<sheet name="Users"');
+  expect(sheet).toContain('<c r="B1" t="inlineStr"><is><t xml:space="preserve">name</t></is></c>');
+  expect(sheet).toContain('<row r="2"><c r="A2"><v>7</v></c>');
+  expect(sheet).toContain('<c r="C2" t="b"><v>1</v></c>');
+  expect(sheet).toContain('<row r="3"><c r="A3"><v>8</v></c><c r="C3" t="b"><v>0</v></c></row>');
+});
+
+test('escapes XML and drops control characters', async () => {
+  const files = await buildSheet([['<b>"Tom" & Jerry</b>\u0007']]);
+
+  expect(files['xl/worksheets/sheet1.xml'].toString()).toContain('&lt;b&gt;&quot;Tom&quot; &amp; Jerry&lt;/b&gt;</t>');
+});
+
+test('names columns past Z', async () => {
+  const files = await buildSheet([Array.from({ length: 28 }, (_, i) => i)]);
+  const sheet = files['xl/worksheets/sheet1.xml'].toString();
+
+  expect(sheet).toContain('<c r="Z1"><v>25</v></c><c r="AA1"><v>26</v></c><c r="AB1"><v>27</v></c>');
+});
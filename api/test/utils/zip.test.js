@@ -0,0 +1,77 @@
+const { PassThrough, Writable } = require('stream');
+const { crc32, createZip, createZipStream } = require('../../src/utils/zip');
+const { readZip } = require('../helpers/read_zip');
+
+/**
+ * Writable that collects everything and drains slowly, to exercise backpressure
+ */
+function slowSink() {
+  const chunks = [];
+  const sink = new Writable({
+    highWaterMark: 64,
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      setImmediate(callback);
+    }
+  });
+  sink.contents = () => Buffer.concat(chunks);
+  return sink;
+}
+
+describe('crc32', () => {
+  test('matches the IEEE check value', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+  });
+
+  test('can be computed piece by piece', () => {
+    expect(crc32(Buffer.from('6789'), crc32(Buffer.from('12345')))).toBe(0xcbf43926);
+  });
+});
+
+describe('createZip', () => {
+  test('builds an archive other readers can open', () => {
+    const archive = createZip([
+      { name: 'profile.json', data: JSON.stringify({ name: 'Zoë' }) },
+      { name: 'files/avatar.bin', data: Buffer.from([0, 1, 2, 255]) }
+    ], new Date(2024, 4, 17, 10, 30, 0));
+
+    const { names, files } = readZip(archive);
+    expect(names).toEqual(['profile.json', 'files/avatar.bin']);
+    expect(JSON.parse(files['profile.json'])).toEqual({ name: 'Zoë' });
+    expect(files['files/avatar.bin']).toEqual(Buffer.from([0, 1, 2, 255]));
+  });
+
+  test('builds an empty archive', () => {
+    expect(readZip(createZip([])).names).toEqual([]);
+  });
+});
+
+describe('createZipStream', () => {
+  test('writes files in pieces through a slow stream', async () => {
+    const sink = slowSink();
+    const zip = createZipStream(sink);
+    const large = 'row,'.repeat(50000);
+
+    await zip.addFile('small.txt', 'hello');
+    const file = await zip.openFile('large.csv');
+    for (let i = 0; i < 10; i++) {
+      await file.write(large);
+    }
+    await file.close();
+    await zip.finish();
+    await new Promise(resolve => sink.end(resolve));
+
+    const { names, files } = readZip(sink.contents());
+    expect(names).toEqual(['small.txt', 'large.csv']);
+    expect(files['small.txt'].toString()).toBe('hello');
+    expect(files['large.csv'].length).toBe(large.length * 10);
+  });
+
+  test('fails when the output is closed', async () => {
+    const output = new PassThrough();
+    const zip = createZipStream(output);
+    output.destroy();
+
+    await expect(zip.addFile('a.txt', 'a')).rejects.toThrow('Output stream closed');
+  });
+});